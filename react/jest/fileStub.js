@@ -0,0 +1,2 @@
+// Stands in for image requires (webp, png, jpg) under Jest.
+module.exports = "test-file-stub";
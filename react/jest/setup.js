@@ -0,0 +1,9 @@
+// Shared Jest setup: AsyncStorage runs against its in-memory mock.
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+// Local notifications run against notifee's mock.
+jest.mock("@notifee/react-native", () =>
+  require("@notifee/react-native/jest-mock")
+);
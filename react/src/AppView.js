@@ -9,6 +9,8 @@ import { DataStoreProvider } from "./Core/Data/DataStore";
 import { AdventureModeProvider } from "./Core/States/AdventureMode";
 import { LocationServiceProvider } from "./Core/Location/LocationService";
 import { AppStateProvider, useAppState } from "./Core/States/AppState";
+import { AchievementsProvider } from "./Core/States/Achievements";
+import { TourProvider } from "./Core/States/Tour";
 
 // Separate component for app content that uses AppState
 const AppContent = ({ setDesignVillageMode }) => {
@@ -65,11 +67,15 @@ const ContentView = ({ setDesignVillageMode }) => {
     <AppStateProvider>
       <DarkModeProvider>
         <DataStoreProvider>
-          <AdventureModeProvider>
-            <LocationServiceProvider>
-              <AppContent setDesignVillageMode={setDesignVillageMode} />
-            </LocationServiceProvider>
-          </AdventureModeProvider>
+          <AchievementsProvider>
+            <AdventureModeProvider>
+              <LocationServiceProvider>
+                <TourProvider>
+                  <AppContent setDesignVillageMode={setDesignVillageMode} />
+                </TourProvider>
+              </LocationServiceProvider>
+            </AdventureModeProvider>
+          </AchievementsProvider>
         </DataStoreProvider>
       </DarkModeProvider>
     </AppStateProvider>
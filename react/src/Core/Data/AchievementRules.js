@@ -0,0 +1,160 @@
+// AchievementRules.js
+/**
+ * AchievementRules
+ *
+ * Declarative achievement definitions and a pure evaluator that checks them
+ * against DataStore state ({ structures, visitHistory }).
+ *
+ * Every rule has a `condition` of one of these types:
+ * - count:           at least `atLeast` structures have `flag` set
+ * - all:             every structure matching `where` has `flag` set
+ * - visitsInOneDay:  at least `atLeast` different structures visited on one day
+ *
+ * `where` narrows the structures a condition looks at:
+ * - builtBefore: first construction year is earlier than this year
+ * - builtSince:  first construction year is this year or later
+ */
+
+import { getDayKey } from "./Dates";
+import { VisitSource } from "./Models";
+import { getFirstYear } from "./Years";
+
+export const ACHIEVEMENTS = [
+  {
+    id: "firstSteps",
+    title: "First Steps",
+    description: "Visit your first structure",
+    icon: "footsteps",
+    condition: { type: "count", flag: "isVisited", atLeast: 1 },
+  },
+  {
+    id: "dayTripper",
+    title: "Day Tripper",
+    description: "Visit 5 structures in one day",
+    icon: "sunny",
+    condition: { type: "visitsInOneDay", atLeast: 5 },
+  },
+  {
+    id: "pioneer",
+    title: "Pioneer",
+    description: "Visit every structure built before 1970",
+    icon: "hourglass",
+    condition: { type: "all", flag: "isVisited", where: { builtBefore: 1970 } },
+  },
+  {
+    id: "modernist",
+    title: "Modernist",
+    description: "Visit every structure built since 2000",
+    icon: "flash",
+    condition: { type: "all", flag: "isVisited", where: { builtSince: 2000 } },
+  },
+  {
+    id: "completionist",
+    title: "Completionist",
+    description: "Visit every structure in the canyon",
+    icon: "trophy",
+    condition: { type: "all", flag: "isVisited" },
+  },
+  {
+    id: "bookworm",
+    title: "Bookworm",
+    description: "Open every structure's details",
+    icon: "book",
+    condition: { type: "all", flag: "isOpened" },
+  },
+  {
+    id: "critic",
+    title: "Critic",
+    description: "Like 10 structures",
+    icon: "heart",
+    condition: { type: "count", flag: "isLiked", atLeast: 10 },
+  },
+];
+
+// MARK: - Helpers
+
+// Unknown years ("xxxx") never match a `where` filter
+const matchesWhere = (structure, where = {}) => {
+  const year = getFirstYear(structure);
+  if (where.builtBefore !== undefined) {
+    if (year === null || year >= where.builtBefore) return false;
+  }
+  if (where.builtSince !== undefined) {
+    if (year === null || year < where.builtSince) return false;
+  }
+  return true;
+};
+
+// Virtual tour stops are logged too, but only visits in person count here
+const getMostVisitsInOneDay = (visitHistory) => {
+  const structuresByDay = new Map();
+  visitHistory
+    .filter((entry) => entry.source !== VisitSource.VIRTUAL_TOUR)
+    .forEach((entry) => {
+      const day = getDayKey(entry.timestamp);
+      if (!structuresByDay.has(day)) structuresByDay.set(day, new Set());
+      structuresByDay.get(day).add(entry.structure);
+    });
+  return Math.max(
+    0,
+    ...[...structuresByDay.values()].map((structures) => structures.size)
+  );
+};
+
+// MARK: - Evaluation
+
+/**
+ * Returns { current, target } for a rule. A rule is unlocked once current
+ * reaches target.
+ */
+export const getAchievementProgress = (achievement, state) => {
+  const { condition } = achievement;
+  const { structures, visitHistory = [] } = state;
+
+  switch (condition.type) {
+    case "count": {
+      const current = structures.filter(
+        (structure) =>
+          structure[condition.flag] && matchesWhere(structure, condition.where)
+      ).length;
+      return {
+        current: Math.min(current, condition.atLeast),
+        target: condition.atLeast,
+      };
+    }
+    case "all": {
+      const matching = structures.filter((structure) =>
+        matchesWhere(structure, condition.where)
+      );
+      return {
+        current: matching.filter((structure) => structure[condition.flag])
+          .length,
+        target: matching.length,
+      };
+    }
+    case "visitsInOneDay": {
+      const current = getMostVisitsInOneDay(visitHistory);
+      return {
+        current: Math.min(current, condition.atLeast),
+        target: condition.atLeast,
+      };
+    }
+    default:
+      console.warn(`Achievements - Unknown condition type: ${condition.type}`);
+      return { current: 0, target: 1 };
+  }
+};
+
+export const isAchievementMet = (achievement, state) => {
+  const { current, target } = getAchievementProgress(achievement, state);
+  return target > 0 && current >= target;
+};
+
+// Ids of every achievement whose condition currently holds.
+export const evaluateAchievements = (state) =>
+  ACHIEVEMENTS.filter((achievement) =>
+    isAchievementMet(achievement, state)
+  ).map((achievement) => achievement.id);
+
+export const getAchievement = (id) =>
+  ACHIEVEMENTS.find((achievement) => achievement.id === id) || null;
@@ -0,0 +1,247 @@
+// ContentSync.js
+/**
+ * ContentSync
+ *
+ * Keeps the static structure text (names, years, people, descriptions, fun
+ * facts) up to date without an app release. A versioned content manifest is
+ * fetched from a configurable endpoint, validated, cached, and merged over
+ * the bundled structuresList.json, which stays the fallback whenever the
+ * network, the endpoint or the cache can't be used.
+ *
+ * Manifest format:
+ *   {
+ *     "schemaVersion": 1,
+ *     "contentVersion": 4,          // increases with every published edit
+ *     "structures": [ { "Number": 1, "Name": "...", ... } ]
+ *   }
+ * Structure entries use the structuresList.json keys. Entries only replace
+ * the fields in SYNCED_FIELDS, so images and map positions always come from
+ * the bundle, and structures missing from the manifest keep bundled text.
+ *
+ * The cache is app content rather than user progress, so it lives under its
+ * own AsyncStorage key instead of the Persistence document.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import bundledStructures from "./structuresList.json";
+
+// MARK: - Constants
+
+// Where the manifest is published. Null turns remote updates off; pass a URL
+// to DataStoreProvider (`contentManifestUrl`) to point at another server,
+// e.g. a local mock server during development.
+export const CONTENT_MANIFEST_URL = null;
+
+export const CONTENT_STORAGE_KEY = "contentManifest";
+export const CONTENT_SCHEMA_VERSION = 1;
+
+// Version of the text shipped in structuresList.json
+export const BUNDLED_CONTENT_VERSION = 0;
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// structuresList.json fields a manifest may replace, with their types
+const SYNCED_FIELDS = {
+  Name: "string",
+  Year: "string",
+  Advisors: "string[]",
+  Builders: "string[]",
+  Description: "string",
+  "Fun Fact": "string",
+};
+
+export const ContentSyncStatus = {
+  UPDATED: "updated",
+  UP_TO_DATE: "upToDate",
+  DISABLED: "disabled",
+  FAILED: "failed",
+};
+
+// MARK: - Validation
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const matchesType = (value, type) => {
+  if (type === "string[]") {
+    return (
+      Array.isArray(value) && value.every((item) => typeof item === "string")
+    );
+  }
+  return typeof value === type;
+};
+
+/**
+ * Returns a list of problems with a manifest; empty when it can be used.
+ */
+export const validateContentManifest = (manifest) => {
+  if (!isPlainObject(manifest)) return ["The manifest isn't an object."];
+
+  const errors = [];
+  if (manifest.schemaVersion !== CONTENT_SCHEMA_VERSION) {
+    errors.push(
+      `Unsupported schema version ${manifest.schemaVersion} ` +
+        `(expected ${CONTENT_SCHEMA_VERSION}).`
+    );
+  }
+  if (!Number.isInteger(manifest.contentVersion)) {
+    errors.push("contentVersion must be an integer.");
+  }
+  if (!Array.isArray(manifest.structures)) {
+    errors.push("structures must be an array.");
+    return errors;
+  }
+
+  const bundledNumbers = new Set(bundledStructures.map((data) => data.Number));
+  const seenNumbers = new Set();
+
+  manifest.structures.forEach((entry, index) => {
+    const label = `Structure at index ${index}`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${label} isn't an object.`);
+      return;
+    }
+    if (!Number.isInteger(entry.Number)) {
+      errors.push(`${label} has no integer Number.`);
+      return;
+    }
+    if (!bundledNumbers.has(entry.Number)) {
+      // Images and map points ship with the app, so new structures can't
+      // be added remotely.
+      errors.push(`Structure ${entry.Number} isn't in this app version.`);
+    }
+    if (seenNumbers.has(entry.Number)) {
+      errors.push(`Structure ${entry.Number} is listed twice.`);
+    }
+    seenNumbers.add(entry.Number);
+
+    Object.entries(SYNCED_FIELDS).forEach(([field, type]) => {
+      if (entry[field] !== undefined && !matchesType(entry[field], type)) {
+        errors.push(`Structure ${entry.Number} has an invalid ${field}.`);
+      }
+    });
+    if (typeof entry.Name === "string" && entry.Name.trim() === "") {
+      errors.push(`Structure ${entry.Number} has an empty Name.`);
+    }
+  });
+
+  return errors;
+};
+
+// MARK: - Merging
+
+/**
+ * Bundled structure data with the manifest's text fields laid over it.
+ * Without a manifest this is the bundled data unchanged.
+ */
+export const getStructureData = (manifest) => {
+  if (!manifest) return bundledStructures;
+
+  const updates = new Map(
+    manifest.structures.map((entry) => [entry.Number, entry])
+  );
+  return bundledStructures.map((data) => {
+    const update = updates.get(data.Number);
+    if (!update) return data;
+
+    const merged = { ...data };
+    Object.keys(SYNCED_FIELDS).forEach((field) => {
+      if (update[field] !== undefined) merged[field] = update[field];
+    });
+    return merged;
+  });
+};
+
+// MARK: - Storage
+
+/**
+ * Cached manifest from an earlier sync, or null when there is none or it
+ * no longer validates (e.g. after an app update changed the schema).
+ */
+export const loadStoredContent = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(CONTENT_STORAGE_KEY);
+    if (!raw) return null;
+
+    const manifest = JSON.parse(raw);
+    const errors = validateContentManifest(manifest);
+    if (errors.length > 0) {
+      console.log("ContentSync - Ignoring stored content:", errors[0]);
+      await AsyncStorage.removeItem(CONTENT_STORAGE_KEY);
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    console.error("ContentSync - Error loading stored content:", error);
+    return null;
+  }
+};
+
+export const clearStoredContent = async () => {
+  try {
+    await AsyncStorage.removeItem(CONTENT_STORAGE_KEY);
+  } catch (error) {
+    console.error("ContentSync - Error clearing stored content:", error);
+  }
+};
+
+// MARK: - Sync
+
+// GET a JSON document, giving up after FETCH_TIMEOUT_MS. Also used by the
+// Design Village schedule.
+export const fetchJson = async (url, fetchImpl = fetch) => {
+  const controller =
+    typeof AbortController !== "undefined" ? new AbortController() : null;
+  const timeout = setTimeout(() => {
+    if (controller) controller.abort();
+  }, FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetchImpl(url, {
+      headers: { Accept: "application/json" },
+      signal: controller ? controller.signal : undefined,
+    });
+    if (!response.ok) {
+      throw new Error(`The server responded with ${response.status}.`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Fetches the manifest and stores it when it's valid and newer than
+ * `currentVersion`. Never throws; resolves to { status, manifest, error }
+ * where manifest is set only when status is UPDATED.
+ */
+export const syncContent = async ({
+  manifestUrl = CONTENT_MANIFEST_URL,
+  currentVersion = BUNDLED_CONTENT_VERSION,
+  fetchImpl = fetch,
+} = {}) => {
+  if (!manifestUrl) {
+    return { status: ContentSyncStatus.DISABLED, manifest: null, error: null };
+  }
+
+  try {
+    const manifest = await fetchJson(manifestUrl, fetchImpl);
+    const errors = validateContentManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid content manifest: ${errors.join(" ")}`);
+    }
+    if (manifest.contentVersion <= currentVersion) {
+      return {
+        status: ContentSyncStatus.UP_TO_DATE,
+        manifest: null,
+        error: null,
+      };
+    }
+
+    await AsyncStorage.setItem(CONTENT_STORAGE_KEY, JSON.stringify(manifest));
+    return { status: ContentSyncStatus.UPDATED, manifest, error: null };
+  } catch (error) {
+    console.log("ContentSync - Sync failed:", error.message);
+    return { status: ContentSyncStatus.FAILED, manifest: null, error };
+  }
+};
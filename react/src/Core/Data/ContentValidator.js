@@ -0,0 +1,363 @@
+// ContentValidator.js
+/**
+ * ContentValidator
+ *
+ * Checks the hand-edited content files against each other:
+ *   structuresList.json   field types, unique numbers, image keys that
+ *                         resolve through ImageRegistry
+ *   mapPoints.json        field types, unique names, known structures,
+ *                         coordinates inside the canyon outline, one
+ *                         primary (anchor) point per structure
+ *
+ * Problems are errors (the app will misbehave) or warnings (worth a look,
+ * e.g. a point that hasn't been surveyed yet). The report is logged in
+ * development builds; see formatValidationReport for the layout.
+ */
+
+import { getImageSource, getMainPhoto } from "../Images/ImageRegistry";
+import { isPointInPolygon, distanceToPolygonEdge } from "../Location/Geo";
+import {
+  TRAIL_POINT_STRUCTURE,
+  FIRST_LANDMARK_STRUCTURE,
+} from "../Location/StructureMapPoints";
+import structuresData from "./structuresList.json";
+import mapPointsData from "../Location/mapPoints.json";
+import canyonBoundary from "../Location/canyonBoundary.json";
+
+export const IssueSeverity = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+const STRUCTURES_FILE = "structuresList.json";
+const MAP_POINTS_FILE = "mapPoints.json";
+
+// Expected structuresList.json fields and their types
+const STRUCTURE_FIELDS = {
+  Number: "integer",
+  Name: "string",
+  Year: "string",
+  Advisors: "string[]",
+  Builders: "string[]",
+  Description: "string",
+  "Fun Fact": "string",
+  Images: "string[]",
+};
+
+// Expected mapPoints.json fields and their types
+const MAP_POINT_FIELDS = {
+  name: "integer",
+  pixelX: "number",
+  pixelY: "number",
+  latitude: "number",
+  longitude: "number",
+  structure: "integer",
+};
+
+// mapPoints.json fields that may be left out
+const OPTIONAL_MAP_POINT_FIELDS = {
+  primary: "boolean",
+};
+
+// Points this far outside the canyon outline are still accepted, matching
+// the buffer LocationService uses for "in the canyon"
+const CANYON_BUFFER = 15; // meters
+
+// MARK: - Helpers
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "string[]":
+      return (
+        Array.isArray(value) && value.every((item) => typeof item === "string")
+      );
+    default:
+      return typeof value === type;
+  }
+};
+
+const createIssue = (severity, file, location, message) => ({
+  severity,
+  file,
+  location,
+  message,
+});
+
+// Type errors for `fields` and `optionalFields`, plus a warning for each
+// key in neither
+const checkFields = (entry, fields, file, location, optionalFields = {}) => {
+  const issues = [];
+  const allFields = { ...fields, ...optionalFields };
+  Object.entries(allFields).forEach(([field, type]) => {
+    if (entry[field] === undefined) {
+      if (field in optionalFields) return;
+      issues.push(
+        createIssue(IssueSeverity.ERROR, file, location, `missing ${field}`)
+      );
+    } else if (!matchesType(entry[field], type)) {
+      issues.push(
+        createIssue(
+          IssueSeverity.ERROR,
+          file,
+          location,
+          `${field} should be ${type}, found ${JSON.stringify(entry[field])}`
+        )
+      );
+    }
+  });
+  Object.keys(entry)
+    .filter((field) => !(field in allFields))
+    .forEach((field) =>
+      issues.push(
+        createIssue(
+          IssueSeverity.WARNING,
+          file,
+          location,
+          `unknown field ${field}`
+        )
+      )
+    );
+  return issues;
+};
+
+// MARK: - Structures
+
+export const validateStructures = (structures) => {
+  const issues = [];
+  const seenNumbers = new Set();
+
+  structures.forEach((structure, index) => {
+    const location = Number.isInteger(structure.Number)
+      ? `structure ${structure.Number}`
+      : `entry ${index}`;
+    const addError = (message) =>
+      issues.push(
+        createIssue(IssueSeverity.ERROR, STRUCTURES_FILE, location, message)
+      );
+
+    issues.push(
+      ...checkFields(structure, STRUCTURE_FIELDS, STRUCTURES_FILE, location)
+    );
+
+    if (Number.isInteger(structure.Number)) {
+      if (seenNumbers.has(structure.Number)) addError("duplicate Number");
+      seenNumbers.add(structure.Number);
+      if (
+        structure.Number < 1 ||
+        structure.Number >= FIRST_LANDMARK_STRUCTURE
+      ) {
+        addError(
+          `Number should be between 1 and ${FIRST_LANDMARK_STRUCTURE - 1}`
+        );
+      }
+      if (!getMainPhoto(structure.Number)) {
+        addError(`no main photo M-${structure.Number} in ImageRegistry`);
+      }
+    }
+    if (typeof structure.Name === "string" && structure.Name.trim() === "") {
+      addError("Name is empty");
+    }
+    if (Array.isArray(structure.Images)) {
+      structure.Images.filter(
+        (key) => typeof key === "string" && !getImageSource(key)
+      ).forEach((key) => addError(`image ${key} isn't in ImageRegistry`));
+    }
+  });
+
+  return issues;
+};
+
+// MARK: - Map Points
+
+export const validateMapPoints = (mapPoints, structures) => {
+  const issues = [];
+  const structureNumbers = new Set(structures.map((s) => s.Number));
+  const boundary = canyonBoundary.geometry.coordinates[0];
+  const seenNames = new Set();
+
+  mapPoints.forEach((point, index) => {
+    const location = Number.isInteger(point.name)
+      ? `point ${point.name}`
+      : `entry ${index}`;
+    const addIssue = (severity, message) =>
+      issues.push(createIssue(severity, MAP_POINTS_FILE, location, message));
+
+    const fieldIssues = checkFields(
+      point,
+      MAP_POINT_FIELDS,
+      MAP_POINTS_FILE,
+      location,
+      OPTIONAL_MAP_POINT_FIELDS
+    );
+    issues.push(...fieldIssues);
+    if (fieldIssues.some((issue) => issue.severity === IssueSeverity.ERROR)) {
+      return;
+    }
+
+    if (seenNames.has(point.name)) {
+      addIssue(IssueSeverity.ERROR, "duplicate name");
+    }
+    seenNames.add(point.name);
+
+    const isKnownStructure =
+      point.structure === TRAIL_POINT_STRUCTURE ||
+      point.structure >= FIRST_LANDMARK_STRUCTURE ||
+      structureNumbers.has(point.structure);
+    if (!isKnownStructure) {
+      addIssue(
+        IssueSeverity.ERROR,
+        `structure ${point.structure} isn't in ${STRUCTURES_FILE}`
+      );
+    }
+
+    // Unsurveyed points are parked off the map with negative pixels
+    if (point.pixelX < 0 || point.pixelY < 0) {
+      addIssue(IssueSeverity.WARNING, "not placed on the map yet");
+      return;
+    }
+
+    const coordinate = {
+      latitude: point.latitude,
+      longitude: point.longitude,
+    };
+    if (!isPointInPolygon(coordinate, boundary)) {
+      const distance = distanceToPolygonEdge(coordinate, boundary);
+      if (distance > CANYON_BUFFER) {
+        addIssue(
+          IssueSeverity.ERROR,
+          `${point.latitude}, ${point.longitude} is ${Math.round(
+            distance
+          )} m outside the canyon`
+        );
+      }
+    }
+  });
+
+  // Every structure needs somewhere on the map
+  const pointStructures = new Set(mapPoints.map((point) => point.structure));
+  structures
+    .filter((structure) => Number.isInteger(structure.Number))
+    .filter((structure) => !pointStructures.has(structure.Number))
+    .forEach((structure) =>
+      issues.push(
+        createIssue(
+          IssueSeverity.ERROR,
+          MAP_POINTS_FILE,
+          `structure ${structure.Number}`,
+          "no map points"
+        )
+      )
+    );
+
+  return issues;
+};
+
+// MARK: - Anchors
+
+// Each structure's points should include exactly one primary (anchor) point
+export const validateAnchors = (mapPoints, structures) => {
+  const issues = [];
+  const addIssue = (severity, location, message) =>
+    issues.push(createIssue(severity, MAP_POINTS_FILE, location, message));
+
+  mapPoints
+    .filter(
+      (point) =>
+        point.primary === true && point.structure === TRAIL_POINT_STRUCTURE
+    )
+    .forEach((point) =>
+      addIssue(
+        IssueSeverity.ERROR,
+        `point ${point.name}`,
+        "trail points can't be primary"
+      )
+    );
+
+  structures
+    .filter((structure) => Number.isInteger(structure.Number))
+    .forEach((structure) => {
+      const primaryNames = mapPoints
+        .filter(
+          (point) => point.structure === structure.Number && point.primary
+        )
+        .map((point) => point.name);
+      const location = `structure ${structure.Number}`;
+      if (primaryNames.length > 1) {
+        addIssue(
+          IssueSeverity.ERROR,
+          location,
+          `several primary points (${primaryNames.join(", ")})`
+        );
+      } else if (primaryNames.length === 0) {
+        addIssue(
+          IssueSeverity.WARNING,
+          location,
+          "no primary point; anchored at the point nearest its middle"
+        );
+      }
+    });
+
+  return issues;
+};
+
+// MARK: - Report
+
+/**
+ * Validates the bundled content files. Returns
+ * { issues, errorCount, warningCount, isValid } where isValid means there
+ * are no errors.
+ */
+export const validateContent = ({
+  structures = structuresData,
+  mapPoints = mapPointsData,
+} = {}) => {
+  const issues = [
+    ...validateStructures(structures),
+    ...validateMapPoints(mapPoints, structures),
+    ...validateAnchors(mapPoints, structures),
+  ];
+  const errorCount = issues.filter(
+    (issue) => issue.severity === IssueSeverity.ERROR
+  ).length;
+
+  return {
+    issues,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    isValid: errorCount === 0,
+  };
+};
+
+/**
+ * Readable report grouped by file, e.g.
+ *   mapPoints.json
+ *     error    point 42: structure 32 isn't in structuresList.json
+ *     warning  point 124: not placed on the map yet
+ */
+export const formatValidationReport = ({
+  issues,
+  errorCount,
+  warningCount,
+}) => {
+  if (issues.length === 0) return "Content check passed with no issues.";
+
+  const lines = [
+    `Content check: ${errorCount} error(s), ${warningCount} warning(s)`,
+  ];
+  const files = [...new Set(issues.map((issue) => issue.file))];
+  files.forEach((file) => {
+    lines.push(file);
+    issues
+      .filter((issue) => issue.file === file)
+      .forEach((issue) =>
+        lines.push(
+          `  ${issue.severity.padEnd(8)} ${issue.location}: ${issue.message}`
+        )
+      );
+  });
+  return lines.join("\n");
+};
@@ -1,8 +1,41 @@
 // DataStore.js
-import React, { createContext, useContext, useState, useEffect } from "react";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { Structure } from "./Models";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+} from "react";
+import { AppState as RNAppState } from "react-native";
+import { Structure, VisitSource } from "./Models";
 import { useAppState } from "../States/AppState";
+import {
+  loadPersistedState,
+  setPersistedValue,
+  resetPersistedValues,
+  flushPersistedState,
+} from "./Persistence";
+import { mergeVisitTimes } from "./ProgressTransfer";
+import {
+  appendVisit,
+  createVisitEntry,
+  getVisitsForStructure,
+  getVisitsOnDay,
+  getFirstVisit,
+  getLastVisit,
+  groupVisitsByDay,
+} from "./VisitHistory";
+import { buildPeopleIndex } from "./People";
+import {
+  CONTENT_MANIFEST_URL,
+  BUNDLED_CONTENT_VERSION,
+  getStructureData,
+  loadStoredContent,
+  syncContent,
+  ContentSyncStatus,
+} from "./ContentSync";
+import { validateContent, formatValidationReport } from "./ContentValidator";
 
 // Import JSON data (assumed to be an array of structure objects)
 import structuresData from "./structuresList.json";
@@ -10,12 +43,16 @@ import structuresData from "./structuresList.json";
 // Create context
 const DataStoreContext = createContext(null);
 
-// Keys for AsyncStorage
-const STORAGE_KEYS = {
-  DYNAMIC_DATA: "dynamicStructureData",
-};
+// How long a content check stays fresh before returning to the foreground
+// triggers another one
+const CONTENT_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
 
-export const DataStoreProvider = ({ children }) => {
+// `contentManifestUrl` overrides where remote content updates come from
+// (see ContentSync.js); null keeps the bundled content.
+export const DataStoreProvider = ({
+  children,
+  contentManifestUrl = CONTENT_MANIFEST_URL,
+}) => {
   const { showVisitedPopup } = useAppState();
 
   // Immediately initialize state with static JSON data.
@@ -23,23 +60,37 @@ export const DataStoreProvider = ({ children }) => {
   const [structures, setStructures] = useState(() =>
     structuresData.map((structureData) => new Structure(structureData))
   );
-  const [visitCounter, setVisitCounter] = useState(0);
+  // Latest structures for callbacks registered once (e.g. location updates)
+  const structuresRef = useRef(structures);
+  structuresRef.current = structures;
+  // Persistent visit log, oldest entry first (see VisitHistory.js).
+  const [visitHistory, setVisitHistory] = useState([]);
 
   // Since we have the static data immediately, we consider the data “loaded.”
   // (If you want to block UI until the dynamic merge is complete, you could
   // add another flag here—but for now, static data is enough.)
   const [isLoaded, setIsLoaded] = useState(true);
 
+  // Saving is held back until stored data has been merged in, so the
+  // defaults above never overwrite a user's progress.
+  const hasLoadedDynamicData = useRef(false);
+  // True once stored progress has been merged in (for consumers that must
+  // not react to the defaults, e.g. achievements).
+  const [isHydrated, setIsHydrated] = useState(false);
+
+  // Version of the structure text in use; BUNDLED_CONTENT_VERSION until a
+  // stored or downloaded manifest is applied.
+  const [contentVersion, setContentVersion] = useState(BUNDLED_CONTENT_VERSION);
+  const contentVersionRef = useRef(BUNDLED_CONTENT_VERSION);
+  const lastContentCheck = useRef(0);
+
   // On mount, asynchronously load dynamic data and merge it with the static data.
   useEffect(() => {
     const loadDynamicData = async () => {
       try {
-        const storedDynamicData = await AsyncStorage.getItem(
-          STORAGE_KEYS.DYNAMIC_DATA
-        );
-        const dynamicData = storedDynamicData
-          ? JSON.parse(storedDynamicData)
-          : {};
+        const { structures: dynamicData, visitHistory: storedHistory } =
+          await loadPersistedState();
+        setVisitHistory(storedHistory);
 
         // Merge dynamic properties into the existing static structures.
         setStructures((current) =>
@@ -54,33 +105,107 @@ export const DataStoreProvider = ({ children }) => {
         );
       } catch (error) {
         console.error("DataStore - Error loading dynamic data:", error);
+      } finally {
+        hasLoadedDynamicData.current = true;
+        setIsHydrated(true);
       }
     };
 
     loadDynamicData();
   }, []);
 
-  // Save dynamic data to AsyncStorage whenever structures change.
+  // Catch broken content edits early in development builds
   useEffect(() => {
-    const saveDynamicData = async () => {
-      try {
-        const dynamicData = structures.reduce((acc, structure) => {
-          // Persist only the dynamic properties
-          acc[structure.number] = structure.toJSON();
-          return acc;
-        }, {});
-        await AsyncStorage.setItem(
-          STORAGE_KEYS.DYNAMIC_DATA,
-          JSON.stringify(dynamicData)
-        );
-      } catch (error) {
-        console.error("DataStore - Error saving dynamic data:", error);
+    if (!__DEV__) return;
+    const report = validateContent();
+    if (!report.isValid) {
+      console.error(formatValidationReport(report));
+    } else if (report.warningCount > 0) {
+      console.log(formatValidationReport(report));
+    }
+  }, []);
+
+  // Swaps in a manifest's static fields; user data on each structure is
+  // carried over untouched.
+  const applyContent = (manifest) => {
+    const dataByNumber = new Map(
+      getStructureData(manifest).map((data) => [data.Number, data])
+    );
+    setStructures((current) =>
+      current.map(
+        (structure) =>
+          new Structure({
+            ...dataByNumber.get(structure.number),
+            ...structure.toJSON(),
+          })
+      )
+    );
+    contentVersionRef.current = manifest.contentVersion;
+    setContentVersion(manifest.contentVersion);
+  };
+
+  // Checks for newer content; applies and returns the sync result.
+  const refreshContent = async () => {
+    lastContentCheck.current = Date.now();
+    const result = await syncContent({
+      manifestUrl: contentManifestUrl,
+      currentVersion: contentVersionRef.current,
+    });
+    if (result.status === ContentSyncStatus.UPDATED) {
+      applyContent(result.manifest);
+    }
+    return result;
+  };
+
+  // On mount, apply content from an earlier sync, then check for newer
+  // content in the background. Bundled content stays in use on failure.
+  useEffect(() => {
+    const loadContent = async () => {
+      const storedContent = await loadStoredContent();
+      if (
+        storedContent &&
+        storedContent.contentVersion > contentVersionRef.current
+      ) {
+        applyContent(storedContent);
       }
+      await refreshContent();
     };
 
-    saveDynamicData();
+    loadContent();
+  }, [contentManifestUrl]);
+
+  // Save dynamic data whenever structures change (writes are debounced).
+  useEffect(() => {
+    if (!hasLoadedDynamicData.current) return;
+
+    const dynamicData = structures.reduce((acc, structure) => {
+      // Persist only the dynamic properties
+      acc[structure.number] = structure.toJSON();
+      return acc;
+    }, {});
+    setPersistedValue("structures", dynamicData);
   }, [structures]);
 
+  useEffect(() => {
+    if (!hasLoadedDynamicData.current) return;
+    setPersistedValue("visitHistory", visitHistory);
+  }, [visitHistory]);
+
+  // Write pending changes right away when the app leaves the foreground.
+  useEffect(() => {
+    const subscription = RNAppState.addEventListener("change", (nextState) => {
+      if (nextState !== "active") {
+        flushPersistedState();
+      } else if (
+        Date.now() - lastContentCheck.current >
+        CONTENT_CHECK_INTERVAL_MS
+      ) {
+        refreshContent();
+      }
+    });
+    return () => subscription.remove();
+  }, [contentManifestUrl]);
+
   // Helper to update a structure while preserving its prototype.
   const updateStructure = (number, updates) => {
     setStructures((current) =>
@@ -104,20 +229,40 @@ export const DataStoreProvider = ({ children }) => {
   };
 
   // Structure operations
-  const markStructureAsVisited = (number) => {
-    const structure = getStructure(number);
+  // Adds a visit to the history without marking the structure visited. Used
+  // directly for virtual tour stops, which don't count toward progress.
+  // `source` is a VisitSource; `mapPoint` is the nearest MapPoint, if known.
+  const logVisit = (
+    number,
+    { source, mapPoint = null, timestamp = Date.now() }
+  ) => {
+    setVisitHistory((history) =>
+      appendVisit(
+        history,
+        createVisitEntry(number, source, mapPoint, timestamp)
+      )
+    );
+  };
+
+  const markStructureAsVisited = (
+    number,
+    { source = VisitSource.MANUAL, mapPoint = null } = {}
+  ) => {
+    const structure = structuresRef.current.find((s) => s.number === number);
     if (!structure) {
       console.log(`DataStore - Structure ${number} not found`);
       return;
     }
+    const isFirstVisit = !structure.isVisited;
 
-    const nextVisitCount = visitCounter + 1;
-    setVisitCounter(nextVisitCount);
+    // recentlyVisited holds the visit time, so ordering survives relaunches.
+    const timestamp = Date.now();
+    logVisit(number, { source, mapPoint, timestamp });
     updateStructure(number, {
       isVisited: true,
-      recentlyVisited: nextVisitCount,
+      recentlyVisited: timestamp,
     });
-    showVisitedPopup(number);
+    if (isFirstVisit) showVisitedPopup(number);
   };
 
   const markStructureAsOpened = (number) => {
@@ -136,7 +281,7 @@ export const DataStoreProvider = ({ children }) => {
   };
 
   const resetStructures = async () => {
-    setVisitCounter(0);
+    setVisitHistory([]);
     // Reset dynamic properties while preserving the static data.
     setStructures((current) =>
       current.map((structure) =>
@@ -152,7 +297,33 @@ export const DataStoreProvider = ({ children }) => {
         )
       )
     );
-    await AsyncStorage.removeItem(STORAGE_KEYS.DYNAMIC_DATA);
+    await resetPersistedValues("structures", "visitHistory");
+  };
+
+  // Merges an imported progress document (see ProgressTransfer). Flags are
+  // only ever turned on, so importing never loses local progress.
+  const importProgress = (document) => {
+    const imported = new Map(
+      document.structures.map((entry) => [entry.number, entry])
+    );
+    setStructures((current) => {
+      const visitTimes = mergeVisitTimes(current, document);
+      return current.map((structure) => {
+        const entry = imported.get(structure.number) || {};
+        return Object.assign(
+          Object.create(Object.getPrototypeOf(structure)),
+          structure,
+          {
+            isVisited: structure.isVisited || !!entry.isVisited,
+            isOpened: structure.isOpened || !!entry.isOpened,
+            isLiked: structure.isLiked || !!entry.isLiked,
+            recentlyVisited: visitTimes.has(structure.number)
+              ? visitTimes.get(structure.number)
+              : structure.recentlyVisited,
+          }
+        );
+      });
+    });
   };
 
   // Filter operations
@@ -166,6 +337,15 @@ export const DataStoreProvider = ({ children }) => {
     return structures.filter((structure) => structure.isLiked);
   };
 
+  // Visit history queries
+  const getVisitHistory = () => [...visitHistory].reverse();
+  const getStructureVisits = (number) =>
+    getVisitsForStructure(visitHistory, number);
+  const getVisitsForDay = (date) => getVisitsOnDay(visitHistory, date);
+  const getFirstVisitOf = (number) => getFirstVisit(visitHistory, number);
+  const getLastVisitOf = (number) => getLastVisit(visitHistory, number);
+  const getVisitHistoryByDay = () => groupVisitsByDay(visitHistory);
+
   // Status checks
   const hasVisitedStructures = () =>
     structures.some((structure) => structure.isVisited);
@@ -177,19 +357,40 @@ export const DataStoreProvider = ({ children }) => {
     return structures.find((s) => s.number === number);
   };
 
+  // Builders and advisors across all structures (see People.js)
+  const people = useMemo(() => buildPeopleIndex(structures), [structures]);
+  const getPerson = (id) => people.find((person) => person.id === id) || null;
+
   const value = {
     structures,
     isLoaded, // Now always true (since static data is there immediately)
+    isHydrated,
+    logVisit,
     markStructureAsVisited,
     markStructureAsOpened,
     toggleStructureLiked,
     dismissLastVisitedStructure,
     resetStructures,
+    importProgress,
     getVisitedStructures,
     getLikedStructures,
+    // Visit history
+    visitHistory,
+    getVisitHistory,
+    getStructureVisits,
+    getVisitsForDay,
+    getFirstVisitOf,
+    getLastVisitOf,
+    getVisitHistoryByDay,
     hasVisitedStructures,
     hasLikedStructures,
     getStructure,
+    // People directory
+    people,
+    getPerson,
+    // Remote content updates
+    contentVersion,
+    refreshContent,
   };
 
   return (
@@ -0,0 +1,95 @@
+// Dates.js
+/**
+ * Dates
+ *
+ * Calendar day keys and time zone conversions shared by the visit history,
+ * the event calendar and the Design Village schedule. Day keys look like
+ * "2025-04-26" and sort in date order.
+ */
+
+// Key for grouping by local calendar day, e.g. "2025-04-26".
+export const getDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// The wall-clock parts of `date` in a time zone
+const getPartsInTimeZone = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const part = (type) =>
+    Number(parts.find((entry) => entry.type === type).value);
+  return {
+    year: part("year"),
+    month: part("month"),
+    day: part("day"),
+    hour: part("hour"),
+    minute: part("minute"),
+    second: part("second"),
+  };
+};
+
+// "2025-04-25" for the date it is in a time zone, or in device time when the
+// time zone isn't available
+export const getDateInTimeZone = (date, timeZone) => {
+  try {
+    const { year, month, day } = getPartsInTimeZone(date, timeZone);
+    return [
+      year,
+      String(month).padStart(2, "0"),
+      String(day).padStart(2, "0"),
+    ].join("-");
+  } catch (error) {
+    return getDayKey(date);
+  }
+};
+
+// How far a time zone's wall clock is ahead of UTC at `date`, in ms
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getPartsInTimeZone(
+    date,
+    timeZone
+  );
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The Date when it is `minutes` after midnight of `dayKey` in a time zone,
+ * counting days past the end of the month into the next one. Falls back to
+ * device time when the time zone isn't available.
+ */
+export const getDateInZone = (dayKey, minutes, timeZone) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  try {
+    // Correct by the offset at the first guess, then again in case that
+    // guess fell on the other side of a daylight saving change
+    const firstGuess =
+      wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+    return new Date(wallClock - offset);
+  } catch (error) {
+    return new Date(year, month - 1, day, 0, minutes);
+  }
+};
+
+// "9:30 AM" as the time reads in a time zone, or in device time without one
+export const formatTimeOfDay = (date, timeZone = undefined) => {
+  const options = { hour: "numeric", minute: "2-digit" };
+  try {
+    return date.toLocaleTimeString(undefined, { ...options, timeZone });
+  } catch (error) {
+    return date.toLocaleTimeString(undefined, options);
+  }
+};
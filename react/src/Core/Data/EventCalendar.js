@@ -0,0 +1,178 @@
+// EventCalendar.js
+/**
+ * EventCalendar
+ *
+ * Dated events that change how the app behaves, from events.json. While a
+ * Design Village event is running the app routes into the DV branch, so a
+ * new year only needs a new entry. Several events can share a year.
+ *
+ * Event format:
+ *   {
+ *     "id": "design-village-2025",      // stable and unique
+ *     "kind": "designVillage",          // see EventKind
+ *     "name": "Design Village",
+ *     "start": "2025-04-25",            // first day
+ *     "end": "2025-04-27",              // last day, included
+ *     "timeZone": "America/Los_Angeles",
+ *     "theme": "Nexus",                 // optional
+ *     "branding": { "logo": "DVLogo" }  // keys into BRANDING_ASSETS
+ *   }
+ * Days are compared in the event's time zone, so an event runs on the same
+ * dates wherever the device is set.
+ */
+
+import eventsData from "./events.json";
+import { getDateInTimeZone } from "./Dates";
+
+export const EVENTS_SCHEMA_VERSION = 1;
+
+export const EventKind = {
+  DESIGN_VILLAGE: "designVillage",
+};
+
+// Images that events can reference by name under `branding`
+const BRANDING_ASSETS = {
+  DVLogo: require("../../routing/DesignVillage/Images/DVLogo.webp"),
+};
+
+const DEFAULT_LOGO = BRANDING_ASSETS.DVLogo;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// MARK: - Validation
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Returns a list of problems with one event; empty when it can be used.
+ */
+export const validateEvent = (event) => {
+  if (!isPlainObject(event)) return ["The event isn't an object."];
+
+  const errors = [];
+  const label = `Event ${event.id || "without an id"}`;
+
+  if (typeof event.id !== "string" || event.id === "") {
+    errors.push("Event has no id.");
+  }
+  if (!Object.values(EventKind).includes(event.kind)) {
+    errors.push(`${label} has an unknown kind "${event.kind}".`);
+  }
+  if (typeof event.name !== "string" || event.name === "") {
+    errors.push(`${label} has no name.`);
+  }
+  if (!DATE_PATTERN.test(event.start) || !DATE_PATTERN.test(event.end)) {
+    errors.push(`${label} needs start and end dates like "2025-04-25".`);
+  } else if (event.end < event.start) {
+    errors.push(`${label} ends before it starts.`);
+  }
+  if (typeof event.timeZone !== "string" || !isValidTimeZone(event.timeZone)) {
+    errors.push(`${label} has an unknown time zone "${event.timeZone}".`);
+  }
+  if (event.branding !== undefined && !isPlainObject(event.branding)) {
+    errors.push(`${label} has branding that isn't an object.`);
+  }
+  return errors;
+};
+
+// MARK: - Events
+
+const toEvent = (data) => ({
+  id: data.id,
+  kind: data.kind,
+  name: data.name,
+  year: Number(data.start.slice(0, 4)),
+  start: data.start,
+  end: data.end,
+  timeZone: data.timeZone,
+  theme: data.theme || null,
+  branding: data.branding || {},
+});
+
+const loadEvents = () => {
+  if (
+    eventsData.schemaVersion !== EVENTS_SCHEMA_VERSION ||
+    !Array.isArray(eventsData.events)
+  ) {
+    console.error(
+      "EventCalendar - Can't read events.json with schema version",
+      eventsData.schemaVersion
+    );
+    return [];
+  }
+
+  const seenIds = new Set();
+  return eventsData.events
+    .filter((data) => {
+      const errors = validateEvent(data);
+      if (errors.length === 0 && seenIds.has(data.id)) {
+        errors.push(`Duplicate event id ${data.id}.`);
+      }
+      if (errors.length > 0) {
+        console.error("EventCalendar - Skipping event:", errors[0]);
+        return false;
+      }
+      seenIds.add(data.id);
+      return true;
+    })
+    .map(toEvent)
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const events = loadEvents();
+
+// Every valid event of a kind (all kinds when omitted), earliest first
+export const getEvents = (kind = null) =>
+  kind ? events.filter((event) => event.kind === kind) : events;
+
+export const isEventActive = (event, now = new Date()) => {
+  const today = getDateInTimeZone(now, event.timeZone);
+  return today >= event.start && today <= event.end;
+};
+
+/**
+ * The event of this kind running now, or null.
+ */
+export const getActiveEvent = (
+  kind = EventKind.DESIGN_VILLAGE,
+  now = new Date()
+) => getEvents(kind).find((event) => isEventActive(event, now)) || null;
+
+export const isInEventWindow = (
+  kind = EventKind.DESIGN_VILLAGE,
+  now = new Date()
+) => getActiveEvent(kind, now) !== null;
+
+/**
+ * The event of this kind to show details for: the one running now, else the
+ * next one, else the most recent. Null when there are none.
+ */
+export const getCurrentEvent = (
+  kind = EventKind.DESIGN_VILLAGE,
+  now = new Date()
+) => {
+  const active = getActiveEvent(kind, now);
+  if (active) return active;
+
+  const kindEvents = getEvents(kind);
+  const upcoming = kindEvents.find(
+    (event) => event.start > getDateInTimeZone(now, event.timeZone)
+  );
+  return upcoming || kindEvents[kindEvents.length - 1] || null;
+};
+
+// MARK: - Branding
+
+// The event's logo image, or the Design Village logo
+export const getEventLogo = (event) =>
+  (event && BRANDING_ASSETS[event.branding.logo]) || DEFAULT_LOGO;
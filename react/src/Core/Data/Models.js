@@ -1,8 +1,27 @@
-// Enum for sorting structures
+// Enum for filtering structures by the user's progress
 export const SortState = {
   ALL: "all",
   FAVORITES: "favorites",
   VISITED: "visited",
+  UNVISITED: "unvisited",
+  OPENED: "opened",
+};
+
+// Enum for ordering the structure list
+export const SortOrder = {
+  RELEVANCE: "relevance",
+  NUMBER: "number",
+  YEAR: "year",
+  TITLE: "title",
+  DISTANCE: "distance",
+  RECENT: "recent",
+};
+
+// Enum for how a structure visit was recorded
+export const VisitSource = {
+  GPS_AUTO: "gps",
+  MANUAL: "manual",
+  VIRTUAL_TOUR: "virtualTour",
 };
 
 // Structure model representing architectural structures
@@ -60,11 +79,14 @@ export class Structure {
 
 // Map point model for locations
 export class MapPoint {
+  name;
   coordinate;
   pixelPosition;
   structure;
+  isPrimary; // the structure's anchor point (see StructureMapPoints)
 
   constructor(data) {
+    this.name = data.name;
     this.coordinate = {
       latitude: data.latitude,
       longitude: data.longitude,
@@ -74,16 +96,19 @@ export class MapPoint {
       y: data.pixelY,
     };
     this.structure = data.structure;
+    this.isPrimary = data.primary === true;
   }
 
   // Updated to match the JSON structure
   static fromMapPointData(data) {
     return new MapPoint({
+      name: data.name,
       latitude: data.latitude,
       longitude: data.longitude,
       pixelX: data.pixelX,
       pixelY: data.pixelY,
       structure: data.structure,
+      primary: data.primary,
     });
   }
 }
@@ -0,0 +1,135 @@
+// People.js
+/**
+ * People
+ *
+ * Builders and advisors are stored on each structure as display strings,
+ * with the department as an optional suffix: "Paul Miller (ARCH)". This
+ * module parses them into person records and indexes everyone across all
+ * structures for the people directory.
+ *
+ * People are matched by name only, so the same person listed on several
+ * structures gets one record with every structure they worked on.
+ */
+
+export const PersonRole = {
+  BUILDER: "builder",
+  ADVISOR: "advisor",
+};
+
+// Department suffix codes found in the data
+export const DEPARTMENTS = {
+  ARCE: "Architectural Engineering",
+  ARCH: "Architecture",
+  LARCH: "Landscape Architecture",
+  CE: "Civil Engineering",
+  CM: "Construction Management",
+  CN: "Construction",
+  "MECH-E": "Mechanical Engineering",
+  EE: "Electrical Engineering",
+  COMPE: "Computer Engineering",
+  ENV: "Environmental Engineering",
+  ENG: "Engineering",
+  IT: "Industrial Technology",
+  BA: "Business Administration",
+};
+
+// Other spellings found in the data
+const DEPARTMENT_ALIASES = {
+  CIVIL: "CE",
+};
+
+export const getDepartmentLabel = (code) => DEPARTMENTS[code] || code;
+
+// MARK: - Parsing
+
+const normalizeDepartment = (code) => {
+  const upper = code.trim().toUpperCase();
+  return DEPARTMENT_ALIASES[upper] || upper;
+};
+
+// Entries standing in for missing data, e.g. "Unknown Builders"
+const PLACEHOLDER_PATTERN = /^(unknown|no listed)\b/i;
+
+// Stable id from a name, e.g. "Mark V. Zeolla" -> "mark-v-zeolla"
+export const getPersonId = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Parses "Paul Miller (ARCH)" into { id, name, departments }.
+ * Joint departments like "(BA/CM)" give several codes; people without a
+ * suffix have none. Returns null for blank and placeholder entries.
+ */
+export const parsePerson = (text) => {
+  const trimmed = String(text || "").trim();
+  if (!trimmed || PLACEHOLDER_PATTERN.test(trimmed)) return null;
+
+  const suffix = trimmed.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  const name = suffix ? suffix[1].trim() : trimmed;
+  return {
+    id: getPersonId(name),
+    name,
+    departments: suffix
+      ? [...new Set(suffix[2].split("/").map(normalizeDepartment))]
+      : [],
+  };
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  return typeof value === "string" ? [value] : [];
+};
+
+// Person records for a structure's builders or advisors
+export const getStructurePeople = (structure, role) =>
+  toList(role === PersonRole.ADVISOR ? structure.advisors : structure.builders)
+    .map(parsePerson)
+    .filter(Boolean);
+
+// MARK: - Index
+
+// Sort key that orders people by last name, then first name
+const getSortName = (name) => {
+  const parts = name.split(" ");
+  return `${parts[parts.length - 1]} ${name}`.toLowerCase();
+};
+
+/**
+ * Indexes everyone across all structures. Returns people sorted by last
+ * name: [{ id, name, departments, credits: [{ structure, role }] }]
+ * where `structure` is the structure number.
+ */
+export const buildPeopleIndex = (structures) => {
+  const people = new Map();
+
+  const addCredit = (person, structureNumber, role) => {
+    const entry = people.get(person.id) || {
+      id: person.id,
+      name: person.name,
+      departments: [],
+      credits: [],
+    };
+    person.departments.forEach((code) => {
+      if (!entry.departments.includes(code)) entry.departments.push(code);
+    });
+    const isListed = entry.credits.some(
+      (credit) => credit.structure === structureNumber && credit.role === role
+    );
+    if (!isListed) entry.credits.push({ structure: structureNumber, role });
+    people.set(person.id, entry);
+  };
+
+  structures.forEach((structure) => {
+    [PersonRole.ADVISOR, PersonRole.BUILDER].forEach((role) =>
+      getStructurePeople(structure, role).forEach((person) =>
+        addCredit(person, structure.number, role)
+      )
+    );
+  });
+
+  return [...people.values()].sort((a, b) =>
+    getSortName(a.name).localeCompare(getSortName(b.name))
+  );
+};
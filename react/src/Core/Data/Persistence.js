@@ -0,0 +1,345 @@
+// Persistence.js
+/**
+ * Persistence
+ *
+ * Single home for everything the app saves about a user. All providers read
+ * and write through this module instead of talking to AsyncStorage directly.
+ * It provides:
+ * - One versioned document stored under a single AsyncStorage key
+ * - Migrations that upgrade older documents (including the legacy key layout)
+ * - Debounced writes so rapid updates collapse into one save
+ * - Corruption recovery that falls back to defaults instead of crashing
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// MARK: - Constants
+
+export const STORAGE_KEY = "userProgress";
+export const SCHEMA_VERSION = 2;
+
+// Raw copies of unreadable documents are kept here for bug reports.
+const CORRUPT_BACKUP_KEY = `${STORAGE_KEY}.corrupt`;
+
+const WRITE_DEBOUNCE_MS = 500;
+
+// Keys used before the versioned document existed (schema version 0).
+export const LEGACY_KEYS = {
+  DYNAMIC_DATA: "dynamicStructureData",
+  VISITED_STRUCTURES: "visitedStructures",
+  RATING_INDEX: "RATING_INDEX_KEY",
+  VIRTUAL_TOUR_INDEX: "virtualTourCurrentStructureIndex",
+  DARK_MODE: "isDarkMode",
+  ADVENTURE_MODE: "adventureMode",
+  MAP_STYLE: "mapStyle",
+  MAP_NUMBERS: "mapNumbers",
+};
+
+// MARK: - Schema
+
+// Default value for every section of the document. A section missing from a
+// stored document, or holding the wrong type, falls back to these.
+const DEFAULT_SECTIONS = {
+  structures: {}, // structure number -> Structure.toJSON()
+  visitHistory: [], // visit log entries, oldest first (see VisitHistory)
+  achievements: {}, // achievement id -> unlock timestamp
+  ratingIndex: 0,
+  virtualTourIndex: 0,
+  isDarkMode: false,
+  adventureMode: true,
+  mapStyle: "standard",
+  mapShowNumbers: true,
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+const isStructureNumber = (value) => Number.isInteger(value) && value > 0;
+
+const SECTION_VALIDATORS = {
+  structures: isPlainObject,
+  visitHistory: (value) =>
+    Array.isArray(value) &&
+    value.every(
+      (entry) =>
+        isPlainObject(entry) &&
+        isStructureNumber(entry.structure) &&
+        Number.isFinite(entry.timestamp)
+    ),
+  achievements: (value) =>
+    isPlainObject(value) && Object.values(value).every(Number.isFinite),
+  ratingIndex: isIndex,
+  virtualTourIndex: isIndex,
+  isDarkMode: (value) => typeof value === "boolean",
+  adventureMode: (value) => typeof value === "boolean",
+  mapStyle: (value) => value === "standard" || value === "satellite",
+  mapShowNumbers: (value) => typeof value === "boolean",
+};
+
+const createDefaultDocument = () => ({
+  version: SCHEMA_VERSION,
+  ...JSON.parse(JSON.stringify(DEFAULT_SECTIONS)),
+});
+
+// Keeps every valid section and replaces invalid ones with defaults, so a
+// single bad value never costs the user the rest of their progress.
+const sanitizeDocument = (document) => {
+  const sanitized = createDefaultDocument();
+  Object.keys(DEFAULT_SECTIONS).forEach((section) => {
+    const value = document[section];
+    if (value === undefined) return;
+    if (SECTION_VALIDATORS[section](value)) {
+      sanitized[section] = value;
+    } else {
+      console.warn(`Persistence - Dropping invalid "${section}" value:`, value);
+    }
+  });
+  // Preserve sections written by a newer schema so a downgrade keeps them.
+  Object.keys(document).forEach((section) => {
+    if (!(section in sanitized)) sanitized[section] = document[section];
+  });
+  sanitized.version = Math.max(document.version || 0, SCHEMA_VERSION);
+  return sanitized;
+};
+
+// MARK: - Migrations
+
+const parseLegacyJSON = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn("Persistence - Ignoring unreadable legacy value:", raw);
+    return fallback;
+  }
+};
+
+const parseLegacyIndex = (raw) => {
+  const index = parseInt(raw, 10);
+  return isIndex(index) ? index : undefined;
+};
+
+/**
+ * Version 0 -> 1: folds the scattered legacy keys into the document.
+ * `dynamicStructureData` and `visitedStructures` were written independently
+ * and could disagree, so any structure listed in either is treated as visited.
+ */
+export const migrateLegacyKeys = async (document) => {
+  const entries = await AsyncStorage.multiGet(Object.values(LEGACY_KEYS));
+  const legacy = Object.fromEntries(entries);
+
+  const structures = parseLegacyJSON(legacy[LEGACY_KEYS.DYNAMIC_DATA], {});
+  const visitedList = parseLegacyJSON(
+    legacy[LEGACY_KEYS.VISITED_STRUCTURES],
+    []
+  );
+  const visitedStructures = Array.isArray(visitedList)
+    ? [...new Set(visitedList.map(Number).filter(isStructureNumber))]
+    : [];
+
+  const mergedStructures = isPlainObject(structures) ? { ...structures } : {};
+  visitedStructures.forEach((number) => {
+    mergedStructures[number] = {
+      ...mergedStructures[number],
+      isVisited: true,
+    };
+  });
+  Object.entries(mergedStructures).forEach(([number, props]) => {
+    const numeric = Number(number);
+    if (props && props.isVisited && !visitedStructures.includes(numeric)) {
+      visitedStructures.push(numeric);
+    }
+  });
+
+  const migrated = {
+    ...document,
+    structures: mergedStructures,
+    visitedStructures,
+    ratingIndex: parseLegacyIndex(legacy[LEGACY_KEYS.RATING_INDEX]),
+    virtualTourIndex: parseLegacyIndex(legacy[LEGACY_KEYS.VIRTUAL_TOUR_INDEX]),
+    isDarkMode: parseLegacyJSON(legacy[LEGACY_KEYS.DARK_MODE], undefined),
+    adventureMode: parseLegacyJSON(
+      legacy[LEGACY_KEYS.ADVENTURE_MODE],
+      undefined
+    ),
+    mapStyle: legacy[LEGACY_KEYS.MAP_STYLE] || undefined,
+    mapShowNumbers:
+      legacy[LEGACY_KEYS.MAP_NUMBERS] === null ||
+      legacy[LEGACY_KEYS.MAP_NUMBERS] === undefined
+        ? undefined
+        : legacy[LEGACY_KEYS.MAP_NUMBERS] === "true",
+  };
+
+  // Undefined sections fall back to defaults during sanitizing.
+  Object.keys(migrated).forEach((section) => {
+    if (migrated[section] === undefined) delete migrated[section];
+  });
+  return migrated;
+};
+
+/**
+ * Version 1 -> 2: drops the separate `visitedStructures` list. Whether a
+ * structure is visited now lives only on `structures[n].isVisited`, so the
+ * two can't drift apart; anything only on the list is folded in first.
+ */
+export const foldVisitedList = async (document) => {
+  const { visitedStructures, ...rest } = document;
+  const structures = isPlainObject(rest.structures)
+    ? { ...rest.structures }
+    : {};
+  if (Array.isArray(visitedStructures)) {
+    visitedStructures
+      .map(Number)
+      .filter(isStructureNumber)
+      .forEach((number) => {
+        structures[number] = { ...structures[number], isVisited: true };
+      });
+  }
+  return { ...rest, structures };
+};
+
+// Each migration upgrades a document from version (n - 1) to version n.
+export const MIGRATIONS = {
+  1: migrateLegacyKeys,
+  2: foldVisitedList,
+};
+
+// Legacy keys are only removed once the migrated document has been saved.
+const LEGACY_CLEANUP = {
+  1: Object.values(LEGACY_KEYS),
+};
+
+export const migrateDocument = async (document) => {
+  let migrated = { ...document };
+  const staleKeys = [];
+  for (
+    let version = (document.version || 0) + 1;
+    version <= SCHEMA_VERSION;
+    version++
+  ) {
+    migrated = { ...(await MIGRATIONS[version](migrated)), version };
+    staleKeys.push(...(LEGACY_CLEANUP[version] || []));
+  }
+  return { document: sanitizeDocument(migrated), staleKeys };
+};
+
+// MARK: - Load
+
+let currentDocument = null;
+let loadPromise = null;
+let writeTimer = null;
+
+const readDocument = async () => {
+  let raw = null;
+  try {
+    raw = await AsyncStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    console.error("Persistence - Error reading stored data:", error);
+    return { document: createDefaultDocument(), staleKeys: [] };
+  }
+
+  // Nothing saved yet: either a fresh install or the legacy key layout.
+  if (raw === null) {
+    try {
+      return await migrateDocument({ version: 0 });
+    } catch (error) {
+      // Legacy keys are left untouched so no data is lost on a failed read.
+      console.error("Persistence - Error migrating legacy data:", error);
+      return { document: createDefaultDocument(), staleKeys: [] };
+    }
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed) || !Number.isInteger(parsed.version)) {
+      throw new Error("Stored document has no schema version");
+    }
+    return await migrateDocument(parsed);
+  } catch (error) {
+    console.error("Persistence - Stored data is corrupt, resetting:", error);
+    await AsyncStorage.setItem(CORRUPT_BACKUP_KEY, raw).catch(() => {});
+    return { document: createDefaultDocument(), staleKeys: [] };
+  }
+};
+
+/**
+ * Loads (and if needed migrates) the stored document. Every provider shares
+ * the same load, so migrations run once per launch.
+ */
+export const loadPersistedState = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const { document, staleKeys } = await readDocument();
+      currentDocument = document;
+      if (staleKeys.length > 0) {
+        await flushPersistedState();
+        await AsyncStorage.multiRemove(staleKeys).catch((error) =>
+          console.error("Persistence - Error removing legacy keys:", error)
+        );
+      }
+    })();
+  }
+  // Callers that load after a write still see the latest document
+  return loadPromise.then(() => currentDocument);
+};
+
+// MARK: - Read / Write
+
+// Reads go through `currentDocument`, not the document the load resolved
+// to, since every write replaces it.
+export const getPersistedValue = async (section) => {
+  await loadPersistedState();
+  return currentDocument[section];
+};
+
+const scheduleWrite = () => {
+  if (writeTimer) clearTimeout(writeTimer);
+  writeTimer = setTimeout(() => {
+    writeTimer = null;
+    flushPersistedState();
+  }, WRITE_DEBOUNCE_MS);
+};
+
+/**
+ * Updates one section and schedules a debounced save. Accepts a value or an
+ * updater function receiving the current value.
+ */
+export const setPersistedValue = async (section, valueOrUpdater) => {
+  await loadPersistedState();
+  const value =
+    typeof valueOrUpdater === "function"
+      ? valueOrUpdater(currentDocument[section])
+      : valueOrUpdater;
+  currentDocument = { ...currentDocument, [section]: value };
+  scheduleWrite();
+};
+
+// Restores sections to their defaults (all sections when none are given).
+export const resetPersistedValues = async (...sections) => {
+  await loadPersistedState();
+  const defaults = createDefaultDocument();
+  const targets =
+    sections.length > 0 ? sections : Object.keys(DEFAULT_SECTIONS);
+  const updates = {};
+  targets.forEach((section) => {
+    updates[section] = defaults[section];
+  });
+  currentDocument = { ...currentDocument, ...updates };
+  scheduleWrite();
+};
+
+// Writes pending changes immediately (e.g. when the app is backgrounded).
+export const flushPersistedState = async () => {
+  if (writeTimer) {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+  }
+  if (!currentDocument) return;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(currentDocument));
+  } catch (error) {
+    console.error("Persistence - Error saving data:", error);
+  }
+};
@@ -0,0 +1,268 @@
+// ProgressTransfer.js
+/**
+ * ProgressTransfer
+ *
+ * Builds and reads the portable progress file used to move a user's
+ * visited/opened/liked structures and app settings between phones.
+ * The document carries a signature so edited or truncated files are
+ * rejected before anything is merged into the DataStore.
+ */
+
+import structuresData from "./structuresList.json";
+
+// MARK: - Constants
+
+export const PROGRESS_FORMAT = "polycanyon-progress";
+export const PROGRESS_FORMAT_VERSION = 1;
+export const PROGRESS_FILE_NAME = "PolyCanyonProgress.json";
+
+// Mixed into the signature so only documents made by the app verify.
+// This detects corrupted or hand-edited files; it is not a security boundary.
+const SIGNING_SALT = "PolyCanyon:progress:v1";
+
+const VALID_STRUCTURE_NUMBERS = new Set(structuresData.map((s) => s.Number));
+
+const SETTINGS_KEYS = [
+  "isDarkMode",
+  "adventureMode",
+  "mapStyle",
+  "mapShowNumbers",
+];
+
+// MARK: - Signing
+
+// Serializes with sorted keys so the signature does not depend on key order.
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// 32-bit FNV-1a hash, returned as 8 hex characters.
+const fnv1a = (text, seed) => {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+};
+
+const signPayload = (payload) => {
+  const text = `${SIGNING_SALT}|${canonicalStringify(payload)}`;
+  return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x050c5d1f);
+};
+
+// MARK: - Export
+
+/**
+ * Creates a signed progress document from the current structures and
+ * settings ({ isDarkMode, adventureMode, mapStyle, mapShowNumbers }).
+ */
+export const buildProgressDocument = (structures, settings) => {
+  const payload = {
+    format: PROGRESS_FORMAT,
+    formatVersion: PROGRESS_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    structures: structures.map((structure) => ({
+      number: structure.number,
+      ...structure.toJSON(),
+    })),
+    // Most recent visit first, matching DataStore.getVisitedStructures.
+    visitOrder: structures
+      .filter((structure) => structure.isVisited)
+      .sort((a, b) => b.recentlyVisited - a.recentlyVisited)
+      .map((structure) => structure.number),
+    settings: SETTINGS_KEYS.reduce((acc, key) => {
+      acc[key] = settings[key];
+      return acc;
+    }, {}),
+  };
+  return { ...payload, signature: signPayload(payload) };
+};
+
+export const serializeProgressDocument = (document) =>
+  JSON.stringify(document, null, 2);
+
+// MARK: - Import
+
+const SETTINGS_VALIDATORS = {
+  isDarkMode: (value) => typeof value === "boolean",
+  adventureMode: (value) => typeof value === "boolean",
+  mapStyle: (value) => value === "standard" || value === "satellite",
+  mapShowNumbers: (value) => typeof value === "boolean",
+};
+
+const validateStructures = (structures) => {
+  if (!Array.isArray(structures)) {
+    throw new Error("The file has no structure list.");
+  }
+  const seen = new Set();
+  structures.forEach((entry) => {
+    if (!entry || !VALID_STRUCTURE_NUMBERS.has(entry.number)) {
+      throw new Error(
+        `The file refers to structure ${
+          entry && entry.number
+        }, which doesn't exist.`
+      );
+    }
+    if (seen.has(entry.number)) {
+      throw new Error(`Structure ${entry.number} appears more than once.`);
+    }
+    seen.add(entry.number);
+    ["isVisited", "isOpened", "isLiked"].forEach((flag) => {
+      if (typeof entry[flag] !== "boolean") {
+        throw new Error(`Structure ${entry.number} has an invalid "${flag}".`);
+      }
+    });
+  });
+};
+
+const validateVisitOrder = (visitOrder, structures) => {
+  if (!Array.isArray(visitOrder)) {
+    throw new Error("The file has no visit order.");
+  }
+  const visited = new Set(
+    structures.filter((entry) => entry.isVisited).map((entry) => entry.number)
+  );
+  visitOrder.forEach((number) => {
+    if (!visited.has(number)) {
+      throw new Error(`Visit order lists structure ${number}, never visited.`);
+    }
+  });
+};
+
+/**
+ * Parses and validates an exported progress file. Throws an Error with a
+ * user-readable message when the file cannot be imported.
+ */
+export const parseProgressDocument = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This doesn't look like a Poly Canyon progress file.");
+  }
+
+  if (!document || document.format !== PROGRESS_FORMAT) {
+    throw new Error("This doesn't look like a Poly Canyon progress file.");
+  }
+  if (document.formatVersion > PROGRESS_FORMAT_VERSION) {
+    throw new Error("This file was made by a newer version of the app.");
+  }
+
+  const { signature, ...payload } = document;
+  if (signature !== signPayload(payload)) {
+    throw new Error("This file has been changed or damaged since export.");
+  }
+
+  validateStructures(document.structures);
+  validateVisitOrder(document.visitOrder, document.structures);
+
+  const settings = document.settings || {};
+  Object.keys(SETTINGS_VALIDATORS).forEach((key) => {
+    if (key in settings && !SETTINGS_VALIDATORS[key](settings[key])) {
+      throw new Error(`The file has an invalid "${key}" setting.`);
+    }
+  });
+
+  return document;
+};
+
+// MARK: - Merge
+
+/**
+ * Describes what importing a document would change, without changing
+ * anything. Progress is merged (never removed); settings are replaced.
+ */
+export const previewProgressMerge = (document, structures, settings) => {
+  const current = new Map(structures.map((s) => [s.number, s]));
+  const gained = (flag) =>
+    document.structures
+      .filter((entry) => entry[flag] && !current.get(entry.number)[flag])
+      .map((entry) => entry.number);
+
+  const imported = document.settings || {};
+  const settingsChanges = SETTINGS_KEYS.filter(
+    (key) => key in imported && imported[key] !== settings[key]
+  ).map((key) => ({ key, from: settings[key], to: imported[key] }));
+
+  const newlyVisited = gained("isVisited");
+  const newlyOpened = gained("isOpened");
+  const newlyLiked = gained("isLiked");
+
+  return {
+    exportedAt: document.exportedAt,
+    newlyVisited,
+    newlyOpened,
+    newlyLiked,
+    settingsChanges,
+    hasChanges:
+      newlyVisited.length +
+        newlyOpened.length +
+        newlyLiked.length +
+        settingsChanges.length >
+      0,
+  };
+};
+
+/**
+ * Combines the local visit order (most recent first) with an imported one.
+ * Local visits stay most recent; imported-only visits follow in their
+ * original order.
+ */
+export const mergeVisitOrder = (localOrder, importedOrder) => [
+  ...localOrder,
+  ...importedOrder.filter((number) => !localOrder.includes(number)),
+];
+
+// recentlyVisited holds a visit time; -1 means none was recorded (e.g.
+// visits migrated from the old visited list)
+const isVisitTime = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * recentlyVisited for every visited structure after an import, as a Map of
+ * structure number to time. Each structure keeps the later of its local and
+ * imported visit times. Visits with no time on either side are placed just
+ * before the oldest known visit (or before `importedAt` when there is none),
+ * in the order `document.visitOrder` lists them.
+ */
+export const mergeVisitTimes = (
+  localStructures,
+  document,
+  importedAt = Date.now()
+) => {
+  const imported = new Map(
+    document.structures.map((entry) => [entry.number, entry])
+  );
+  const times = new Map();
+  const untimed = [];
+
+  localStructures.forEach((structure) => {
+    const entry = imported.get(structure.number) || {};
+    if (!structure.isVisited && !entry.isVisited) return;
+
+    const candidates = [
+      structure.isVisited ? structure.recentlyVisited : null,
+      entry.isVisited ? entry.recentlyVisited : null,
+    ].filter(isVisitTime);
+    if (candidates.length > 0) {
+      times.set(structure.number, Math.max(...candidates));
+    } else {
+      untimed.push(structure.number);
+    }
+  });
+
+  const oldest = times.size > 0 ? Math.min(...times.values()) : importedAt;
+  mergeVisitOrder(document.visitOrder, untimed)
+    .filter((number) => untimed.includes(number))
+    .forEach((number, index) => times.set(number, oldest - (index + 1)));
+  return times;
+};
@@ -0,0 +1,41 @@
+// Search.js
+import { useMemo } from "react";
+import { useDataStore } from "./DataStore";
+import { buildSearchIndex, searchIndex } from "./SearchIndex";
+
+// MARK: - useSearch Hook
+/**
+ * Full-text search over the structures in the DataStore.
+ *
+ * Returns { results, isSearching }. While the query is blank, results are
+ * every structure in list order without snippets; otherwise they are the
+ * matching structures best first, as { structure, score, snippet }.
+ */
+export const useSearch = (query) => {
+  const { structures } = useDataStore();
+
+  const index = useMemo(() => buildSearchIndex(structures), [structures]);
+  const trimmedQuery = (query || "").trim();
+
+  const results = useMemo(() => {
+    if (trimmedQuery === "") {
+      return structures.map((structure) => ({
+        structure,
+        score: 0,
+        snippet: null,
+      }));
+    }
+    const byNumber = new Map(
+      structures.map((structure) => [structure.number, structure])
+    );
+    return searchIndex(index, trimmedQuery)
+      .filter((result) => byNumber.has(result.number))
+      .map((result) => ({
+        structure: byNumber.get(result.number),
+        score: result.score,
+        snippet: result.snippet,
+      }));
+  }, [index, structures, trimmedQuery]);
+
+  return { results, isSearching: trimmedQuery !== "" };
+};
@@ -0,0 +1,328 @@
+// SearchIndex.js
+/**
+ * SearchIndex
+ *
+ * In-memory full-text index over the static structure fields (title,
+ * number, year, advisors, builders, description and fun fact). Query terms
+ * match indexed words exactly, as a prefix ("bamb" -> "bamboo") or within
+ * a small edit distance ("bambo" -> "bamboo"), and results are ranked by
+ * how many terms matched, then by match quality and field weight.
+ *
+ * Every posting keeps its character range in the original text, so
+ * results carry snippets with the matched words highlighted.
+ */
+
+// Indexed fields and how much a match in each counts towards the ranking
+export const SEARCH_FIELDS = [
+  { key: "title", label: "Title", weight: 5 },
+  { key: "number", label: "Number", weight: 5, exactOnly: true },
+  { key: "year", label: "Year", weight: 3 },
+  { key: "advisors", label: "Advisors", weight: 3 },
+  { key: "builders", label: "Builders", weight: 3 },
+  { key: "funFact", label: "Fun Fact", weight: 1.5 },
+  { key: "description", label: "Description", weight: 1 },
+];
+
+// Fields already visible in the list, so they never become the snippet
+const SNIPPET_EXCLUDED_FIELDS = ["title", "number"];
+
+const MATCH_QUALITY = {
+  EXACT: 1,
+  PREFIX: 0.75,
+  FUZZY: 0.5,
+};
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+const SNIPPET_LENGTH = 110; // characters
+const SNIPPET_LEAD = 30; // characters shown before the first match
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "by",
+  "for",
+  "in",
+  "is",
+  "it",
+  "its",
+  "of",
+  "on",
+  "s",
+  "the",
+  "to",
+  "with",
+]);
+
+// MARK: - Tokenizing
+
+const WORD_PATTERN = /[a-z0-9À-ɏ]+/gi;
+
+/**
+ * Splits text into lowercase words with their character ranges:
+ * [{ token, start, end }]. Stop words are left out.
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  const pattern = new RegExp(WORD_PATTERN.source, "gi");
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const token = match[0].toLowerCase();
+    if (STOP_WORDS.has(token)) continue;
+    tokens.push({
+      token,
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+};
+
+const getFieldText = (structure, key) => {
+  const value = structure[key];
+  if (Array.isArray(value)) return value.join(", ");
+  if (value === undefined || value === null) return "";
+  return String(value);
+};
+
+// MARK: - Index
+
+/**
+ * Builds an index from Structure models:
+ * { documents, postings, vocabulary } where postings maps each word to
+ * [{ number, field, start, end }] and vocabulary is the sorted word list.
+ */
+export const buildSearchIndex = (structures) => {
+  const documents = new Map();
+  const postings = new Map();
+
+  structures.forEach((structure) => {
+    const fields = {};
+    SEARCH_FIELDS.forEach(({ key }) => {
+      const text = getFieldText(structure, key);
+      fields[key] = text;
+      tokenize(text).forEach(({ token, start, end }) => {
+        if (!postings.has(token)) postings.set(token, []);
+        postings.get(token).push({
+          number: structure.number,
+          field: key,
+          start,
+          end,
+        });
+      });
+    });
+    documents.set(structure.number, fields);
+  });
+
+  return {
+    documents,
+    postings,
+    vocabulary: [...postings.keys()].sort(),
+  };
+};
+
+// MARK: - Matching
+
+// Edit distance between two words, or Infinity once it exceeds maxDistance
+const getEditDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+};
+
+const getMaxEdits = (term) => (term.length >= 7 ? 2 : 1);
+
+// First vocabulary index whose word is >= term
+const findLowerBound = (vocabulary, term) => {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < term) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// Indexed words matching one query term: Map word -> match quality
+const expandTerm = (index, term) => {
+  const matches = new Map();
+  if (index.postings.has(term)) matches.set(term, MATCH_QUALITY.EXACT);
+
+  if (term.length >= MIN_PREFIX_LENGTH) {
+    const { vocabulary } = index;
+    for (
+      let i = findLowerBound(vocabulary, term);
+      i < vocabulary.length && vocabulary[i].startsWith(term);
+      i++
+    ) {
+      if (!matches.has(vocabulary[i])) {
+        matches.set(vocabulary[i], MATCH_QUALITY.PREFIX);
+      }
+    }
+  }
+
+  if (term.length >= MIN_FUZZY_LENGTH && !/^\d+$/.test(term)) {
+    const maxEdits = getMaxEdits(term);
+    index.vocabulary.forEach((word) => {
+      if (matches.has(word)) return;
+      const distance = getEditDistance(term, word, maxEdits);
+      if (distance !== Infinity) {
+        matches.set(word, MATCH_QUALITY.FUZZY / distance);
+      }
+    });
+  }
+  return matches;
+};
+
+const FIELD_WEIGHTS = Object.fromEntries(
+  SEARCH_FIELDS.map((field) => [field.key, field])
+);
+
+// MARK: - Snippets
+
+/**
+ * Cuts a window of `text` around the first highlighted range and splits it
+ * into [{ text, isMatch }] segments, with ellipses where text was cut.
+ */
+export const createSnippet = (text, ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, sorted[0].start - SNIPPET_LEAD);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+    // Don't cut words in half
+    if (start > 0) {
+      const nextSpace = text.indexOf(" ", start);
+      if (nextSpace !== -1 && nextSpace < sorted[0].start) {
+        start = nextSpace + 1;
+      }
+    }
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(" ", end);
+      if (lastSpace > sorted[0].end) end = lastSpace;
+    }
+  }
+
+  const segments = [];
+  let cursor = start;
+  sorted.forEach((range) => {
+    if (range.start < cursor || range.end > end) return;
+    if (range.start > cursor) {
+      segments.push({ text: text.slice(cursor, range.start), isMatch: false });
+    }
+    segments.push({ text: text.slice(range.start, range.end), isMatch: true });
+    cursor = range.end;
+  });
+  if (cursor < end) {
+    segments.push({ text: text.slice(cursor, end), isMatch: false });
+  }
+
+  if (start > 0) segments.unshift({ text: "…", isMatch: false });
+  if (end < text.length) segments.push({ text: "…", isMatch: false });
+  return segments;
+};
+
+// Picks the field with the strongest matches outside the title and number
+const getSnippetForResult = (index, number, hits) => {
+  const byField = new Map();
+  hits.forEach((hit) => {
+    if (SNIPPET_EXCLUDED_FIELDS.includes(hit.field)) return;
+    const entry = byField.get(hit.field) || { score: 0, ranges: [] };
+    entry.score += hit.quality * FIELD_WEIGHTS[hit.field].weight;
+    entry.ranges.push({ start: hit.start, end: hit.end });
+    byField.set(hit.field, entry);
+  });
+  if (byField.size === 0) return null;
+
+  const [field, { ranges }] = [...byField.entries()].sort(
+    (a, b) => b[1].score - a[1].score
+  )[0];
+  return {
+    field,
+    label: FIELD_WEIGHTS[field].label,
+    segments: createSnippet(index.documents.get(number)[field], ranges),
+  };
+};
+
+// MARK: - Searching
+
+/**
+ * Searches the index. Returns [{ number, score, matchedTerms, snippet }]
+ * best first, where snippet is { field, label, segments } or null when
+ * only the title or number matched.
+ */
+export const searchIndex = (index, query) => {
+  const terms = [...new Set(tokenize(query || "").map(({ token }) => token))];
+  if (terms.length === 0) return [];
+
+  const results = new Map();
+
+  terms.forEach((term) => {
+    const termScores = new Map();
+
+    expandTerm(index, term).forEach((quality, word) => {
+      index.postings.get(word).forEach((posting) => {
+        const field = FIELD_WEIGHTS[posting.field];
+        if (field.exactOnly && quality !== MATCH_QUALITY.EXACT) return;
+
+        const result = results.get(posting.number) || {
+          number: posting.number,
+          score: 0,
+          matchedTerms: 0,
+          hits: [],
+        };
+        result.hits.push({ ...posting, quality });
+        results.set(posting.number, result);
+
+        const score = quality * field.weight;
+        termScores.set(
+          posting.number,
+          Math.max(termScores.get(posting.number) || 0, score)
+        );
+      });
+    });
+
+    termScores.forEach((score, number) => {
+      const result = results.get(number);
+      result.score += score;
+      result.matchedTerms += 1;
+    });
+  });
+
+  return [...results.values()]
+    .filter((result) => result.matchedTerms > 0)
+    .sort(
+      (a, b) =>
+        b.matchedTerms - a.matchedTerms ||
+        b.score - a.score ||
+        a.number - b.number
+    )
+    .map(({ number, score, matchedTerms, hits }) => ({
+      number,
+      score,
+      matchedTerms,
+      snippet: getSnippetForResult(index, number, hits),
+    }));
+};
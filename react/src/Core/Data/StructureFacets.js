@@ -0,0 +1,222 @@
+// StructureFacets.js
+/**
+ * StructureFacets
+ *
+ * Facets and sort orders for the structure list. Facets are parsed from the
+ * static data (construction decades from `year`, builder disciplines from
+ * suffixes like "(ARCE)") or read from the user's progress.
+ *
+ * Options within a facet are alternatives (1960s or 1970s); different
+ * facets narrow each other (1960s and ARCH). Counts for each option are
+ * what the list would show with that option added, so they change as the
+ * search text and other facets change.
+ */
+
+import { SortState, SortOrder } from "./Models";
+import { PersonRole, getDepartmentLabel, getStructurePeople } from "./People";
+import { getFirstYear, getYearsCovered } from "./Years";
+
+export const FacetType = {
+  STATUS: "status",
+  DECADE: "decade",
+  DISCIPLINE: "discipline",
+};
+
+export const EMPTY_FACET_SELECTION = {
+  [FacetType.STATUS]: [],
+  [FacetType.DECADE]: [],
+  [FacetType.DISCIPLINE]: [],
+};
+
+const STATUS_LABELS = {
+  [SortState.VISITED]: "Visited",
+  [SortState.UNVISITED]: "Unvisited",
+  [SortState.OPENED]: "Opened",
+  [SortState.FAVORITES]: "Liked",
+};
+
+// MARK: - Parsing
+
+// Construction decades, oldest first, e.g. [1960, 1970, 2010]. Phases
+// spanning several years count toward every decade they cover.
+export const getStructureDecades = (structure) => [
+  ...new Set(getYearsCovered(structure).map((year) => year - (year % 10))),
+];
+
+// Department codes of everyone who built or advised on the structure
+export const getStructureDisciplines = (structure) => [
+  ...new Set(
+    [PersonRole.BUILDER, PersonRole.ADVISOR].flatMap((role) =>
+      getStructurePeople(structure, role).flatMap(
+        (person) => person.departments
+      )
+    )
+  ),
+];
+
+export const getDecadeLabel = (decade) => `${decade}s`;
+
+// MARK: - Filtering
+
+const matchesStatus = (structure, status) => {
+  switch (status) {
+    case SortState.VISITED:
+      return structure.isVisited;
+    case SortState.UNVISITED:
+      return !structure.isVisited;
+    case SortState.OPENED:
+      return structure.isOpened;
+    case SortState.FAVORITES:
+      return structure.isLiked;
+    default:
+      return true;
+  }
+};
+
+const FACET_MATCHERS = {
+  [FacetType.STATUS]: (structure, values) =>
+    values.some((status) => matchesStatus(structure, status)),
+  [FacetType.DECADE]: (structure, values) =>
+    getStructureDecades(structure).some((decade) => values.includes(decade)),
+  [FacetType.DISCIPLINE]: (structure, values) =>
+    getStructureDisciplines(structure).some((code) => values.includes(code)),
+};
+
+const matchesSelection = (structure, selection, skipFacet = null) =>
+  Object.entries(FACET_MATCHERS).every(
+    ([facet, matches]) =>
+      facet === skipFacet ||
+      !selection[facet] ||
+      selection[facet].length === 0 ||
+      matches(structure, selection[facet])
+  );
+
+// Structures matching every facet with a selection
+export const applyFacets = (structures, selection) =>
+  structures.filter((structure) => matchesSelection(structure, selection));
+
+export const countSelectedFacets = (selection) =>
+  Object.values(selection).reduce((sum, values) => sum + values.length, 0);
+
+// Returns the selection with `value` switched on or off in `facet`
+export const toggleFacetValue = (selection, facet, value) => {
+  const values = selection[facet] || [];
+  return {
+    ...selection,
+    [facet]: values.includes(value)
+      ? values.filter((item) => item !== value)
+      : [...values, value],
+  };
+};
+
+/**
+ * Options for every facet with live counts:
+ * { status: [{ value, label, count, isSelected }], decade: [...], ... }
+ * `statuses` lists the status options to offer.
+ */
+export const getFacetOptions = (structures, selection, statuses) => {
+  const countFor = (facet, matches) =>
+    structures.filter(
+      (structure) =>
+        matchesSelection(structure, selection, facet) && matches(structure)
+    ).length;
+
+  const buildOptions = (facet, values, getLabel, matches) =>
+    values.map((value) => ({
+      value,
+      label: getLabel(value),
+      count: countFor(facet, (structure) => matches(structure, value)),
+      isSelected: (selection[facet] || []).includes(value),
+    }));
+
+  const decades = [
+    ...new Set(
+      structures.flatMap((structure) => getStructureDecades(structure))
+    ),
+  ].sort((a, b) => a - b);
+
+  const disciplineCounts = new Map();
+  structures.forEach((structure) =>
+    getStructureDisciplines(structure).forEach((code) =>
+      disciplineCounts.set(code, (disciplineCounts.get(code) || 0) + 1)
+    )
+  );
+  const disciplines = [...disciplineCounts.keys()].sort(
+    (a, b) => disciplineCounts.get(b) - disciplineCounts.get(a)
+  );
+
+  return {
+    [FacetType.STATUS]: buildOptions(
+      FacetType.STATUS,
+      statuses,
+      (status) => STATUS_LABELS[status],
+      matchesStatus
+    ),
+    [FacetType.DECADE]: buildOptions(
+      FacetType.DECADE,
+      decades,
+      getDecadeLabel,
+      (structure, decade) => getStructureDecades(structure).includes(decade)
+    ),
+    [FacetType.DISCIPLINE]: buildOptions(
+      FacetType.DISCIPLINE,
+      disciplines,
+      getDepartmentLabel,
+      (structure, code) => getStructureDisciplines(structure).includes(code)
+    ),
+  };
+};
+
+// MARK: - Sorting
+
+// Orders missing values (null) after every known one
+const compareKnownFirst = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+};
+
+/**
+ * Sorts structures by `order`. RELEVANCE keeps the incoming order (search
+ * ranking). getDistance(number) and getLastVisitTime(number) return null
+ * when unknown; those structures go last.
+ */
+export const sortStructures = (
+  structures,
+  order,
+  { getDistance = () => null, getLastVisitTime = () => null } = {}
+) => {
+  const byNumber = (a, b) => a.number - b.number;
+  const sorted = [...structures];
+
+  switch (order) {
+    case SortOrder.NUMBER:
+      return sorted.sort(byNumber);
+    case SortOrder.YEAR:
+      return sorted.sort(
+        (a, b) =>
+          compareKnownFirst(getFirstYear(a), getFirstYear(b)) || byNumber(a, b)
+      );
+    case SortOrder.TITLE:
+      return sorted.sort((a, b) => a.title.localeCompare(b.title));
+    case SortOrder.DISTANCE:
+      return sorted.sort(
+        (a, b) =>
+          compareKnownFirst(getDistance(a.number), getDistance(b.number)) ||
+          byNumber(a, b)
+      );
+    case SortOrder.RECENT: {
+      // Newest first, so compare negated times
+      const getKey = (structure) => {
+        const time = getLastVisitTime(structure.number);
+        return time === null ? null : -time;
+      };
+      return sorted.sort(
+        (a, b) => compareKnownFirst(getKey(a), getKey(b)) || byNumber(a, b)
+      );
+    }
+    default:
+      return sorted;
+  }
+};
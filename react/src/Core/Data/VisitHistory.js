@@ -0,0 +1,78 @@
+// VisitHistory.js
+/**
+ * VisitHistory
+ *
+ * Pure helpers for the persistent visit log kept by the DataStore.
+ * Each entry records one visit: { structure, timestamp, source, mapPoint },
+ * where mapPoint is the `name` of the nearest trail point (or null).
+ * Entries are stored oldest first.
+ */
+
+import { getDayKey } from "./Dates";
+
+// Location updates arrive every few seconds while a user stands at a
+// structure. Updates for the same structure within this window belong to
+// the visit that is already logged.
+export const VISIT_MERGE_WINDOW = 30 * 60 * 1000; // 30 minutes
+
+export const createVisitEntry = (structure, source, mapPoint, timestamp) => ({
+  structure,
+  timestamp,
+  source,
+  mapPoint: mapPoint ? mapPoint.name : null,
+});
+
+/**
+ * Returns the history with the entry appended, or the same history when the
+ * entry continues the most recent visit.
+ */
+export const appendVisit = (history, entry) => {
+  const lastEntry = history[history.length - 1];
+  if (
+    lastEntry &&
+    lastEntry.structure === entry.structure &&
+    entry.timestamp - lastEntry.timestamp < VISIT_MERGE_WINDOW
+  ) {
+    return history;
+  }
+  return [...history, entry];
+};
+
+// MARK: - Queries
+
+const isSameDay = (timestamp, date) => {
+  const day = new Date(timestamp);
+  return (
+    day.getFullYear() === date.getFullYear() &&
+    day.getMonth() === date.getMonth() &&
+    day.getDate() === date.getDate()
+  );
+};
+
+export const getVisitsForStructure = (history, structureNumber) =>
+  history.filter((entry) => entry.structure === structureNumber);
+
+export const getVisitsOnDay = (history, date) =>
+  history.filter((entry) => isSameDay(entry.timestamp, date));
+
+export const getFirstVisit = (history, structureNumber) =>
+  history.find((entry) => entry.structure === structureNumber) || null;
+
+export const getLastVisit = (history, structureNumber) => {
+  const visits = getVisitsForStructure(history, structureNumber);
+  return visits.length > 0 ? visits[visits.length - 1] : null;
+};
+
+/**
+ * Groups entries into days, newest day and newest entry first:
+ * [{ day: "2025-04-26", visits: [...] }, ...]
+ */
+export const groupVisitsByDay = (history) => {
+  const groups = new Map();
+  [...history].reverse().forEach((entry) => {
+    const day = getDayKey(entry.timestamp);
+    if (!groups.has(day)) groups.set(day, []);
+    groups.get(day).push(entry);
+  });
+  return [...groups.entries()].map(([day, visits]) => ({ day, visits }));
+};
@@ -0,0 +1,91 @@
+// Years.js
+/**
+ * Years
+ *
+ * Parses the free-form `Year` strings in structuresList.json. Values come
+ * in a few shapes:
+ *   "1976"                one construction phase
+ *   "1963 / 2003"         several phases (built, then rebuilt or extended)
+ *   "1983 - 1989"         one phase spanning several years
+ *   "xxxx"                unknown
+ *
+ * A parsed year is { phases: [{ start, end }], isKnown } with phases in
+ * the order listed; single-year phases have start === end.
+ */
+
+const PHASE_SEPARATOR = /\s*[/,;&]\s*|\s+and\s+/i;
+const PHASE_PATTERN = /^(\d{4})(?:\s*(?:-|–|—|to)\s*(\d{4}))?$/i;
+
+// MARK: - Parsing
+
+export const parseYear = (value) => {
+  const phases = String(value === undefined || value === null ? "" : value)
+    .trim()
+    .split(PHASE_SEPARATOR)
+    .map((part) => part.trim().match(PHASE_PATTERN))
+    .filter(Boolean)
+    .map((match) => {
+      const start = Number(match[1]);
+      const end = match[2] ? Number(match[2]) : start;
+      return { start: Math.min(start, end), end: Math.max(start, end) };
+    });
+
+  return { phases, isKnown: phases.length > 0 };
+};
+
+const getPhases = (structure) => parseYear(structure.year).phases;
+
+// Earliest construction year, or null when unknown
+export const getFirstYear = (structure) => {
+  const phases = getPhases(structure);
+  return phases.length > 0
+    ? Math.min(...phases.map((phase) => phase.start))
+    : null;
+};
+
+// Every year any phase covers, in order, without duplicates
+export const getYearsCovered = (structure) => {
+  const years = new Set();
+  getPhases(structure).forEach(({ start, end }) => {
+    for (let year = start; year <= end; year++) years.add(year);
+  });
+  return [...years].sort((a, b) => a - b);
+};
+
+/**
+ * Display text for a year value: "1963 / 2003", "1983–1989", or null when
+ * the year is unknown so callers can hide it.
+ */
+export const formatYear = (value) => {
+  const { phases, isKnown } = parseYear(value);
+  if (!isKnown) return null;
+  return phases
+    .map(({ start, end }) => (start === end ? `${start}` : `${start}–${end}`))
+    .join(" / ");
+};
+
+// MARK: - Timeline
+
+/**
+ * One entry per construction phase, oldest first:
+ * [{ year, endYear, structure, phase, phaseCount }]
+ * where `phase` is 1-based. Structures with unknown years are left out.
+ */
+export const getTimelineEntries = (structures) =>
+  structures
+    .flatMap((structure) => {
+      const phases = getPhases(structure);
+      return phases.map((phase, index) => ({
+        year: phase.start,
+        endYear: phase.end,
+        structure,
+        phase: index + 1,
+        phaseCount: phases.length,
+      }));
+    })
+    .sort(
+      (a, b) =>
+        a.year - b.year ||
+        a.structure.number - b.structure.number ||
+        a.phase - b.phase
+    );
@@ -0,0 +1,196 @@
+// ContentSync.test.js
+/**
+ * Fetching the content manifest through an injected fetch, rejecting bad
+ * manifests, and falling back to cached or bundled content.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  syncContent,
+  fetchJson,
+  loadStoredContent,
+  getStructureData,
+  ContentSyncStatus,
+  CONTENT_STORAGE_KEY,
+  CONTENT_SCHEMA_VERSION,
+} from "../ContentSync";
+import bundledStructures from "../structuresList.json";
+
+const MANIFEST_URL = "https://content.example.com/manifest.json";
+
+const ENTRY_ARCH = bundledStructures.find((data) => data.Number === 1);
+
+const createManifest = (overrides = {}) => ({
+  schemaVersion: CONTENT_SCHEMA_VERSION,
+  contentVersion: 3,
+  structures: [{ Number: 1, Name: "Entry Arch (restored)" }],
+  ...overrides,
+});
+
+// A fetch that answers every request with `body` and `status`
+const createFetch = (body, status = 200) =>
+  jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  }));
+
+const readStoredManifest = async () =>
+  JSON.parse(await AsyncStorage.getItem(CONTENT_STORAGE_KEY));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("syncContent", () => {
+  it("stores a newer manifest", async () => {
+    const manifest = createManifest();
+    const fetchImpl = createFetch(manifest);
+
+    const result = await syncContent({
+      manifestUrl: MANIFEST_URL,
+      currentVersion: 2,
+      fetchImpl,
+    });
+
+    expect(fetchImpl).toHaveBeenCalledWith(
+      MANIFEST_URL,
+      expect.objectContaining({ headers: { Accept: "application/json" } })
+    );
+    expect(result).toEqual({
+      status: ContentSyncStatus.UPDATED,
+      manifest,
+      error: null,
+    });
+    expect(await readStoredManifest()).toEqual(manifest);
+  });
+
+  it("keeps the current content when the manifest isn't newer", async () => {
+    const result = await syncContent({
+      manifestUrl: MANIFEST_URL,
+      currentVersion: 3,
+      fetchImpl: createFetch(createManifest()),
+    });
+
+    expect(result.status).toBe(ContentSyncStatus.UP_TO_DATE);
+    expect(await AsyncStorage.getItem(CONTENT_STORAGE_KEY)).toBeNull();
+  });
+
+  it("does nothing without a manifest URL", async () => {
+    const fetchImpl = createFetch(createManifest());
+
+    const result = await syncContent({ manifestUrl: null, fetchImpl });
+
+    expect(result.status).toBe(ContentSyncStatus.DISABLED);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["an unsupported schema version", createManifest({ schemaVersion: 99 })],
+    [
+      "a structure the app doesn't ship",
+      createManifest({ structures: [{ Number: 999, Name: "New" }] }),
+    ],
+    [
+      "a field of the wrong type",
+      createManifest({ structures: [{ Number: 1, Builders: "Someone" }] }),
+    ],
+    [
+      "a duplicate structure",
+      createManifest({ structures: [{ Number: 1 }, { Number: 1 }] }),
+    ],
+  ])("rejects a manifest with %s", async (_, manifest) => {
+    const result = await syncContent({
+      manifestUrl: MANIFEST_URL,
+      fetchImpl: createFetch(manifest),
+    });
+
+    expect(result.status).toBe(ContentSyncStatus.FAILED);
+    expect(result.error.message).toMatch(/^Invalid content manifest/);
+    expect(await AsyncStorage.getItem(CONTENT_STORAGE_KEY)).toBeNull();
+  });
+
+  it("keeps the cached manifest when a sync fails", async () => {
+    const cached = createManifest({ contentVersion: 2 });
+    await AsyncStorage.setItem(CONTENT_STORAGE_KEY, JSON.stringify(cached));
+
+    const serverError = await syncContent({
+      manifestUrl: MANIFEST_URL,
+      fetchImpl: createFetch({}, 503),
+    });
+    const networkError = await syncContent({
+      manifestUrl: MANIFEST_URL,
+      fetchImpl: jest.fn(async () => {
+        throw new TypeError("Network request failed");
+      }),
+    });
+
+    expect(serverError.status).toBe(ContentSyncStatus.FAILED);
+    expect(serverError.error.message).toBe("The server responded with 503.");
+    expect(networkError.status).toBe(ContentSyncStatus.FAILED);
+    expect(await loadStoredContent()).toEqual(cached);
+  });
+});
+
+describe("fetchJson", () => {
+  it("aborts a request that takes too long", async () => {
+    jest.useFakeTimers();
+    let signal;
+    const fetchImpl = jest.fn(
+      (url, options) =>
+        new Promise((resolve, reject) => {
+          signal = options.signal;
+          signal.addEventListener("abort", () => reject(new Error("Aborted")));
+        })
+    );
+
+    const request = fetchJson(MANIFEST_URL, fetchImpl);
+    jest.runAllTimers();
+
+    await expect(request).rejects.toThrow("Aborted");
+    expect(signal.aborted).toBe(true);
+  });
+});
+
+describe("fallback content", () => {
+  it("uses the bundled structures without a manifest", () => {
+    expect(getStructureData(null)).toBe(bundledStructures);
+  });
+
+  it("lays only the synced text fields over the bundle", () => {
+    const data = getStructureData(
+      createManifest({
+        structures: [{ Number: 1, Name: "Renamed", Images: ["other"] }],
+      })
+    );
+    const entryArch = data.find((entry) => entry.Number === 1);
+
+    expect(entryArch.Name).toBe("Renamed");
+    expect(entryArch.Images).toEqual(ENTRY_ARCH.Images);
+    expect(entryArch.Description).toBe(ENTRY_ARCH.Description);
+    expect(data).toHaveLength(bundledStructures.length);
+  });
+
+  it("drops a cached manifest that no longer validates", async () => {
+    await AsyncStorage.setItem(
+      CONTENT_STORAGE_KEY,
+      JSON.stringify(createManifest({ schemaVersion: 0 }))
+    );
+
+    expect(await loadStoredContent()).toBeNull();
+    expect(await AsyncStorage.getItem(CONTENT_STORAGE_KEY)).toBeNull();
+  });
+
+  it("ignores an unreadable cache", async () => {
+    await AsyncStorage.setItem(CONTENT_STORAGE_KEY, "{not json");
+
+    expect(await loadStoredContent()).toBeNull();
+  });
+});
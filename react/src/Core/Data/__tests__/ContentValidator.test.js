@@ -0,0 +1,95 @@
+// ContentValidator.test.js
+/**
+ * The bundled content must pass the content check, and known mistakes in
+ * small fixtures built from it must be caught.
+ */
+
+import {
+  validateContent,
+  formatValidationReport,
+  IssueSeverity,
+} from "../ContentValidator";
+import structuresData from "../structuresList.json";
+import mapPointsData from "../../Location/mapPoints.json";
+
+const ENTRY_ARCH = structuresData.find((structure) => structure.Number === 1);
+const ENTRY_ARCH_ANCHOR = mapPointsData.find((point) => point.name === 1);
+
+// ~400 m south of the canyon entrance
+const OUTSIDE_CANYON = { latitude: 35.30983, longitude: -120.65188 };
+
+const errorsIn = (result) =>
+  result.issues
+    .filter((issue) => issue.severity === IssueSeverity.ERROR)
+    .map((issue) => `${issue.location}: ${issue.message}`);
+
+describe("bundled content", () => {
+  it("has no errors", () => {
+    const result = validateContent();
+
+    if (!result.isValid) {
+      throw new Error(formatValidationReport(result));
+    }
+    expect(result.errorCount).toBe(0);
+  });
+});
+
+describe("fixtures", () => {
+  it("accepts a structure with an anchored map point", () => {
+    const result = validateContent({
+      structures: [ENTRY_ARCH],
+      mapPoints: [ENTRY_ARCH_ANCHOR],
+    });
+
+    expect(result.issues).toEqual([]);
+  });
+
+  it("reports an image key missing from ImageRegistry", () => {
+    const result = validateContent({
+      structures: [
+        { ...ENTRY_ARCH, Images: [...ENTRY_ARCH.Images, "entryArchRoof"] },
+      ],
+      mapPoints: [ENTRY_ARCH_ANCHOR],
+    });
+
+    expect(errorsIn(result)).toEqual([
+      "structure 1: image entryArchRoof isn't in ImageRegistry",
+    ]);
+  });
+
+  it("reports a structure without map points", () => {
+    const structure2 = structuresData.find(
+      (structure) => structure.Number === 2
+    );
+    const result = validateContent({
+      structures: [ENTRY_ARCH, structure2],
+      mapPoints: [ENTRY_ARCH_ANCHOR],
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(errorsIn(result)).toEqual(["structure 2: no map points"]);
+  });
+
+  it("reports a point outside the canyon", () => {
+    const result = validateContent({
+      structures: [ENTRY_ARCH],
+      mapPoints: [{ ...ENTRY_ARCH_ANCHOR, ...OUTSIDE_CANYON }],
+    });
+
+    expect(errorsIn(result)).toEqual([
+      expect.stringMatching(/^point 1: .* m outside the canyon$/),
+    ]);
+  });
+
+  it("lists every problem in the report", () => {
+    const result = validateContent({
+      structures: [{ ...ENTRY_ARCH, Images: ["entryArchRoof"] }],
+      mapPoints: [{ ...ENTRY_ARCH_ANCHOR, ...OUTSIDE_CANYON }],
+    });
+    const report = formatValidationReport(result);
+
+    expect(report).toContain("Content check: 2 error(s), 0 warning(s)");
+    expect(report).toContain("image entryArchRoof isn't in ImageRegistry");
+    expect(report).toContain("m outside the canyon");
+  });
+});
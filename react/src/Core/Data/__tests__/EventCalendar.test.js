@@ -0,0 +1,173 @@
+// EventCalendar.test.js
+/**
+ * Event validation, event days in the event's time zone, and which event
+ * the app shows when none is running.
+ */
+
+// Loaded in beforeAll, after console.error is silenced, because the module
+// reads events.json as soon as it's imported
+let validateEvent;
+let isEventActive;
+let getEvents;
+let getCurrentEvent;
+let getActiveEvent;
+
+const DESIGN_VILLAGE = "designVillage";
+
+const createEventData = (overrides = {}) => ({
+  id: "design-village-2025",
+  kind: DESIGN_VILLAGE,
+  name: "Design Village",
+  start: "2025-04-25",
+  end: "2025-04-27",
+  timeZone: "America/Los_Angeles",
+  ...overrides,
+});
+
+jest.mock("../events.json", () => ({
+  schemaVersion: 1,
+  events: [
+    {
+      id: "design-village-2026",
+      kind: "designVillage",
+      name: "Design Village",
+      start: "2026-04-24",
+      end: "2026-04-26",
+      timeZone: "America/Los_Angeles",
+    },
+    {
+      id: "design-village-2024",
+      kind: "designVillage",
+      name: "Design Village",
+      start: "2024-04-26",
+      end: "2024-04-28",
+      timeZone: "America/Los_Angeles",
+    },
+    {
+      id: "design-village-2025",
+      kind: "designVillage",
+      name: "Design Village",
+      start: "2025-04-25",
+      end: "2025-04-27",
+      timeZone: "America/Los_Angeles",
+    },
+    {
+      id: "design-village-broken",
+      kind: "designVillage",
+      name: "Design Village",
+      start: "2025-05-01",
+      end: "2025-05-02",
+      timeZone: "Canyon/Nowhere",
+    },
+  ],
+}));
+
+beforeAll(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  ({
+    validateEvent,
+    isEventActive,
+    getEvents,
+    getCurrentEvent,
+    getActiveEvent,
+  } = require("../EventCalendar"));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("validateEvent", () => {
+  it("accepts a valid event", () => {
+    expect(validateEvent(createEventData())).toEqual([]);
+  });
+
+  it("lists every problem with an event", () => {
+    expect(
+      validateEvent(
+        createEventData({
+          kind: "festival",
+          name: "",
+          timeZone: "Canyon/Nowhere",
+          branding: "DVLogo",
+        })
+      )
+    ).toEqual([
+      'Event design-village-2025 has an unknown kind "festival".',
+      "Event design-village-2025 has no name.",
+      'Event design-village-2025 has an unknown time zone "Canyon/Nowhere".',
+      "Event design-village-2025 has branding that isn't an object.",
+    ]);
+  });
+
+  it("rejects bad and reversed dates", () => {
+    expect(validateEvent(createEventData({ start: "April 25" }))).toEqual([
+      'Event design-village-2025 needs start and end dates like "2025-04-25".',
+    ]);
+    expect(validateEvent(createEventData({ end: "2025-04-24" }))).toEqual([
+      "Event design-village-2025 ends before it starts.",
+    ]);
+  });
+
+  it("rejects something that isn't an event", () => {
+    expect(validateEvent(null)).toEqual(["The event isn't an object."]);
+  });
+});
+
+describe("isEventActive", () => {
+  const event = createEventData();
+
+  // Pacific Daylight Time is UTC-7 in late April
+  it.each([
+    ["the evening before", "2025-04-25T06:59:00Z", false],
+    ["midnight of the first day", "2025-04-25T07:00:00Z", true],
+    ["the last minute of the last day", "2025-04-28T06:59:00Z", true],
+    ["midnight after the last day", "2025-04-28T07:00:00Z", false],
+  ])("at %s in the event's time zone", (_, now, isActive) => {
+    expect(isEventActive(event, new Date(now))).toBe(isActive);
+  });
+
+  it("uses the event's dates rather than the device's", () => {
+    // Already April 25 in Tokyo, still April 24 at the event
+    const now = new Date("2025-04-25T01:00:00+09:00");
+
+    expect(isEventActive(event, now)).toBe(false);
+    expect(isEventActive({ ...event, timeZone: "Asia/Tokyo" }, now)).toBe(true);
+  });
+});
+
+describe("getCurrentEvent", () => {
+  const currentId = (now) => getCurrentEvent(DESIGN_VILLAGE, now).id;
+
+  it("loads the valid events in date order", () => {
+    expect(getEvents().map((event) => event.id)).toEqual([
+      "design-village-2024",
+      "design-village-2025",
+      "design-village-2026",
+    ]);
+    expect(console.error).toHaveBeenCalledWith(
+      "EventCalendar - Skipping event:",
+      'Event design-village-broken has an unknown time zone "Canyon/Nowhere".'
+    );
+  });
+
+  it("picks the event running now", () => {
+    const now = new Date("2025-04-26T12:00:00-07:00");
+
+    expect(currentId(now)).toBe("design-village-2025");
+    expect(getActiveEvent(DESIGN_VILLAGE, now).id).toBe("design-village-2025");
+  });
+
+  it("falls back to the next event between events", () => {
+    const now = new Date("2025-09-01T12:00:00-07:00");
+
+    expect(getActiveEvent(DESIGN_VILLAGE, now)).toBeNull();
+    expect(currentId(now)).toBe("design-village-2026");
+  });
+
+  it("falls back to the most recent event after the last one", () => {
+    expect(currentId(new Date("2027-01-01T12:00:00-08:00"))).toBe(
+      "design-village-2026"
+    );
+  });
+});
@@ -0,0 +1,238 @@
+// Persistence.test.js
+/**
+ * Upgrades from the legacy key layout, recovery from a corrupt document,
+ * reads after writes and the debounced save.
+ */
+
+let AsyncStorage;
+let Persistence;
+
+// Each test gets a fresh module (its cached document lives in module scope)
+// and an empty AsyncStorage
+beforeEach(() => {
+  jest.resetModules();
+  jest.useRealTimers();
+  AsyncStorage = require("@react-native-async-storage/async-storage");
+  Persistence = require("../Persistence");
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const readStoredDocument = async () =>
+  JSON.parse(await AsyncStorage.getItem(Persistence.STORAGE_KEY));
+
+describe("migrateLegacyKeys", () => {
+  it("folds the legacy keys into one document", async () => {
+    await AsyncStorage.multiSet([
+      ["dynamicStructureData", JSON.stringify({ 3: { isLiked: true } })],
+      ["visitedStructures", JSON.stringify([5, "7"])],
+      ["RATING_INDEX_KEY", "4"],
+      ["virtualTourCurrentStructureIndex", "12"],
+      ["isDarkMode", "true"],
+      ["mapNumbers", "false"],
+    ]);
+
+    const migrated = await Persistence.migrateLegacyKeys({ version: 0 });
+
+    expect(migrated.structures).toEqual({
+      3: { isLiked: true },
+      5: { isVisited: true },
+      7: { isVisited: true },
+    });
+    expect(migrated.visitedStructures).toEqual([5, 7]);
+    expect(migrated.ratingIndex).toBe(4);
+    expect(migrated.virtualTourIndex).toBe(12);
+    expect(migrated.isDarkMode).toBe(true);
+    expect(migrated.mapShowNumbers).toBe(false);
+    expect(migrated).not.toHaveProperty("mapStyle");
+  });
+
+  it("treats structures visited in either legacy key as visited", async () => {
+    await AsyncStorage.multiSet([
+      ["dynamicStructureData", JSON.stringify({ 9: { isVisited: true } })],
+      ["visitedStructures", JSON.stringify([2])],
+    ]);
+
+    const migrated = await Persistence.migrateLegacyKeys({ version: 0 });
+
+    expect(migrated.structures[9].isVisited).toBe(true);
+    expect(migrated.structures[2].isVisited).toBe(true);
+    expect(migrated.visitedStructures.sort()).toEqual([2, 9]);
+  });
+
+  it("skips unreadable legacy values", async () => {
+    await AsyncStorage.multiSet([
+      ["dynamicStructureData", "{not json"],
+      ["RATING_INDEX_KEY", "-3"],
+    ]);
+
+    const migrated = await Persistence.migrateLegacyKeys({ version: 0 });
+
+    expect(migrated.structures).toEqual({});
+    expect(migrated).not.toHaveProperty("ratingIndex");
+  });
+});
+
+describe("migrateDocument", () => {
+  it("upgrades the legacy layout to the current schema", async () => {
+    await AsyncStorage.multiSet([
+      ["dynamicStructureData", JSON.stringify({ 3: { isOpened: true } })],
+      ["visitedStructures", JSON.stringify([5])],
+      ["RATING_INDEX_KEY", "2"],
+    ]);
+
+    const { document, staleKeys } = await Persistence.migrateDocument({
+      version: 0,
+    });
+
+    expect(document.version).toBe(Persistence.SCHEMA_VERSION);
+    expect(document.structures).toEqual({
+      3: { isOpened: true },
+      5: { isVisited: true },
+    });
+    expect(document).not.toHaveProperty("visitedStructures");
+    expect(document.ratingIndex).toBe(2);
+    expect(document.virtualTourIndex).toBe(0);
+    expect(staleKeys).toEqual(
+      expect.arrayContaining([
+        "dynamicStructureData",
+        "visitedStructures",
+        "RATING_INDEX_KEY",
+        "virtualTourCurrentStructureIndex",
+      ])
+    );
+  });
+
+  it("folds a version 1 visited list into the structures", async () => {
+    const { document } = await Persistence.migrateDocument({
+      version: 1,
+      structures: { 4: { isLiked: true } },
+      visitedStructures: [4, 8],
+    });
+
+    expect(document.structures).toEqual({
+      4: { isLiked: true, isVisited: true },
+      8: { isVisited: true },
+    });
+    expect(document).not.toHaveProperty("visitedStructures");
+  });
+
+  it("replaces invalid sections with defaults and keeps the rest", async () => {
+    const { document } = await Persistence.migrateDocument({
+      version: Persistence.SCHEMA_VERSION,
+      ratingIndex: "three",
+      mapStyle: "satellite",
+    });
+
+    expect(document.ratingIndex).toBe(0);
+    expect(document.mapStyle).toBe("satellite");
+  });
+});
+
+describe("loadPersistedState", () => {
+  it("migrates legacy keys on first load and removes them", async () => {
+    await AsyncStorage.multiSet([
+      ["visitedStructures", JSON.stringify([6])],
+      ["virtualTourCurrentStructureIndex", "3"],
+    ]);
+
+    const document = await Persistence.loadPersistedState();
+
+    expect(document.structures[6].isVisited).toBe(true);
+    expect(document.virtualTourIndex).toBe(3);
+    expect(await AsyncStorage.getItem("visitedStructures")).toBeNull();
+    expect(await AsyncStorage.getItem("virtualTourCurrentStructureIndex")).toBe(
+      null
+    );
+    expect((await readStoredDocument()).virtualTourIndex).toBe(3);
+  });
+
+  it("resets a corrupt document and keeps a backup of it", async () => {
+    await AsyncStorage.setItem(Persistence.STORAGE_KEY, "{broken");
+
+    const document = await Persistence.loadPersistedState();
+
+    expect(document.version).toBe(Persistence.SCHEMA_VERSION);
+    expect(document.structures).toEqual({});
+    expect(document.ratingIndex).toBe(0);
+    expect(
+      await AsyncStorage.getItem(`${Persistence.STORAGE_KEY}.corrupt`)
+    ).toBe("{broken");
+  });
+
+  it("resets a document without a schema version", async () => {
+    await AsyncStorage.setItem(
+      Persistence.STORAGE_KEY,
+      JSON.stringify({ ratingIndex: 5 })
+    );
+
+    const document = await Persistence.loadPersistedState();
+
+    expect(document.ratingIndex).toBe(0);
+  });
+});
+
+describe("reads and writes", () => {
+  it("returns the latest value after a set", async () => {
+    await Persistence.setPersistedValue("ratingIndex", 5);
+
+    expect(await Persistence.getPersistedValue("ratingIndex")).toBe(5);
+    expect((await Persistence.loadPersistedState()).ratingIndex).toBe(5);
+  });
+
+  it("passes the latest value to updater functions", async () => {
+    await Persistence.setPersistedValue("virtualTourIndex", 2);
+    await Persistence.setPersistedValue(
+      "virtualTourIndex",
+      (index) => index + 1
+    );
+    await Persistence.setPersistedValue(
+      "virtualTourIndex",
+      (index) => index + 1
+    );
+
+    expect(await Persistence.getPersistedValue("virtualTourIndex")).toBe(4);
+  });
+
+  it("resets sections to their defaults", async () => {
+    await Persistence.setPersistedValue("ratingIndex", 5);
+    await Persistence.setPersistedValue("isDarkMode", true);
+    await Persistence.resetPersistedValues("ratingIndex");
+
+    expect(await Persistence.getPersistedValue("ratingIndex")).toBe(0);
+    expect(await Persistence.getPersistedValue("isDarkMode")).toBe(true);
+  });
+});
+
+describe("debounced saving", () => {
+  it("collapses rapid updates into one write", async () => {
+    await Persistence.loadPersistedState();
+    jest.useFakeTimers();
+    // The mock's setItem is already a jest.fn holding the load's write
+    const setItem = jest.spyOn(AsyncStorage, "setItem");
+    setItem.mockClear();
+
+    await Persistence.setPersistedValue("ratingIndex", 1);
+    await Persistence.setPersistedValue("ratingIndex", 2);
+    await Persistence.setPersistedValue("ratingIndex", 3);
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(setItem).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+    await Promise.resolve();
+
+    expect((await readStoredDocument()).ratingIndex).toBe(3);
+  });
+
+  it("writes pending changes right away on flush", async () => {
+    await Persistence.setPersistedValue("mapStyle", "satellite");
+    await Persistence.flushPersistedState();
+
+    expect((await readStoredDocument()).mapStyle).toBe("satellite");
+  });
+});
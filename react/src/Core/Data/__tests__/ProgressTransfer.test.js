@@ -0,0 +1,97 @@
+// ProgressTransfer.test.js
+/**
+ * Merging imported visit times with the ones on this device.
+ */
+
+import { mergeVisitTimes } from "../ProgressTransfer";
+
+const local = (number, recentlyVisited = -1) => ({
+  number,
+  isVisited: recentlyVisited !== null,
+  recentlyVisited: recentlyVisited === null ? -1 : recentlyVisited,
+});
+
+const entry = (number, recentlyVisited = -1, isVisited = true) => ({
+  number,
+  isVisited,
+  isOpened: false,
+  isLiked: false,
+  recentlyVisited,
+});
+
+const byRecency = (times) =>
+  [...times.entries()].sort((a, b) => b[1] - a[1]).map(([number]) => number);
+
+describe("mergeVisitTimes", () => {
+  it("keeps the imported visit times", () => {
+    const times = mergeVisitTimes([local(1, null), local(2, null)], {
+      structures: [entry(1, 1714150000000), entry(2, 1714160000000)],
+      visitOrder: [2, 1],
+    });
+
+    expect(times).toEqual(
+      new Map([
+        [1, 1714150000000],
+        [2, 1714160000000],
+      ])
+    );
+  });
+
+  it("interleaves local and imported visits by time", () => {
+    const times = mergeVisitTimes(
+      [local(1, 1714100000000), local(2, 1714300000000), local(3, null)],
+      {
+        structures: [entry(3, 1714200000000)],
+        visitOrder: [3],
+      }
+    );
+
+    expect(byRecency(times)).toEqual([2, 3, 1]);
+  });
+
+  it("keeps the later time for a structure visited on both phones", () => {
+    const times = mergeVisitTimes([local(1, 1714300000000)], {
+      structures: [entry(1, 1714100000000)],
+      visitOrder: [1],
+    });
+
+    expect(times.get(1)).toBe(1714300000000);
+  });
+
+  it("places visits without a time below the rest in file order", () => {
+    const times = mergeVisitTimes(
+      [local(1, 1714100000000), local(2, null), local(3, null)],
+      {
+        structures: [entry(2), entry(3)],
+        visitOrder: [3, 2],
+      }
+    );
+
+    expect(byRecency(times)).toEqual([1, 3, 2]);
+    expect(times.get(3)).toBe(1714100000000 - 1);
+  });
+
+  it("times untimed visits from the import when neither side has times", () => {
+    const times = mergeVisitTimes(
+      [local(1), local(2), local(3, null)],
+      {
+        structures: [entry(1), entry(2), entry(3)],
+        visitOrder: [2, 1, 3],
+      },
+      1714100000000
+    );
+
+    expect(byRecency(times)).toEqual([2, 1, 3]);
+    expect(times.get(2)).toBe(1714100000000 - 1);
+    expect([...times.values()].every((time) => time > 0)).toBe(true);
+  });
+
+  it("skips structures visited on neither phone", () => {
+    const times = mergeVisitTimes([local(1, null), local(2, null)], {
+      structures: [entry(1, 1714100000000, false)],
+      visitOrder: [],
+    });
+
+    expect(times.size).toBe(0);
+  });
+});
@@ -118,9 +118,9 @@ export const otherPhotos = {
   geodesicDome3: require("../../assets/photos/other/geodesicDome3.webp"),
 
   // Greenhouse
-  greenhouse1: require("../../assets/photos/other/greenHouse1.webp"),
-  greenhouse2: require("../../assets/photos/other/greenHouse2.webp"),
-  greenhouse3: require("../../assets/photos/other/greenHouse3.webp"),
+  greenHouse1: require("../../assets/photos/other/greenHouse1.webp"),
+  greenHouse2: require("../../assets/photos/other/greenHouse2.webp"),
+  greenHouse3: require("../../assets/photos/other/greenHouse3.webp"),
 
   // Gunite Bridge
   guniteBridge1: require("../../assets/photos/other/guniteBridge1.webp"),
@@ -133,10 +133,10 @@ export const otherPhotos = {
   modularHouse5: require("../../assets/photos/other/modularHouse5.webp"),
 
   // Moment Monument
-  momentMounment1: require("../../assets/photos/other/momentMonument1.webp"),
-  momentMounment2: require("../../assets/photos/other/momentMonument2.webp"),
-  momentMounment3: require("../../assets/photos/other/momentMonument3.webp"),
-  momentMounment4: require("../../assets/photos/other/momentMonument4.webp"),
+  momentMonument1: require("../../assets/photos/other/momentMonument1.webp"),
+  momentMonument2: require("../../assets/photos/other/momentMonument2.webp"),
+  momentMonument3: require("../../assets/photos/other/momentMonument3.webp"),
+  momentMonument4: require("../../assets/photos/other/momentMonument4.webp"),
 
   // Observation Deck
   observationDeck1: require("../../assets/photos/other/observationDeck1.webp"),
@@ -169,8 +169,8 @@ export const otherPhotos = {
   stickStructure4: require("../../assets/photos/other/stickStructure4.webp"),
 
   // Sundial
-  sundial1: require("../../assets/photos/other/sunDial1.webp"),
-  sundial2: require("../../assets/photos/other/sunDial2.webp"),
+  sunDial1: require("../../assets/photos/other/sunDial1.webp"),
+  sunDial2: require("../../assets/photos/other/sunDial2.webp"),
 
   // Tensegrity
   tensegrity1: require("../../assets/photos/other/tensegrity1.webp"),
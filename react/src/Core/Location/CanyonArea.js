@@ -0,0 +1,53 @@
+// CanyonArea.js
+/**
+ * CanyonArea
+ *
+ * Where a position stands relative to Poly Canyon, from the outline in
+ * canyonBoundary.json. Pure functions, so recorded walks can be checked
+ * against the same rules LocationService uses.
+ */
+
+import canyonBoundary from "./canyonBoundary.json";
+import { distanceToPolygon } from "./Geo";
+
+export const AdventureModeStatus = {
+  NOT_VISITING: "notVisiting",
+  ALMOST_THERE: "almostThere",
+  EXPLORING: "exploring",
+};
+
+export const CANYON_DISTANCE_THRESHOLDS = {
+  CANYON_BUFFER: 15, // meters outside the outline still counted as inside
+  ALMOST_THERE: 150, // meters from the canyon outline
+};
+
+// Outer ring of the canyon outline, as [longitude, latitude] positions
+const CANYON_BOUNDARY = canyonBoundary.geometry.coordinates[0];
+
+const hasCoordinates = (coordinate) =>
+  !!coordinate &&
+  typeof coordinate.latitude !== "undefined" &&
+  typeof coordinate.longitude !== "undefined";
+
+// Meters to the nearest edge of the canyon outline (0 when inside)
+export const getDistanceToCanyon = (coordinate) =>
+  distanceToPolygon(coordinate, CANYON_BOUNDARY);
+
+// Inside the canyon outline, or within the buffer around it so GPS error at
+// the edge doesn't flip the status back and forth
+export const isWithinCanyon = (coordinate) =>
+  hasCoordinates(coordinate) &&
+  getDistanceToCanyon(coordinate) <= CANYON_DISTANCE_THRESHOLDS.CANYON_BUFFER;
+
+/**
+ * The Adventure Mode status for a coordinate: exploring inside the canyon,
+ * almost there within ALMOST_THERE meters of it, otherwise not visiting.
+ */
+export const getAdventureModeStatus = (coordinate) => {
+  if (!hasCoordinates(coordinate)) return AdventureModeStatus.NOT_VISITING;
+  if (isWithinCanyon(coordinate)) return AdventureModeStatus.EXPLORING;
+  return getDistanceToCanyon(coordinate) <=
+    CANYON_DISTANCE_THRESHOLDS.ALMOST_THERE
+    ? AdventureModeStatus.ALMOST_THERE
+    : AdventureModeStatus.NOT_VISITING;
+};
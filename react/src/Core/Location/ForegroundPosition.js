@@ -0,0 +1,108 @@
+// ForegroundPosition.js
+/**
+ * ForegroundPosition
+ *
+ * The pieces every provider needs to follow the user's position while the
+ * app is open: the Android location prompt, the foreground watch and the
+ * GPS -> map image calibration. LocationService builds Adventure Mode on
+ * top of them; the Design Village map (LocationStore) only shows the
+ * position.
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { Platform, PermissionsAndroid } from "react-native";
+import { calibrateFromMapPoints } from "./MapCalibration";
+
+export const FOREGROUND_WATCH_OPTIONS = {
+  enableHighAccuracy: true,
+  distanceFilter: 10, // meters
+  interval: 1000, // 1 second between updates
+};
+
+/**
+ * Asks for fine location on Android with `message` explaining why.
+ * Simulated sources and iOS (handled by the Geolocation configuration)
+ * need no prompt. Resolves to whether positions can be watched.
+ */
+export const requestForegroundPermission = async (positionSource, message) => {
+  if (positionSource.isSimulated || Platform.OS === "ios") return true;
+  try {
+    const result = await PermissionsAndroid.request(
+      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+      {
+        title: "Location Access Required",
+        message,
+        buttonNeutral: "Ask Me Later",
+        buttonNegative: "Cancel",
+        buttonPositive: "OK",
+      }
+    );
+    return result === PermissionsAndroid.RESULTS.GRANTED;
+  } catch (error) {
+    console.error("Error requesting location permission:", error);
+    return false;
+  }
+};
+
+/**
+ * Watches `positionSource` while `isActive`, after asking for permission,
+ * and hands each position to the latest `onPosition`. The watch restarts
+ * when the source changes and stops on unmount.
+ */
+export const useForegroundPosition = ({
+  positionSource,
+  isActive,
+  onPosition,
+  permissionMessage,
+}) => {
+  // Callers re-create onPosition every render; the watch uses the latest
+  const onPositionRef = useRef(onPosition);
+  onPositionRef.current = onPosition;
+
+  useEffect(() => {
+    if (!isActive) return;
+
+    let watchId = null;
+    let isCancelled = false;
+    const startWatch = async () => {
+      const hasPermission = await requestForegroundPermission(
+        positionSource,
+        permissionMessage
+      );
+      if (!hasPermission || isCancelled) return;
+      watchId = positionSource.watchPosition(
+        (position) => onPositionRef.current(position),
+        (error) => console.error("Location error:", error),
+        FOREGROUND_WATCH_OPTIONS
+      );
+    };
+    startWatch();
+
+    return () => {
+      isCancelled = true;
+      if (watchId !== null) positionSource.clearWatch(watchId);
+    };
+  }, [isActive, positionSource]);
+};
+
+/**
+ * GPS -> map image transform fitted to the trail points (see
+ * MapCalibration), with converters that return null / 0 until there is
+ * one.
+ */
+export const useMapCalibration = (mapPoints) => {
+  const calibration = useMemo(
+    () => calibrateFromMapPoints(mapPoints),
+    [mapPoints]
+  );
+
+  // Pixel position on the map image for a coordinate
+  const getMapPixelForCoordinate = (coordinate) =>
+    calibration ? calibration.transform.toPixel(coordinate) : null;
+
+  // A distance in meters (e.g. GPS accuracy) in map image pixels
+  const metersToMapPixels = (meters) =>
+    calibration ? meters * calibration.transform.pixelsPerMeter : 0;
+
+  return { calibration, getMapPixelForCoordinate, metersToMapPixels };
+};
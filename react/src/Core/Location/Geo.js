@@ -0,0 +1,99 @@
+// Geo.js
+/**
+ * Geo
+ *
+ * Coordinate math shared by the location modules. Coordinates are
+ * { latitude, longitude } in degrees; distances are in meters.
+ */
+
+const EARTH_RADIUS = 6371e3; // meters
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance between two coordinates
+export const calculateDistance = (coord1, coord2) => {
+  const φ1 = toRadians(coord1.latitude);
+  const φ2 = toRadians(coord2.latitude);
+  const Δφ = toRadians(coord2.latitude - coord1.latitude);
+  const Δλ = toRadians(coord2.longitude - coord1.longitude);
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS * c;
+};
+
+// MARK: - Polygons
+// Polygons are GeoJSON rings: arrays of [longitude, latitude] positions.
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// Local flat projection (meters) around a reference latitude. Accurate to
+// well under a meter across an area the size of the canyon.
+const toLocalMeters = (coordinate, referenceLatitude) => ({
+  x:
+    coordinate.longitude *
+    METERS_PER_DEGREE_LATITUDE *
+    Math.cos(toRadians(referenceLatitude)),
+  y: coordinate.latitude * METERS_PER_DEGREE_LATITUDE,
+});
+
+const ringToCoordinates = (ring) =>
+  ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+
+// Ray-casting point-in-polygon test
+export const isPointInPolygon = (coordinate, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > coordinate.latitude !== yj > coordinate.latitude &&
+      coordinate.longitude <
+        ((xj - xi) * (coordinate.latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Shortest distance in meters from a coordinate to the polygon's outline
+export const distanceToPolygonEdge = (coordinate, ring) => {
+  const point = toLocalMeters(coordinate, coordinate.latitude);
+  const vertices = ringToCoordinates(ring).map((vertex) =>
+    toLocalMeters(vertex, coordinate.latitude)
+  );
+
+  let minDistance = Infinity;
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const a = vertices[i];
+    const b = vertices[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(
+            0,
+            Math.min(
+              1,
+              ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared
+            )
+          );
+    const distance = Math.hypot(
+      point.x - (a.x + t * dx),
+      point.y - (a.y + t * dy)
+    );
+    minDistance = Math.min(minDistance, distance);
+  }
+  return minDistance;
+};
+
+// Distance in meters from a coordinate to the polygon: 0 inside, otherwise
+// the distance to its nearest edge
+export const distanceToPolygon = (coordinate, ring) =>
+  isPointInPolygon(coordinate, ring)
+    ? 0
+    : distanceToPolygonEdge(coordinate, ring);
@@ -4,24 +4,48 @@ import React, {
   useState,
   useEffect,
   useRef,
+  useMemo,
 } from "react";
 import { Platform } from "react-native";
-import Geolocation from "@react-native-community/geolocation";
 import { PermissionsAndroid } from "react-native";
 import { useDataStore } from "../Data/DataStore";
 import { useAdventureMode } from "../States/AdventureMode";
 import mapPointsData from "./mapPoints.json";
-import { MapPoint } from "../Data/Models";
+import { MapPoint, VisitSource } from "../Data/Models";
 import { useAppState } from "../States/AppState";
+import {
+  buildTrailGraph,
+  findShortestPath,
+  estimateWalkingTime,
+} from "./TrailGraph";
+import { planTour } from "./TourPlanner";
+import { calculateDistance } from "./Geo";
+import { DevicePositionSource } from "./PositionSource";
+import {
+  requestForegroundPermission,
+  useForegroundPosition,
+  useMapCalibration,
+} from "./ForegroundPosition";
+import { findStructureAtPoint } from "./MapHitTest";
+import {
+  buildStructureLocations,
+  buildStructureGeofences,
+} from "./StructureMapPoints";
+import {
+  createDetectorState,
+  detectVisits,
+  FenceStatus,
+  VisitEventType,
+} from "./VisitDetector";
+import {
+  AdventureModeStatus,
+  getAdventureModeStatus,
+  getDistanceToCanyon,
+  isWithinCanyon,
+} from "./CanyonArea";
 
 // MARK: - Enums
 
-const AdventureModeStatus = {
-  NOT_VISITING: "notVisiting",
-  ALMOST_THERE: "almostThere",
-  EXPLORING: "exploring",
-};
-
 const LocationMode = {
   INITIAL: "initial",
   VIRTUAL_TOUR: "virtualTour",
@@ -36,21 +60,8 @@ const TrackingState = {
 
 // MARK: - Constants
 
-const CANYON_CENTER = {
-  latitude: 35.31583,
-  longitude: -120.65347,
-};
-
-const CANYON_BOUNDS = {
-  topLeft: { latitude: 35.31658611111111, longitude: -120.6560599752971 },
-  topRight: { latitude: 35.31782413494509, longitude: -120.6541363709451 },
-  bottomLeft: { latitude: 35.31307, longitude: -120.65235 },
-  bottomRight: { latitude: 35.31431, longitude: -120.65065 },
-};
-
 const DISTANCE_THRESHOLDS = {
   ONBOARDING_RECOMMENDATION: 48280, // 30 miles in meters
-  ALMOST_THERE: 370, // meters
   STRUCTURE_VISIT: 20, // meters
 };
 
@@ -60,10 +71,34 @@ const UPDATE_INTERVALS = {
   DISTANCE_FILTER: 10, // meters
 };
 
+const FOREGROUND_PERMISSION_MESSAGE =
+  "This app needs to access your location to show you nearby structures";
+
+// Per-structure geofence settings that differ from the defaults, e.g.
+// { 12: { radius: 30 } } for a structure spread over a wide area.
+// See VisitDetector for the available keys.
+const STRUCTURE_GEOFENCE_OVERRIDES = {};
+
+export const RouteOrigin = {
+  USER: "user",
+  STRUCTURE: "structure",
+  ENTRANCE: "entrance",
+};
+
+// Routes start here when there is no origin structure and no GPS fix
+const TRAIL_ENTRANCE_INDEX = 0;
+
 // Create context
 const LocationServiceContext = createContext(null);
 
-export const LocationServiceProvider = ({ children }) => {
+/**
+ * `positionSource` supplies location updates (see PositionSource); the
+ * device GPS unless a simulated source is passed in or set at runtime.
+ */
+export const LocationServiceProvider = ({
+  children,
+  positionSource = DevicePositionSource,
+}) => {
   const { markStructureAsVisited, getStructure } = useDataStore();
   const [mapPoints, setMapPoints] = useState([]);
   const mapPointsRef = useRef([]);
@@ -77,100 +112,195 @@ export const LocationServiceProvider = ({ children }) => {
     AdventureModeStatus.NOT_VISITING
   );
   const [currentLocation, setCurrentLocation] = useState(null);
-  const [lastUpdateTime, setLastUpdateTime] = useState(0);
-  const [watchId, setWatchId] = useState(null);
   const [nearestPoint, setNearestPoint] = useState(null);
 
+  // Active position source, and the background watch as { id, source } so
+  // it is always cleared on the source that created it. The foreground
+  // watch is useForegroundPosition's.
+  const [activePositionSource, setActivePositionSource] =
+    useState(positionSource);
+  const positionSourceRef = useRef(positionSource);
+  const watchRef = useRef(null);
+  // Source time of the last handled update
+  const lastUpdateTimeRef = useRef(0);
+
+  // Geofence detector state lives in refs because location callbacks are
+  // registered once and would otherwise see stale values.
+  const geofencesRef = useRef([]);
+  const visitDetectorRef = useRef(createDetectorState());
+  const lastPositionRef = useRef(null);
+  const dwellTimersRef = useRef([]);
+
   useEffect(() => {
     loadMapPoints();
+    return clearDwellTimers;
   }, []);
 
+  // Start over on the new source when it is swapped at runtime. The
+  // foreground watch follows the source by itself.
+  useEffect(() => {
+    if (positionSourceRef.current === activePositionSource) return;
+    stopBackgroundWatch();
+    clearDwellTimers();
+    visitDetectorRef.current = createDetectorState();
+    positionSourceRef.current = activePositionSource;
+    lastUpdateTimeRef.current = 0;
+    if (trackingState === TrackingState.BACKGROUND) {
+      setTrackingState(TrackingState.IN_APP_ONLY);
+    }
+  }, [activePositionSource]);
+
+  const trailGraph = useMemo(() => buildTrailGraph(mapPoints), [mapPoints]);
+  const structureLocations = useMemo(
+    () => buildStructureLocations(mapPoints),
+    [mapPoints]
+  );
+
+  // GPS -> map image transform fitted to the trail points; the converters
+  // return null / 0 before the map points have loaded
+  const {
+    calibration: mapCalibration,
+    getMapPixelForCoordinate,
+    metersToMapPixels,
+  } = useMapCalibration(mapPoints);
+
+  useEffect(() => {
+    if (!mapCalibration || !__DEV__) return;
+    const { rms, max, used, rejected } = mapCalibration.report;
+    console.log(
+      `Map calibration: ${used} points, RMS ${rms.toFixed(1)} px, ` +
+        `max ${max.toFixed(1)} px, rejected [${rejected.join(", ")}]`
+    );
+  }, [mapCalibration]);
+
   // *** CHANGED: Only start tracking if onboarding is complete ***
   useEffect(() => {
     if (!isOnboardingCompleted) return; // do not auto-request permissions during onboarding
     if (!adventureMode) {
       stopLocationTracking();
-      setTrackingState(TrackingState.INACTIVE);
+      clearDwellTimers();
+      visitDetectorRef.current = createDetectorState();
     } else {
       startAppropriateTracking();
     }
   }, [adventureMode, isOnboardingCompleted]);
   // *** END CHANGE ***
 
-  // Maps structure numbers to their corresponding map points, adjusting for 0-based array indexing
-  const getMapPointForStructure = (structureNumber) => {
-    const structureToMapPointMapping = {
-      1: 0, // MapPoint 1
-      2: 2, // MapPoint 3
-      3: 51, // MapPoint 52
-      4: 52, // MapPoint 53
-      5: 9, // MapPoint 10
-      6: 10, // MapPoint 11
-      7: 195, // MapPoint 196
-      8: 12, // MapPoint 13
-      9: 75, // MapPoint 76
-      10: 15, // MapPoint 16
-      11: 57, // MapPoint 58
-      12: 18, // MapPoint 19
-      13: 58, // MapPoint 59
-      14: 20, // MapPoint 21
-      15: 202, // MapPoint 203
-      16: 23, // MapPoint 24
-      17: 87, // MapPoint 88
-      18: 90, // MapPoint 91
-      19: 34, // MapPoint 35
-      20: 112, // MapPoint 113
-      21: 36, // MapPoint 37
-      22: 31, // MapPoint 32
-      23: 19, // MapPoint 20
-      24: 56, // MapPoint 57
-      25: 55, // MapPoint 56
-      26: 43, // MapPoint 44
-      27: 54, // MapPoint 55
-      28: 59, // MapPoint 60
-      29: 67, // MapPoint 68
-      30: 198, // MapPoint 199
-      31: 196, // MapPoint 197
-    };
+  /**
+   * Where a structure is on the map (see StructureMapPoints):
+   * { anchor, anchorIndex, points, footprint } or null when it has no
+   * map points.
+   */
+  const getStructureLocation = (structureNumber) =>
+    structureLocations.get(structureNumber) || null;
+
+  // Structure under a screen position on a map drawn with `viewport`
+  // (see MapHitTest), or null
+  const getStructureAtScreenPoint = (point, viewport) =>
+    findStructureAtPoint(point, viewport, structureLocations);
+
+  // Index of a structure's anchor in mapPoints, or undefined
+  const getAnchorIndex = (structureNumber) => {
+    const location = getStructureLocation(structureNumber);
+    return location ? location.anchorIndex : undefined;
+  };
+
+  // Meters from the user's last known position to a structure, or null
+  const getDistanceToStructure = (structureNumber) => {
+    const location = getStructureLocation(structureNumber);
+    if (!currentLocation || !location) return null;
+    return calculateDistance(
+      currentLocation.coords,
+      location.anchor.coordinate
+    );
+  };
+
+  // MARK: - Routing
 
-    const mapPointIndex = structureToMapPointMapping[structureNumber];
-    if (mapPointIndex === undefined || !mapPoints[mapPointIndex]) {
+  // Trail point a route or tour starts from: `fromStructure` when given,
+  // otherwise the point nearest the user, or the canyon entrance without a fix.
+  const getRouteStart = (fromStructure) => {
+    if (fromStructure !== null) {
+      return {
+        startIndex: getAnchorIndex(fromStructure),
+        origin: RouteOrigin.STRUCTURE,
+      };
+    }
+    if (nearestPoint) {
+      return {
+        startIndex: mapPoints.indexOf(nearestPoint),
+        origin: RouteOrigin.USER,
+      };
+    }
+    return { startIndex: TRAIL_ENTRANCE_INDEX, origin: RouteOrigin.ENTRANCE };
+  };
+
+  /**
+   * Shortest walking route along the trail to a structure.
+   * Returns { points, distance, duration, origin } (meters / seconds) or null.
+   */
+  const getRouteToStructure = (targetStructure, fromStructure = null) => {
+    const goalIndex = getAnchorIndex(targetStructure);
+    const { startIndex, origin } = getRouteStart(fromStructure);
+    if (goalIndex === undefined || startIndex === undefined || startIndex < 0) {
       return null;
     }
 
-    const mapPoint = mapPoints[mapPointIndex];
+    const path = findShortestPath(trailGraph, startIndex, goalIndex);
+    if (!path) return null;
+
+    return {
+      points: path.indices.map((index) => mapPoints[index]),
+      distance: path.distance,
+      duration: estimateWalkingTime(path.distance),
+      origin,
+    };
+  };
+
+  /**
+   * Orders structures into a walking tour (see TourPlanner.planTour).
+   * `timeBudget` is in seconds; null visits every structure given.
+   */
+  const planStructureTour = (
+    structureNumbers,
+    { timeBudget = null, fromStructure = null } = {}
+  ) => {
+    const { startIndex, origin } = getRouteStart(fromStructure);
+    if (startIndex === undefined || startIndex < 0) return null;
+
+    const stops = structureNumbers
+      .filter((number) => getAnchorIndex(number) !== undefined)
+      .map((number) => ({
+        structure: number,
+        mapPointIndex: getAnchorIndex(number),
+      }));
+
     return {
-      x: mapPoint.pixelPosition.x,
-      y: mapPoint.pixelPosition.y,
+      ...planTour(trailGraph, startIndex, stops, { timeBudget }),
+      origin,
     };
   };
 
   const requestLocationPermission = async (requestBackground = false) => {
     try {
-      if (Platform.OS === "ios") {
-        // iOS permissions handled by Geolocation configuration
-        return true;
-      }
-
-      // Always request fine location first
-      const fineLocation = await PermissionsAndroid.request(
-        PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-        {
-          title: "Location Access Required",
-          message: requestBackground
-            ? "Enable background location to auto-track your visited structures"
-            : "This app needs to access your location to show you nearby structures",
-          buttonNeutral: "Ask Me Later",
-          buttonNegative: "Cancel",
-          buttonPositive: "OK",
-        }
+      // Always request fine location first. Simulated positions and iOS
+      // (handled by the Geolocation configuration) skip the prompts.
+      const fineLocation = await requestForegroundPermission(
+        positionSourceRef.current,
+        requestBackground
+          ? "Enable background location to auto-track your visited structures"
+          : FOREGROUND_PERMISSION_MESSAGE
       );
-
-      // Only request background location if specifically asked and fine location was granted
       if (
-        requestBackground &&
-        fineLocation === PermissionsAndroid.RESULTS.GRANTED
+        positionSourceRef.current.isSimulated ||
+        Platform.OS === "ios" ||
+        !fineLocation
       ) {
+        return fineLocation;
+      }
+
+      // Only request background location if specifically asked and fine location was granted
+      if (requestBackground) {
         const backgroundLocation = await PermissionsAndroid.request(
           PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION,
           {
@@ -185,50 +315,16 @@ export const LocationServiceProvider = ({ children }) => {
         return backgroundLocation === PermissionsAndroid.RESULTS.GRANTED;
       }
 
-      return fineLocation === PermissionsAndroid.RESULTS.GRANTED;
+      return fineLocation;
     } catch (err) {
       console.error("Error requesting location permission:", err);
       return false;
     }
   };
 
-  const calculateDistance = (coord1, coord2) => {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = (coord1.latitude * Math.PI) / 180;
-    const φ2 = (coord2.latitude * Math.PI) / 180;
-    const Δφ = ((coord2.latitude - coord1.latitude) * Math.PI) / 180;
-    const Δλ = ((coord2.longitude - coord1.longitude) * Math.PI) / 180;
-
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c; // Distance in meters
-  };
-
-  const isWithinCanyon = (coordinate) => {
-    // Early return if no coordinate provided
-    if (
-      !coordinate ||
-      typeof coordinate.latitude === "undefined" ||
-      typeof coordinate.longitude === "undefined"
-    ) {
-      return false;
-    }
-
-    const inBounds =
-      coordinate.latitude >= CANYON_BOUNDS.bottomLeft.latitude &&
-      coordinate.latitude <= CANYON_BOUNDS.topRight.latitude &&
-      coordinate.longitude >= CANYON_BOUNDS.topLeft.longitude &&
-      coordinate.longitude <= CANYON_BOUNDS.bottomRight.longitude;
-
-    return inBounds;
-  };
-
   const fetchCurrentLocation = () => {
     return new Promise((resolve, reject) => {
-      Geolocation.getCurrentPosition(
+      positionSourceRef.current.getCurrentPosition(
         (position) => {
           setCurrentLocation(position);
           resolve(position);
@@ -242,17 +338,14 @@ export const LocationServiceProvider = ({ children }) => {
     });
   };
 
-  const getDistanceToCanyon = (coordinate) => {
-    return calculateDistance(coordinate, CANYON_CENTER);
-  };
-
   const handleLocationUpdate = (position) => {
-    const now = Date.now();
-    if (now - lastUpdateTime < UPDATE_INTERVALS.MINIMUM_TIME) {
+    // On the source's clock, so a fast simulated trace isn't thinned out
+    const now = positionSourceRef.current.now();
+    if (now - lastUpdateTimeRef.current < UPDATE_INTERVALS.MINIMUM_TIME) {
       return;
     }
 
-    setLastUpdateTime(now);
+    lastUpdateTimeRef.current = now;
     setCurrentLocation(position);
 
     // Skip structure checks during onboarding
@@ -262,22 +355,16 @@ export const LocationServiceProvider = ({ children }) => {
     }
 
     // Continue with normal location handling...
-    if (isWithinCanyon(position.coords)) {
+    const status = getAdventureModeStatus(position.coords);
+    setAdventureModeStatus(status);
+
+    if (status === AdventureModeStatus.EXPLORING) {
       const nearest = findNearestMapPoint(position.coords);
       setNearestPoint(nearest);
-      setAdventureModeStatus(AdventureModeStatus.EXPLORING);
-      checkForStructureVisits(nearest);
-      return;
-    }
-
-    // If not in canyon, then check distance to determine if approaching
-    const distance = getDistanceToCanyon(position.coords);
-
-    if (distance <= DISTANCE_THRESHOLDS.ALMOST_THERE) {
-      setAdventureModeStatus(AdventureModeStatus.ALMOST_THERE);
+      checkForStructureVisits(position);
+    } else if (status === AdventureModeStatus.ALMOST_THERE) {
       startBackgroundTracking();
     } else {
-      setAdventureModeStatus(AdventureModeStatus.NOT_VISITING);
       stopBackgroundTracking();
     }
   };
@@ -288,36 +375,34 @@ export const LocationServiceProvider = ({ children }) => {
     const hasPermission = await requestLocationPermission(false);
     if (!hasPermission) return;
 
-    startInAppTracking();
+    setTrackingState(TrackingState.IN_APP_ONLY);
   };
 
-  const startInAppTracking = () => {
-    if (watchId) return;
-
-    const newWatchId = Geolocation.watchPosition(
-      handleLocationUpdate,
-      (error) => console.error("Location error:", error),
-      {
-        enableHighAccuracy: true,
-        distanceFilter: UPDATE_INTERVALS.DISTANCE_FILTER,
-        interval: UPDATE_INTERVALS.MINIMUM_TIME,
-      }
-    );
+  // The foreground watch runs while tracking in the app only
+  useForegroundPosition({
+    positionSource: activePositionSource,
+    isActive: trackingState === TrackingState.IN_APP_ONLY,
+    onPosition: handleLocationUpdate,
+    permissionMessage: FOREGROUND_PERMISSION_MESSAGE,
+  });
 
-    setWatchId(newWatchId);
-    setTrackingState(TrackingState.IN_APP_ONLY);
-  };
+  // Background updates go through the latest handleLocationUpdate too
+  const handleLocationUpdateRef = useRef(handleLocationUpdate);
+  handleLocationUpdateRef.current = handleLocationUpdate;
 
   const startBackgroundTracking = async () => {
     if (trackingState === TrackingState.BACKGROUND) return;
+    // Restarting a simulated watch would replay its trace from the start
+    if (positionSourceRef.current.isSimulated) return;
 
     const hasPermission = await requestLocationPermission(true);
     if (!hasPermission) return;
 
-    stopLocationTracking(); // Clear existing watchers
+    stopBackgroundWatch(); // Clear an existing background watch
 
-    const newWatchId = Geolocation.watchPosition(
-      handleLocationUpdate,
+    const source = positionSourceRef.current;
+    const id = source.watchPosition(
+      (position) => handleLocationUpdateRef.current(position),
       (error) => console.error("Location error:", error),
       {
         enableHighAccuracy: true,
@@ -326,42 +411,97 @@ export const LocationServiceProvider = ({ children }) => {
         forceRequestLocation: true,
       }
     );
-
-    setWatchId(newWatchId);
+    watchRef.current = { id, source };
+    // Ends the foreground watch
     setTrackingState(TrackingState.BACKGROUND);
   };
 
-  const stopLocationTracking = () => {
-    if (watchId !== null) {
-      Geolocation.clearWatch(watchId);
-      setWatchId(null);
+  const stopBackgroundWatch = () => {
+    if (watchRef.current !== null) {
+      watchRef.current.source.clearWatch(watchRef.current.id);
+      watchRef.current = null;
     }
   };
 
+  const stopLocationTracking = () => {
+    stopBackgroundWatch();
+    setTrackingState(TrackingState.INACTIVE);
+  };
+
   const stopBackgroundTracking = () => {
     if (trackingState === TrackingState.BACKGROUND) {
-      stopLocationTracking();
-      startInAppTracking(); // Falls back to in-app only when outside canyon
+      stopBackgroundWatch();
+      // Falls back to in-app only when outside canyon
+      setTrackingState(TrackingState.IN_APP_ONLY);
     }
   };
 
-  const checkForStructureVisits = (nearestPoint) => {
+  // Structures the user is standing at after a completed visit. The
+  // detector won't report them again until the user leaves and comes back.
+  const getOccupiedStructures = () =>
+    Object.entries(visitDetectorRef.current.fences)
+      .filter(([, fence]) => fence.status === FenceStatus.INSIDE)
+      .map(([structure]) => Number(structure));
+
+  // Feeds a position into the geofence detector and records completed visits
+  const checkForStructureVisits = (position) => {
     // Early return if in onboarding
     if (!isOnboardingCompleted) {
       console.log("Skipping structure visit check during onboarding");
       return;
     }
 
-    // Early return if no map point was found
-    if (!nearestPoint) return;
+    lastPositionRef.current = position;
+    const { state, events } = detectVisits(
+      visitDetectorRef.current,
+      {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: position.timestamp || Date.now(),
+      },
+      geofencesRef.current
+    );
+    visitDetectorRef.current = state;
 
-    // Extract the structure number from the map point
-    const structureNumber = nearestPoint.structure;
+    events.forEach((event) => {
+      const fence = geofencesRef.current.find(
+        (geofence) => geofence.structure === event.structure
+      );
 
-    // Ensure this is a valid structure number (between 1 and 31)
-    if (structureNumber < 1 || structureNumber > 31) return;
+      if (event.type === VisitEventType.ENTER) {
+        // The watcher's distance filter stops updates while the user stands
+        // still, so re-check once the dwell time has passed.
+        scheduleDwellCheck(fence.dwellTime);
+      } else if (event.type === VisitEventType.VISIT) {
+        markStructureAsVisited(event.structure, {
+          source: VisitSource.GPS_AUTO,
+          mapPoint: fence.mapPoint,
+        });
+      }
+    });
+  };
+
+  // Replays the last known position at the position source's current time,
+  // which runs faster or slower than real time for a simulated trace. No
+  // update since then means the user hasn't moved past the distance filter.
+  const scheduleDwellCheck = (delay) => {
+    const source = positionSourceRef.current;
+    const timer = setTimeout(() => {
+      dwellTimersRef.current = dwellTimersRef.current.filter(
+        (pending) => pending !== timer
+      );
+      const lastPosition = lastPositionRef.current;
+      if (lastPosition) {
+        checkForStructureVisits({ ...lastPosition, timestamp: source.now() });
+      }
+    }, (delay + UPDATE_INTERVALS.MINIMUM_TIME) / source.speed);
+    dwellTimersRef.current.push(timer);
+  };
 
-    markStructureAsVisited(structureNumber);
+  const clearDwellTimers = () => {
+    dwellTimersRef.current.forEach(clearTimeout);
+    dwellTimersRef.current = [];
   };
 
   const loadMapPoints = () => {
@@ -371,6 +511,10 @@ export const LocationServiceProvider = ({ children }) => {
       );
       setMapPoints(points);
       mapPointsRef.current = points;
+      geofencesRef.current = buildStructureGeofences(points, {
+        radius: DISTANCE_THRESHOLDS.STRUCTURE_VISIT,
+        overrides: STRUCTURE_GEOFENCE_OVERRIDES,
+      });
     } catch (error) {
       console.error("Error loading map points:", error);
     }
@@ -421,15 +565,27 @@ export const LocationServiceProvider = ({ children }) => {
     currentLocation,
     adventureModeStatus,
     trackingState,
-    getMapPointForStructure,
+    getStructureLocation,
+    getStructureAtScreenPoint,
+    getDistanceToStructure,
+    getRouteToStructure,
+    planStructureTour,
     nearestMapPoint: nearestPoint,
     findNearestMapPoint,
+    getOccupiedStructures,
     requestLocationPermission,
     startAppropriateTracking,
     stopLocationTracking,
     isWithinCanyon,
     getDistanceToCanyon,
     fetchCurrentLocation,
+    getMapPixelForCoordinate,
+    metersToMapPixels,
+    mapCalibrationReport: mapCalibration ? mapCalibration.report : null,
+    // Position source (used by the location debug panel)
+    positionSource: activePositionSource,
+    setPositionSource: setActivePositionSource,
+    resetPositionSource: () => setActivePositionSource(positionSource),
   };
 
   return (
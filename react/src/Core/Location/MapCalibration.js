@@ -0,0 +1,216 @@
+// MapCalibration.js
+/**
+ * MapCalibration
+ *
+ * Fits a transform from GPS coordinates to pixels on the canyon map image
+ * using the latitude/longitude <-> pixel pairs in mapPoints.json, so the
+ * user's position can be drawn where they actually are instead of snapped
+ * to the nearest trail point.
+ *
+ * The fit is a single least-squares affine transform. The control points
+ * were recorded with phone GPS and carry several meters of error each, so
+ * a piecewise fit through every point would reproduce that noise as
+ * distortion. Points far off the first fit (bad recordings) are dropped
+ * and the transform is fitted again.
+ */
+
+import { calculateDistance } from "./Geo";
+
+// Points with an error above this multiple of the RMS error are rejected
+const OUTLIER_FACTOR = 3;
+
+// Control points further than this from the median coordinate are treated
+// as bad recordings (e.g. a flipped sign) before fitting, since a single
+// far-off point would otherwise skew the whole fit
+const MAX_DISTANCE_FROM_MEDIAN = 2000; // meters
+
+const MAX_REFITS = 5;
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// MARK: - Least Squares
+
+// Solves the 3x3 normal equations for y ≈ a*u + b*v + c.
+const solveLeastSquares = (rows, values) => {
+  const matrix = [0, 1, 2].map((i) => [
+    ...[0, 1, 2].map((j) =>
+      rows.reduce((sum, row) => sum + row[i] * row[j], 0)
+    ),
+    rows.reduce((sum, row, index) => sum + row[i] * values[index], 0),
+  ]);
+
+  // Gauss-Jordan elimination with partial pivoting
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+    for (let row = 0; row < 3; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < 4; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+  return matrix.map((row, index) => row[3] / row[index]);
+};
+
+// MARK: - Affine Transform
+
+/**
+ * Fits pixel = A * (longitude, latitude) + b over pairs of
+ * { coordinate: { latitude, longitude }, pixel: { x, y } }.
+ * Returns { toPixel(coordinate), pixelsPerMeter } or null with fewer than 3
+ * usable pairs.
+ */
+export const fitAffineTransform = (pairs) => {
+  if (pairs.length < 3) return null;
+
+  // Work relative to the centroid in meters to keep the system well scaled
+  const origin = {
+    latitude:
+      pairs.reduce((sum, pair) => sum + pair.coordinate.latitude, 0) /
+      pairs.length,
+    longitude:
+      pairs.reduce((sum, pair) => sum + pair.coordinate.longitude, 0) /
+      pairs.length,
+  };
+  const metersPerDegreeLongitude =
+    METERS_PER_DEGREE_LATITUDE * Math.cos((origin.latitude * Math.PI) / 180);
+  const toLocal = (coordinate) => [
+    (coordinate.longitude - origin.longitude) * metersPerDegreeLongitude,
+    (coordinate.latitude - origin.latitude) * METERS_PER_DEGREE_LATITUDE,
+    1,
+  ];
+
+  const rows = pairs.map((pair) => toLocal(pair.coordinate));
+  const xCoefficients = solveLeastSquares(
+    rows,
+    pairs.map((pair) => pair.pixel.x)
+  );
+  const yCoefficients = solveLeastSquares(
+    rows,
+    pairs.map((pair) => pair.pixel.y)
+  );
+  if (!xCoefficients || !yCoefficients) return null;
+
+  const apply = (coefficients, local) =>
+    coefficients[0] * local[0] + coefficients[1] * local[1] + coefficients[2];
+
+  return {
+    toPixel: (coordinate) => {
+      const local = toLocal(coordinate);
+      return {
+        x: apply(xCoefficients, local),
+        y: apply(yCoefficients, local),
+      };
+    },
+    // Map pixels covered by one meter on the ground (mean of east and north)
+    pixelsPerMeter:
+      (Math.hypot(xCoefficients[0], yCoefficients[0]) +
+        Math.hypot(xCoefficients[1], yCoefficients[1])) /
+      2,
+  };
+};
+
+// MARK: - Residuals
+
+/**
+ * Pixel error of the transform at each pair, plus a summary:
+ * { errors: [{ name, error }], rms, median, max }
+ */
+export const getResiduals = (transform, pairs) => {
+  const errors = pairs.map((pair) => {
+    const predicted = transform.toPixel(pair.coordinate);
+    return {
+      name: pair.name,
+      error: Math.hypot(predicted.x - pair.pixel.x, predicted.y - pair.pixel.y),
+    };
+  });
+  if (errors.length === 0) return { errors, rms: 0, median: 0, max: 0 };
+
+  const sorted = errors.map(({ error }) => error).sort((a, b) => a - b);
+  return {
+    errors,
+    rms: Math.sqrt(
+      sorted.reduce((sum, error) => sum + error * error, 0) / sorted.length
+    ),
+    median: sorted[Math.floor(sorted.length / 2)],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+// MARK: - Calibration
+
+const isUsableMapPoint = (point) =>
+  point.pixelPosition.x >= 0 &&
+  point.pixelPosition.y >= 0 &&
+  Number.isFinite(point.coordinate.latitude) &&
+  Number.isFinite(point.coordinate.longitude);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Calibrates the map from MapPoint models.
+ * Returns { transform, report } or null, where report is
+ * { rms, median, max, used, rejected } in map pixels; `rejected` lists the
+ * names of the points dropped as outliers.
+ */
+export const calibrateFromMapPoints = (mapPoints) => {
+  const pairs = mapPoints.filter(isUsableMapPoint).map((point) => ({
+    name: point.name,
+    coordinate: point.coordinate,
+    pixel: point.pixelPosition,
+  }));
+  if (pairs.length === 0) return null;
+
+  const center = {
+    latitude: median(pairs.map((pair) => pair.coordinate.latitude)),
+    longitude: median(pairs.map((pair) => pair.coordinate.longitude)),
+  };
+  let inliers = pairs.filter(
+    (pair) =>
+      calculateDistance(pair.coordinate, center) <= MAX_DISTANCE_FROM_MEDIAN
+  );
+
+  let transform = fitAffineTransform(inliers);
+  if (!transform) return null;
+
+  // Drop points far off the fit and refit until nothing else is dropped
+  for (let attempt = 0; attempt < MAX_REFITS; attempt++) {
+    const residuals = getResiduals(transform, inliers);
+    const limit = residuals.rms * OUTLIER_FACTOR;
+    const kept = inliers.filter(
+      (pair, index) => residuals.errors[index].error <= limit
+    );
+    const refit = kept.length < inliers.length && fitAffineTransform(kept);
+    if (!refit) break;
+    inliers = kept;
+    transform = refit;
+  }
+
+  const { rms, median: medianError, max } = getResiduals(transform, inliers);
+  const inlierNames = new Set(inliers.map((pair) => pair.name));
+
+  return {
+    transform,
+    report: {
+      rms,
+      median: medianError,
+      max,
+      used: inliers.length,
+      rejected: pairs
+        .filter((pair) => !inlierNames.has(pair.name))
+        .map((pair) => pair.name),
+    },
+  };
+};
@@ -0,0 +1,79 @@
+// MapHitTest.js
+/**
+ * MapHitTest
+ *
+ * Converts between screen positions and pixels on the original map image
+ * (1843×4164), and finds the structure under a tap.
+ *
+ * A viewport describes how the image is drawn on screen:
+ *   { scale, offsetX, offsetY }
+ * so that screen = offset + pixel * scale. Fitting, zooming and panning all
+ * reduce to a viewport, so hit-testing doesn't care how the map got there.
+ */
+
+import { FIRST_LANDMARK_STRUCTURE } from "./StructureMapPoints";
+
+// How far from a structure's points a tap still counts, in screen points
+const DEFAULT_TOUCH_RADIUS = 24;
+
+// MARK: - Conversions
+
+export const screenToMapPixel = (point, viewport) => ({
+  x: (point.x - viewport.offsetX) / viewport.scale,
+  y: (point.y - viewport.offsetY) / viewport.scale,
+});
+
+export const mapPixelToScreen = (pixel, viewport) => ({
+  x: viewport.offsetX + pixel.x * viewport.scale,
+  y: viewport.offsetY + pixel.y * viewport.scale,
+});
+
+// MARK: - Hit Testing
+
+// Distance from a pixel to the nearest of a structure's placed points
+const getDistanceToLocation = (pixel, location) =>
+  Math.min(
+    ...location.points
+      .filter((point) => point.pixelPosition.x >= 0)
+      .map((point) =>
+        Math.hypot(
+          point.pixelPosition.x - pixel.x,
+          point.pixelPosition.y - pixel.y
+        )
+      )
+  );
+
+const isInsideBounds = (pixel, bounds, padding) =>
+  pixel.x >= bounds.minX - padding &&
+  pixel.x <= bounds.maxX + padding &&
+  pixel.y >= bounds.minY - padding &&
+  pixel.y <= bounds.maxY + padding;
+
+/**
+ * Structure number under a screen position, or null.
+ * `structureLocations` is the Map from StructureMapPoints; a tap hits a
+ * structure when it's within the touch radius of its footprint's pixel
+ * bounds, and the structure with the nearest point wins when several do.
+ */
+export const findStructureAtPoint = (
+  point,
+  viewport,
+  structureLocations,
+  { touchRadius = DEFAULT_TOUCH_RADIUS } = {}
+) => {
+  const pixel = screenToMapPixel(point, viewport);
+  const padding = touchRadius / viewport.scale;
+
+  let nearest = null;
+  structureLocations.forEach((location) => {
+    const { pixelBounds } = location.footprint;
+    if (location.structure >= FIRST_LANDMARK_STRUCTURE || !pixelBounds) return;
+    if (!isInsideBounds(pixel, pixelBounds, padding)) return;
+
+    const distance = getDistanceToLocation(pixel, location);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { structure: location.structure, distance };
+    }
+  });
+  return nearest ? nearest.structure : null;
+};
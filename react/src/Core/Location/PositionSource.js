@@ -0,0 +1,33 @@
+// PositionSource.js
+/**
+ * PositionSource
+ *
+ * The interface LocationService uses to receive positions, so the device GPS
+ * can be swapped for a simulated source (see TraceSimulator).
+ *
+ * A position source implements the same calls as
+ * @react-native-community/geolocation:
+ * - watchPosition(onPosition, onError, options) -> watch id
+ * - clearWatch(watchId)
+ * - getCurrentPosition(onPosition, onError, options)
+ * - now() -> the source's current time, on the clock its position
+ *   timestamps use
+ * and sets `isSimulated` so callers can skip permission prompts, and
+ * `speed`, how fast its clock runs against real time.
+ *
+ * Positions have the Geolocation shape:
+ * { coords: { latitude, longitude, accuracy }, timestamp }
+ */
+
+import Geolocation from "@react-native-community/geolocation";
+
+export const DevicePositionSource = {
+  isSimulated: false,
+  speed: 1,
+  now: () => Date.now(),
+  watchPosition: (onPosition, onError, options) =>
+    Geolocation.watchPosition(onPosition, onError, options),
+  clearWatch: (watchId) => Geolocation.clearWatch(watchId),
+  getCurrentPosition: (onPosition, onError, options) =>
+    Geolocation.getCurrentPosition(onPosition, onError, options),
+};
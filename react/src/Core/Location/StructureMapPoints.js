@@ -0,0 +1,127 @@
+// StructureMapPoints.js
+/**
+ * StructureMapPoints
+ *
+ * Links structures to points in mapPoints.json. Each map point records the
+ * structure it belongs to in its `structure` field:
+ *   -1            a trail point between structures
+ *   1 – 100       a structure from structuresList.json
+ *   101 and up    a landmark on the trail that isn't in structuresList.json
+ *
+ * One point per structure is marked `"primary": true` as its anchor: the
+ * spot routes, tours and visit geofences use. Structures without a primary
+ * point are anchored at the point nearest the middle of their points, so
+ * reordering or adding points never moves a structure.
+ */
+
+import { calculateDistance } from "./Geo";
+import { createGeofence } from "./VisitDetector";
+
+export const TRAIL_POINT_STRUCTURE = -1;
+export const FIRST_LANDMARK_STRUCTURE = 101;
+
+// Footprints are at least this big, so structures with a single point still
+// cover some ground
+const MIN_FOOTPRINT_RADIUS = 10; // meters
+
+const average = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const getCentroid = (points) => ({
+  latitude: average(points.map((point) => point.coordinate.latitude)),
+  longitude: average(points.map((point) => point.coordinate.longitude)),
+});
+
+const isPlaced = (point) =>
+  point.pixelPosition.x >= 0 && point.pixelPosition.y >= 0;
+
+/**
+ * Area a structure covers: { center, radius, pixelBounds } where center is
+ * the centroid of its points, radius reaches the furthest point (meters),
+ * and pixelBounds is { minX, minY, maxX, maxY } on the map image.
+ */
+const getFootprint = (points) => {
+  const center = getCentroid(points);
+  const placed = points.filter(isPlaced);
+  const xs = placed.map((point) => point.pixelPosition.x);
+  const ys = placed.map((point) => point.pixelPosition.y);
+
+  return {
+    center,
+    radius: Math.max(
+      MIN_FOOTPRINT_RADIUS,
+      ...points.map((point) => calculateDistance(center, point.coordinate))
+    ),
+    pixelBounds:
+      placed.length > 0
+        ? {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys),
+          }
+        : null,
+  };
+};
+
+const getAnchor = (points, footprint) => {
+  const primary = points.find((point) => point.isPrimary);
+  if (primary) return primary;
+
+  return points.reduce((nearest, point) =>
+    calculateDistance(footprint.center, point.coordinate) <
+    calculateDistance(footprint.center, nearest.coordinate)
+      ? point
+      : nearest
+  );
+};
+
+/**
+ * Groups MapPoint models by structure. Returns a Map from structure number
+ * to { structure, anchor, anchorIndex, points, footprint }, where
+ * anchorIndex is the anchor's index in `mapPoints` (for the trail graph).
+ * Trail points are left out; landmarks are included.
+ */
+export const buildStructureLocations = (mapPoints) => {
+  const pointsByStructure = new Map();
+  mapPoints.forEach((point) => {
+    if (point.structure === TRAIL_POINT_STRUCTURE) return;
+    const points = pointsByStructure.get(point.structure) || [];
+    points.push(point);
+    pointsByStructure.set(point.structure, points);
+  });
+
+  const locations = new Map();
+  pointsByStructure.forEach((points, structure) => {
+    const footprint = getFootprint(points);
+    const anchor = getAnchor(points, footprint);
+    locations.set(structure, {
+      structure,
+      anchor,
+      anchorIndex: mapPoints.indexOf(anchor),
+      points,
+      footprint,
+    });
+  });
+  return locations;
+};
+
+/**
+ * One visit geofence per structure (landmarks excluded), centred on its
+ * anchor and carrying the anchor as `mapPoint`. `radius` applies to every
+ * fence; `overrides` maps structure numbers to per-structure settings (see
+ * VisitDetector.createGeofence).
+ */
+export const buildStructureGeofences = (
+  mapPoints,
+  { radius, overrides = {} } = {}
+) =>
+  [...buildStructureLocations(mapPoints).values()]
+    .filter(({ structure }) => structure < FIRST_LANDMARK_STRUCTURE)
+    .map(({ structure, anchor }) => ({
+      ...createGeofence(structure, anchor.coordinate, {
+        ...(radius !== undefined && { radius }),
+        ...overrides[structure],
+      }),
+      mapPoint: anchor,
+    }));
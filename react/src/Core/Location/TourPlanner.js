@@ -0,0 +1,166 @@
+// TourPlanner.js
+/**
+ * TourPlanner
+ *
+ * Orders a set of structures into a walking itinerary over the trail graph.
+ *
+ * Stops are added by cheapest insertion (the stop that adds the least time
+ * goes in at its best position) and the order is then tightened with 2-opt
+ * swaps. With a time budget, insertion stops once the next cheapest stop no
+ * longer fits, so the tour covers as many structures as the budget allows.
+ */
+
+import { findDistancesFrom, estimateWalkingTime } from "./TrailGraph";
+
+// Time spent looking around at each stop.
+export const STOP_DWELL_TIME = 3 * 60; // seconds
+
+// MARK: - Helpers
+
+// Walking time along a path of node positions (0 = start, 1..n = stops).
+const getPathTime = (path, walkTime) =>
+  path
+    .slice(1)
+    .reduce((total, node, index) => total + walkTime(path[index], node), 0);
+
+// Extra time from putting `node` between positions position-1 and position.
+const getInsertionCost = (path, node, position, walkTime) => {
+  const previous = path[position - 1];
+  const next = path[position];
+  if (next === undefined) return walkTime(previous, node);
+  return (
+    walkTime(previous, node) + walkTime(node, next) - walkTime(previous, next)
+  );
+};
+
+// Reverses stretches of the path while that shortens it. The start stays
+// fixed and the tour does not return to it.
+const improveWithTwoOpt = (path, walkTime) => {
+  let best = path;
+  let bestTime = getPathTime(best, walkTime);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ];
+        const candidateTime = getPathTime(candidate, walkTime);
+        if (candidateTime < bestTime - 1e-6) {
+          best = candidate;
+          bestTime = candidateTime;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+// MARK: - Planning
+
+/**
+ * Plans a tour from the trail point at startIndex.
+ *
+ * stops:      [{ structure, mapPointIndex }]
+ * timeBudget: seconds available for walking and stops, or null for no limit
+ *
+ * Returns {
+ *   stops: [{ structure, walkDistance, walkTime, arrivesAfter }],
+ *   totalDistance, totalTime, skipped
+ * }
+ * with distances in meters, times in seconds and `skipped` listing the
+ * structure numbers left out.
+ */
+export const planTour = (
+  graph,
+  startIndex,
+  stops,
+  { timeBudget = null, dwellTime = STOP_DWELL_TIME } = {}
+) => {
+  const nodeIndices = [startIndex, ...stops.map((stop) => stop.mapPointIndex)];
+  const distanceRows = nodeIndices.map((index) =>
+    findDistancesFrom(graph, index)
+  );
+  const getDistance = (a, b) => {
+    const distance = distanceRows[a].get(nodeIndices[b]);
+    return distance === undefined ? Infinity : distance;
+  };
+  const walkTime = (a, b) => estimateWalkingTime(getDistance(a, b));
+
+  // Stop positions (1..n) that can actually be walked to
+  const remaining = new Set(
+    stops
+      .map((stop, index) => index + 1)
+      .filter((node) => Number.isFinite(getDistance(0, node)))
+  );
+  let path = [0];
+
+  const insertStops = () => {
+    let inserted = false;
+    for (;;) {
+      const totalTime =
+        getPathTime(path, walkTime) + (path.length - 1) * dwellTime;
+
+      let best = null;
+      remaining.forEach((node) => {
+        for (let position = 1; position <= path.length; position++) {
+          const cost =
+            getInsertionCost(path, node, position, walkTime) + dwellTime;
+          if (!best || cost < best.cost) best = { node, position, cost };
+        }
+      });
+
+      if (!best) return inserted;
+      if (timeBudget !== null && totalTime + best.cost > timeBudget) {
+        return inserted;
+      }
+
+      path = [
+        ...path.slice(0, best.position),
+        best.node,
+        ...path.slice(best.position),
+      ];
+      remaining.delete(best.node);
+      inserted = true;
+    }
+  };
+
+  // Shortening the order can free up time for more stops, so alternate
+  // until neither step changes anything.
+  while (insertStops()) {
+    path = improveWithTwoOpt(path, walkTime);
+  }
+
+  let elapsed = 0;
+  let totalDistance = 0;
+  const itinerary = path.slice(1).map((node, index) => {
+    const previous = path[index];
+    const distance = getDistance(previous, node);
+    const time = walkTime(previous, node);
+    elapsed += time;
+    totalDistance += distance;
+    const stop = {
+      structure: stops[node - 1].structure,
+      walkDistance: distance,
+      walkTime: time,
+      arrivesAfter: elapsed,
+    };
+    elapsed += dwellTime;
+    return stop;
+  });
+
+  const planned = new Set(itinerary.map((stop) => stop.structure));
+  return {
+    stops: itinerary,
+    totalDistance,
+    totalTime: elapsed,
+    skipped: stops
+      .map((stop) => stop.structure)
+      .filter((structure) => !planned.has(structure)),
+  };
+};
@@ -0,0 +1,237 @@
+// TraceSimulator.js
+/**
+ * TraceSimulator
+ *
+ * Replays recorded walks as a position source (see PositionSource) so
+ * Adventure Mode can be exercised without being in Poly Canyon.
+ *
+ * Traces are GPX (<trkpt>/<rtept> with optional <time>) or JSON, either an
+ * array or { points: [...] } of
+ * { latitude|lat, longitude|lon|lng, timestamp|time?, accuracy? }.
+ * Points without a time are spaced DEFAULT_POINT_INTERVAL apart.
+ */
+
+import { calculateDistance } from "./Geo";
+
+const DEFAULT_POINT_INTERVAL = 1000; // milliseconds
+const DEFAULT_ACCURACY = 5; // meters
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// MARK: - Parsing
+
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+const parseGpx = (text) => {
+  const pointPattern = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  const points = [];
+  let match;
+  while ((match = pointPattern.exec(text)) !== null) {
+    const attributes = match[2];
+    const body = match[4] || "";
+    const lat = attributes.match(/lat\s*=\s*"([^"]+)"/);
+    const lon = attributes.match(/lon\s*=\s*"([^"]+)"/);
+    const time = body.match(/<time>([^<]+)<\/time>/);
+    points.push({
+      latitude: lat ? Number(lat[1]) : NaN,
+      longitude: lon ? Number(lon[1]) : NaN,
+      time: time ? parseTime(time[1].trim()) : null,
+      accuracy: null,
+    });
+  }
+  return points;
+};
+
+const firstDefined = (...values) =>
+  values.find((value) => value !== undefined && value !== null);
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This trace isn't valid JSON or GPX.");
+  }
+  const list = Array.isArray(data) ? data : data && data.points;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON traces must be an array of points.");
+  }
+  return list.map((point) => ({
+    latitude: Number(firstDefined(point.latitude, point.lat)),
+    longitude: Number(firstDefined(point.longitude, point.lon, point.lng)),
+    time: parseTime(firstDefined(point.timestamp, point.time)),
+    accuracy: typeof point.accuracy === "number" ? point.accuracy : null,
+  }));
+};
+
+// Rebases times to offsets from the first point and fills in missing ones.
+const normalizeTrace = (points) => {
+  const firstTime = points.find((point) => point.time !== null);
+  let previousOffset = -DEFAULT_POINT_INTERVAL;
+
+  return points.map((point) => {
+    const offset =
+      point.time !== null && firstTime
+        ? Math.max(point.time - firstTime.time, previousOffset)
+        : previousOffset + DEFAULT_POINT_INTERVAL;
+    previousOffset = offset;
+    return {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      offset,
+    };
+  });
+};
+
+/**
+ * Parses GPX or JSON text into [{ latitude, longitude, accuracy, offset }]
+ * with offset in milliseconds from the first point. Throws an Error with a
+ * readable message when the trace can't be used.
+ */
+export const parseTrace = (text) => {
+  const trimmed = (text || "").trim();
+  if (!trimmed) throw new Error("The trace is empty.");
+
+  const points = trimmed.startsWith("<")
+    ? parseGpx(trimmed)
+    : parseJson(trimmed);
+  if (points.length === 0) throw new Error("The trace has no points.");
+
+  const invalidIndex = points.findIndex(
+    (point) =>
+      !Number.isFinite(point.latitude) || !Number.isFinite(point.longitude)
+  );
+  if (invalidIndex !== -1) {
+    throw new Error(`Point ${invalidIndex + 1} has no valid coordinates.`);
+  }
+
+  return normalizeTrace(points);
+};
+
+/**
+ * Builds a trace that walks through coordinates at a steady pace
+ * (meters per second), e.g. along a route from the trail graph.
+ */
+export const createTraceFromCoordinates = (coordinates, walkingSpeed) => {
+  let offset = 0;
+  return coordinates.map((coordinate, index) => {
+    if (index > 0) {
+      const distance = calculateDistance(coordinates[index - 1], coordinate);
+      offset += (distance / walkingSpeed) * 1000;
+    }
+    return {
+      latitude: coordinate.latitude,
+      longitude: coordinate.longitude,
+      accuracy: null,
+      offset: Math.round(offset),
+    };
+  });
+};
+
+// MARK: - Simulation
+
+// Normally distributed sample (Box-Muller)
+const randomGaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Shifts a coordinate by a random offset with `noise` meters of spread.
+const addNoise = (point, noise, random) => {
+  if (!noise) return point;
+  const northMeters = randomGaussian(random) * noise;
+  const eastMeters = randomGaussian(random) * noise;
+  const metersPerDegreeLongitude =
+    METERS_PER_DEGREE_LATITUDE * Math.cos((point.latitude * Math.PI) / 180);
+  return {
+    ...point,
+    latitude: point.latitude + northMeters / METERS_PER_DEGREE_LATITUDE,
+    longitude: point.longitude + eastMeters / metersPerDegreeLongitude,
+  };
+};
+
+/**
+ * Position source that replays a parsed trace.
+ *
+ * speed:    playback rate, 2 replays twice as fast as recorded
+ * noise:    standard deviation in meters of random error added to each fix
+ * accuracy: reported accuracy for points that don't carry their own
+ * random:   random number generator, replaceable for repeatable runs
+ * onFinish: called once the last point of a watch has been delivered
+ *
+ * Position timestamps follow the trace's own clock, so dwell times are the
+ * same at any playback speed. now() reads that clock for the latest watch.
+ */
+export const createSimulatedPositionSource = (
+  trace,
+  {
+    speed = 1,
+    noise = 0,
+    accuracy = DEFAULT_ACCURACY,
+    random = Math.random,
+    onFinish = null,
+  } = {}
+) => {
+  const watches = new Map();
+  let nextWatchId = 1;
+  let lastPosition = null;
+  let clockStartedAt = null;
+
+  const toPosition = (point, startedAt) => {
+    const noisy = addNoise(point, noise, random);
+    return {
+      coords: {
+        latitude: noisy.latitude,
+        longitude: noisy.longitude,
+        accuracy: point.accuracy !== null ? point.accuracy : accuracy,
+      },
+      timestamp: startedAt + point.offset,
+    };
+  };
+
+  return {
+    isSimulated: true,
+    speed,
+
+    now: () =>
+      clockStartedAt === null
+        ? Date.now()
+        : clockStartedAt + (Date.now() - clockStartedAt) * speed,
+
+    watchPosition: (onPosition) => {
+      const watchId = nextWatchId++;
+      const startedAt = Date.now();
+      clockStartedAt = startedAt;
+      const timers = trace.map((point, index) =>
+        setTimeout(() => {
+          lastPosition = toPosition(point, startedAt);
+          onPosition(lastPosition);
+          if (index === trace.length - 1) {
+            watches.delete(watchId);
+            if (onFinish) onFinish();
+          }
+        }, point.offset / speed)
+      );
+      watches.set(watchId, timers);
+      return watchId;
+    },
+
+    clearWatch: (watchId) => {
+      (watches.get(watchId) || []).forEach(clearTimeout);
+      watches.delete(watchId);
+    },
+
+    getCurrentPosition: (onPosition, onError) => {
+      if (lastPosition || trace.length > 0) {
+        onPosition(lastPosition || toPosition(trace[0], Date.now()));
+      } else if (onError) {
+        onError(new Error("The simulated trace has no points."));
+      }
+    },
+  };
+};
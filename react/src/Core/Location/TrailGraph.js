@@ -0,0 +1,197 @@
+// TrailGraph.js
+/**
+ * TrailGraph
+ *
+ * Walking graph over the canyon trail points in mapPoints.json and a
+ * shortest-path search on top of it.
+ *
+ * The points are not stored in walking order, so edges are built from
+ * proximity on the map image: every point is linked to its nearest
+ * neighbours, then any pieces left disconnected are joined through their
+ * closest pair of points. Edge lengths use pixel distance, which matches the
+ * line drawn on the map and is unaffected by the noise in the recorded GPS
+ * coordinates.
+ */
+
+// Each trail point is linked to this many of its nearest neighbours.
+const NEIGHBOR_COUNT = 2;
+
+// Median ground distance per map pixel, measured between neighbouring
+// trail points.
+export const METERS_PER_PIXEL = 0.122;
+
+// Average walking pace on the canyon trail.
+export const WALKING_SPEED = 1.2; // meters per second
+
+// Placeholder points sit off the map (negative pixel positions) and are
+// left out of the graph.
+const isOnMap = (point) =>
+  point.pixelPosition.x >= 0 && point.pixelPosition.y >= 0;
+
+const getPixelDistance = (a, b) =>
+  Math.hypot(
+    a.pixelPosition.x - b.pixelPosition.x,
+    a.pixelPosition.y - b.pixelPosition.y
+  );
+
+// MARK: - Graph Construction
+
+/**
+ * Builds { points, edges } where edges[i] lists { to, length } for the point
+ * at mapPoints index i. Lengths are in meters.
+ */
+export const buildTrailGraph = (points) => {
+  const edges = points.map(() => []);
+  const nodes = points
+    .map((point, index) => index)
+    .filter((index) => isOnMap(points[index]));
+
+  const linked = new Set();
+  const addEdge = (a, b) => {
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (a === b || linked.has(key)) return;
+    linked.add(key);
+    const length = getPixelDistance(points[a], points[b]) * METERS_PER_PIXEL;
+    edges[a].push({ to: b, length });
+    edges[b].push({ to: a, length });
+  };
+
+  nodes.forEach((index) => {
+    nodes
+      .filter((other) => other !== index)
+      .sort(
+        (a, b) =>
+          getPixelDistance(points[index], points[a]) -
+          getPixelDistance(points[index], points[b])
+      )
+      .slice(0, NEIGHBOR_COUNT)
+      .forEach((neighbor) => addEdge(index, neighbor));
+  });
+
+  connectComponents(points, nodes, edges, addEdge);
+
+  return { points, edges };
+};
+
+// Joins disconnected pieces of the graph through their closest points until
+// every on-map point is reachable.
+const connectComponents = (points, nodes, edges, addEdge) => {
+  for (;;) {
+    const reachable = new Set();
+    const stack = nodes.length > 0 ? [nodes[0]] : [];
+    while (stack.length > 0) {
+      const index = stack.pop();
+      if (reachable.has(index)) continue;
+      reachable.add(index);
+      edges[index].forEach(({ to }) => stack.push(to));
+    }
+
+    const unreachable = nodes.filter((index) => !reachable.has(index));
+    if (unreachable.length === 0) return;
+
+    let bridge = null;
+    reachable.forEach((a) => {
+      unreachable.forEach((b) => {
+        const distance = getPixelDistance(points[a], points[b]);
+        if (!bridge || distance < bridge.distance) {
+          bridge = { a, b, distance };
+        }
+      });
+    });
+    addEdge(bridge.a, bridge.b);
+  }
+};
+
+// MARK: - Pathfinding
+
+const isGraphNode = (graph, index) =>
+  Boolean(graph.points[index]) && isOnMap(graph.points[index]);
+
+// Dijkstra from startIndex, stopping early once goalIndex is settled.
+// The graph has a couple hundred nodes, so a linear scan for the closest
+// unsettled node is fast enough and keeps this free of a heap.
+const runDijkstra = (graph, startIndex, goalIndex = null) => {
+  const distances = new Map([[startIndex, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const frontier = new Set([startIndex]);
+
+  while (frontier.size > 0) {
+    let current = null;
+    frontier.forEach((index) => {
+      if (current === null || distances.get(index) < distances.get(current)) {
+        current = index;
+      }
+    });
+    frontier.delete(current);
+    if (current === goalIndex) break;
+    visited.add(current);
+
+    graph.edges[current].forEach(({ to, length }) => {
+      if (visited.has(to)) return;
+      const distance = distances.get(current) + length;
+      if (!distances.has(to) || distance < distances.get(to)) {
+        distances.set(to, distance);
+        previous.set(to, current);
+        frontier.add(to);
+      }
+    });
+  }
+
+  return { distances, previous };
+};
+
+/**
+ * Shortest path between two mapPoints indices.
+ * Returns { indices, distance } with distance in meters, or null when either
+ * index is not part of the graph.
+ */
+export const findShortestPath = (graph, startIndex, goalIndex) => {
+  if (!isGraphNode(graph, startIndex) || !isGraphNode(graph, goalIndex)) {
+    return null;
+  }
+
+  const { distances, previous } = runDijkstra(graph, startIndex, goalIndex);
+  if (!distances.has(goalIndex)) return null;
+
+  const indices = [goalIndex];
+  while (indices[0] !== startIndex) {
+    indices.unshift(previous.get(indices[0]));
+  }
+  return { indices, distance: distances.get(goalIndex) };
+};
+
+/**
+ * Walking distance in meters from startIndex to every reachable point,
+ * as a Map of mapPoints index -> distance.
+ */
+export const findDistancesFrom = (graph, startIndex) => {
+  if (!isGraphNode(graph, startIndex)) return new Map();
+  return runDijkstra(graph, startIndex).distances;
+};
+
+// Walking time in seconds for a distance in meters.
+export const estimateWalkingTime = (distance) => distance / WALKING_SPEED;
+
+// MARK: - Formatting
+
+const FEET_PER_METER = 3.28084;
+const FEET_PER_MILE = 5280;
+
+// "450 ft" for short walks, "0.4 mi" beyond a tenth of a mile.
+export const formatWalkingDistance = (distance) => {
+  const feet = distance * FEET_PER_METER;
+  if (feet < FEET_PER_MILE / 10) {
+    return `${Math.round(feet / 10) * 10} ft`;
+  }
+  return `${(feet / FEET_PER_MILE).toFixed(1)} mi`;
+};
+
+// "< 1 min", "7 min" or "1 h 5 min" for a duration in seconds.
+export const formatWalkingTime = (duration) => {
+  const minutes = Math.round(duration / 60);
+  if (minutes < 1) return "< 1 min";
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} h ${minutes % 60} min`;
+};
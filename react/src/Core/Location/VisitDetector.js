@@ -0,0 +1,153 @@
+// VisitDetector.js
+/**
+ * VisitDetector
+ *
+ * Pure geofence state machine that turns a stream of GPS positions into
+ * structure visits. Nothing here touches React or device APIs, so a
+ * recorded walk can be replayed through `detectVisits` directly.
+ *
+ * Each structure has a circular geofence. A visit counts only when the user
+ * stays inside it for the dwell time, so walking past on the road does not
+ * register. Fixes less accurate than `maxAccuracy` are ignored. Leaving
+ * requires going `exitHysteresis` meters past the radius, so GPS jitter at
+ * the edge doesn't restart the dwell timer.
+ *
+ * Per fence status:
+ *   outside -> dwelling  (entered the radius)
+ *   dwelling -> inside   (stayed for dwellTime; emits "visit")
+ *   dwelling/inside -> outside (beyond radius + exitHysteresis; "exit")
+ */
+
+import { calculateDistance } from "./Geo";
+
+export const VISIT_DETECTION_DEFAULTS = {
+  radius: 20, // meters
+  dwellTime: 20 * 1000, // milliseconds
+  maxAccuracy: 25, // meters, worse fixes are ignored
+  exitHysteresis: 10, // meters beyond the radius before leaving
+};
+
+export const FenceStatus = {
+  OUTSIDE: "outside",
+  DWELLING: "dwelling",
+  INSIDE: "inside",
+};
+
+export const VisitEventType = {
+  ENTER: "enter",
+  VISIT: "visit",
+  EXIT: "exit",
+};
+
+// MARK: - Geofences
+
+/**
+ * Builds a geofence: { structure, center, radius, dwellTime, exitHysteresis }.
+ * `overrides` replaces any of the defaults for this structure.
+ */
+export const createGeofence = (structure, center, overrides = {}) => {
+  const { radius, dwellTime, exitHysteresis } = {
+    ...VISIT_DETECTION_DEFAULTS,
+    ...overrides,
+  };
+  return { structure, center, radius, dwellTime, exitHysteresis };
+};
+
+// MARK: - Detection
+
+export const createDetectorState = () => ({ fences: {} });
+
+const OUTSIDE = { status: FenceStatus.OUTSIDE, enteredAt: null };
+
+/**
+ * Feeds one position into the detector.
+ * position: { latitude, longitude, accuracy, timestamp } (timestamp in ms)
+ * Returns { state, events } with events as { type, structure, timestamp }.
+ */
+export const detectVisits = (
+  state,
+  position,
+  geofences,
+  { maxAccuracy = VISIT_DETECTION_DEFAULTS.maxAccuracy } = {}
+) => {
+  if (
+    !position ||
+    (typeof position.accuracy === "number" && position.accuracy > maxAccuracy)
+  ) {
+    return { state, events: [] };
+  }
+
+  const events = [];
+  const fences = { ...state.fences };
+  const { timestamp } = position;
+
+  geofences.forEach((fence) => {
+    const current = fences[fence.structure] || OUTSIDE;
+    const distance = calculateDistance(position, fence.center);
+    const hasLeft = distance > fence.radius + fence.exitHysteresis;
+
+    switch (current.status) {
+      case FenceStatus.OUTSIDE:
+        if (distance <= fence.radius) {
+          fences[fence.structure] = {
+            status: FenceStatus.DWELLING,
+            enteredAt: timestamp,
+          };
+          events.push({
+            type: VisitEventType.ENTER,
+            structure: fence.structure,
+            timestamp,
+          });
+        }
+        break;
+
+      case FenceStatus.DWELLING:
+        if (hasLeft) {
+          fences[fence.structure] = OUTSIDE;
+          events.push({
+            type: VisitEventType.EXIT,
+            structure: fence.structure,
+            timestamp,
+          });
+        } else if (timestamp - current.enteredAt >= fence.dwellTime) {
+          fences[fence.structure] = { ...current, status: FenceStatus.INSIDE };
+          events.push({
+            type: VisitEventType.VISIT,
+            structure: fence.structure,
+            timestamp,
+          });
+        }
+        break;
+
+      case FenceStatus.INSIDE:
+        if (hasLeft) {
+          fences[fence.structure] = OUTSIDE;
+          events.push({
+            type: VisitEventType.EXIT,
+            structure: fence.structure,
+            timestamp,
+          });
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return { state: { fences }, events };
+};
+
+/**
+ * Replays a whole list of positions and returns every event in order.
+ */
+export const replayPositions = (positions, geofences, options) => {
+  let state = createDetectorState();
+  const events = [];
+  positions.forEach((position) => {
+    const result = detectVisits(state, position, geofences, options);
+    state = result.state;
+    events.push(...result.events);
+  });
+  return { state, events };
+};
@@ -0,0 +1,159 @@
+// LocationService.test.js
+/**
+ * LocationServiceProvider fed by a simulated position source: the source
+ * swap, dwell timers, recorded visits and the Adventure Mode status.
+ */
+
+import fs from "fs";
+import path from "path";
+import React from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import mapPointsData from "../mapPoints.json";
+import { MapPoint, VisitSource } from "../../Data/Models";
+import { buildStructureGeofences } from "../StructureMapPoints";
+import { parseTrace, createSimulatedPositionSource } from "../TraceSimulator";
+import { AdventureModeStatus } from "../CanyonArea";
+import {
+  LocationServiceProvider,
+  useLocationService,
+} from "../LocationService";
+
+const mockMarkStructureAsVisited = jest.fn();
+
+// The device GPS isn't linked under Jest; every test passes its own source
+jest.mock("@react-native-community/geolocation", () => ({}));
+jest.mock("../../Data/DataStore", () => ({
+  useDataStore: () => ({
+    markStructureAsVisited: mockMarkStructureAsVisited,
+    getStructure: () => null,
+  }),
+}));
+jest.mock("../../States/AdventureMode", () => ({
+  useAdventureMode: () => ({ adventureMode: true }),
+}));
+jest.mock("../../States/AppState", () => ({
+  useAppState: () => ({
+    isOnboardingCompleted: true,
+    showVisitedPopup: jest.fn(),
+    setSelectedStructure: jest.fn(),
+  }),
+}));
+
+// South of the canyon to structure 3 (see TraceReplay.test.js)
+const ENTRANCE_WALK = parseTrace(
+  fs.readFileSync(path.join(__dirname, "fixtures", "entranceWalk.gpx"), "utf8")
+);
+
+const STRUCTURE_1 = buildStructureGeofences(
+  mapPointsData.map((data) => MapPoint.fromMapPointData(data))
+).find((geofence) => geofence.structure === 1);
+
+// Stands at structure 1 and sends nothing more, like the device GPS once
+// the user stops moving past its distance filter
+const STANDING_AT_STRUCTURE_1 = [
+  { ...STRUCTURE_1.center, accuracy: null, offset: 0 },
+];
+
+const visitedStructures = () =>
+  mockMarkStructureAsVisited.mock.calls.map(([structure]) => structure);
+
+// Renders the provider and records the context after every render
+const renderProvider = async (positionSource) => {
+  const contexts = [];
+  const Probe = () => {
+    contexts.push(useLocationService());
+    return null;
+  };
+  await act(async () => {
+    TestRenderer.create(
+      <LocationServiceProvider positionSource={positionSource}>
+        <Probe />
+      </LocationServiceProvider>
+    );
+  });
+  return contexts;
+};
+
+// Delivers a trace one point at a time so every update renders, then lets
+// any dwell timers run out
+const playTrace = (trace) => {
+  trace.forEach((point, index) => {
+    const previous = index > 0 ? trace[index - 1].offset : 0;
+    act(() => {
+      jest.advanceTimersByTime(point.offset - previous);
+    });
+  });
+  act(() => {
+    jest.runOnlyPendingTimers();
+  });
+};
+
+const statusTransitions = (contexts) =>
+  contexts
+    .map((context) => context.adventureModeStatus)
+    .filter((status, index, all) => index === 0 || status !== all[index - 1]);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date("2025-03-08T17:00:00Z"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  mockMarkStructureAsVisited.mockClear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("LocationServiceProvider with a simulated source", () => {
+  it("visits the structures along a replayed walk", async () => {
+    const source = createSimulatedPositionSource(ENTRANCE_WALK);
+    const contexts = await renderProvider(source);
+
+    playTrace(ENTRANCE_WALK);
+
+    expect(visitedStructures()).toEqual([1, 3]);
+    expect(mockMarkStructureAsVisited).toHaveBeenCalledWith(
+      1,
+      expect.objectContaining({ source: VisitSource.GPS_AUTO })
+    );
+    expect(statusTransitions(contexts)).toEqual([
+      AdventureModeStatus.NOT_VISITING,
+      AdventureModeStatus.ALMOST_THERE,
+      AdventureModeStatus.EXPLORING,
+    ]);
+  });
+
+  it("completes a dwell from the timer at the source's speed", async () => {
+    const source = createSimulatedPositionSource(STANDING_AT_STRUCTURE_1, {
+      speed: 4,
+    });
+    await renderProvider(source);
+
+    act(() => {
+      jest.advanceTimersByTime(0);
+    });
+    expect(visitedStructures()).toEqual([]);
+
+    // The dwell time on the trace's clock passes in a quarter of the time
+    act(() => {
+      jest.advanceTimersByTime((STRUCTURE_1.dwellTime + 1000) / 4);
+    });
+    expect(visitedStructures()).toEqual([1]);
+  });
+
+  it("restarts tracking on a source swapped in at runtime", async () => {
+    const idle = createSimulatedPositionSource([]);
+    const contexts = await renderProvider(idle);
+
+    act(() => {
+      contexts[contexts.length - 1].setPositionSource(
+        createSimulatedPositionSource(ENTRANCE_WALK)
+      );
+    });
+    await act(async () => {});
+    playTrace(ENTRANCE_WALK);
+
+    expect(visitedStructures()).toEqual([1, 3]);
+  });
+});
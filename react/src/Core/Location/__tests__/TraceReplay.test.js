@@ -0,0 +1,230 @@
+// TraceReplay.test.js
+/**
+ * Replays recorded walks through the visit detector and the canyon status
+ * rules, the same way LocationService handles live positions.
+ */
+
+import fs from "fs";
+import path from "path";
+import mapPointsData from "../mapPoints.json";
+import { MapPoint } from "../../Data/Models";
+import { buildStructureGeofences } from "../StructureMapPoints";
+import {
+  replayPositions,
+  VisitEventType,
+  VISIT_DETECTION_DEFAULTS,
+} from "../VisitDetector";
+import {
+  parseTrace,
+  createSimulatedPositionSource,
+  createTraceFromCoordinates,
+} from "../TraceSimulator";
+import { AdventureModeStatus, getAdventureModeStatus } from "../CanyonArea";
+import { calculateDistance } from "../Geo";
+
+// South of the canyon to structure 3: waits 30 s at structure 1, jogs past
+// structure 2 and waits 25 s at structure 3
+const ENTRANCE_WALK = fs.readFileSync(
+  path.join(__dirname, "fixtures", "entranceWalk.gpx"),
+  "utf8"
+);
+
+const geofences = buildStructureGeofences(
+  mapPointsData.map((data) => MapPoint.fromMapPointData(data))
+);
+
+// Repeatable random numbers in [0, 1) (mulberry32)
+const createSeededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value ^= value + Math.imul(value ^ (value >>> 7), 61 | value);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toDetectorPosition = (point, startTime = 0) => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  accuracy: point.accuracy !== null ? point.accuracy : 5,
+  timestamp: startTime + point.offset,
+});
+
+const visitedStructures = (events) =>
+  events
+    .filter((event) => event.type === VisitEventType.VISIT)
+    .map((event) => event.structure);
+
+// Statuses in the order they were reached, repeats collapsed
+const statusTransitions = (positions) =>
+  positions
+    .map((position) => getAdventureModeStatus(position))
+    .filter((status, index, all) => index === 0 || status !== all[index - 1]);
+
+describe("recorded walk replay", () => {
+  const trace = parseTrace(ENTRANCE_WALK);
+  const positions = trace.map((point) => toDetectorPosition(point));
+
+  it("parses the GPX times as offsets from the first point", () => {
+    expect(trace[0].offset).toBe(0);
+    expect(trace[trace.length - 1].offset).toBeGreaterThan(5 * 60 * 1000);
+  });
+
+  it("visits the structures the walker waited at, not the one jogged past", () => {
+    const { events } = replayPositions(positions, geofences);
+
+    expect(visitedStructures(events)).toEqual([1, 3]);
+    expect(
+      events.filter((event) => event.structure === 2).map((event) => event.type)
+    ).toEqual([VisitEventType.ENTER, VisitEventType.EXIT]);
+  });
+
+  it("goes from outside to almost there to exploring", () => {
+    expect(statusTransitions(positions)).toEqual([
+      AdventureModeStatus.NOT_VISITING,
+      AdventureModeStatus.ALMOST_THERE,
+      AdventureModeStatus.EXPLORING,
+    ]);
+  });
+
+  it("ignores fixes less accurate than the limit", () => {
+    const inaccurate = positions.map((position) => ({
+      ...position,
+      accuracy: VISIT_DETECTION_DEFAULTS.maxAccuracy + 1,
+    }));
+
+    expect(replayPositions(inaccurate, geofences).events).toEqual([]);
+  });
+});
+
+describe("walk along the edge", () => {
+  // Walks from ~400 m south of the canyon to ~100 m from it and back
+  const trace = createTraceFromCoordinates(
+    [
+      { latitude: 35.30983, longitude: -120.65188 },
+      { latitude: 35.311, longitude: -120.65188 },
+      { latitude: 35.3121, longitude: -120.65188 },
+      { latitude: 35.311, longitude: -120.65188 },
+      { latitude: 35.30983, longitude: -120.65188 },
+    ],
+    1.4
+  );
+  const positions = trace.map((point) => toDetectorPosition(point));
+
+  it("gets almost there and back without visiting anything", () => {
+    expect(statusTransitions(positions)).toEqual([
+      AdventureModeStatus.NOT_VISITING,
+      AdventureModeStatus.ALMOST_THERE,
+      AdventureModeStatus.NOT_VISITING,
+    ]);
+    expect(replayPositions(positions, geofences).events).toEqual([]);
+  });
+});
+
+describe("simulated position source", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2025-03-08T17:00:00Z"));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const collectWatch = (source) => {
+    const received = [];
+    source.watchPosition((position) =>
+      received.push({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        timestamp: position.timestamp,
+      })
+    );
+    return received;
+  };
+
+  it("delivers the walk so the same structures get visited", () => {
+    const trace = parseTrace(ENTRANCE_WALK);
+    const onFinish = jest.fn();
+    const source = createSimulatedPositionSource(trace, { onFinish });
+    const received = collectWatch(source);
+
+    jest.advanceTimersByTime(trace[trace.length - 1].offset);
+
+    expect(received).toHaveLength(trace.length);
+    expect(onFinish).toHaveBeenCalledTimes(1);
+    expect(
+      visitedStructures(replayPositions(received, geofences).events)
+    ).toEqual([1, 3]);
+  });
+
+  it("keeps the trace's clock when played back faster", () => {
+    const trace = parseTrace(ENTRANCE_WALK);
+    const source = createSimulatedPositionSource(trace, { speed: 10 });
+    const received = collectWatch(source);
+
+    const lastOffset = trace[trace.length - 1].offset;
+    jest.advanceTimersByTime(lastOffset / 10);
+
+    expect(received).toHaveLength(trace.length);
+    expect(
+      received[received.length - 1].timestamp - received[0].timestamp
+    ).toBe(lastOffset);
+    expect(
+      visitedStructures(replayPositions(received, geofences).events)
+    ).toEqual([1, 3]);
+  });
+
+  it("adds the same noise for the same seed and still visits", () => {
+    const trace = parseTrace(ENTRANCE_WALK);
+    const replayWithSeed = (seed) => {
+      const source = createSimulatedPositionSource(trace, {
+        noise: 3,
+        random: createSeededRandom(seed),
+      });
+      const received = collectWatch(source);
+      jest.advanceTimersByTime(trace[trace.length - 1].offset);
+      return received;
+    };
+    const coordinates = (positions) =>
+      positions.map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+    const first = replayWithSeed(42);
+    const offsets = first.map((position, index) =>
+      calculateDistance(position, trace[index])
+    );
+
+    expect(coordinates(replayWithSeed(42))).toEqual(coordinates(first));
+    expect(coordinates(replayWithSeed(7))).not.toEqual(coordinates(first));
+    expect(Math.min(...offsets)).toBeGreaterThan(0);
+    expect(Math.max(...offsets)).toBeLessThan(15);
+    expect(visitedStructures(replayPositions(first, geofences).events)).toEqual(
+      [1, 3]
+    );
+  });
+
+  it("runs its clock at the playback speed", () => {
+    const trace = parseTrace(ENTRANCE_WALK);
+    const source = createSimulatedPositionSource(trace, { speed: 4 });
+    const received = collectWatch(source);
+
+    jest.advanceTimersByTime(trace[3].offset / 4);
+
+    expect(source.now()).toBe(received[3].timestamp);
+  });
+
+  it("stops delivering once the watch is cleared", () => {
+    const trace = parseTrace(ENTRANCE_WALK);
+    const source = createSimulatedPositionSource(trace);
+    const received = [];
+    const watchId = source.watchPosition((position) => received.push(position));
+
+    jest.advanceTimersByTime(trace[2].offset);
+    source.clearWatch(watchId);
+    jest.runAllTimers();
+
+    expect(received).toHaveLength(3);
+  });
+});
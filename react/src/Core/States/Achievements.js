@@ -0,0 +1,122 @@
+// MARK: - Achievements
+/**
+ * Achievements
+ *
+ * Watches DataStore state and unlocks the badges defined in
+ * AchievementRules. It provides:
+ * - Unlock dates for every earned achievement, persisted across launches
+ * - A queue of fresh unlocks for the unlock popup
+ * - Progress for each achievement, used by the badge gallery
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
+import { useDataStore } from "../Data/DataStore";
+import {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  getAchievement,
+  getAchievementProgress,
+} from "../Data/AchievementRules";
+import { getPersistedValue, setPersistedValue } from "../Data/Persistence";
+
+const AchievementsContext = createContext(null);
+
+export const AchievementsProvider = ({ children }) => {
+  const { structures, visitHistory, isHydrated } = useDataStore();
+
+  // Achievement id -> unlock timestamp
+  const [unlocked, setUnlocked] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Ids unlocked this session that the user hasn't seen yet
+  const [pendingUnlocks, setPendingUnlocks] = useState([]);
+  // Achievements already met when the app starts were earned earlier, so
+  // the first evaluation records them without announcing them.
+  const hasEvaluated = useRef(false);
+
+  useEffect(() => {
+    const loadUnlocked = async () => {
+      try {
+        setUnlocked(await getPersistedValue("achievements"));
+      } catch (error) {
+        console.error("Achievements - Error loading unlocks:", error);
+      } finally {
+        setIsLoaded(true);
+      }
+    };
+    loadUnlocked();
+  }, []);
+
+  // Re-evaluate the rules whenever visit, open or like state changes.
+  useEffect(() => {
+    if (!isLoaded || !isHydrated) return;
+
+    const newlyUnlocked = evaluateAchievements({
+      structures,
+      visitHistory,
+    }).filter((id) => !unlocked[id]);
+
+    if (newlyUnlocked.length > 0) {
+      const now = Date.now();
+      const nextUnlocked = { ...unlocked };
+      newlyUnlocked.forEach((id) => {
+        nextUnlocked[id] = now;
+      });
+      setUnlocked(nextUnlocked);
+      setPersistedValue("achievements", nextUnlocked);
+
+      if (hasEvaluated.current) {
+        setPendingUnlocks((prev) => [...prev, ...newlyUnlocked]);
+      }
+    }
+    hasEvaluated.current = true;
+  }, [structures, visitHistory, isLoaded, isHydrated]);
+
+  // Next achievement to announce, or null
+  const currentUnlock =
+    pendingUnlocks.length > 0 ? getAchievement(pendingUnlocks[0]) : null;
+
+  const dismissCurrentUnlock = () => {
+    setPendingUnlocks((prev) => prev.slice(1));
+  };
+
+  // Every achievement with its unlock date (null if locked) and progress
+  const getAchievements = () =>
+    ACHIEVEMENTS.map((achievement) => ({
+      ...achievement,
+      unlockedAt: unlocked[achievement.id] || null,
+      progress: getAchievementProgress(achievement, {
+        structures,
+        visitHistory,
+      }),
+    }));
+
+  const value = {
+    unlocked,
+    currentUnlock,
+    dismissCurrentUnlock,
+    getAchievements,
+  };
+
+  return (
+    <AchievementsContext.Provider value={value}>
+      {children}
+    </AchievementsContext.Provider>
+  );
+};
+
+// MARK: - Custom Hook
+export const useAchievements = () => {
+  const context = useContext(AchievementsContext);
+  if (!context) {
+    throw new Error(
+      "useAchievements must be used within an AchievementsProvider"
+    );
+  }
+  return context;
+};
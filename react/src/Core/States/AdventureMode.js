@@ -1,5 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPersistedValue, setPersistedValue } from '../Data/Persistence';
 
 // Create a new context for Adventure Mode
 const AdventureModeContext = createContext();
@@ -14,26 +14,19 @@ export const AdventureModeProvider = ({ children }) => {
     loadAdventureMode();
   }, []);
 
-  // Function to load Adventure Mode status from AsyncStorage
+  // Function to load Adventure Mode status from persisted storage
   const loadAdventureMode = async () => {
     try {
-      const value = await AsyncStorage.getItem('adventureMode');
-      if (value !== null) {
-        setAdventureMode(JSON.parse(value));
-      }
+      setAdventureMode(await getPersistedValue('adventureMode'));
     } catch (error) {
       console.log('Error loading adventure mode:', error);
     }
   };
 
-  // Function to update Adventure Mode status and save to AsyncStorage
+  // Function to update Adventure Mode status and save it
   const updateAdventureMode = async (newMode) => {
     setAdventureMode(newMode);
-    try {
-      await AsyncStorage.setItem('adventureMode', JSON.stringify(newMode));
-    } catch (error) {
-      console.log('Error saving adventure mode:', error);
-    }
+    await setPersistedValue('adventureMode', newMode);
   };
 
   // Provide the Adventure Mode state and update function to children components
@@ -1,19 +1,11 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { loadPersistedState, setPersistedValue } from "../Data/Persistence";
 
 // Create context
 const AppStateContext = createContext();
 
-// Keys for AsyncStorage
-const STORAGE_KEYS = {
-  MAP_STYLE: "mapStyle",
-  VISITED_STRUCTURES: "visitedStructures",
-  // (Optional: You can persist mapShowNumbers if desired, e.g. "mapNumbers")
-};
-
 export const AppStateProvider = ({ children }) => {
-  // Visited structures
-  const [visitedStructures, setVisitedStructures] = useState([]);
   const [mapStyle, setMapStyle] = useState("standard");
   const [mapShowNumbers, setMapShowNumbers] = useState(true);
 
@@ -23,35 +15,27 @@ export const AppStateProvider = ({ children }) => {
   const [isModeSelectionVisible, setIsModeSelectionVisible] = useState(false);
   const [isOnboardingCompleted, setIsOnboardingCompleted] = useState(false);
 
+  // Walking route shown on the map: target structure number, and the
+  // structure to start from (null = the user's position)
+  const [routeTarget, setRouteTarget] = useState(null);
+  const [routeOrigin, setRouteOrigin] = useState(null);
+
+  // Structures picked out on the map (e.g. search results), with a label
+  // for the map to show: { numbers, label } or null
+  const [mapHighlight, setMapHighlight] = useState(null);
+  // Structure another screen asked the map to zoom to: { structure, zoom }
+  const [mapFocusRequest, setMapFocusRequest] = useState(null);
+
   // Load saved state on mount
   useEffect(() => {
     loadSavedState();
   }, []);
 
-  useEffect(() => {
-    console.log("AppState - visitedStructures updated:", visitedStructures);
-  }, [visitedStructures]);
-
   const loadSavedState = async () => {
     try {
-      // Load map style
-      const savedMapStyle = await AsyncStorage.getItem(STORAGE_KEYS.MAP_STYLE);
-      if (savedMapStyle) setMapStyle(savedMapStyle);
-
-      const savedMapNumbers = await AsyncStorage.getItem("mapNumbers");
-      if (savedMapNumbers !== null)
-        setMapShowNumbers(savedMapNumbers === "true");
-
-      // Load visited structures
-      const savedVisitedStructures = await AsyncStorage.getItem(
-        STORAGE_KEYS.VISITED_STRUCTURES
-      );
-      console.log("Loading saved structures:", savedVisitedStructures);
-      if (savedVisitedStructures) {
-        const parsedStructures = JSON.parse(savedVisitedStructures);
-        console.log("Setting visited structures to:", parsedStructures);
-        setVisitedStructures(parsedStructures);
-      }
+      const saved = await loadPersistedState();
+      setMapStyle(saved.mapStyle);
+      setMapShowNumbers(saved.mapShowNumbers);
 
       // Load onboarding status
       const onboardingCompleted = await AsyncStorage.getItem("isFirstLaunchV2");
@@ -65,53 +49,25 @@ export const AppStateProvider = ({ children }) => {
   const toggleMapStyle = async () => {
     const newStyle = mapStyle === "standard" ? "satellite" : "standard";
     setMapStyle(newStyle);
-    try {
-      await AsyncStorage.setItem(STORAGE_KEYS.MAP_STYLE, newStyle);
-    } catch (error) {
-      console.error("Error saving map style:", error);
-    }
+    await setPersistedValue("mapStyle", newStyle);
   };
 
   // New: Toggle mapShowNumbers
   const toggleMapNumbers = () => {
     setMapShowNumbers((prev) => !prev);
-    // (Optional: Persist this state)
-    AsyncStorage.setItem("mapNumbers", (!mapShowNumbers).toString()).catch(
-      (error) => console.error("Error saving map numbers state:", error)
-    );
+    setPersistedValue("mapShowNumbers", !mapShowNumbers);
   };
 
-  // Modified showVisitedPopup to use a functional state update
+  // Announces a newly visited structure. DataStore only calls this the
+  // first time a structure becomes visited, so the popup never repeats.
   const showVisitedPopup = (structureNumber) => {
     if (!isOnboardingCompleted) {
       console.log("Skipping visited popup during onboarding");
       return;
     }
 
-    const numStructure = Number(structureNumber);
-    setVisitedStructures((prevVisitedStructures) => {
-      console.log(
-        "Inside functional update. Previous visited structures:",
-        prevVisitedStructures
-      );
-      if (prevVisitedStructures.includes(numStructure)) {
-        console.log(
-          `Structure ${numStructure} already visited, skipping popup`
-        );
-        return prevVisitedStructures;
-      }
-      const newVisitedStructures = [...prevVisitedStructures, numStructure];
-      console.log("New visited structures:", newVisitedStructures);
-      AsyncStorage.setItem(
-        STORAGE_KEYS.VISITED_STRUCTURES,
-        JSON.stringify(newVisitedStructures)
-      ).catch((error) =>
-        console.error("Error saving visited structures:", error)
-      );
-      setSelectedStructure(numStructure);
-      setVisitedPopupVisible(true);
-      return newVisitedStructures;
-    });
+    setSelectedStructure(Number(structureNumber));
+    setVisitedPopupVisible(true);
   };
 
   const hideVisitedPopup = () => {
@@ -120,14 +76,30 @@ export const AppStateProvider = ({ children }) => {
     setSelectedStructure(null);
   };
 
-  const resetVisitedStructures = async () => {
-    setVisitedStructures([]);
-    try {
-      await AsyncStorage.removeItem(STORAGE_KEYS.VISITED_STRUCTURES);
-      console.log("Visited structures reset");
-    } catch (error) {
-      console.error("Error resetting visited structures:", error);
-    }
+  const startRoute = (targetStructure, fromStructure = null) => {
+    setRouteTarget(Number(targetStructure));
+    setRouteOrigin(fromStructure === null ? null : Number(fromStructure));
+  };
+
+  const clearRoute = () => {
+    setRouteTarget(null);
+    setRouteOrigin(null);
+  };
+
+  const highlightOnMap = (structureNumbers, label) => {
+    setMapHighlight({ numbers: structureNumbers.map(Number), label });
+  };
+
+  const clearMapHighlight = () => {
+    setMapHighlight(null);
+  };
+
+  const focusStructureOnMap = (structureNumber, zoom = 3) => {
+    setMapFocusRequest({ structure: Number(structureNumber), zoom });
+  };
+
+  const clearMapFocusRequest = () => {
+    setMapFocusRequest(null);
   };
 
   const showModeSelectionPopup = () => {
@@ -161,10 +133,22 @@ export const AppStateProvider = ({ children }) => {
     visitedPopupVisible,
     showVisitedPopup,
     hideVisitedPopup,
-    resetVisitedStructures,
     // Structure selection
     selectedStructure,
     setSelectedStructure,
+    // Walking route
+    routeTarget,
+    routeOrigin,
+    startRoute,
+    clearRoute,
+    // Map highlight
+    mapHighlight,
+    highlightOnMap,
+    clearMapHighlight,
+    // Map focus
+    mapFocusRequest,
+    focusStructureOnMap,
+    clearMapFocusRequest,
     // Mode selection
     isModeSelectionVisible,
     showModeSelectionPopup,
@@ -6,14 +6,14 @@
  * It provides:
  * - A DarkModeProvider component to manage and persist dark mode state
  * - A toggle function to switch between dark and light modes
- * - AsyncStorage integration for persisting user preferences
+ * - Persistence integration for saving user preferences
  * - A custom hook (useDarkMode) for easy access to dark mode context
  * 
  * The implementation ensures consistent dark mode behavior across app sessions and components.
  */
 
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPersistedValue, setPersistedValue } from '../Data/Persistence';
 
 // MARK: - Context Creation
 // Create a new context for dark mode
@@ -30,11 +30,10 @@ export const DarkModeProvider = ({ children }) => {
   }, []);
 
   // MARK: - Load Dark Mode Settings
-  // Retrieve dark mode preference from AsyncStorage
+  // Retrieve dark mode preference from persisted storage
   const loadDarkModeSettings = async () => {
     try {
-      const darkModeValue = await AsyncStorage.getItem('isDarkMode');
-      setIsDarkMode(darkModeValue === null ? false : JSON.parse(darkModeValue));
+      setIsDarkMode(await getPersistedValue('isDarkMode'));
     } catch (error) {
       console.error('Failed to load dark mode settings', error);
     }
@@ -45,11 +44,7 @@ export const DarkModeProvider = ({ children }) => {
   const toggleDarkMode = async () => {
     const newDarkModeValue = !isDarkMode;
     setIsDarkMode(newDarkModeValue);
-    try {
-      await AsyncStorage.setItem('isDarkMode', JSON.stringify(newDarkModeValue));
-    } catch (error) {
-      console.error('Failed to save dark mode settings', error);
-    }
+    await setPersistedValue('isDarkMode', newDarkModeValue);
   };
 
   // Provide dark mode state and toggle function to children components
@@ -39,6 +39,31 @@ class FirebaseService {
       console.error("Error logging location to Firebase:", error);
     }
   }
+
+  // Records a Design Village ballot vote. Each device gets one document per
+  // category, so resubmitting the same vote overwrites instead of adding.
+  // Errors are thrown so the caller can keep the vote queued. Offline, the
+  // returned promise doesn't settle until the server confirms the write;
+  // Ballot.submitPendingVotes puts a time limit on it.
+  static async submitVote({ userId, category, plot, castAt }) {
+    if (!userId) {
+      throw new Error("No user ID available for submitting a vote");
+    }
+
+    await firestore().collection("dv_votes").doc(`${category}_${userId}`).set({
+      category: category,
+      plot: plot,
+      castAt: castAt,
+      timestamp: firestore.FieldValue.serverTimestamp(),
+      userId: userId,
+    });
+  }
+
+  // Every Design Village ballot vote, for tallying results
+  static async getVotes() {
+    const snapshot = await firestore().collection("dv_votes").get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
 }
 
 export default FirebaseService;
@@ -0,0 +1,104 @@
+// MARK: - Tour
+/**
+ * Tour
+ *
+ * Holds the Adventure Mode itinerary the user is walking. The map route
+ * always points at the next stop, and the tour advances on its own when a
+ * stop is marked visited. A stop the user is already standing at when the
+ * tour starts counts as reached.
+ */
+
+import React, { createContext, useContext, useState, useEffect } from "react";
+import { Alert } from "react-native";
+import { useDataStore } from "../Data/DataStore";
+import { useAppState } from "./AppState";
+import { useLocationService } from "../Location/LocationService";
+
+const TourContext = createContext(null);
+
+export const TourProvider = ({ children }) => {
+  const { structures } = useDataStore();
+  const { startRoute, clearRoute } = useAppState();
+  const { getOccupiedStructures } = useLocationService();
+
+  // { stops, totalDistance, totalTime, startedAt } from planStructureTour
+  const [tour, setTour] = useState(null);
+  // Structure numbers of stops reached since the tour started
+  const [completedStops, setCompletedStops] = useState([]);
+
+  const currentStopIndex = tour
+    ? tour.stops.findIndex((stop) => !completedStops.includes(stop.structure))
+    : -1;
+  const currentStop =
+    currentStopIndex >= 0 ? tour.stops[currentStopIndex] : null;
+
+  // Tick off stops as they're marked visited (GPS or by hand). Every mark
+  // moves recentlyVisited, even one that the visit history merges into an
+  // earlier entry.
+  useEffect(() => {
+    if (!tour) return;
+    const reached = tour.stops
+      .map((stop) => stop.structure)
+      .filter((number) => {
+        if (completedStops.includes(number)) return false;
+        const structure = structures.find((s) => s.number === number);
+        return !!structure && structure.recentlyVisited >= tour.startedAt;
+      });
+    if (reached.length > 0) {
+      setCompletedStops((prev) => [...new Set([...prev, ...reached])]);
+    }
+  }, [structures, tour]);
+
+  // Keep the map route on the next stop, and wrap up after the last one
+  useEffect(() => {
+    if (!tour) return;
+    if (currentStop) {
+      startRoute(currentStop.structure);
+    } else {
+      clearRoute();
+      setTour(null);
+      Alert.alert(
+        "Tour Complete",
+        `You visited all ${tour.stops.length} stops on your tour.`
+      );
+    }
+  }, [tour, currentStop && currentStop.structure]);
+
+  const startTour = (plan) => {
+    if (!plan || plan.stops.length === 0) return;
+    const occupied = getOccupiedStructures();
+    setCompletedStops(
+      plan.stops
+        .map((stop) => stop.structure)
+        .filter((number) => occupied.includes(number))
+    );
+    setTour({ ...plan, startedAt: Date.now() });
+  };
+
+  const endTour = () => {
+    setTour(null);
+    setCompletedStops([]);
+    clearRoute();
+  };
+
+  const value = {
+    tour,
+    isTourActive: tour !== null,
+    currentStop,
+    currentStopIndex,
+    completedStops,
+    startTour,
+    endTour,
+  };
+
+  return <TourContext.Provider value={value}>{children}</TourContext.Provider>;
+};
+
+// MARK: - Custom Hook
+export const useTour = () => {
+  const context = useContext(TourContext);
+  if (!context) {
+    throw new Error("useTour must be used within a TourProvider");
+  }
+  return context;
+};
@@ -87,6 +87,15 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     marginRight: 4,
   },
+  controlsRight: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  historyButton: {
+    borderRadius: 8,
+    padding: 10,
+    marginRight: 8,
+  },
   viewModeContainer: {
     flexDirection: "row",
     borderRadius: 8,
@@ -179,11 +188,28 @@ const styles = StyleSheet.create({
     color: "black",
     opacity: 0.75,
   },
+  titleContainer: {
+    flex: 1,
+    marginLeft: 10,
+  },
   title: {
     fontSize: 18,
     fontWeight: "500",
-    marginLeft: 10,
-    flex: 1,
+    color: "black",
+  },
+  snippet: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 4,
+  },
+  darkSnippet: {
+    color: "#AAA",
+  },
+  snippetLabel: {
+    fontWeight: "600",
+  },
+  snippetHighlight: {
+    fontWeight: "700",
     color: "black",
   },
   darkText: {
@@ -299,6 +325,84 @@ const styles = StyleSheet.create({
     color: "white",
     marginTop: 2,
   },
+
+  // Filter sheet
+  filterSheetOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "flex-start",
+    paddingTop: 180,
+  },
+  filterSheet: {
+    backgroundColor: "white",
+    borderRadius: 12,
+    marginHorizontal: 20,
+    padding: 16,
+    maxHeight: "70%",
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  darkFilterSheet: {
+    backgroundColor: "#1C1C1E",
+  },
+  filterSheetHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  filterSheetTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: "600",
+    color: "black",
+  },
+  filterSheetClear: {
+    fontSize: 16,
+    color: "#007AFF",
+  },
+  filterSheetClose: {
+    marginLeft: 16,
+  },
+  filterSectionTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "black",
+    opacity: 0.6,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  filterChipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#F2F2F7",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  darkFilterChip: {
+    backgroundColor: "#2C2C2E",
+  },
+  selectedFilterChip: {
+    backgroundColor: "#007AFF",
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: "black",
+  },
+  selectedFilterChipText: {
+    color: "white",
+    fontWeight: "600",
+  },
 });
 
 export default styles;
@@ -5,8 +5,6 @@ import {
   FlatList,
   TextInput,
   TouchableOpacity,
-  Animated,
-  Modal,
 } from "react-native";
 import Ionicons from "react-native-vector-icons/Ionicons";
 import FastImage from "react-native-fast-image";
@@ -14,6 +12,17 @@ import { BlurView } from "@react-native-community/blur";
 import { useDarkMode } from "../../Core/States/DarkMode";
 import { useAdventureMode } from "../../Core/States/AdventureMode";
 import { useDataStore } from "../../Core/Data/DataStore";
+import { useSearch } from "../../Core/Data/Search";
+import { SortState, SortOrder } from "../../Core/Data/Models";
+import {
+  EMPTY_FACET_SELECTION,
+  applyFacets,
+  countSelectedFacets,
+  getFacetOptions,
+  sortStructures,
+  toggleFacetValue,
+} from "../../Core/Data/StructureFacets";
+import FilterSheet from "./FilterSheet";
 import { useAppState } from "../../Core/States/AppState";
 import styles from "./DetailStyles";
 import LinearGradient from "react-native-linear-gradient";
@@ -25,69 +34,93 @@ const DetailView = () => {
   // Context hooks
   const { isDarkMode } = useDarkMode();
   const { adventureMode } = useAdventureMode();
-  const { structures, hasVisitedStructures, hasLikedStructures } =
-    useDataStore();
-  const { setSelectedStructure } = useAppState();
+  const { hasVisitedStructures, getLastVisitOf } = useDataStore();
+  const { setSelectedStructure, highlightOnMap } = useAppState();
   const locationService = useLocationService();
   const navigation = useNavigation();
 
   // Local state
   const [searchText, setSearchText] = useState("");
-  const [sortState, setSortState] = useState("all");
+  const [facetSelection, setFacetSelection] = useState(EMPTY_FACET_SELECTION);
+  const [sortOrder, setSortOrder] = useState(SortOrder.RELEVANCE);
   const [isGridView, setIsGridView] = useState(true);
   const [showFilterMenu, setShowFilterMenu] = useState(false);
-  const popUpOpacity = useState(new Animated.Value(0))[0];
-  const [popUpText, setPopUpText] = useState("");
   const searchInputRef = useRef(null);
 
-  // Filter structures based on search text and filter state
-  const filteredStructures = structures.filter((structure) => {
-    const searchLower = searchText.toLowerCase();
-    const matchesSearch =
-      structure.title.toLowerCase().includes(searchLower) ||
-      structure.number.toString().includes(searchLower);
+  // Ranked search results, narrowed down by the selected facets
+  const { results: searchResults, isSearching } = useSearch(searchText);
+  const searchedStructures = searchResults.map((result) => result.structure);
+  const snippets = new Map(
+    searchResults.map((result) => [result.structure.number, result.snippet])
+  );
 
-    switch (sortState) {
-      case "visited":
-        return matchesSearch && structure.isVisited;
-      case "favorites":
-        return matchesSearch && structure.isLiked;
-      default:
-        return matchesSearch;
+  // Relevance only differs from number order while searching
+  const activeSortOrder =
+    sortOrder === SortOrder.RELEVANCE && !isSearching
+      ? SortOrder.NUMBER
+      : sortOrder;
+  const filteredStructures = sortStructures(
+    applyFacets(searchedStructures, facetSelection),
+    activeSortOrder,
+    {
+      getDistance: locationService.getDistanceToStructure,
+      getLastVisitTime: (number) => {
+        const visit = getLastVisitOf(number);
+        return visit ? visit.timestamp : null;
+      },
     }
-  });
+  );
 
-  const handleFilterChange = () => {
-    const filterOptions = ["all"];
-    if (hasLikedStructures()) filterOptions.push("favorites");
-    if (adventureMode && hasVisitedStructures()) filterOptions.push("visited");
+  // Visit status only means something once Adventure Mode is tracking
+  const statusOptions = adventureMode
+    ? [
+        SortState.VISITED,
+        SortState.UNVISITED,
+        SortState.OPENED,
+        SortState.FAVORITES,
+      ]
+    : [SortState.OPENED, SortState.FAVORITES];
+  const facetOptions = getFacetOptions(
+    searchedStructures,
+    facetSelection,
+    statusOptions
+  );
+  const selectedFacetCount = countSelectedFacets(facetSelection);
 
-    const currentIndex = filterOptions.indexOf(sortState);
-    const nextIndex = (currentIndex + 1) % filterOptions.length;
-    const newSortState = filterOptions[nextIndex];
+  const getSortOptions = () => {
+    const options = [];
+    if (isSearching) {
+      options.push({ value: SortOrder.RELEVANCE, label: "Best match" });
+    }
+    options.push(
+      { value: SortOrder.NUMBER, label: "Number" },
+      { value: SortOrder.YEAR, label: "Year" },
+      { value: SortOrder.TITLE, label: "Title" }
+    );
+    if (locationService.currentLocation) {
+      options.push({ value: SortOrder.DISTANCE, label: "Distance" });
+    }
+    if (hasVisitedStructures()) {
+      options.push({ value: SortOrder.RECENT, label: "Recently visited" });
+    }
+    return options;
+  };
 
-    const newPopUpText = {
-      all: "All",
-      visited: "Visited",
-      favorites: "Favorites",
-    }[newSortState];
+  const handleToggleFacet = (facet, value) =>
+    setFacetSelection((selection) => toggleFacetValue(selection, facet, value));
 
-    setSortState(newSortState);
-    setPopUpText(newPopUpText);
+  const handleClearFilters = () => {
+    setFacetSelection(EMPTY_FACET_SELECTION);
+    setSortOrder(SortOrder.RELEVANCE);
+  };
 
-    Animated.sequence([
-      Animated.timing(popUpOpacity, {
-        toValue: 1,
-        duration: 300,
-        useNativeDriver: true,
-      }),
-      Animated.timing(popUpOpacity, {
-        toValue: 0,
-        duration: 700,
-        delay: 1000,
-        useNativeDriver: true,
-      }),
-    ]).start();
+  // Picks out the current results on the map
+  const showResultsOnMap = () => {
+    highlightOnMap(
+      filteredStructures.map((structure) => structure.number),
+      isSearching ? `"${searchText.trim()}"` : "Filtered"
+    );
+    navigation.navigate("Map");
   };
 
   const handleStructurePress = (structure) => {
@@ -96,25 +129,54 @@ const DetailView = () => {
     navigation.navigate("StructureDetail");
   };
 
-  const renderListItem = ({ item }) => (
-    <TouchableOpacity onPress={() => handleStructurePress(item)}>
-      <View style={[styles.row, isDarkMode && styles.darkRow]}>
-        <Text style={[styles.number, isDarkMode && styles.darkText]}>
-          {item.number}
-        </Text>
-        <Text style={[styles.title, isDarkMode && styles.darkText]}>
-          {item.title}
+  // Matched text from other fields, with the search terms highlighted
+  const renderSnippet = (snippet) => (
+    <Text
+      style={[styles.snippet, isDarkMode && styles.darkSnippet]}
+      numberOfLines={2}
+    >
+      <Text style={styles.snippetLabel}>{snippet.label}: </Text>
+      {snippet.segments.map((segment, index) => (
+        <Text
+          key={index}
+          style={
+            segment.isMatch && [
+              styles.snippetHighlight,
+              isDarkMode && styles.darkText,
+            ]
+          }
+        >
+          {segment.text}
         </Text>
-        <View
-          style={[
-            styles.statusIndicator,
-            item.isVisited ? styles.visited : styles.notVisited,
-          ]}
-        />
-      </View>
-    </TouchableOpacity>
+      ))}
+    </Text>
   );
 
+  const renderListItem = ({ item }) => {
+    const snippet = snippets.get(item.number);
+    return (
+      <TouchableOpacity onPress={() => handleStructurePress(item)}>
+        <View style={[styles.row, isDarkMode && styles.darkRow]}>
+          <Text style={[styles.number, isDarkMode && styles.darkText]}>
+            {item.number}
+          </Text>
+          <View style={styles.titleContainer}>
+            <Text style={[styles.title, isDarkMode && styles.darkText]}>
+              {item.title}
+            </Text>
+            {snippet && renderSnippet(snippet)}
+          </View>
+          <View
+            style={[
+              styles.statusIndicator,
+              item.isVisited ? styles.visited : styles.notVisited,
+            ]}
+          />
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   const renderGridItem = ({ item }) => {
     const showAdventureBlur =
       adventureMode &&
@@ -179,60 +241,6 @@ const DetailView = () => {
     );
   };
 
-  const getFilterColor = (currentSortState) =>
-    ({
-      all: isDarkMode ? "white" : "black",
-      visited: "green",
-      favorites: "pink",
-    }[currentSortState]);
-
-  const getFilterIcon = () => {
-    switch (sortState) {
-      case "all":
-        return "apps";
-      case "visited":
-        return "checkmark-circle";
-      case "favorites":
-        return "heart";
-      default:
-        return "apps";
-    }
-  };
-
-  const getFilterText = () => {
-    switch (sortState) {
-      case "all":
-        return "All";
-      case "visited":
-        return "Visited";
-      case "favorites":
-        return "Liked";
-      default:
-        return "All";
-    }
-  };
-
-  const getFilterOptions = () => {
-    const options = [{ id: "all", text: "All", icon: "apps" }];
-
-    if (hasLikedStructures()) {
-      options.push({ id: "favorites", text: "Liked", icon: "heart" });
-    }
-
-    if (adventureMode && hasVisitedStructures()) {
-      options.push({
-        id: "visited",
-        text: "Visited",
-        icon: "checkmark-circle",
-      });
-    }
-
-    return options;
-  };
-
-  const hasFilterOptions =
-    hasLikedStructures() || (adventureMode && hasVisitedStructures());
-
   const handleClearSearch = () => {
     setSearchText("");
     searchInputRef.current?.blur();
@@ -265,7 +273,7 @@ const DetailView = () => {
           <TextInput
             ref={searchInputRef}
             style={[styles.searchInput, isDarkMode && styles.darkSearchInput]}
-            placeholder="Search structures..."
+            placeholder="Search structures, people, facts..."
             placeholderTextColor={isDarkMode ? "#888" : "#666"}
             value={searchText}
             onChangeText={setSearchText}
@@ -285,116 +293,160 @@ const DetailView = () => {
         </View>
 
         <View style={styles.controlsRow}>
-          {hasFilterOptions ? (
+          <TouchableOpacity
+            style={[
+              styles.filterButton,
+              isDarkMode ? styles.darkFilterButton : styles.lightFilterButton,
+            ]}
+            onPress={() => setShowFilterMenu(true)}
+          >
+            <Ionicons
+              name={selectedFacetCount > 0 ? "funnel" : "options"}
+              size={20}
+              color={isDarkMode ? "white" : "black"}
+              style={styles.filterIcon}
+            />
+            <Text
+              style={[
+                styles.filterText,
+                { color: isDarkMode ? "white" : "black" },
+              ]}
+            >
+              {selectedFacetCount > 0
+                ? `Filters (${selectedFacetCount})`
+                : "All"}
+            </Text>
+            <Ionicons
+              name="chevron-down"
+              size={16}
+              color={isDarkMode ? "white" : "black"}
+            />
+          </TouchableOpacity>
+
+          <View style={styles.controlsRight}>
+            {(isSearching || selectedFacetCount > 0) &&
+              filteredStructures.length > 0 && (
+                <TouchableOpacity
+                  style={[
+                    styles.historyButton,
+                    isDarkMode
+                      ? styles.darkFilterButton
+                      : styles.lightFilterButton,
+                  ]}
+                  onPress={showResultsOnMap}
+                >
+                  <Ionicons
+                    name="map-outline"
+                    size={20}
+                    color={isDarkMode ? "white" : "black"}
+                  />
+                </TouchableOpacity>
+              )}
+
             <TouchableOpacity
               style={[
-                styles.filterButton,
+                styles.historyButton,
                 isDarkMode ? styles.darkFilterButton : styles.lightFilterButton,
               ]}
-              onPress={() => setShowFilterMenu(true)}
+              onPress={() => navigation.navigate("People")}
             >
               <Ionicons
-                name={getFilterIcon()}
+                name="people-outline"
                 size={20}
                 color={isDarkMode ? "white" : "black"}
-                style={styles.filterIcon}
-              />
-              <Text
-                style={[
-                  styles.filterText,
-                  { color: isDarkMode ? "white" : "black" },
-                ]}
-              >
-                {getFilterText()}
-              </Text>
-              <Ionicons
-                name="chevron-down"
-                size={16}
-                color={isDarkMode ? "white" : "black"}
               />
             </TouchableOpacity>
-          ) : (
-            <View
+
+            <TouchableOpacity
               style={[
-                styles.filterButton,
+                styles.historyButton,
                 isDarkMode ? styles.darkFilterButton : styles.lightFilterButton,
-                { opacity: 0.5 },
               ]}
+              onPress={() => navigation.navigate("Timeline")}
             >
               <Ionicons
-                name={getFilterIcon()}
+                name="calendar-outline"
                 size={20}
                 color={isDarkMode ? "white" : "black"}
-                style={styles.filterIcon}
               />
-              <Text
+            </TouchableOpacity>
+
+            {hasVisitedStructures() && (
+              <TouchableOpacity
                 style={[
-                  styles.filterText,
-                  { color: isDarkMode ? "white" : "black" },
+                  styles.historyButton,
+                  isDarkMode
+                    ? styles.darkFilterButton
+                    : styles.lightFilterButton,
                 ]}
+                onPress={() => navigation.navigate("VisitHistory")}
               >
-                All
-              </Text>
-            </View>
-          )}
+                <Ionicons
+                  name="time-outline"
+                  size={20}
+                  color={isDarkMode ? "white" : "black"}
+                />
+              </TouchableOpacity>
+            )}
 
-          <View
-            style={[
-              styles.viewModeContainer,
-              isDarkMode
-                ? styles.darkViewModeContainer
-                : styles.lightViewModeContainer,
-            ]}
-          >
-            <TouchableOpacity
+            <View
               style={[
-                styles.viewModeButton,
-                isGridView && styles.activeViewModeButton,
-                isGridView && isDarkMode && styles.darkActiveViewModeButton,
+                styles.viewModeContainer,
+                isDarkMode
+                  ? styles.darkViewModeContainer
+                  : styles.lightViewModeContainer,
               ]}
-              onPress={() => setIsGridView(true)}
             >
-              <Ionicons
-                name="grid"
-                size={20}
-                color={isDarkMode ? "white" : "black"}
-              />
-              {isGridView && (
-                <Text
-                  style={[
-                    styles.viewModeText,
-                    { color: isDarkMode ? "white" : "black" },
-                  ]}
-                >
-                  Grid
-                </Text>
-              )}
-            </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.viewModeButton,
+                  isGridView && styles.activeViewModeButton,
+                  isGridView && isDarkMode && styles.darkActiveViewModeButton,
+                ]}
+                onPress={() => setIsGridView(true)}
+              >
+                <Ionicons
+                  name="grid"
+                  size={20}
+                  color={isDarkMode ? "white" : "black"}
+                />
+                {isGridView && (
+                  <Text
+                    style={[
+                      styles.viewModeText,
+                      { color: isDarkMode ? "white" : "black" },
+                    ]}
+                  >
+                    Grid
+                  </Text>
+                )}
+              </TouchableOpacity>
 
-            <TouchableOpacity
-              style={[
-                styles.viewModeButton,
-                !isGridView && styles.activeViewModeButton,
-                !isGridView && isDarkMode && styles.darkActiveViewModeButton,
-              ]}
-              onPress={() => setIsGridView(false)}
-            >
-              <Ionicons
-                name="list"
-                size={20}
-                color={isDarkMode ? "white" : "black"}
-              />
-              {!isGridView && (
-                <Text
-                  style={[
-                    styles.viewModeText,
-                    { color: isDarkMode ? "white" : "black" },
-                  ]}
-                >
-                  List
-                </Text>
-              )}
-            </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.viewModeButton,
+                  !isGridView && styles.activeViewModeButton,
+                  !isGridView && isDarkMode && styles.darkActiveViewModeButton,
+                ]}
+                onPress={() => setIsGridView(false)}
+              >
+                <Ionicons
+                  name="list"
+                  size={20}
+                  color={isDarkMode ? "white" : "black"}
+                />
+                {!isGridView && (
+                  <Text
+                    style={[
+                      styles.viewModeText,
+                      { color: isDarkMode ? "white" : "black" },
+                    ]}
+                  >
+                    List
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
       </View>
@@ -425,84 +477,18 @@ const DetailView = () => {
         />
       </View>
 
-      <Animated.View style={[styles.popUp, { opacity: popUpOpacity }]}>
-        <Text style={[styles.popUpText, isDarkMode && styles.darkPopUpText]}>
-          {popUpText}
-        </Text>
-      </Animated.View>
-
-      <Modal
-        visible={showFilterMenu}
-        transparent={true}
-        animationType="fade"
-        onRequestClose={() => setShowFilterMenu(false)}
-      >
-        <TouchableOpacity
-          style={{
-            flex: 1,
-            backgroundColor: "rgba(0,0,0,0.5)",
-            justifyContent: "flex-start",
-            paddingTop: 180,
-          }}
-          activeOpacity={1}
-          onPress={() => setShowFilterMenu(false)}
-        >
-          <View
-            style={{
-              backgroundColor: isDarkMode ? "#1C1C1E" : "white",
-              borderRadius: 12,
-              marginHorizontal: 20,
-              padding: 8,
-              shadowColor: "#000",
-              shadowOffset: {
-                width: 0,
-                height: 4,
-              },
-              shadowOpacity: 0.25,
-              shadowRadius: 4,
-              elevation: 5,
-            }}
-          >
-            {getFilterOptions().map((option) => (
-              <TouchableOpacity
-                key={option.id}
-                style={{
-                  flexDirection: "row",
-                  alignItems: "center",
-                  padding: 12,
-                  borderRadius: 8,
-                  backgroundColor:
-                    sortState === option.id
-                      ? isDarkMode
-                        ? "#2C2C2E"
-                        : "#F2F2F7"
-                      : "transparent",
-                }}
-                onPress={() => {
-                  setSortState(option.id);
-                  setShowFilterMenu(false);
-                }}
-              >
-                <Ionicons
-                  name={option.icon}
-                  size={20}
-                  color={isDarkMode ? "white" : "black"}
-                  style={{ marginRight: 12 }}
-                />
-                <Text
-                  style={{
-                    fontSize: 16,
-                    color: isDarkMode ? "white" : "black",
-                    fontWeight: sortState === option.id ? "600" : "normal",
-                  }}
-                >
-                  {option.text}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
-        </TouchableOpacity>
-      </Modal>
+      <FilterSheet
+        isVisible={showFilterMenu}
+        onClose={() => setShowFilterMenu(false)}
+        facetOptions={facetOptions}
+        sortOptions={getSortOptions()}
+        sortOrder={activeSortOrder}
+        onSelectSort={setSortOrder}
+        onToggleFacet={handleToggleFacet}
+        onClear={handleClearFilters}
+        resultCount={filteredStructures.length}
+        isDarkMode={isDarkMode}
+      />
     </View>
   );
 };
@@ -0,0 +1,141 @@
+import React from "react";
+import { View, Text, TouchableOpacity, Modal, ScrollView } from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { FacetType } from "../../Core/Data/StructureFacets";
+import styles from "./DetailStyles";
+
+const FACET_SECTIONS = [
+  { facet: FacetType.STATUS, title: "Status" },
+  { facet: FacetType.DECADE, title: "Built in" },
+  { facet: FacetType.DISCIPLINE, title: "Built by" },
+];
+
+// MARK: - Chip Component
+const Chip = ({ label, count, isSelected, onPress, isDarkMode }) => {
+  const isDisabled = count === 0 && !isSelected;
+  return (
+    <TouchableOpacity
+      style={[
+        styles.filterChip,
+        isDarkMode && styles.darkFilterChip,
+        isSelected && styles.selectedFilterChip,
+        isDisabled && { opacity: 0.4 },
+      ]}
+      onPress={onPress}
+      disabled={isDisabled}
+    >
+      <Text
+        style={[
+          styles.filterChipText,
+          isDarkMode && styles.darkText,
+          isSelected && styles.selectedFilterChipText,
+        ]}
+      >
+        {label}
+        {count !== undefined ? ` ${count}` : ""}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// MARK: - FilterSheet Component
+/**
+ * Sort order and faceted filters for the structure list. Counts show how
+ * many structures each option would leave in the list.
+ */
+const FilterSheet = ({
+  isVisible,
+  onClose,
+  facetOptions,
+  sortOptions,
+  sortOrder,
+  onSelectSort,
+  onToggleFacet,
+  onClear,
+  resultCount,
+  isDarkMode,
+}) => (
+  <Modal
+    visible={isVisible}
+    transparent={true}
+    animationType="fade"
+    onRequestClose={onClose}
+  >
+    <TouchableOpacity
+      style={styles.filterSheetOverlay}
+      activeOpacity={1}
+      onPress={onClose}
+    >
+      <TouchableOpacity
+        activeOpacity={1}
+        style={[styles.filterSheet, isDarkMode && styles.darkFilterSheet]}
+      >
+        <View style={styles.filterSheetHeader}>
+          <Text
+            style={[styles.filterSheetTitle, isDarkMode && styles.darkText]}
+          >
+            {resultCount} {resultCount === 1 ? "structure" : "structures"}
+          </Text>
+          <TouchableOpacity onPress={onClear}>
+            <Text style={styles.filterSheetClear}>Clear</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={onClose} style={styles.filterSheetClose}>
+            <Ionicons
+              name="close"
+              size={22}
+              color={isDarkMode ? "white" : "black"}
+            />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView>
+          <Text
+            style={[styles.filterSectionTitle, isDarkMode && styles.darkText]}
+          >
+            Sort by
+          </Text>
+          <View style={styles.filterChipRow}>
+            {sortOptions.map((option) => (
+              <Chip
+                key={option.value}
+                label={option.label}
+                isSelected={option.value === sortOrder}
+                onPress={() => onSelectSort(option.value)}
+                isDarkMode={isDarkMode}
+              />
+            ))}
+          </View>
+
+          {FACET_SECTIONS.map(({ facet, title }) =>
+            facetOptions[facet].length > 0 ? (
+              <View key={facet}>
+                <Text
+                  style={[
+                    styles.filterSectionTitle,
+                    isDarkMode && styles.darkText,
+                  ]}
+                >
+                  {title}
+                </Text>
+                <View style={styles.filterChipRow}>
+                  {facetOptions[facet].map((option) => (
+                    <Chip
+                      key={option.value}
+                      label={option.label}
+                      count={option.count}
+                      isSelected={option.isSelected}
+                      onPress={() => onToggleFacet(facet, option.value)}
+                      isDarkMode={isDarkMode}
+                    />
+                  ))}
+                </View>
+              </View>
+            ) : null
+          )}
+        </ScrollView>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  </Modal>
+);
+
+export default FilterSheet;
@@ -0,0 +1,181 @@
+/**
+ * PeopleDirectoryView Component
+ *
+ * Lists every builder and advisor across all structures, grouped by the
+ * first letter of their last name, with the structures they worked on.
+ * Tapping a person opens their page (PersonView).
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  SectionList,
+  TouchableOpacity,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useNavigation } from "@react-navigation/native";
+import { useDataStore } from "../../Core/Data/DataStore";
+import { useDarkMode } from "../../Core/States/DarkMode";
+import { PersonRole, getDepartmentLabel } from "../../Core/Data/People";
+import styles from "./PeopleStyles";
+
+// "Builder on #1, #5 · Advisor on #3"
+const formatCredits = (credits) =>
+  [
+    { role: PersonRole.BUILDER, label: "Builder" },
+    { role: PersonRole.ADVISOR, label: "Advisor" },
+  ]
+    .map(({ role, label }) => {
+      const numbers = credits
+        .filter((credit) => credit.role === role)
+        .map((credit) => `#${credit.structure}`);
+      return numbers.length > 0 ? `${label} on ${numbers.join(", ")}` : null;
+    })
+    .filter(Boolean)
+    .join(" · ");
+
+const getLastInitial = (name) => {
+  const parts = name.split(" ");
+  return parts[parts.length - 1].charAt(0).toUpperCase();
+};
+
+const PeopleDirectoryView = () => {
+  const navigation = useNavigation();
+  const { isDarkMode } = useDarkMode();
+  const { people } = useDataStore();
+  const [searchText, setSearchText] = useState("");
+
+  const query = searchText.trim().toLowerCase();
+  const matchingPeople = query
+    ? people.filter(
+        (person) =>
+          person.name.toLowerCase().includes(query) ||
+          person.departments.some(
+            (code) =>
+              code.toLowerCase() === query ||
+              getDepartmentLabel(code).toLowerCase().includes(query)
+          )
+      )
+    : people;
+
+  // People are already sorted by last name, so sections come out in order
+  const sections = [];
+  matchingPeople.forEach((person) => {
+    const title = getLastInitial(person.name);
+    const lastSection = sections[sections.length - 1];
+    if (lastSection && lastSection.title === title) {
+      lastSection.data.push(person);
+    } else {
+      sections.push({ title, data: [person] });
+    }
+  });
+
+  const renderPerson = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => navigation.navigate("Person", { personId: item.id })}
+    >
+      <View style={[styles.row, isDarkMode && styles.darkRow]}>
+        <View style={styles.rowText}>
+          <Text
+            style={[styles.rowTitle, isDarkMode && styles.darkText]}
+            numberOfLines={1}
+          >
+            {item.name}
+          </Text>
+          <Text
+            style={[styles.rowSubtitle, isDarkMode && styles.darkSubtitle]}
+            numberOfLines={2}
+          >
+            {[
+              item.departments.map(getDepartmentLabel).join(", "),
+              formatCredits(item.credits),
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </Text>
+        </View>
+        <Ionicons
+          name="chevron-forward"
+          size={18}
+          color={isDarkMode ? "#B0B0B0" : "gray"}
+        />
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={[styles.container, isDarkMode && styles.darkContainer]}>
+      <View style={[styles.header, isDarkMode && styles.darkHeader]}>
+        <View style={styles.headerText}>
+          <Text style={[styles.headerTitle, isDarkMode && styles.darkText]}>
+            People
+          </Text>
+          <Text
+            style={[styles.headerSubtitle, isDarkMode && styles.darkSubtitle]}
+          >
+            {people.length} builders and advisors
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.closeButton, isDarkMode && styles.darkCloseButton]}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons
+            name="close"
+            size={24}
+            color={isDarkMode ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <View
+        style={[
+          styles.searchContainer,
+          isDarkMode && styles.darkSearchContainer,
+        ]}
+      >
+        <Ionicons
+          name="search"
+          size={18}
+          color={isDarkMode ? "white" : "black"}
+        />
+        <TextInput
+          style={[styles.searchInput, isDarkMode && styles.darkText]}
+          placeholder="Search names or departments..."
+          placeholderTextColor={isDarkMode ? "#888" : "#666"}
+          value={searchText}
+          onChangeText={setSearchText}
+          autoCorrect={false}
+        />
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => item.id}
+        renderItem={renderPerson}
+        renderSectionHeader={({ section }) => (
+          <Text
+            style={[
+              styles.sectionHeader,
+              isDarkMode && styles.darkSectionHeader,
+            ]}
+          >
+            {section.title}
+          </Text>
+        )}
+        ListEmptyComponent={
+          <Text style={[styles.emptyText, isDarkMode && styles.darkSubtitle]}>
+            No one matches "{searchText.trim()}".
+          </Text>
+        }
+        keyboardDismissMode="on-drag"
+        stickySectionHeadersEnabled
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+export default PeopleDirectoryView;
@@ -0,0 +1,130 @@
+import { StyleSheet } from "react-native";
+
+// MARK: - Styles
+// Shared by the people directory and person pages
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "white",
+  },
+  darkContainer: {
+    backgroundColor: "black",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 15,
+    backgroundColor: "#f5f5f5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    zIndex: 1,
+  },
+  darkHeader: {
+    backgroundColor: "#1C1C1E",
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "black",
+  },
+  headerSubtitle: {
+    marginTop: 2,
+    fontSize: 15,
+    color: "gray",
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  darkCloseButton: {
+    backgroundColor: "#2C2C2E",
+  },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    margin: 12,
+    paddingHorizontal: 10,
+    height: 40,
+    borderRadius: 10,
+    backgroundColor: "#F2F2F7",
+  },
+  darkSearchContainer: {
+    backgroundColor: "#2C2C2E",
+  },
+  searchInput: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 16,
+    color: "black",
+  },
+  sectionHeader: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    fontSize: 14,
+    fontWeight: "700",
+    textTransform: "uppercase",
+    color: "gray",
+    backgroundColor: "#F2F2F7",
+  },
+  darkSectionHeader: {
+    color: "#B0B0B0",
+    backgroundColor: "#121212",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    backgroundColor: "white",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  darkRow: {
+    backgroundColor: "#1C1C1E",
+    borderBottomColor: "#2C2C2E",
+  },
+  thumbnail: {
+    width: 50,
+    height: 50,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "black",
+  },
+  rowSubtitle: {
+    marginTop: 4,
+    fontSize: 13,
+    color: "gray",
+  },
+  darkText: {
+    color: "white",
+  },
+  darkSubtitle: {
+    color: "#B0B0B0",
+  },
+  emptyText: {
+    marginTop: 40,
+    marginHorizontal: 32,
+    textAlign: "center",
+    fontSize: 16,
+    color: "gray",
+  },
+});
+
+export default styles;
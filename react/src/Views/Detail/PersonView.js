@@ -0,0 +1,118 @@
+/**
+ * PersonView Component
+ *
+ * A builder's or advisor's page: their departments and every structure
+ * they worked on. Expects a `personId` route param (see People.js).
+ */
+
+import React from "react";
+import { View, Text, FlatList, TouchableOpacity } from "react-native";
+import FastImage from "react-native-fast-image";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import { useDataStore } from "../../Core/Data/DataStore";
+import { useAppState } from "../../Core/States/AppState";
+import { useDarkMode } from "../../Core/States/DarkMode";
+import { PersonRole, getDepartmentLabel } from "../../Core/Data/People";
+import { formatYear } from "../../Core/Data/Years";
+import { getMainPhoto } from "../../Core/Images/ImageRegistry";
+import styles from "./PeopleStyles";
+
+const ROLE_LABELS = {
+  [PersonRole.BUILDER]: "Builder",
+  [PersonRole.ADVISOR]: "Advisor",
+};
+
+const PersonView = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { personId } = route.params || {};
+  const { isDarkMode } = useDarkMode();
+  const { getPerson, getStructure } = useDataStore();
+  const { setSelectedStructure } = useAppState();
+
+  const person = getPerson(personId);
+
+  const openStructureDetail = (number) => {
+    setSelectedStructure(number);
+    navigation.navigate("StructureDetail");
+  };
+
+  const renderCredit = ({ item }) => {
+    const structure = getStructure(item.structure);
+    if (!structure) return null;
+    const yearLabel = formatYear(structure.year);
+
+    return (
+      <TouchableOpacity onPress={() => openStructureDetail(structure.number)}>
+        <View style={[styles.row, isDarkMode && styles.darkRow]}>
+          <FastImage
+            source={getMainPhoto(structure.number)}
+            style={styles.thumbnail}
+            resizeMode={FastImage.resizeMode.cover}
+          />
+          <View style={styles.rowText}>
+            <Text
+              style={[styles.rowTitle, isDarkMode && styles.darkText]}
+              numberOfLines={1}
+            >
+              #{structure.number} {structure.title}
+            </Text>
+            <Text
+              style={[styles.rowSubtitle, isDarkMode && styles.darkSubtitle]}
+            >
+              {ROLE_LABELS[item.role]}
+              {yearLabel ? ` · ${yearLabel}` : ""}
+            </Text>
+          </View>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, isDarkMode && styles.darkContainer]}>
+      <View style={[styles.header, isDarkMode && styles.darkHeader]}>
+        <View style={styles.headerText}>
+          <Text
+            style={[styles.headerTitle, isDarkMode && styles.darkText]}
+            numberOfLines={1}
+          >
+            {person ? person.name : "Unknown person"}
+          </Text>
+          {person && person.departments.length > 0 && (
+            <Text
+              style={[styles.headerSubtitle, isDarkMode && styles.darkSubtitle]}
+            >
+              {person.departments.map(getDepartmentLabel).join(", ")}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.closeButton, isDarkMode && styles.darkCloseButton]}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons
+            name="close"
+            size={24}
+            color={isDarkMode ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={person ? person.credits : []}
+        keyExtractor={(item) => `${item.structure}-${item.role}`}
+        renderItem={renderCredit}
+        ListEmptyComponent={
+          <Text style={[styles.emptyText, isDarkMode && styles.darkSubtitle]}>
+            This person isn't listed on any structure.
+          </Text>
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+export default PersonView;
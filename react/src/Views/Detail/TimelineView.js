@@ -0,0 +1,402 @@
+/**
+ * TimelineView Component
+ *
+ * Structures laid out by construction year from the canyon's first build to
+ * today, grouped by decade. Structures built in several phases appear once
+ * per phase. Can be narrowed to visited or liked structures.
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  SectionList,
+  TouchableOpacity,
+  StyleSheet,
+} from "react-native";
+import FastImage from "react-native-fast-image";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useNavigation } from "@react-navigation/native";
+import { useDataStore } from "../../Core/Data/DataStore";
+import { useAppState } from "../../Core/States/AppState";
+import { useDarkMode } from "../../Core/States/DarkMode";
+import { SortState } from "../../Core/Data/Models";
+import { getTimelineEntries } from "../../Core/Data/Years";
+import { getMainPhoto } from "../../Core/Images/ImageRegistry";
+
+const FILTER_OPTIONS = [
+  { value: SortState.ALL, label: "All" },
+  { value: SortState.VISITED, label: "Visited" },
+  { value: SortState.FAVORITES, label: "Liked" },
+];
+
+const EMPTY_DECADE_TEXT = {
+  [SortState.ALL]: "Nothing built this decade",
+  [SortState.VISITED]: "No visited structures from this decade",
+  [SortState.FAVORITES]: "No liked structures from this decade",
+};
+
+const matchesFilter = (structure, filter) => {
+  switch (filter) {
+    case SortState.VISITED:
+      return structure.isVisited;
+    case SortState.FAVORITES:
+      return structure.isLiked;
+    default:
+      return true;
+  }
+};
+
+// Decade sections from the first build up to the current decade, so the
+// timeline always runs to today even where nothing was built
+const buildSections = (allEntries, filter) => {
+  if (allEntries.length === 0) return [];
+  const entries = allEntries.filter((entry) =>
+    matchesFilter(entry.structure, filter)
+  );
+
+  const firstDecade = allEntries[0].year - (allEntries[0].year % 10);
+  const currentYear = new Date().getFullYear();
+  const sections = [];
+  for (let decade = firstDecade; decade <= currentYear; decade += 10) {
+    sections.push({
+      title: `${decade}s`,
+      data: entries.filter(
+        (entry) => entry.year >= decade && entry.year < decade + 10
+      ),
+    });
+  }
+  return sections;
+};
+
+const getPhaseText = (entry) => {
+  const parts = [];
+  if (entry.endYear !== entry.year) {
+    parts.push(`Built ${entry.year}–${entry.endYear}`);
+  }
+  if (entry.phaseCount > 1) {
+    parts.push(`Phase ${entry.phase} of ${entry.phaseCount}`);
+  }
+  return parts.join(" · ");
+};
+
+const TimelineView = () => {
+  const navigation = useNavigation();
+  const { isDarkMode } = useDarkMode();
+  const { structures } = useDataStore();
+  const { setSelectedStructure } = useAppState();
+  const [filter, setFilter] = useState(SortState.ALL);
+
+  const sections = buildSections(getTimelineEntries(structures), filter);
+
+  const openStructureDetail = (number) => {
+    setSelectedStructure(number);
+    navigation.navigate("StructureDetail");
+  };
+
+  const renderEntry = ({ item, index, section }) => {
+    const { structure } = item;
+    const previous = section.data[index - 1];
+    const showYear = !previous || previous.year !== item.year;
+    const phaseText = getPhaseText(item);
+
+    return (
+      <TouchableOpacity onPress={() => openStructureDetail(structure.number)}>
+        <View style={styles.entry}>
+          <Text style={[styles.entryYear, isDarkMode && styles.darkSubtitle]}>
+            {showYear ? item.year : ""}
+          </Text>
+          <View style={styles.rail}>
+            <View style={[styles.railLine, isDarkMode && styles.darkRail]} />
+            {showYear && (
+              <View
+                style={[styles.railDot, isDarkMode && styles.darkRailDot]}
+              />
+            )}
+          </View>
+          <View style={[styles.card, isDarkMode && styles.darkCard]}>
+            <FastImage
+              source={getMainPhoto(structure.number)}
+              style={styles.thumbnail}
+              resizeMode={FastImage.resizeMode.cover}
+            />
+            <View style={styles.cardText}>
+              <Text
+                style={[styles.cardTitle, isDarkMode && styles.darkText]}
+                numberOfLines={1}
+              >
+                #{structure.number} {structure.title}
+              </Text>
+              {phaseText !== "" && (
+                <Text
+                  style={[
+                    styles.cardSubtitle,
+                    isDarkMode && styles.darkSubtitle,
+                  ]}
+                >
+                  {phaseText}
+                </Text>
+              )}
+            </View>
+            {structure.isVisited && (
+              <Ionicons name="checkmark-circle" size={20} color="green" />
+            )}
+          </View>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, isDarkMode && styles.darkContainer]}>
+      <View style={[styles.header, isDarkMode && styles.darkHeader]}>
+        <Text style={[styles.headerTitle, isDarkMode && styles.darkText]}>
+          Timeline
+        </Text>
+        <TouchableOpacity
+          style={[styles.closeButton, isDarkMode && styles.darkCloseButton]}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons
+            name="close"
+            size={24}
+            color={isDarkMode ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.filterRow}>
+        {FILTER_OPTIONS.map((option) => {
+          const isSelected = option.value === filter;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.filterChip,
+                isDarkMode && styles.darkFilterChip,
+                isSelected && styles.selectedFilterChip,
+              ]}
+              onPress={() => setFilter(option.value)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  isDarkMode && styles.darkText,
+                  isSelected && styles.selectedFilterChipText,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => `${item.structure.number}-${item.phase}`}
+        renderItem={renderEntry}
+        renderSectionHeader={({ section }) => (
+          <Text
+            style={[
+              styles.sectionHeader,
+              isDarkMode && styles.darkSectionHeader,
+            ]}
+          >
+            {section.title}
+          </Text>
+        )}
+        renderSectionFooter={({ section }) =>
+          section.data.length === 0 ? (
+            <Text
+              style={[styles.emptyDecade, isDarkMode && styles.darkSubtitle]}
+            >
+              {EMPTY_DECADE_TEXT[filter]}
+            </Text>
+          ) : null
+        }
+        ListFooterComponent={
+          <Text style={[styles.todayText, isDarkMode && styles.darkSubtitle]}>
+            Today · {new Date().getFullYear()}
+          </Text>
+        }
+        stickySectionHeadersEnabled
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "white",
+  },
+  darkContainer: {
+    backgroundColor: "black",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 15,
+    backgroundColor: "#f5f5f5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    zIndex: 1,
+  },
+  darkHeader: {
+    backgroundColor: "#1C1C1E",
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: "700",
+    color: "black",
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  darkCloseButton: {
+    backgroundColor: "#2C2C2E",
+  },
+  filterRow: {
+    flexDirection: "row",
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#F2F2F7",
+    marginRight: 8,
+  },
+  darkFilterChip: {
+    backgroundColor: "#2C2C2E",
+  },
+  selectedFilterChip: {
+    backgroundColor: "#007AFF",
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: "black",
+  },
+  selectedFilterChipText: {
+    color: "white",
+    fontWeight: "600",
+  },
+  sectionHeader: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    fontSize: 14,
+    fontWeight: "700",
+    textTransform: "uppercase",
+    color: "gray",
+    backgroundColor: "#F2F2F7",
+  },
+  darkSectionHeader: {
+    color: "#B0B0B0",
+    backgroundColor: "#121212",
+  },
+  entry: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingRight: 16,
+  },
+  entryYear: {
+    width: 56,
+    textAlign: "right",
+    fontSize: 15,
+    fontWeight: "600",
+    color: "gray",
+  },
+  rail: {
+    width: 28,
+    alignSelf: "stretch",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  railLine: {
+    position: "absolute",
+    top: 0,
+    bottom: 0,
+    width: 2,
+    backgroundColor: "#E0E0E0",
+  },
+  darkRail: {
+    backgroundColor: "#2C2C2E",
+  },
+  railDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: "#007AFF",
+    borderWidth: 2,
+    borderColor: "white",
+  },
+  darkRailDot: {
+    borderColor: "black",
+  },
+  card: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 6,
+    padding: 8,
+    borderRadius: 10,
+    backgroundColor: "#F8F8F8",
+  },
+  darkCard: {
+    backgroundColor: "#1C1C1E",
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 6,
+  },
+  cardText: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "black",
+  },
+  cardSubtitle: {
+    marginTop: 2,
+    fontSize: 13,
+    color: "gray",
+  },
+  emptyDecade: {
+    paddingVertical: 12,
+    paddingLeft: 84,
+    fontSize: 14,
+    fontStyle: "italic",
+    color: "gray",
+  },
+  todayText: {
+    paddingVertical: 20,
+    textAlign: "center",
+    fontSize: 14,
+    fontWeight: "600",
+    color: "gray",
+  },
+  darkText: {
+    color: "white",
+  },
+  darkSubtitle: {
+    color: "#B0B0B0",
+  },
+});
+
+export default TimelineView;
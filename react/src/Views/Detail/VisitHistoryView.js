@@ -0,0 +1,273 @@
+/**
+ * VisitHistoryView Component
+ *
+ * Lists every logged visit grouped by day, newest first. Each row shows the
+ * structure, the time of the visit and how it was recorded. Passing a
+ * `structureNumber` route param limits the list to that structure.
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  SectionList,
+  TouchableOpacity,
+  StyleSheet,
+} from "react-native";
+import FastImage from "react-native-fast-image";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import { useDataStore } from "../../Core/Data/DataStore";
+import { useAppState } from "../../Core/States/AppState";
+import { useDarkMode } from "../../Core/States/DarkMode";
+import { VisitSource } from "../../Core/Data/Models";
+import { getMainPhoto } from "../../Core/Images/ImageRegistry";
+
+const SOURCE_DETAILS = {
+  [VisitSource.GPS_AUTO]: { icon: "navigate", label: "Detected nearby" },
+  [VisitSource.MANUAL]: { icon: "hand-left", label: "Marked by you" },
+  [VisitSource.VIRTUAL_TOUR]: { icon: "walk", label: "Virtual tour" },
+};
+
+const formatDayTitle = (dayKey) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const VisitHistoryView = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { structureNumber } = route.params || {};
+  const { isDarkMode } = useDarkMode();
+  const { getStructure, getVisitHistoryByDay } = useDataStore();
+  const { setSelectedStructure } = useAppState();
+
+  const sections = getVisitHistoryByDay()
+    .map(({ day, visits }) => ({
+      title: formatDayTitle(day),
+      data: structureNumber
+        ? visits.filter((visit) => visit.structure === structureNumber)
+        : visits,
+    }))
+    .filter((section) => section.data.length > 0);
+
+  const filteredStructure = structureNumber
+    ? getStructure(structureNumber)
+    : null;
+
+  const openStructureDetail = (number) => {
+    setSelectedStructure(number);
+    navigation.navigate("StructureDetail");
+  };
+
+  const renderVisit = ({ item }) => {
+    const structure = getStructure(item.structure);
+    if (!structure) return null;
+    const source =
+      SOURCE_DETAILS[item.source] || SOURCE_DETAILS[VisitSource.MANUAL];
+
+    return (
+      <TouchableOpacity onPress={() => openStructureDetail(item.structure)}>
+        <View style={[styles.row, isDarkMode && styles.darkRow]}>
+          <FastImage
+            source={getMainPhoto(structure.number)}
+            style={styles.thumbnail}
+            resizeMode={FastImage.resizeMode.cover}
+          />
+          <View style={styles.rowText}>
+            <Text
+              style={[styles.rowTitle, isDarkMode && styles.darkText]}
+              numberOfLines={1}
+            >
+              #{structure.number} {structure.title}
+            </Text>
+            <View style={styles.sourceRow}>
+              <Ionicons
+                name={source.icon}
+                size={14}
+                color={isDarkMode ? "#B0B0B0" : "gray"}
+              />
+              <Text
+                style={[styles.rowSubtitle, isDarkMode && styles.darkSubtitle]}
+              >
+                {source.label}
+              </Text>
+            </View>
+          </View>
+          <Text style={[styles.rowTime, isDarkMode && styles.darkSubtitle]}>
+            {formatTime(item.timestamp)}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, isDarkMode && styles.darkContainer]}>
+      <View style={[styles.header, isDarkMode && styles.darkHeader]}>
+        <Text style={[styles.headerTitle, isDarkMode && styles.darkText]}>
+          {filteredStructure
+            ? `Visits to ${filteredStructure.title}`
+            : "Visit History"}
+        </Text>
+        <TouchableOpacity
+          style={[styles.closeButton, isDarkMode && styles.darkCloseButton]}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons
+            name="close"
+            size={24}
+            color={isDarkMode ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => `${item.structure}-${item.timestamp}`}
+        renderItem={renderVisit}
+        renderSectionHeader={({ section }) => (
+          <Text
+            style={[
+              styles.sectionHeader,
+              isDarkMode && styles.darkSectionHeader,
+            ]}
+          >
+            {section.title}
+          </Text>
+        )}
+        ListEmptyComponent={
+          <Text style={[styles.emptyText, isDarkMode && styles.darkSubtitle]}>
+            No visits yet. Explore the canyon in Adventure Mode to start your
+            history.
+          </Text>
+        }
+        stickySectionHeadersEnabled
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "white",
+  },
+  darkContainer: {
+    backgroundColor: "black",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 15,
+    backgroundColor: "#f5f5f5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    zIndex: 1,
+  },
+  darkHeader: {
+    backgroundColor: "#1C1C1E",
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: "700",
+    color: "black",
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  darkCloseButton: {
+    backgroundColor: "#2C2C2E",
+  },
+  sectionHeader: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    fontSize: 14,
+    fontWeight: "700",
+    textTransform: "uppercase",
+    color: "gray",
+    backgroundColor: "#F2F2F7",
+  },
+  darkSectionHeader: {
+    color: "#B0B0B0",
+    backgroundColor: "#121212",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    backgroundColor: "white",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  darkRow: {
+    backgroundColor: "#1C1C1E",
+    borderBottomColor: "#2C2C2E",
+  },
+  thumbnail: {
+    width: 50,
+    height: 50,
+    borderRadius: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rowTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "black",
+  },
+  sourceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  rowSubtitle: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: "gray",
+  },
+  rowTime: {
+    marginLeft: 8,
+    fontSize: 15,
+    color: "gray",
+  },
+  darkText: {
+    color: "white",
+  },
+  darkSubtitle: {
+    color: "#B0B0B0",
+  },
+  emptyText: {
+    marginTop: 40,
+    marginHorizontal: 32,
+    textAlign: "center",
+    fontSize: 16,
+    color: "gray",
+  },
+});
+
+export default VisitHistoryView;
@@ -6,14 +6,20 @@ import MapView from "./Map/MapView";
 import SettingsView from "./Settings/SettingView";
 import StructPopUp from "./Shared/StructPopUp";
 import VisitedStructurePopup from "./Shared/VisitedPopUp";
+import AchievementPopup from "./Shared/AchievementPopUp";
 import { useDarkMode } from "../Core/States/DarkMode";
 import { useDataStore } from "../Core/Data/DataStore";
 import { useAppState } from "../Core/States/AppState";
 import { useAdventureMode } from "../Core/States/AdventureMode";
+import { useAchievements } from "../Core/States/Achievements";
 import ModeSelectionPopup from "./Shared/ModeSelectionPopup";
 import { useNavigation } from "@react-navigation/native";
 import TabBar from "./Shared/TabBar";
 import VirtualTour from "./Map/VirtualTour";
+import VisitHistoryView from "./Detail/VisitHistoryView";
+import PeopleDirectoryView from "./Detail/PeopleDirectoryView";
+import PersonView from "./Detail/PersonView";
+import TimelineView from "./Detail/TimelineView";
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -52,6 +58,7 @@ const MainView = ({ setDesignVillageMode }) => {
     selectedStructure,
   } = useAppState();
   const { getStructure } = useDataStore();
+  const { currentUnlock, dismissCurrentUnlock } = useAchievements();
   const navigation = useNavigation();
   const [selectedMode, setSelectedMode] = useState(adventureMode);
 
@@ -98,6 +105,38 @@ const MainView = ({ setDesignVillageMode }) => {
             animation: "slide_from_bottom",
           }}
         />
+        <Stack.Screen
+          name="VisitHistory"
+          component={VisitHistoryView}
+          options={{
+            presentation: "fullScreenModal",
+            animation: "slide_from_bottom",
+          }}
+        />
+        <Stack.Screen
+          name="People"
+          component={PeopleDirectoryView}
+          options={{
+            presentation: "fullScreenModal",
+            animation: "slide_from_bottom",
+          }}
+        />
+        <Stack.Screen
+          name="Person"
+          component={PersonView}
+          options={{
+            presentation: "fullScreenModal",
+            animation: "slide_from_bottom",
+          }}
+        />
+        <Stack.Screen
+          name="Timeline"
+          component={TimelineView}
+          options={{
+            presentation: "fullScreenModal",
+            animation: "slide_from_bottom",
+          }}
+        />
       </Stack.Navigator>
 
       {/* Visited Popup overlay */}
@@ -111,6 +150,15 @@ const MainView = ({ setDesignVillageMode }) => {
         />
       )}
 
+      {/* Achievement popup waits until the visited popup is dismissed */}
+      {!visitedPopupVisible && currentUnlock && (
+        <AchievementPopup
+          achievement={currentUnlock}
+          onDismiss={dismissCurrentUnlock}
+          isDarkMode={isDarkMode}
+        />
+      )}
+
       {/* Mode selection popup */}
       <ModeSelectionPopup
         isVisible={isModeSelectionVisible}
@@ -10,11 +10,6 @@ const styles = StyleSheet.create({
     position: "relative",
     zIndex: 2,
   },
-  map: {
-    width: "100%",
-    height: "100%",
-    resizeMode: "contain",
-  },
   button: {
     position: "absolute",
     top: 20,
@@ -36,6 +31,18 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     alignItems: "center",
   },
+  accuracyCircle: {
+    position: "absolute",
+    backgroundColor: "rgba(112, 235, 64, 0.15)",
+    borderWidth: 1,
+    borderColor: "rgba(112, 235, 64, 0.5)",
+  },
+  targetFootprint: {
+    position: "absolute",
+    borderWidth: 2,
+    borderColor: "rgba(0, 122, 255, 0.8)",
+    backgroundColor: "rgba(0, 122, 255, 0.1)",
+  },
   pulsingCircleContainer: {
     width: 14,
     height: 14,
@@ -344,6 +351,311 @@ const styles = StyleSheet.create({
     height: "120%",
     transform: [{ scale: 1.2 }],
   },
+
+  // Walking route overlay
+  routeContainer: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  routeSegment: {
+    position: "absolute",
+    backgroundColor: "#2196F3",
+  },
+  routeSegmentSatellite: {
+    backgroundColor: "#4FC3F7",
+  },
+  routeCard: {
+    position: "absolute",
+    top: 60,
+    left: 20,
+    right: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    borderRadius: 15,
+    backgroundColor: "#F5F5F5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    zIndex: 4,
+  },
+  routeCardDark: {
+    backgroundColor: "#2C2C2E",
+  },
+  routeCardText: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  routeCardTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#000000",
+  },
+  routeCardSubtitle: {
+    marginTop: 2,
+    fontSize: 14,
+    color: "gray",
+  },
+  routeTextDark: {
+    color: "#FFFFFF",
+  },
+  routeSubtitleDark: {
+    color: "#B0B0B0",
+  },
+  routeCardClose: {
+    padding: 4,
+  },
+
+  // Structure markers
+  markerLayer: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  structureMarker: {
+    position: "absolute",
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 2,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+    elevation: 3,
+  },
+  markerUnvisited: {
+    backgroundColor: "#FFFFFF",
+    borderColor: "#3A3A3C",
+  },
+  markerVisited: {
+    backgroundColor: "#34C759",
+    borderColor: "#FFFFFF",
+  },
+  markerLiked: {
+    backgroundColor: "#FF2D55",
+    borderColor: "#FFFFFF",
+  },
+  markerOnRoute: {
+    backgroundColor: "#007AFF",
+    borderColor: "#FFFFFF",
+  },
+  markerDimmed: {
+    opacity: 0.3,
+  },
+  markerText: {
+    fontWeight: "700",
+  },
+  markerTextDark: {
+    color: "#000000",
+  },
+  markerTextLight: {
+    color: "#FFFFFF",
+  },
+  markerLikedBadge: {
+    position: "absolute",
+    top: -5,
+    right: -5,
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: "#FFFFFF",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+
+  // Map highlight chip, between the bottom controls
+  highlightChip: {
+    position: "absolute",
+    bottom: 30,
+    alignSelf: "center",
+    maxWidth: "55%",
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    paddingLeft: 14,
+    paddingRight: 8,
+    borderRadius: 20,
+    backgroundColor: "#F5F5F5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    zIndex: 3,
+  },
+  highlightChipDark: {
+    backgroundColor: "#2C2C2E",
+  },
+  highlightChipText: {
+    flexShrink: 1,
+    marginRight: 6,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#000000",
+  },
+  highlightChipTextDark: {
+    color: "#FFFFFF",
+  },
+
+  // Structure callout
+  callout: {
+    position: "absolute",
+    width: 260,
+    height: 96,
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 8,
+    borderRadius: 15,
+    backgroundColor: "#F5F5F5",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    zIndex: 4,
+  },
+  calloutDark: {
+    backgroundColor: "#2C2C2E",
+  },
+  calloutImage: {
+    width: 80,
+    height: 80,
+    borderRadius: 10,
+  },
+  calloutText: {
+    flex: 1,
+    marginLeft: 10,
+    justifyContent: "space-between",
+    alignSelf: "stretch",
+    paddingVertical: 4,
+  },
+  calloutTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#000000",
+  },
+  calloutTitleDark: {
+    color: "#FFFFFF",
+  },
+  calloutStatus: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  calloutStatusText: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: "gray",
+  },
+  calloutStatusTextDark: {
+    color: "#B0B0B0",
+  },
+  calloutLink: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#007AFF",
+  },
+  calloutClose: {
+    alignSelf: "flex-start",
+    padding: 2,
+  },
+
+  // Tour planner
+  tourButton: {
+    marginBottom: 10,
+  },
+  tourModalOverlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  tourModalContent: {
+    maxHeight: "80%",
+    padding: 20,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    backgroundColor: "#FFFFFF",
+  },
+  tourModalHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 10,
+  },
+  tourModalTitle: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#000000",
+  },
+  tourOptionRow: {
+    flexDirection: "row",
+    marginBottom: 10,
+  },
+  tourOption: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 8,
+    marginHorizontal: 3,
+    borderRadius: 10,
+    backgroundColor: "#F5F5F5",
+  },
+  tourOptionDark: {
+    backgroundColor: "#3A3A3C",
+  },
+  tourOptionSelected: {
+    backgroundColor: "#2196F3",
+  },
+  tourOptionText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#000000",
+  },
+  tourOptionTextSelected: {
+    color: "#FFFFFF",
+  },
+  tourSummaryText: {
+    marginVertical: 8,
+    fontSize: 14,
+    color: "gray",
+  },
+  tourStopList: {
+    flexGrow: 0,
+  },
+  tourStopRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  tourStopRowDark: {
+    borderBottomColor: "#3A3A3C",
+  },
+  tourStopIndex: {
+    width: 28,
+    fontSize: 18,
+    fontWeight: "700",
+    textAlign: "center",
+    color: "#000000",
+  },
+  tourStopTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#000000",
+  },
+  tourStartButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 15,
+    paddingVertical: 14,
+    borderRadius: 15,
+    backgroundColor: "#2196F3",
+  },
+  tourStartButtonText: {
+    marginLeft: 8,
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
 });
 
 export default styles;
@@ -14,27 +14,28 @@ import { useDarkMode } from "../../Core/States/DarkMode";
 import { useAdventureMode } from "../../Core/States/AdventureMode";
 import { useLocationService } from "../../Core/Location/LocationService";
 import { useAppState } from "../../Core/States/AppState";
+import { useDataStore } from "../../Core/Data/DataStore";
 import { useNavigation } from "@react-navigation/native"; // NEW import
 import styles from "./MapStyles";
+import { RoutePolyline, RouteInfoCard } from "./RouteOverlay";
+import TourPlannerModal from "./TourPlannerModal";
+import { useTour } from "../../Core/States/Tour";
+import { mapPixelToScreen } from "../../Core/Location/MapHitTest";
+import { StructureCallout, getCalloutPosition } from "./StructureCallout";
+import { StructureMarkers } from "./StructureMarkers";
+import MapViewport from "./MapViewport";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 
-// Map assets for regular (numbers) mode
+// Map images; structure numbers are drawn on top as live markers
 const MAP_ASSETS = {
-  light: require("../../assets/map/Normal/LightMap.webp"),
-  dark: require("../../assets/map/Normal/DarkMap.webp"),
-  satellite: require("../../assets/map/Normal/SatelliteMap.webp"),
-  blurredSatellite: require("../../assets/map/Normal/BlurredSatellite.webp"),
-};
-
-// Map assets for no numbers mode
-const MAP_ASSETS_NO_NUMBERS = {
   light: require("../../assets/map/NoNumbers/LightMapNN.webp"),
   dark: require("../../assets/map/NoNumbers/DarkMapNN.webp"),
   satellite: require("../../assets/map/NoNumbers/SatelliteMapNN.webp"),
+  blurredSatellite: require("../../assets/map/Normal/BlurredSatellite.webp"),
 };
 
-const MAP_ORIGINAL_WIDTH = 1843;
-const MAP_ORIGINAL_HEIGHT = 4164;
+// Map image pixels added around a route target's footprint
+const TARGET_FOOTPRINT_PADDING = 40;
 
 const PulsingCircle = ({ isSatelliteView }) => {
   const scaleAnim = useRef(new Animated.Value(1)).current;
@@ -87,13 +88,43 @@ const MapView = () => {
   // Context hooks
   const { isDarkMode } = useDarkMode();
   const { adventureMode } = useAdventureMode();
-  const { currentLocation, nearestMapPoint } = useLocationService();
-  const { mapStyle, toggleMapStyle, mapShowNumbers, toggleMapNumbers } =
-    useAppState();
+  const {
+    mapPoints,
+    currentLocation,
+    nearestMapPoint,
+    getRouteToStructure,
+    getMapPixelForCoordinate,
+    metersToMapPixels,
+    getStructureLocation,
+    getStructureAtScreenPoint,
+  } = useLocationService();
+  const {
+    mapStyle,
+    toggleMapStyle,
+    mapShowNumbers,
+    toggleMapNumbers,
+    routeTarget,
+    routeOrigin,
+    clearRoute,
+    setSelectedStructure,
+    mapHighlight,
+    clearMapHighlight,
+    mapFocusRequest,
+    clearMapFocusRequest,
+  } = useAppState();
+  const { structures, getStructure } = useDataStore();
+  const { tour, currentStopIndex, endTour } = useTour();
+  const [isTourPlannerVisible, setIsTourPlannerVisible] = useState(false);
   const navigation = useNavigation();
 
   // Local state for map layout calculations
   const [mapLayout, setMapLayout] = useState({ width: 0, height: 0 });
+  // Where the zoomable map currently is (see MapViewport); null until laid out
+  const [viewport, setViewport] = useState(null);
+  const mapViewportRef = useRef(null);
+
+  // Structure whose callout is open after tapping the map
+  const [calloutStructure, setCalloutStructure] = useState(null);
 
   // Local state for settings panel open/closed
   const [settingsOpen, setSettingsOpen] = useState(false);
@@ -122,6 +153,19 @@ const MapView = () => {
     checkVirtualTourPopup();
   }, [adventureMode]);
 
+  // Zoom to a structure another screen asked to show on the map, once the
+  // map is laid out and its points have loaded
+  useEffect(() => {
+    if (mapFocusRequest === null || !viewport || !mapViewportRef.current) {
+      return;
+    }
+    const { structure, zoom } = mapFocusRequest;
+    if (mapViewportRef.current.focusOn(structure, zoom)) {
+      setCalloutStructure(structure);
+      clearMapFocusRequest();
+    }
+  }, [mapFocusRequest, mapPoints, viewport]);
+
   // Add handler to dismiss popup
   const dismissVirtualTourPopup = () => {
     setShowVirtualTourPopup(false);
@@ -145,23 +189,76 @@ const MapView = () => {
     navigation.navigate("VirtualTour");
   };
 
-  // Calculate pixel position for the pulsing circle
-  const calculatePixelPosition = (point) => {
-    if (!point || !mapLayout.width || !mapLayout.height) {
-      return { left: 0, top: 0 };
-    }
-    const originalX = parseFloat(point.pixelPosition.x);
-    const originalY = parseFloat(point.pixelPosition.y);
-    const scaleX = mapLayout.width / MAP_ORIGINAL_WIDTH;
-    const scaleY = mapLayout.height / MAP_ORIGINAL_HEIGHT;
-    const scale = Math.min(scaleX, scaleY);
-    const offsetX = (mapLayout.width - MAP_ORIGINAL_WIDTH * scale) / 2;
-    const offsetY = (mapLayout.height - MAP_ORIGINAL_HEIGHT * scale) / 2;
+  // Convert a pixel position on the map image to on-screen coordinates
+  const projectPixel = (pixel) =>
+    mapPixelToScreen(
+      { x: parseFloat(pixel.x), y: parseFloat(pixel.y) },
+      viewport
+    );
+
+  // Convert a map point's image pixel position to on-screen coordinates
+  const projectPoint = (point) => projectPixel(point.pixelPosition);
+
+  // The user's calibrated GPS position on screen with the accuracy radius,
+  // shown while they're in the canyon (nearestMapPoint is only set there)
+  const getUserMarker = () => {
+    if (!adventureMode || !nearestMapPoint || !currentLocation) return null;
+    if (!viewport) return null;
+
+    const pixel = getMapPixelForCoordinate(currentLocation.coords);
+    if (!pixel) return null;
+    const { x, y } = projectPixel(pixel);
+    const accuracy = currentLocation.coords.accuracy;
     return {
-      left: offsetX + originalX * scale - 10,
-      top: offsetY + originalY * scale - 10,
+      x,
+      y,
+      accuracyRadius:
+        typeof accuracy === "number"
+          ? metersToMapPixels(accuracy) * viewport.scale
+          : 0,
     };
   };
+  const userMarker = getUserMarker();
+
+  // Ring around the area the route's target structure covers
+  const getTargetFootprint = () => {
+    if (routeTarget === null || !viewport) return null;
+    const location = getStructureLocation(routeTarget);
+    if (!location || !location.footprint.pixelBounds) return null;
+
+    const { minX, minY, maxX, maxY } = location.footprint.pixelBounds;
+    const center = projectPixel({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 });
+    const radius =
+      (Math.max(maxX - minX, maxY - minY) / 2 + TARGET_FOOTPRINT_PADDING) *
+      viewport.scale;
+    return { ...center, radius };
+  };
+  const targetFootprint = getTargetFootprint();
+
+  // Open the callout for the structure under a tap, or close it when the
+  // tap missed every structure
+  const handleMapPress = (point, pressViewport) => {
+    setCalloutStructure(getStructureAtScreenPoint(point, pressViewport));
+  };
+
+  // Callout position, pointing at the tapped structure's anchor
+  const getCallout = () => {
+    if (calloutStructure === null || !viewport) return null;
+    const location = getStructureLocation(calloutStructure);
+    if (!location) return null;
+    return getCalloutPosition(projectPoint(location.anchor), mapLayout);
+  };
+
+  const openCalloutDetail = () => {
+    setSelectedStructure(calloutStructure);
+    setCalloutStructure(null);
+    navigation.navigate("StructureDetail");
+  };
+
+  // Active walking route; recomputed as the user's position changes so the
+  // remaining distance stays current.
+  const route =
+    routeTarget !== null ? getRouteToStructure(routeTarget, routeOrigin) : null;
 
   // Handler for layout changes
   const onMapLayout = (event) => {
@@ -169,22 +266,18 @@ const MapView = () => {
     setMapLayout({ width, height });
   };
 
-  // Determine which map image to show based on dark mode, map style, and numbers toggle
+  // Determine which map image to show based on dark mode and map style
   const getMapSource = () => {
-    const useNoNumbers = !mapShowNumbers; // if mapShowNumbers is false, use no numbers image
-    if (mapStyle === "satellite") {
-      return useNoNumbers
-        ? MAP_ASSETS_NO_NUMBERS.satellite
-        : MAP_ASSETS.satellite;
-    } else {
-      if (isDarkMode) {
-        return useNoNumbers ? MAP_ASSETS_NO_NUMBERS.dark : MAP_ASSETS.dark;
-      } else {
-        return useNoNumbers ? MAP_ASSETS_NO_NUMBERS.light : MAP_ASSETS.light;
-      }
-    }
+    if (mapStyle === "satellite") return MAP_ASSETS.satellite;
+    return isDarkMode ? MAP_ASSETS.dark : MAP_ASSETS.light;
   };
 
+  // Structures on the active route or planned tour, drawn as route markers
+  const routeStructures = new Set(
+    tour ? tour.stops.map((stop) => stop.structure) : []
+  );
+  if (routeTarget !== null) routeStructures.add(routeTarget);
+
   return (
     <View style={styles.container}>
       {/* Background color layer */}
@@ -209,23 +302,120 @@ const MapView = () => {
 
       {/* Map container */}
       <View style={styles.mapContainer} onLayout={onMapLayout}>
-        <Image
+        {/* Taps on the map are hit-tested against structure footprints */}
+        <MapViewport
+          ref={mapViewportRef}
           source={getMapSource()}
-          style={styles.map}
-          resizeMode="contain"
+          onPress={handleMapPress}
+          onViewportChange={setViewport}
         />
-        {adventureMode && nearestMapPoint && (
+        {viewport && (
+          <RoutePolyline
+            route={route}
+            projectPoint={projectPoint}
+            isSatelliteView={mapStyle === "satellite"}
+          />
+        )}
+        {targetFootprint && (
+          <View
+            pointerEvents="none"
+            style={[
+              styles.targetFootprint,
+              {
+                left: targetFootprint.x - targetFootprint.radius,
+                top: targetFootprint.y - targetFootprint.radius,
+                width: targetFootprint.radius * 2,
+                height: targetFootprint.radius * 2,
+                borderRadius: targetFootprint.radius,
+              },
+            ]}
+          />
+        )}
+        {(mapShowNumbers || mapHighlight) && viewport && (
+          <StructureMarkers
+            structures={structures}
+            getStructureLocation={getStructureLocation}
+            projectPixel={projectPixel}
+            zoom={viewport.zoom}
+            routeStructures={routeStructures}
+            highlighted={mapHighlight ? new Set(mapHighlight.numbers) : null}
+          />
+        )}
+        {userMarker && userMarker.accuracyRadius > 10 && (
           <View
+            pointerEvents="none"
+            style={[
+              styles.accuracyCircle,
+              {
+                left: userMarker.x - userMarker.accuracyRadius,
+                top: userMarker.y - userMarker.accuracyRadius,
+                width: userMarker.accuracyRadius * 2,
+                height: userMarker.accuracyRadius * 2,
+                borderRadius: userMarker.accuracyRadius,
+              },
+            ]}
+          />
+        )}
+        {userMarker && (
+          <View
+            pointerEvents="none"
             style={[
               styles.markerContainer,
-              calculatePixelPosition(nearestMapPoint),
+              { left: userMarker.x - 10, top: userMarker.y - 10 },
             ]}
           >
             <PulsingCircle isSatelliteView={mapStyle === "satellite"} />
           </View>
         )}
+        <StructureCallout
+          structure={
+            calloutStructure !== null ? getStructure(calloutStructure) : null
+          }
+          position={getCallout()}
+          onLearnMore={openCalloutDetail}
+          onClose={() => setCalloutStructure(null)}
+          isDarkMode={isDarkMode}
+        />
       </View>
 
+      {/* Highlighted structures, e.g. search results sent from the list */}
+      {mapHighlight && (
+        <View
+          style={[styles.highlightChip, isDarkMode && styles.highlightChipDark]}
+        >
+          <Text
+            style={[
+              styles.highlightChipText,
+              isDarkMode && styles.highlightChipTextDark,
+            ]}
+            numberOfLines={1}
+          >
+            {mapHighlight.label} · {mapHighlight.numbers.length}
+          </Text>
+          <TouchableOpacity onPress={clearMapHighlight}>
+            <Icon
+              name="close-circle"
+              size={20}
+              color={isDarkMode ? "white" : "black"}
+            />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Walking route summary */}
+      <RouteInfoCard
+        route={route}
+        target={routeTarget !== null ? getStructure(routeTarget) : null}
+        originStructure={routeOrigin}
+        tourProgress={
+          tour
+            ? { current: currentStopIndex + 1, total: tour.stops.length }
+            : null
+        }
+        onClose={tour ? endTour : clearRoute}
+        isDarkMode={isDarkMode}
+      />
+
       {/* Bottom Left: Settings Button & Toggle Options */}
       <View style={styles.bottomLeftControls}>
         {settingsOpen && (
@@ -307,8 +497,24 @@ const MapView = () => {
         </TouchableOpacity>
       )}
 
-      {/* Bottom Right: Virtual Walkthrough Button */}
+      {/* Bottom Right: Tour Planner & Virtual Walkthrough Buttons */}
       <View style={styles.bottomRightControls}>
+        {adventureMode && (
+          <TouchableOpacity
+            onPress={() => setIsTourPlannerVisible(true)}
+            style={[
+              styles.controlButton,
+              styles.tourButton,
+              isDarkMode && styles.controlButtonDark,
+            ]}
+          >
+            <Icon
+              name="list"
+              size={24}
+              color={isDarkMode ? "white" : "black"}
+            />
+          </TouchableOpacity>
+        )}
         <TouchableOpacity
           onPress={openVirtualTour}
           style={[styles.controlButton, isDarkMode && styles.controlButtonDark]}
@@ -316,6 +522,12 @@ const MapView = () => {
           <Icon name="walk" size={24} color={isDarkMode ? "white" : "black"} />
         </TouchableOpacity>
       </View>
+
+      <TourPlannerModal
+        isVisible={isTourPlannerVisible}
+        onClose={() => setIsTourPlannerVisible(false)}
+        isDarkMode={isDarkMode}
+      />
     </View>
   );
 };
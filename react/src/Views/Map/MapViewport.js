@@ -0,0 +1,388 @@
+/**
+ * MapViewport Component
+ *
+ * The canyon map image with pinch-zoom, pan and double-tap zoom, kept inside
+ * the container's bounds. Screens draw their own overlays from the viewport
+ * reported through `onViewportChange` (see MapHitTest for the viewport
+ * shape); overlays should use pointerEvents="none" so gestures reach the map.
+ *
+ * Imperative API (through a ref):
+ *   focusOn(structureNumber, zoom)   centre a structure's anchor point
+ *   focusOnPixel(pixel, zoom)        centre a map image pixel
+ *   resetZoom()                      back to the fitted map
+ * `zoom` is relative to the fitted map (1 = fitted); leave it out to keep
+ * the current zoom.
+ */
+
+import React, {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useRef,
+  useState,
+} from "react";
+import {
+  View,
+  Image,
+  PanResponder,
+  Animated,
+  Easing,
+  StyleSheet,
+} from "react-native";
+import { useLocationService } from "../../Core/Location/LocationService";
+import { screenToMapPixel } from "../../Core/Location/MapHitTest";
+
+export const MAP_ORIGINAL_WIDTH = 1843;
+export const MAP_ORIGINAL_HEIGHT = 4164;
+
+// How the map is fitted before zooming: all of it ("contain"), or the full
+// width with the rest reachable by panning ("width")
+export const MapFit = {
+  CONTAIN: "contain",
+  WIDTH: "width",
+};
+
+const MAX_ZOOM = 6;
+const DOUBLE_TAP_ZOOM = 2.5; // zoom multiplier per double tap
+const DOUBLE_TAP_DELAY = 250; // ms a single tap waits for a second one
+const TAP_SLOP = 10; // points a finger may move and still tap
+const TAP_DURATION = 300; // ms
+const FOCUS_DURATION = 300; // ms
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// MARK: - Viewport Math
+
+const getFitScale = (layout, fit) =>
+  fit === MapFit.WIDTH
+    ? layout.width / MAP_ORIGINAL_WIDTH
+    : Math.min(
+        layout.width / MAP_ORIGINAL_WIDTH,
+        layout.height / MAP_ORIGINAL_HEIGHT
+      );
+
+// Centred along an axis where the map is smaller than the container,
+// otherwise kept covering it
+const clampOffset = (offset, containerSize, contentSize) =>
+  contentSize <= containerSize
+    ? (containerSize - contentSize) / 2
+    : clamp(offset, containerSize - contentSize, 0);
+
+const clampViewport = (viewport, layout, fit) => {
+  const fitScale = getFitScale(layout, fit);
+  const scale = clamp(viewport.scale, fitScale, fitScale * MAX_ZOOM);
+  return {
+    scale,
+    offsetX: clampOffset(
+      viewport.offsetX,
+      layout.width,
+      MAP_ORIGINAL_WIDTH * scale
+    ),
+    offsetY: clampOffset(
+      viewport.offsetY,
+      layout.height,
+      MAP_ORIGINAL_HEIGHT * scale
+    ),
+    zoom: scale / fitScale,
+  };
+};
+
+// Whole map fitted, scrolled to the top when it's taller than the container
+const getFittedViewport = (layout, fit) => ({
+  scale: getFitScale(layout, fit),
+  offsetX: 0,
+  offsetY: 0,
+});
+
+// Viewport at `scale` that keeps the screen point `focus` over the same
+// map pixel
+const zoomAround = (viewport, scale, focus) => {
+  const pixel = screenToMapPixel(focus, viewport);
+  return {
+    scale,
+    offsetX: focus.x - pixel.x * scale,
+    offsetY: focus.y - pixel.y * scale,
+  };
+};
+
+// Viewport at `scale` with `pixel` in the middle of the container
+const centerOn = (pixel, scale, layout) => ({
+  scale,
+  offsetX: layout.width / 2 - pixel.x * scale,
+  offsetY: layout.height / 2 - pixel.y * scale,
+});
+
+const getTouchPoints = (event) =>
+  event.nativeEvent.touches.map((touch) => ({
+    x: touch.locationX,
+    y: touch.locationY,
+  }));
+
+const getMidpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// MARK: - MapViewport Component
+
+const MapViewport = forwardRef(
+  ({ source, fit = MapFit.CONTAIN, onPress, onViewportChange, style }, ref) => {
+    const { getStructureLocation } = useLocationService();
+    const [viewport, setViewport] = useState(null);
+
+    // Gesture handlers are created once, so they read everything via refs
+    const viewportRef = useRef(null);
+    const layoutRef = useRef(null);
+    const gestureRef = useRef(null);
+    const lastTapRef = useRef(null);
+    const tapTimerRef = useRef(null);
+    const pendingFocusRef = useRef(null);
+    const propsRef = useRef({});
+    propsRef.current = { fit, onPress, onViewportChange };
+
+    const animation = useRef(new Animated.Value(0)).current;
+
+    useEffect(
+      () => () => {
+        clearTimeout(tapTimerRef.current);
+        animation.stopAnimation();
+        animation.removeAllListeners();
+      },
+      []
+    );
+
+    const showViewport = (next) => {
+      viewportRef.current = next;
+      setViewport(next);
+      if (propsRef.current.onViewportChange) {
+        propsRef.current.onViewportChange(next);
+      }
+    };
+
+    const applyViewport = (next) =>
+      showViewport(
+        clampViewport(next, layoutRef.current, propsRef.current.fit)
+      );
+
+    const animateTo = (target) => {
+      const from = viewportRef.current;
+      const to = clampViewport(target, layoutRef.current, propsRef.current.fit);
+
+      animation.stopAnimation();
+      animation.removeAllListeners();
+      animation.setValue(0);
+      animation.addListener(({ value }) => {
+        const mix = (key) => from[key] + (to[key] - from[key]) * value;
+        showViewport({
+          scale: mix("scale"),
+          offsetX: mix("offsetX"),
+          offsetY: mix("offsetY"),
+          zoom: mix("zoom"),
+        });
+      });
+      Animated.timing(animation, {
+        toValue: 1,
+        duration: FOCUS_DURATION,
+        easing: Easing.inOut(Easing.ease),
+        useNativeDriver: false,
+      }).start();
+    };
+
+    // MARK: - Focus
+
+    const focusOnPixel = (pixel, zoom, { animated = true } = {}) => {
+      const layout = layoutRef.current;
+      if (!layout || !viewportRef.current) {
+        // Not laid out yet; applied once the size is known
+        pendingFocusRef.current = { pixel, zoom };
+        return;
+      }
+      const fitScale = getFitScale(layout, propsRef.current.fit);
+      const scale =
+        zoom === undefined ? viewportRef.current.scale : fitScale * zoom;
+      const target = centerOn(pixel, scale, layout);
+      if (animated) {
+        animateTo(target);
+      } else {
+        applyViewport(target);
+      }
+    };
+
+    // Returns false when the structure isn't on the map
+    const focusOn = (structureNumber, zoom, options) => {
+      const location = getStructureLocation(structureNumber);
+      if (!location) return false;
+      focusOnPixel(location.anchor.pixelPosition, zoom, options);
+      return true;
+    };
+
+    const resetZoom = () => {
+      if (!layoutRef.current) return;
+      animateTo(getFittedViewport(layoutRef.current, propsRef.current.fit));
+    };
+
+    useImperativeHandle(ref, () => ({
+      focusOn,
+      focusOnPixel,
+      resetZoom,
+      getViewport: () => viewportRef.current,
+    }));
+
+    const onLayout = (event) => {
+      const { width, height } = event.nativeEvent.layout;
+      if (width === 0 || height === 0) return;
+      layoutRef.current = { width, height };
+
+      if (!viewportRef.current) {
+        applyViewport(
+          getFittedViewport(layoutRef.current, propsRef.current.fit)
+        );
+      } else {
+        applyViewport(viewportRef.current);
+      }
+
+      const pendingFocus = pendingFocusRef.current;
+      if (pendingFocus) {
+        pendingFocusRef.current = null;
+        focusOnPixel(pendingFocus.pixel, pendingFocus.zoom, {
+          animated: false,
+        });
+      }
+    };
+
+    // MARK: - Gestures
+
+    const handleTap = (point) => {
+      const lastTap = lastTapRef.current;
+      const isDoubleTap =
+        lastTap &&
+        Date.now() - lastTap.time < DOUBLE_TAP_DELAY &&
+        Math.hypot(point.x - lastTap.point.x, point.y - lastTap.point.y) <
+          TAP_SLOP * 3;
+
+      if (isDoubleTap) {
+        clearTimeout(tapTimerRef.current);
+        lastTapRef.current = null;
+        const current = viewportRef.current;
+        // Zoomed all the way in, a double tap goes back to the fitted map
+        animateTo(
+          current.zoom >= MAX_ZOOM - 0.01
+            ? getFittedViewport(layoutRef.current, propsRef.current.fit)
+            : zoomAround(current, current.scale * DOUBLE_TAP_ZOOM, point)
+        );
+        return;
+      }
+
+      lastTapRef.current = { point, time: Date.now() };
+      if (propsRef.current.onPress) {
+        tapTimerRef.current = setTimeout(() => {
+          lastTapRef.current = null;
+          propsRef.current.onPress(point, viewportRef.current);
+        }, DOUBLE_TAP_DELAY);
+      }
+    };
+
+    // (Re)starts a gesture from the current touches, e.g. when a second
+    // finger lands mid-pan
+    const beginGesture = (points) => {
+      animation.stopAnimation();
+      animation.removeAllListeners();
+      gestureRef.current = {
+        viewport: viewportRef.current,
+        points,
+        startTime: Date.now(),
+        hasMoved: gestureRef.current ? gestureRef.current.hasMoved : false,
+      };
+    };
+
+    const moveGesture = (points) => {
+      const gesture = gestureRef.current;
+      if (!gesture || !gesture.viewport) return;
+      if (points.length !== gesture.points.length) {
+        beginGesture(points);
+        return;
+      }
+
+      const start = gesture.viewport;
+      if (points.length === 1) {
+        const dx = points[0].x - gesture.points[0].x;
+        const dy = points[0].y - gesture.points[0].y;
+        if (Math.hypot(dx, dy) > TAP_SLOP) gesture.hasMoved = true;
+        if (!gesture.hasMoved) return;
+        applyViewport({
+          scale: start.scale,
+          offsetX: start.offsetX + dx,
+          offsetY: start.offsetY + dy,
+        });
+        return;
+      }
+
+      // Pinch: scale with the finger spread, pan with their midpoint
+      gesture.hasMoved = true;
+      const [a, b] = gesture.points;
+      const [c, d] = points;
+      const startDistance = Math.hypot(b.x - a.x, b.y - a.y);
+      if (startDistance === 0) return;
+      const ratio = Math.hypot(d.x - c.x, d.y - c.y) / startDistance;
+      const startMid = getMidpoint(a, b);
+      const mid = getMidpoint(c, d);
+      const zoomed = zoomAround(start, start.scale * ratio, startMid);
+      applyViewport({
+        scale: zoomed.scale,
+        offsetX: zoomed.offsetX + mid.x - startMid.x,
+        offsetY: zoomed.offsetY + mid.y - startMid.y,
+      });
+    };
+
+    const endGesture = (event) => {
+      const gesture = gestureRef.current;
+      gestureRef.current = null;
+      if (!gesture || gesture.hasMoved || gesture.points.length !== 1) return;
+      if (Date.now() - gesture.startTime > TAP_DURATION) return;
+      const { locationX, locationY } = event.nativeEvent;
+      handleTap({ x: locationX, y: locationY });
+    };
+
+    const panResponder = useRef(
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: (event) => {
+          gestureRef.current = null;
+          beginGesture(getTouchPoints(event));
+        },
+        onPanResponderMove: (event) => moveGesture(getTouchPoints(event)),
+        onPanResponderRelease: endGesture,
+        onPanResponderTerminate: () => {
+          gestureRef.current = null;
+        },
+      })
+    ).current;
+
+    return (
+      <View style={[styles.container, style]} onLayout={onLayout}>
+        {viewport && (
+          <Image
+            source={source}
+            style={{
+              position: "absolute",
+              left: viewport.offsetX,
+              top: viewport.offsetY,
+              width: MAP_ORIGINAL_WIDTH * viewport.scale,
+              height: MAP_ORIGINAL_HEIGHT * viewport.scale,
+            }}
+            resizeMode="stretch"
+          />
+        )}
+        <View style={StyleSheet.absoluteFill} {...panResponder.panHandlers} />
+      </View>
+    );
+  }
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    overflow: "hidden",
+  },
+});
+
+export default MapViewport;
@@ -0,0 +1,122 @@
+import React from "react";
+import { View, Text, TouchableOpacity } from "react-native";
+import Icon from "react-native-vector-icons/Ionicons";
+import { RouteOrigin } from "../../Core/Location/LocationService";
+import {
+  formatWalkingDistance,
+  formatWalkingTime,
+} from "../../Core/Location/TrailGraph";
+import styles from "./MapStyles";
+
+const ROUTE_LINE_WIDTH = 5;
+
+// MARK: - RoutePolyline Component
+/**
+ * Draws a walking route as a chain of rotated line segments.
+ * `projectPoint` converts a MapPoint into on-screen { x, y }.
+ */
+export const RoutePolyline = ({ route, projectPoint, isSatelliteView }) => {
+  if (!route || route.points.length < 2) return null;
+
+  const screenPoints = route.points.map(projectPoint);
+
+  return (
+    <View style={styles.routeContainer} pointerEvents="none">
+      {screenPoints.slice(1).map((end, index) => {
+        const start = screenPoints[index];
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+
+        return (
+          <View
+            key={index}
+            style={[
+              styles.routeSegment,
+              isSatelliteView && styles.routeSegmentSatellite,
+              {
+                left: (start.x + end.x) / 2 - length / 2,
+                top: (start.y + end.y) / 2 - ROUTE_LINE_WIDTH / 2,
+                width: length,
+                height: ROUTE_LINE_WIDTH,
+                borderRadius: ROUTE_LINE_WIDTH / 2,
+                transform: [{ rotate: `${angle}rad` }],
+              },
+            ]}
+          />
+        );
+      })}
+    </View>
+  );
+};
+
+const describeOrigin = (route, originStructure) => {
+  switch (route.origin) {
+    case RouteOrigin.USER:
+      return "from your location";
+    case RouteOrigin.STRUCTURE:
+      return `from #${originStructure}`;
+    default:
+      return "from the canyon entrance";
+  }
+};
+
+// MARK: - RouteInfoCard Component
+/**
+ * Remaining distance and walking time for the active route, plus the
+ * stop count while a planned tour is running.
+ */
+export const RouteInfoCard = ({
+  route,
+  target,
+  originStructure,
+  tourProgress,
+  onClose,
+  isDarkMode,
+}) => {
+  if (!route || !target) return null;
+
+  const hasArrived = route.distance === 0;
+
+  return (
+    <View style={[styles.routeCard, isDarkMode && styles.routeCardDark]}>
+      <Icon
+        name={hasArrived ? "flag" : "navigate"}
+        size={24}
+        color={isDarkMode ? "#81b0ff" : "#2196F3"}
+      />
+      <View style={styles.routeCardText}>
+        <Text
+          style={[styles.routeCardTitle, isDarkMode && styles.routeTextDark]}
+          numberOfLines={1}
+        >
+          #{target.number} {target.title}
+        </Text>
+        {tourProgress && (
+          <Text
+            style={[
+              styles.routeCardSubtitle,
+              isDarkMode && styles.routeSubtitleDark,
+            ]}
+          >
+            Tour stop {tourProgress.current} of {tourProgress.total}
+          </Text>
+        )}
+        <Text
+          style={[
+            styles.routeCardSubtitle,
+            isDarkMode && styles.routeSubtitleDark,
+          ]}
+        >
+          {hasArrived
+            ? "You've arrived"
+            : `${formatWalkingDistance(route.distance)} · ${formatWalkingTime(
+                route.duration
+              )} ${describeOrigin(route, originStructure)}`}
+        </Text>
+      </View>
+      <TouchableOpacity onPress={onClose} style={styles.routeCardClose}>
+        <Icon name="close" size={22} color={isDarkMode ? "white" : "black"} />
+      </TouchableOpacity>
+    </View>
+  );
+};
@@ -0,0 +1,89 @@
+import React from "react";
+import { View, Text, Image, TouchableOpacity } from "react-native";
+import Icon from "react-native-vector-icons/Ionicons";
+import { getMainPhoto } from "../../Core/Images/ImageRegistry";
+import styles from "./MapStyles";
+
+export const CALLOUT_WIDTH = 260;
+export const CALLOUT_HEIGHT = 96;
+
+// Gap between the callout and the structure it points at
+const CALLOUT_GAP = 16;
+
+// MARK: - Positioning
+/**
+ * Top-left corner for a callout pointing at `anchor` (on-screen { x, y }):
+ * above the structure when there's room, otherwise below, and kept inside
+ * the map area.
+ */
+export const getCalloutPosition = (anchor, mapLayout) => {
+  const left = Math.min(
+    Math.max(anchor.x - CALLOUT_WIDTH / 2, 8),
+    mapLayout.width - CALLOUT_WIDTH - 8
+  );
+  const above = anchor.y - CALLOUT_GAP - CALLOUT_HEIGHT;
+  const top =
+    above >= 8
+      ? above
+      : Math.min(anchor.y + CALLOUT_GAP, mapLayout.height - CALLOUT_HEIGHT);
+  return { left, top };
+};
+
+// MARK: - StructureCallout Component
+/**
+ * Mini card for a structure tapped on the map: photo, title, visited state
+ * and a "Learn more" link to the full detail screen.
+ */
+export const StructureCallout = ({
+  structure,
+  position,
+  onLearnMore,
+  onClose,
+  isDarkMode,
+}) => {
+  if (!structure || !position) return null;
+
+  return (
+    <View
+      style={[
+        styles.callout,
+        isDarkMode && styles.calloutDark,
+        { left: position.left, top: position.top },
+      ]}
+    >
+      <Image
+        source={getMainPhoto(structure.number)}
+        style={styles.calloutImage}
+      />
+      <View style={styles.calloutText}>
+        <Text
+          style={[styles.calloutTitle, isDarkMode && styles.calloutTitleDark]}
+          numberOfLines={1}
+        >
+          #{structure.number} {structure.title}
+        </Text>
+        <View style={styles.calloutStatus}>
+          <Icon
+            name={structure.isVisited ? "checkmark-circle" : "ellipse-outline"}
+            size={14}
+            color={structure.isVisited ? "green" : "gray"}
+          />
+          <Text
+            style={[
+              styles.calloutStatusText,
+              isDarkMode && styles.calloutStatusTextDark,
+            ]}
+          >
+            {structure.isVisited ? "Visited" : "Not visited yet"}
+          </Text>
+        </View>
+        <TouchableOpacity onPress={onLearnMore}>
+          <Text style={styles.calloutLink}>Learn more</Text>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity onPress={onClose} style={styles.calloutClose}>
+        <Icon name="close" size={18} color={isDarkMode ? "white" : "black"} />
+      </TouchableOpacity>
+    </View>
+  );
+};
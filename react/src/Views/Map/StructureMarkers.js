@@ -0,0 +1,100 @@
+import React from "react";
+import { View, Text } from "react-native";
+import Icon from "react-native-vector-icons/Ionicons";
+import styles from "./MapStyles";
+
+// Marker diameter at the map's fitted zoom, and its limits when zooming
+const MARKER_BASE_SIZE = 22;
+const MARKER_MIN_SIZE = 16;
+const MARKER_MAX_SIZE = 40;
+
+export const MarkerState = {
+  UNVISITED: "unvisited",
+  VISITED: "visited",
+  LIKED: "liked",
+  ON_ROUTE: "onRoute",
+};
+
+const MARKER_STATE_STYLES = {
+  [MarkerState.UNVISITED]: [styles.markerUnvisited, styles.markerTextDark],
+  [MarkerState.VISITED]: [styles.markerVisited, styles.markerTextLight],
+  [MarkerState.LIKED]: [styles.markerLiked, styles.markerTextLight],
+  [MarkerState.ON_ROUTE]: [styles.markerOnRoute, styles.markerTextLight],
+};
+
+// Being on the route matters most while walking, then likes, then visits
+export const getMarkerState = (structure, routeStructures) => {
+  if (routeStructures.has(structure.number)) return MarkerState.ON_ROUTE;
+  if (structure.isLiked) return MarkerState.LIKED;
+  if (structure.isVisited) return MarkerState.VISITED;
+  return MarkerState.UNVISITED;
+};
+
+// Markers grow with zoom, but slower than the map so they don't cover it
+export const getMarkerSize = (zoom) =>
+  Math.min(
+    MARKER_MAX_SIZE,
+    Math.max(MARKER_MIN_SIZE, MARKER_BASE_SIZE * Math.sqrt(zoom))
+  );
+
+// MARK: - StructureMarkers Component
+/**
+ * Numbered structure markers drawn over the map at each structure's anchor.
+ * `projectPixel` converts map image pixels to on-screen { x, y }; `zoom` is
+ * the scale relative to the fitted map. When `highlighted` (a Set of
+ * structure numbers) is given, other structures are dimmed.
+ */
+export const StructureMarkers = ({
+  structures,
+  getStructureLocation,
+  projectPixel,
+  zoom = 1,
+  routeStructures = new Set(),
+  highlighted = null,
+}) => {
+  const size = getMarkerSize(zoom);
+
+  return (
+    <View style={styles.markerLayer} pointerEvents="none">
+      {structures.map((structure) => {
+        const location = getStructureLocation(structure.number);
+        if (!location) return null;
+
+        const { x, y } = projectPixel(location.anchor.pixelPosition);
+        const state = getMarkerState(structure, routeStructures);
+        const [markerStyle, textStyle] = MARKER_STATE_STYLES[state];
+        const isDimmed =
+          highlighted !== null && !highlighted.has(structure.number);
+
+        return (
+          <View
+            key={structure.number}
+            style={[
+              styles.structureMarker,
+              markerStyle,
+              isDimmed && styles.markerDimmed,
+              {
+                left: x - size / 2,
+                top: y - size / 2,
+                width: size,
+                height: size,
+                borderRadius: size / 2,
+              },
+            ]}
+          >
+            <Text
+              style={[styles.markerText, textStyle, { fontSize: size * 0.45 }]}
+            >
+              {structure.number}
+            </Text>
+            {structure.isLiked && (
+              <View style={styles.markerLikedBadge}>
+                <Icon name="heart" size={9} color="#FF2D55" />
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+import { View, Text, TouchableOpacity, Modal, FlatList } from "react-native";
+import Icon from "react-native-vector-icons/Ionicons";
+import { useDataStore } from "../../Core/Data/DataStore";
+import { useLocationService } from "../../Core/Location/LocationService";
+import { useTour } from "../../Core/States/Tour";
+import {
+  formatWalkingDistance,
+  formatWalkingTime,
+} from "../../Core/Location/TrailGraph";
+import styles from "./MapStyles";
+
+const SUBSET_OPTIONS = [
+  { label: "All", value: "all" },
+  { label: "Unvisited", value: "unvisited" },
+  { label: "Favorites", value: "favorites" },
+];
+
+const TIME_BUDGET_OPTIONS = [
+  { label: "No limit", value: null },
+  { label: "30 min", value: 30 * 60 },
+  { label: "1 hr", value: 60 * 60 },
+  { label: "2 hr", value: 2 * 60 * 60 },
+];
+
+const filterStructures = (structures, subset) => {
+  switch (subset) {
+    case "unvisited":
+      return structures.filter((structure) => !structure.isVisited);
+    case "favorites":
+      return structures.filter((structure) => structure.isLiked);
+    default:
+      return structures;
+  }
+};
+
+// MARK: - OptionRow Component
+const OptionRow = ({ options, selected, onSelect, isDarkMode }) => (
+  <View style={styles.tourOptionRow}>
+    {options.map((option) => {
+      const isSelected = option.value === selected;
+      return (
+        <TouchableOpacity
+          key={option.label}
+          style={[
+            styles.tourOption,
+            isDarkMode && styles.tourOptionDark,
+            isSelected && styles.tourOptionSelected,
+          ]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text
+            style={[
+              styles.tourOptionText,
+              isDarkMode && styles.routeTextDark,
+              isSelected && styles.tourOptionTextSelected,
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+// MARK: - TourPlannerModal Component
+/**
+ * Plans a walking order for the chosen structures within an optional time
+ * budget and starts it as the active tour.
+ */
+const TourPlannerModal = ({ isVisible, onClose, isDarkMode }) => {
+  const { structures, getStructure } = useDataStore();
+  const { planStructureTour } = useLocationService();
+  const { startTour } = useTour();
+
+  const [subset, setSubset] = useState("unvisited");
+  const [timeBudget, setTimeBudget] = useState(null);
+
+  const plan = isVisible
+    ? planStructureTour(
+        filterStructures(structures, subset).map(
+          (structure) => structure.number
+        ),
+        { timeBudget }
+      )
+    : null;
+  const hasStops = plan !== null && plan.stops.length > 0;
+
+  const handleStart = () => {
+    startTour(plan);
+    onClose();
+  };
+
+  const renderStop = ({ item, index }) => {
+    const structure = getStructure(item.structure);
+    return (
+      <View style={[styles.tourStopRow, isDarkMode && styles.tourStopRowDark]}>
+        <Text
+          style={[styles.tourStopIndex, isDarkMode && styles.routeTextDark]}
+        >
+          {index + 1}
+        </Text>
+        <View style={styles.routeCardText}>
+          <Text
+            style={[styles.tourStopTitle, isDarkMode && styles.routeTextDark]}
+            numberOfLines={1}
+          >
+            #{structure.number} {structure.title}
+          </Text>
+          <Text
+            style={[
+              styles.routeCardSubtitle,
+              isDarkMode && styles.routeSubtitleDark,
+            ]}
+          >
+            {formatWalkingDistance(item.walkDistance)} walk · arrive after{" "}
+            {formatWalkingTime(item.arrivesAfter)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={isVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.tourModalOverlay}>
+        <View
+          style={[styles.tourModalContent, isDarkMode && styles.routeCardDark]}
+        >
+          <View style={styles.tourModalHeader}>
+            <Text
+              style={[
+                styles.tourModalTitle,
+                isDarkMode && styles.routeTextDark,
+              ]}
+            >
+              Plan a Tour
+            </Text>
+            <TouchableOpacity onPress={onClose} style={styles.routeCardClose}>
+              <Icon
+                name="close"
+                size={24}
+                color={isDarkMode ? "white" : "black"}
+              />
+            </TouchableOpacity>
+          </View>
+
+          <OptionRow
+            options={SUBSET_OPTIONS}
+            selected={subset}
+            onSelect={setSubset}
+            isDarkMode={isDarkMode}
+          />
+          <OptionRow
+            options={TIME_BUDGET_OPTIONS}
+            selected={timeBudget}
+            onSelect={setTimeBudget}
+            isDarkMode={isDarkMode}
+          />
+
+          {hasStops ? (
+            <>
+              <Text
+                style={[
+                  styles.tourSummaryText,
+                  isDarkMode && styles.routeSubtitleDark,
+                ]}
+              >
+                {plan.stops.length} stops ·{" "}
+                {formatWalkingDistance(plan.totalDistance)} ·{" "}
+                {formatWalkingTime(plan.totalTime)}
+                {plan.skipped.length > 0
+                  ? ` · ${plan.skipped.length} left out to fit your time`
+                  : ""}
+              </Text>
+              <FlatList
+                data={plan.stops}
+                keyExtractor={(item) => String(item.structure)}
+                renderItem={renderStop}
+                style={styles.tourStopList}
+              />
+            </>
+          ) : (
+            <Text
+              style={[
+                styles.tourSummaryText,
+                isDarkMode && styles.routeSubtitleDark,
+              ]}
+            >
+              {plan && plan.skipped.length > 0
+                ? "Not enough time to reach any of these structures."
+                : "No structures match these options."}
+            </Text>
+          )}
+
+          <TouchableOpacity
+            style={[styles.tourStartButton, !hasStops && { opacity: 0.5 }]}
+            onPress={handleStart}
+            disabled={!hasStops}
+          >
+            <Icon name="walk" size={22} color="white" />
+            <Text style={styles.tourStartButtonText}>Start Tour</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default TourPlannerModal;
@@ -3,7 +3,7 @@
  *
  * A guided tour interface that allows users to explore structures on a map.
  * Features include:
- * - Interactive map with structure locations
+ * - Zoomable map with structure locations
  * - Auto-centering on selected structures
  * - Structure information display
  * - Navigation between structures
@@ -18,11 +18,9 @@ import {
   TouchableOpacity,
   StyleSheet,
   Animated,
-  Easing,
   Dimensions,
   Image as RNImage,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useNavigation } from "@react-navigation/native";
 import Icon from "react-native-vector-icons/Ionicons";
 import { useDataStore } from "../../Core/Data/DataStore";
@@ -30,43 +28,35 @@ import { useLocationService } from "../../Core/Location/LocationService";
 import { getMainPhoto } from "../../Core/Images/ImageRegistry";
 import { useDarkMode } from "../../Core/States/DarkMode";
 import { useAppState } from "../../Core/States/AppState";
-
-// Map dimensions used for scaling calculations
-const ORIGINAL_WIDTH = 1843;
-const ORIGINAL_HEIGHT = 4164;
+import { VisitSource } from "../../Core/Data/Models";
+import { mapPixelToScreen } from "../../Core/Location/MapHitTest";
+import MapViewport, { MapFit } from "./MapViewport";
+import {
+  getPersistedValue,
+  setPersistedValue,
+} from "../../Core/Data/Persistence";
 
 // Base map image without structure numbers
 const MAP_IMAGE = require("../../assets/map/NoNumbers/SatelliteMapNN.webp");
 
-// Storage key for saving tour progress
-const CURRENT_STRUCTURE_INDEX_KEY = "virtualTourCurrentStructureIndex";
-
-/**
- * Constrains a value between minimum and maximum bounds
- */
-const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
-
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
 const VirtualTour = () => {
   const navigation = useNavigation();
-  const { structures } = useDataStore(); // Array of structure objects
-  const { getMapPointForStructure } = useLocationService();
+  const { structures, logVisit } = useDataStore(); // Array of structure objects
+  const { getStructureLocation } = useLocationService();
   const screenWidth = Dimensions.get("window").width;
   const screenHeight = Dimensions.get("window").height;
   const containerHeight = screenHeight * 0.6; // Top 60% as the "map window"
   const { isDarkMode } = useDarkMode();
   const { setSelectedStructure } = useAppState();
 
-  // Compute scale factor so that the map image's width always equals container's width.
-  const scaleFactor = screenWidth / ORIGINAL_WIDTH;
-  const scaledMapHeight = ORIGINAL_HEIGHT * scaleFactor;
-
-  // State for current structure index (persisted via AsyncStorage)
+  // State for current structure index (persisted between sessions)
   const [currentIndex, setCurrentIndex] = useState(0);
 
-  // Animated value for vertical offset (applied to the entire map+dot component)
-  const animatedOffset = useRef(new Animated.Value(0)).current;
+  // Zoomable map, fitted to the window's width, and where it currently is
+  const mapViewportRef = useRef(null);
+  const [viewport, setViewport] = useState(null);
 
   // Add state for fade animation
   const fadeAnim = useRef(new Animated.Value(1)).current;
@@ -74,11 +64,9 @@ const VirtualTour = () => {
   // Load persisted index on mount
   useEffect(() => {
     const loadIndex = async () => {
-      const storedIndex = await AsyncStorage.getItem(
-        CURRENT_STRUCTURE_INDEX_KEY
-      );
-      if (storedIndex !== null) {
-        setCurrentIndex(Number(storedIndex));
+      const storedIndex = await getPersistedValue("virtualTourIndex");
+      if (storedIndex < structures.length) {
+        setCurrentIndex(storedIndex);
       }
     };
     loadIndex();
@@ -86,53 +74,24 @@ const VirtualTour = () => {
 
   // Persist the index whenever it changes
   useEffect(() => {
-    AsyncStorage.setItem(CURRENT_STRUCTURE_INDEX_KEY, currentIndex.toString());
+    setPersistedValue("virtualTourIndex", currentIndex);
   }, [currentIndex]);
 
   // Get current structure from the data store
   const currentStructure =
     structures && structures.length > 0 ? structures[currentIndex] : null;
 
-  // Calculate the "raw" dot position relative to the full (scaled) map.
-  // We assume the mapping table returns an object { x, y } in the original image's coordinates.
-  const getRawDotPosition = () => {
-    if (!currentStructure) return { x: 0, y: 0 };
-    const mapPoint = getMapPointForStructure(currentStructure.number);
-    if (!mapPoint) return { x: 0, y: 0 };
-    return {
-      // Multiply by scaleFactor to get position in the scaled map image
-      x: mapPoint.x * scaleFactor,
-      y: mapPoint.y * scaleFactor,
-    };
-  };
-
-  /**
-   * Calculates the map offset needed to center the current structure
-   * Returns a vertical offset value that positions the structure dot
-   * in the center of the visible map area
-   */
-  const computeSlidingOffset = () => {
-    const rawDot = getRawDotPosition();
-    // Desired position: center of container
-    const desiredCenterY = containerHeight / 2;
-    // Calculate how much we need to shift: negative means move map upward.
-    const offset = desiredCenterY - rawDot.y;
-    // Clamp the offset so that the map image does not slide too far:
-    // Maximum offset = 0 (i.e. top edge of the map is at top of container)
-    // Minimum offset = containerHeight - scaledMapHeight (i.e. bottom edge of the map touches bottom of container)
-    return clamp(offset, containerHeight - scaledMapHeight, 0);
-  };
+  const currentLocation = currentStructure
+    ? getStructureLocation(currentStructure.number)
+    : null;
 
-  // Animate the sliding offset whenever the current structure changes.
+  // Center the map on the current structure whenever it changes (or its
+  // map points finish loading), keeping whatever zoom the user picked
   useEffect(() => {
-    const newOffset = computeSlidingOffset();
-    Animated.timing(animatedOffset, {
-      toValue: newOffset,
-      duration: 300,
-      easing: Easing.inOut(Easing.ease),
-      useNativeDriver: true,
-    }).start();
-  }, [currentStructure]);
+    if (currentLocation && mapViewportRef.current) {
+      mapViewportRef.current.focusOn(currentLocation.structure);
+    }
+  }, [currentLocation]);
 
   // Update the preloadImages function
   const preloadImages = (indexes) => {
@@ -190,9 +149,11 @@ const VirtualTour = () => {
     }
   };
 
-  // "Learn More" button navigates to full structure detail.
+  // "Learn More" button navigates to full structure detail, and logs the
+  // stop in the visit history.
   const openStructureDetail = () => {
     if (currentStructure) {
+      logVisit(currentStructure.number, { source: VisitSource.VIRTUAL_TOUR });
       setSelectedStructure(currentStructure.number);
       navigation.navigate("StructureDetail");
     }
@@ -203,8 +164,11 @@ const VirtualTour = () => {
     navigation.goBack();
   };
 
-  // Get raw dot coordinates
-  const rawDot = getRawDotPosition();
+  // The current structure's dot, on screen
+  const dot =
+    currentLocation && viewport
+      ? mapPixelToScreen(currentLocation.anchor.pixelPosition, viewport)
+      : null;
 
   return (
     <View
@@ -220,37 +184,29 @@ const VirtualTour = () => {
           { height: containerHeight, width: screenWidth },
         ]}
       >
-        <Animated.View
-          style={[
-            styles.animatedMapContainer,
-            {
-              width: screenWidth,
-              height: scaledMapHeight,
-              transform: [{ translateY: animatedOffset }],
-            },
-          ]}
-        >
-          <Image
-            source={MAP_IMAGE}
-            style={{ width: screenWidth, height: scaledMapHeight }}
-            resizeMode="cover"
-          />
-          {/* Render the dot at its raw coordinates relative to the full map */}
+        <MapViewport
+          ref={mapViewportRef}
+          source={MAP_IMAGE}
+          fit={MapFit.WIDTH}
+          onViewportChange={setViewport}
+        />
+        {dot && (
           <View
+            pointerEvents="none"
             style={[
               styles.dotContainer,
               {
-                top: rawDot.y - 10, // assuming dot is 20x20, center it by subtracting half
-                left: rawDot.x - 10,
+                top: dot.y - 10, // assuming dot is 20x20, center it by subtracting half
+                left: dot.x - 10,
               },
             ]}
           >
             <View style={styles.dot} />
           </View>
-        </Animated.View>
+        )}
         {/* Updated title overlay with auto-scaling text */}
         {currentStructure && (
-          <View style={styles.titleOverlay}>
+          <View style={styles.titleOverlay} pointerEvents="none">
             <Text
               style={[
                 styles.titleText,
@@ -372,11 +328,6 @@ const styles = StyleSheet.create({
   },
 
   // Map components
-  animatedMapContainer: {
-    position: "absolute",
-    left: 0,
-    top: 0,
-  },
   dotContainer: {
     position: "absolute",
     width: 20,
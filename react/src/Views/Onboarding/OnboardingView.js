@@ -104,11 +104,7 @@ const OnboardingView = ({ onComplete }) => {
       OnboardingLocationState.NOT_VISITING,
     ].includes(locationState);
 
-    await AsyncStorage.setItem(
-      "adventureMode",
-      JSON.stringify(isAdventureModeRecommended)
-    );
-    updateAdventureMode(isAdventureModeRecommended);
+    await updateAdventureMode(isAdventureModeRecommended);
     await AsyncStorage.setItem("isFirstLaunchV2", "false");
     onComplete();
   };
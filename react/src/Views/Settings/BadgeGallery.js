@@ -0,0 +1,55 @@
+import React from "react";
+import { View, Text } from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import styles from "./SettingsStyles";
+
+// MARK: - BadgeGallery Component
+/**
+ * Grid of every achievement. Unlocked badges show their unlock date,
+ * locked badges are greyed out with their current progress.
+ */
+const BadgeGallery = ({ achievements, isDarkMode }) => (
+  <View style={styles.badgeGrid}>
+    {achievements.map((achievement) => {
+      const isUnlocked = achievement.unlockedAt !== null;
+      const { current, target } = achievement.progress;
+
+      return (
+        <View
+          key={achievement.id}
+          style={[styles.badgeItem, !isUnlocked && styles.lockedBadgeItem]}
+        >
+          <View
+            style={[
+              styles.badgeIcon,
+              !isUnlocked && styles.lockedBadgeIcon,
+              !isUnlocked && isDarkMode && styles.darkLockedBadgeIcon,
+            ]}
+          >
+            <Ionicons
+              name={isUnlocked ? achievement.icon : "lock-closed"}
+              size={28}
+              color="white"
+            />
+          </View>
+          <Text
+            style={[styles.badgeTitle, isDarkMode && styles.darkText]}
+            numberOfLines={1}
+          >
+            {achievement.title}
+          </Text>
+          <Text
+            style={[styles.badgeDetail, isDarkMode && styles.darkCaption]}
+            numberOfLines={2}
+          >
+            {isUnlocked
+              ? new Date(achievement.unlockedAt).toLocaleDateString()
+              : `${current} / ${target}`}
+          </Text>
+        </View>
+      );
+    })}
+  </View>
+);
+
+export default BadgeGallery;
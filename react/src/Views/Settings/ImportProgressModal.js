@@ -0,0 +1,228 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import {
+  parseProgressDocument,
+  previewProgressMerge,
+} from "../../Core/Data/ProgressTransfer";
+import styles from "./SettingsStyles";
+
+const SETTING_LABELS = {
+  isDarkMode: "Dark Mode",
+  adventureMode: "Mode",
+  mapStyle: "Map Style",
+  mapShowNumbers: "Map Numbers",
+};
+
+const formatSettingValue = (key, value) => {
+  switch (key) {
+    case "adventureMode":
+      return value ? "Adventure" : "Virtual Tour";
+    case "mapStyle":
+      return value === "satellite" ? "Satellite" : "Standard";
+    default:
+      return value ? "On" : "Off";
+  }
+};
+
+// MARK: - ImportProgressModal Component
+/**
+ * Lets the user paste an exported progress file, previews what would be
+ * merged, and hands the validated document back through onImport.
+ */
+const ImportProgressModal = ({
+  isVisible,
+  onClose,
+  onImport,
+  structures,
+  settings,
+  isDarkMode,
+}) => {
+  const [fileText, setFileText] = useState("");
+  const [document, setDocument] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const resetState = () => {
+    setFileText("");
+    setDocument(null);
+    setPreview(null);
+    setErrorMessage("");
+  };
+
+  const handleClose = () => {
+    resetState();
+    onClose();
+  };
+
+  const handleCheckFile = () => {
+    try {
+      const parsed = parseProgressDocument(fileText.trim());
+      setDocument(parsed);
+      setPreview(previewProgressMerge(parsed, structures, settings));
+      setErrorMessage("");
+    } catch (error) {
+      setDocument(null);
+      setPreview(null);
+      setErrorMessage(error.message);
+    }
+  };
+
+  const handleConfirm = () => {
+    onImport(document, preview);
+    handleClose();
+  };
+
+  const renderPreviewRow = (icon, label, numbers) => (
+    <View style={styles.previewRow} key={label}>
+      <Ionicons name={icon} size={20} color={isDarkMode ? "#F5F5F5" : "#333"} />
+      <Text style={[styles.previewText, isDarkMode && styles.darkText]}>
+        {numbers.length} {label}
+        {numbers.length > 0 ? ` (#${numbers.join(", #")})` : ""}
+      </Text>
+    </View>
+  );
+
+  const renderPreview = () => (
+    <ScrollView style={styles.previewContainer}>
+      <Text style={[styles.previewTitle, isDarkMode && styles.darkText]}>
+        Exported {new Date(preview.exportedAt).toLocaleDateString()}
+      </Text>
+      {renderPreviewRow(
+        "checkmark-circle",
+        "newly visited",
+        preview.newlyVisited
+      )}
+      {renderPreviewRow("book", "newly opened", preview.newlyOpened)}
+      {renderPreviewRow("heart", "newly liked", preview.newlyLiked)}
+      {preview.settingsChanges.map(({ key, from, to }) => (
+        <View style={styles.previewRow} key={key}>
+          <Ionicons
+            name="settings-outline"
+            size={20}
+            color={isDarkMode ? "#F5F5F5" : "#333"}
+          />
+          <Text style={[styles.previewText, isDarkMode && styles.darkText]}>
+            {SETTING_LABELS[key]}: {formatSettingValue(key, from)} →{" "}
+            {formatSettingValue(key, to)}
+          </Text>
+        </View>
+      ))}
+      {!preview.hasChanges && (
+        <Text style={[styles.caption, isDarkMode && styles.darkCaption]}>
+          This file has nothing new to add.
+        </Text>
+      )}
+    </ScrollView>
+  );
+
+  return (
+    <Modal
+      visible={isVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={handleClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContent, isDarkMode && styles.darkSection]}>
+          <Text style={[styles.sectionHeader, isDarkMode && styles.darkText]}>
+            Import Progress
+          </Text>
+
+          {preview ? (
+            renderPreview()
+          ) : (
+            <>
+              <Text style={[styles.caption, isDarkMode && styles.darkCaption]}>
+                Paste the contents of an exported PolyCanyonProgress file.
+              </Text>
+              <TextInput
+                style={[
+                  styles.importInput,
+                  isDarkMode && styles.darkImportInput,
+                ]}
+                multiline
+                autoCorrect={false}
+                autoCapitalize="none"
+                placeholder="{ ... }"
+                placeholderTextColor={isDarkMode ? "#888" : "#666"}
+                value={fileText}
+                onChangeText={setFileText}
+              />
+              {errorMessage !== "" && (
+                <Text style={styles.errorText}>{errorMessage}</Text>
+              )}
+            </>
+          )}
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={[
+                styles.settingsButton,
+                isDarkMode && styles.darkSettingsButton,
+              ]}
+              onPress={handleClose}
+            >
+              <Text
+                style={[
+                  styles.settingsButtonText,
+                  isDarkMode && styles.darkText,
+                ]}
+              >
+                Cancel
+              </Text>
+            </TouchableOpacity>
+            {preview ? (
+              <TouchableOpacity
+                style={[
+                  styles.settingsButton,
+                  isDarkMode && styles.darkSettingsButton,
+                  !preview.hasChanges && { opacity: 0.5 },
+                ]}
+                onPress={handleConfirm}
+                disabled={!preview.hasChanges}
+              >
+                <Text
+                  style={[
+                    styles.settingsButtonText,
+                    isDarkMode && styles.darkText,
+                  ]}
+                >
+                  Merge
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[
+                  styles.settingsButton,
+                  isDarkMode && styles.darkSettingsButton,
+                  fileText.trim() === "" && { opacity: 0.5 },
+                ]}
+                onPress={handleCheckFile}
+                disabled={fileText.trim() === ""}
+              >
+                <Text
+                  style={[
+                    styles.settingsButtonText,
+                    isDarkMode && styles.darkText,
+                  ]}
+                >
+                  Check File
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ImportProgressModal;
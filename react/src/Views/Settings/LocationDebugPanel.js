@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { View, Text, TextInput, TouchableOpacity } from "react-native";
+import { useLocationService } from "../../Core/Location/LocationService";
+import {
+  parseTrace,
+  createTraceFromCoordinates,
+  createSimulatedPositionSource,
+} from "../../Core/Location/TraceSimulator";
+import { WALKING_SPEED } from "../../Core/Location/TrailGraph";
+import styles from "./SettingsStyles";
+
+const SPEED_OPTIONS = [1, 5, 20];
+const NOISE_OPTIONS = [0, 5, 15]; // meters
+
+// Structures the sample walk goes between
+const SAMPLE_WALK = { from: 1, to: 10 };
+
+// MARK: - LocationDebugPanel Component
+/**
+ * Development-only tools for replaying GPX/JSON traces through
+ * LocationService instead of the device GPS.
+ */
+const LocationDebugPanel = ({ isDarkMode }) => {
+  const {
+    positionSource,
+    setPositionSource,
+    resetPositionSource,
+    getRouteToStructure,
+    adventureModeStatus,
+    trackingState,
+    currentLocation,
+    mapCalibrationReport,
+  } = useLocationService();
+
+  const [traceText, setTraceText] = useState("");
+  const [speed, setSpeed] = useState(SPEED_OPTIONS[1]);
+  const [noise, setNoise] = useState(NOISE_OPTIONS[0]);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [isFinished, setIsFinished] = useState(false);
+
+  // Fills the editor with a walk along the trail route between two structures
+  const loadSampleWalk = () => {
+    const route = getRouteToStructure(SAMPLE_WALK.to, SAMPLE_WALK.from);
+    if (!route) {
+      setErrorMessage("The sample route isn't available.");
+      return;
+    }
+    const trace = createTraceFromCoordinates(
+      route.points.map((point) => point.coordinate),
+      WALKING_SPEED
+    );
+    setTraceText(
+      JSON.stringify(
+        trace.map(({ latitude, longitude, offset }) => ({
+          latitude,
+          longitude,
+          time: offset,
+        })),
+        null,
+        2
+      )
+    );
+    setErrorMessage("");
+  };
+
+  const playTrace = () => {
+    try {
+      const trace = parseTrace(traceText);
+      setIsFinished(false);
+      setPositionSource(
+        createSimulatedPositionSource(trace, {
+          speed,
+          noise,
+          onFinish: () => setIsFinished(true),
+        })
+      );
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message);
+    }
+  };
+
+  const renderOptions = (options, selected, onSelect, formatLabel) => (
+    <View style={styles.debugOptionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[
+            styles.debugOption,
+            isDarkMode && styles.darkSettingsButton,
+            option === selected && styles.debugOptionSelected,
+          ]}
+          onPress={() => onSelect(option)}
+        >
+          <Text
+            style={[
+              styles.debugOptionText,
+              isDarkMode && styles.darkText,
+              option === selected && styles.debugOptionTextSelected,
+            ]}
+          >
+            {formatLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const coords = currentLocation && currentLocation.coords;
+
+  return (
+    <View>
+      <Text style={[styles.debugStatusText, isDarkMode && styles.darkText]}>
+        Source:{" "}
+        {positionSource.isSimulated
+          ? `Simulated trace${isFinished ? " (finished)" : ""}`
+          : "Device GPS"}
+      </Text>
+      <Text style={[styles.debugStatusText, isDarkMode && styles.darkText]}>
+        Status: {adventureModeStatus} · Tracking: {trackingState}
+      </Text>
+      <Text style={[styles.debugStatusText, isDarkMode && styles.darkText]}>
+        Last fix:{" "}
+        {coords
+          ? `${coords.latitude.toFixed(6)}, ${coords.longitude.toFixed(6)}`
+          : "none"}
+      </Text>
+      {mapCalibrationReport && (
+        <Text style={[styles.debugStatusText, isDarkMode && styles.darkText]}>
+          Map calibration: {mapCalibrationReport.used} points · RMS{" "}
+          {mapCalibrationReport.rms.toFixed(1)} px · max{" "}
+          {mapCalibrationReport.max.toFixed(1)} px
+          {mapCalibrationReport.rejected.length > 0
+            ? ` · rejected ${mapCalibrationReport.rejected.join(", ")}`
+            : ""}
+        </Text>
+      )}
+
+      <TextInput
+        style={[styles.importInput, isDarkMode && styles.darkImportInput]}
+        multiline
+        autoCorrect={false}
+        autoCapitalize="none"
+        placeholder="Paste a GPX or JSON trace"
+        placeholderTextColor={isDarkMode ? "#888" : "#666"}
+        value={traceText}
+        onChangeText={setTraceText}
+      />
+      {errorMessage !== "" && (
+        <Text style={styles.errorText}>{errorMessage}</Text>
+      )}
+
+      <Text style={[styles.caption, isDarkMode && styles.darkCaption]}>
+        Playback speed
+      </Text>
+      {renderOptions(SPEED_OPTIONS, speed, setSpeed, (option) => `${option}x`)}
+      <Text style={[styles.caption, isDarkMode && styles.darkCaption]}>
+        GPS noise
+      </Text>
+      {renderOptions(NOISE_OPTIONS, noise, setNoise, (option) =>
+        option === 0 ? "None" : `${option} m`
+      )}
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity
+          style={[
+            styles.settingsButton,
+            isDarkMode && styles.darkSettingsButton,
+          ]}
+          onPress={loadSampleWalk}
+        >
+          <Text
+            style={[styles.settingsButtonText, isDarkMode && styles.darkText]}
+          >
+            Sample Walk
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.settingsButton,
+            isDarkMode && styles.darkSettingsButton,
+            traceText.trim() === "" && { opacity: 0.5 },
+          ]}
+          onPress={playTrace}
+          disabled={traceText.trim() === ""}
+        >
+          <Text
+            style={[styles.settingsButtonText, isDarkMode && styles.darkText]}
+          >
+            Play Trace
+          </Text>
+        </TouchableOpacity>
+      </View>
+      {positionSource.isSimulated && (
+        <View style={styles.buttonContainer}>
+          <TouchableOpacity
+            style={[
+              styles.settingsButton,
+              isDarkMode && styles.darkSettingsButton,
+            ]}
+            onPress={resetPositionSource}
+          >
+            <Text
+              style={[styles.settingsButtonText, isDarkMode && styles.darkText]}
+            >
+              Use Device GPS
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+export default LocationDebugPanel;
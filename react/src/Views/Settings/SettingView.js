@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import {
   View,
   Text,
@@ -6,41 +6,51 @@ import {
   TouchableOpacity,
   Alert,
   ScrollView,
+  Share,
+  Platform,
 } from "react-native";
 import { useDarkMode } from "../../Core/States/DarkMode";
 import { useAdventureMode } from "../../Core/States/AdventureMode";
 import { useDataStore } from "../../Core/Data/DataStore";
 import { useAppState } from "../../Core/States/AppState";
+import { useAchievements } from "../../Core/States/Achievements";
 import { useLocationService } from "../../Core/Location/LocationService";
 import { useRoute } from "@react-navigation/native";
 import Ionicons from "react-native-vector-icons/Ionicons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import RNFS from "react-native-fs";
+import {
+  buildProgressDocument,
+  serializeProgressDocument,
+  PROGRESS_FILE_NAME,
+} from "../../Core/Data/ProgressTransfer";
+import ImportProgressModal from "./ImportProgressModal";
+import BadgeGallery from "./BadgeGallery";
+import LocationDebugPanel from "./LocationDebugPanel";
 import styles from "./SettingsStyles";
-
-// Helper to check if we're in Design Village event window
-const isInEventWindow = () => {
-  const createLocalDate = (dateString) => {
-    const [year, month, day] = dateString.split("-").map(Number);
-    return new Date(year, month - 1, day, 0, 0, 0);
-  };
-
-  const eventStartDate = createLocalDate("2025-04-25");
-  const eventEndDate = createLocalDate("2025-04-28");
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return today >= eventStartDate && today < eventEndDate;
-};
+import { getActiveEvent } from "../../Core/Data/EventCalendar";
 
 const SettingsView = () => {
   const route = useRoute();
   const { setDesignVillageMode } = route.params || {};
+  const designVillageEvent = getActiveEvent();
 
   // Context hooks
   const { isDarkMode, toggleDarkMode } = useDarkMode();
   const { adventureMode, updateAdventureMode } = useAdventureMode();
-  const { resetStructures } = useDataStore();
-  const { showModeSelectionPopup, resetVisitedStructures } = useAppState();
+  const { structures, resetStructures, importProgress } = useDataStore();
+  const {
+    showModeSelectionPopup,
+    mapStyle,
+    toggleMapStyle,
+    mapShowNumbers,
+    toggleMapNumbers,
+  } = useAppState();
   const { requestLocationPermission } = useLocationService();
+  const { getAchievements } = useAchievements();
+
+  const [isImportVisible, setIsImportVisible] = useState(false);
+  const settings = { isDarkMode, adventureMode, mapStyle, mapShowNumbers };
 
   // Event Handlers
   const handleToggleMode = () => {
@@ -60,7 +70,6 @@ const SettingsView = () => {
         {
           text: "Yes",
           onPress: () => {
-            resetVisitedStructures();
             resetStructures();
           },
         },
@@ -68,6 +77,47 @@ const SettingsView = () => {
     );
   };
 
+  const handleExportProgress = async () => {
+    const json = serializeProgressDocument(
+      buildProgressDocument(structures, settings)
+    );
+    try {
+      if (Platform.OS === "ios") {
+        // iOS can share the file itself, so it can be AirDropped or saved.
+        const path = `${RNFS.DocumentDirectoryPath}/${PROGRESS_FILE_NAME}`;
+        await RNFS.writeFile(path, json, "utf8");
+        await Share.share({ url: `file://${path}` });
+      } else {
+        await Share.share({ title: PROGRESS_FILE_NAME, message: json });
+      }
+    } catch (error) {
+      console.error("Error exporting progress:", error);
+      Alert.alert("Export Failed", "Your progress could not be exported.");
+    }
+  };
+
+  // Merges progress through the DataStore, then applies changed settings.
+  const handleImportProgress = (document, preview) => {
+    importProgress(document);
+    preview.settingsChanges.forEach(({ key, to }) => {
+      switch (key) {
+        case "isDarkMode":
+          toggleDarkMode();
+          break;
+        case "adventureMode":
+          updateAdventureMode(to);
+          break;
+        case "mapStyle":
+          toggleMapStyle();
+          break;
+        case "mapShowNumbers":
+          toggleMapNumbers();
+          break;
+      }
+    });
+    Alert.alert("Progress Imported", "Your progress has been merged.");
+  };
+
   const openLocationSettings = async () => {
     if (adventureMode) {
       await requestLocationPermission(true);
@@ -105,12 +155,12 @@ const SettingsView = () => {
       style={[styles.container, isDarkMode && styles.darkContainer]}
       contentContainerStyle={styles.contentContainer}
     >
-      {/* Design Village Switch - Only shown during event window */}
-      {isInEventWindow() && (
+      {/* Design Village Switch - Only shown while an event is running */}
+      {designVillageEvent && (
         <View style={[styles.section, isDarkMode && styles.darkSection]}>
           <View style={styles.sectionHeaderContainer}>
             <Text style={[styles.sectionHeader, isDarkMode && styles.darkText]}>
-              Design Village 2025
+              {designVillageEvent.name} {designVillageEvent.year}
             </Text>
             <Ionicons
               name="home"
@@ -224,6 +274,87 @@ const SettingsView = () => {
         </View>
       </View>
 
+      {/* Badges Section */}
+      <View style={[styles.section, isDarkMode && styles.darkSection]}>
+        <View style={styles.sectionHeaderContainer}>
+          <Text style={[styles.sectionHeader, isDarkMode && styles.darkText]}>
+            Badges
+          </Text>
+          <Ionicons
+            name="trophy-outline"
+            size={24}
+            color={isDarkMode ? "#F5F5F5" : "#333"}
+            style={styles.sectionIcon}
+          />
+        </View>
+        <BadgeGallery
+          achievements={getAchievements()}
+          isDarkMode={isDarkMode}
+        />
+      </View>
+
+      {/* Progress Transfer Section */}
+      <View style={[styles.section, isDarkMode && styles.darkSection]}>
+        <View style={styles.sectionHeaderContainer}>
+          <Text style={[styles.sectionHeader, isDarkMode && styles.darkText]}>
+            Your Progress
+          </Text>
+          <Ionicons
+            name="phone-portrait-outline"
+            size={24}
+            color={isDarkMode ? "#F5F5F5" : "#333"}
+            style={styles.sectionIcon}
+          />
+        </View>
+        <Text style={[styles.caption, isDarkMode && styles.darkCaption]}>
+          Moving to a new phone? Export your visits, favorites and settings,
+          then import the file on your new device.
+        </Text>
+        <View style={styles.buttonContainer}>
+          <SettingsButton
+            onPress={handleExportProgress}
+            icon="share-outline"
+            text="Export Progress"
+            color={isDarkMode ? "#81b0ff" : "#2196F3"}
+            isDarkMode={isDarkMode}
+          />
+          <SettingsButton
+            onPress={() => setIsImportVisible(true)}
+            icon="download-outline"
+            text="Import Progress"
+            color={isDarkMode ? "#81b0ff" : "#2196F3"}
+            isDarkMode={isDarkMode}
+          />
+        </View>
+      </View>
+
+      <ImportProgressModal
+        isVisible={isImportVisible}
+        onClose={() => setIsImportVisible(false)}
+        onImport={handleImportProgress}
+        structures={structures}
+        settings={settings}
+        isDarkMode={isDarkMode}
+      />
+
+      {/* Developer Section - debug builds only */}
+      {__DEV__ && (
+        <View style={[styles.section, isDarkMode && styles.darkSection]}>
+          <View style={styles.sectionHeaderContainer}>
+            <Text style={[styles.sectionHeader, isDarkMode && styles.darkText]}>
+              Location Debug
+            </Text>
+            <Ionicons
+              name="bug-outline"
+              size={24}
+              color={isDarkMode ? "#F5F5F5" : "#333"}
+              style={styles.sectionIcon}
+            />
+          </View>
+          <LocationDebugPanel isDarkMode={isDarkMode} />
+        </View>
+      )}
+
       {/* Credits Section */}
       <View style={[styles.section, isDarkMode && styles.darkSection]}>
         <View style={styles.sectionHeaderContainer}>
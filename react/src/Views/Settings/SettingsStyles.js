@@ -161,6 +161,130 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "600",
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "center",
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: "white",
+    borderRadius: 10,
+    padding: 15,
+    maxHeight: "80%",
+  },
+  importInput: {
+    height: 160,
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    backgroundColor: "#f0f0f0",
+    fontSize: 12,
+    color: "#333",
+    textAlignVertical: "top",
+  },
+  darkImportInput: {
+    backgroundColor: "#333",
+    borderColor: "#404040",
+    color: "#F5F5F5",
+  },
+  errorText: {
+    marginTop: 10,
+    fontSize: 14,
+    color: "red",
+  },
+  previewContainer: {
+    marginTop: 5,
+  },
+  previewTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#333",
+    marginBottom: 10,
+  },
+  previewRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  previewText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 14,
+    color: "#333",
+  },
+  badgeGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    marginTop: 10,
+  },
+  badgeItem: {
+    width: "30%",
+    alignItems: "center",
+    marginBottom: 15,
+  },
+  lockedBadgeItem: {
+    opacity: 0.6,
+  },
+  badgeIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: "#E6A817",
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  lockedBadgeIcon: {
+    backgroundColor: "#B0B0B0",
+  },
+  darkLockedBadgeIcon: {
+    backgroundColor: "#555",
+  },
+  badgeTitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#333",
+    textAlign: "center",
+  },
+  badgeDetail: {
+    fontSize: 12,
+    color: "#666",
+    textAlign: "center",
+  },
+  debugStatusText: {
+    fontSize: 14,
+    color: "#333",
+    marginBottom: 4,
+  },
+  debugOptionRow: {
+    flexDirection: "row",
+    marginTop: 5,
+  },
+  debugOption: {
+    flex: 1,
+    alignItems: "center",
+    backgroundColor: "#f0f0f0",
+    paddingVertical: 8,
+    borderRadius: 10,
+    marginHorizontal: 5,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  debugOptionSelected: {
+    backgroundColor: "#2196F3",
+    borderColor: "#2196F3",
+  },
+  debugOptionText: {
+    fontSize: 14,
+    color: "#333",
+  },
+  debugOptionTextSelected: {
+    color: "white",
+  },
 });
 
 export default styles;
@@ -0,0 +1,158 @@
+import React from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Dimensions,
+  Pressable,
+} from "react-native";
+import Icon from "react-native-vector-icons/Ionicons";
+
+const { width } = Dimensions.get("window");
+
+// MARK: - AchievementPopup Component
+/**
+ * Announces a newly unlocked achievement.
+ * Adapts appearance based on Dark Mode settings.
+ */
+const AchievementPopup = ({ achievement, onDismiss, isDarkMode }) => {
+  if (!achievement) return null;
+
+  return (
+    <Pressable style={styles.overlay} onPress={onDismiss}>
+      <View style={[styles.container, isDarkMode && styles.darkContainer]}>
+        {/* Achievement Banner */}
+        <View style={[styles.bannerContainer, isDarkMode && styles.darkBanner]}>
+          <Text style={styles.emoji}>🏆</Text>
+          <Text style={[styles.bannerText, isDarkMode && styles.darkText]}>
+            Achievement Unlocked!
+          </Text>
+        </View>
+
+        {/* Badge */}
+        <View style={styles.badgeContainer}>
+          <View style={styles.badge}>
+            <Icon name={achievement.icon} size={56} color="white" />
+          </View>
+          <Text style={[styles.title, isDarkMode && styles.darkText]}>
+            {achievement.title}
+          </Text>
+          <Text
+            style={[styles.description, isDarkMode && styles.darkDescription]}
+          >
+            {achievement.description}
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.dismissButton, isDarkMode && styles.darkBanner]}
+          onPress={onDismiss}
+        >
+          <Text style={[styles.dismissText, isDarkMode && styles.darkText]}>
+            Nice!
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </Pressable>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0,0,0,0.8)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  container: {
+    width: width - 80,
+    backgroundColor: "white",
+    borderRadius: 20,
+    padding: 10,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 10,
+    elevation: 5,
+  },
+  darkContainer: {
+    backgroundColor: "#1C1C1E",
+  },
+  bannerContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#F5F5F5",
+    borderRadius: 10,
+    marginHorizontal: 16,
+    marginTop: 10,
+    padding: 8,
+  },
+  darkBanner: {
+    backgroundColor: "#2C2C2E",
+  },
+  emoji: {
+    fontSize: 26,
+    marginRight: 8,
+    marginTop: -2,
+  },
+  bannerText: {
+    fontSize: 22,
+    fontWeight: "600",
+    color: "rgba(0,0,0,0.8)",
+  },
+  badgeContainer: {
+    alignItems: "center",
+    margin: 20,
+  },
+  badge: {
+    width: 110,
+    height: 110,
+    borderRadius: 55,
+    backgroundColor: "#E6A817",
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: "bold",
+    color: "black",
+  },
+  description: {
+    marginTop: 6,
+    fontSize: 16,
+    textAlign: "center",
+    color: "gray",
+  },
+  dismissButton: {
+    height: 50,
+    backgroundColor: "#F5F5F5",
+    borderRadius: 10,
+    marginHorizontal: 20,
+    marginBottom: 10,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  dismissText: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "rgba(0,0,0,0.6)",
+  },
+  darkText: {
+    color: "white",
+  },
+  darkDescription: {
+    color: "#B0B0B0",
+  },
+});
+
+export default AchievementPopup;
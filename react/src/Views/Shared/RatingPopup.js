@@ -8,14 +8,16 @@ import {
   Dimensions,
   Animated,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useStructures } from "../OldData/StructureData";
+import {
+  getPersistedValue,
+  setPersistedValue,
+} from "../../Core/Data/Persistence";
 import FastImage from "react-native-fast-image";
 import Ionicons from "react-native-vector-icons/Ionicons";
 
 // Constants
 const { width, height } = Dimensions.get("window");
-const RATING_INDEX_KEY = "RATING_INDEX_KEY";
 
 // Main component
 const RatingPopup = ({ isVisible, onClose, isDarkMode }) => {
@@ -34,26 +36,19 @@ const RatingPopup = ({ isVisible, onClose, isDarkMode }) => {
     }
   }, [isVisible]);
 
-  // AsyncStorage functions
+  // Persistence functions
   const loadCurrentIndex = async () => {
     try {
-      const savedIndex = await AsyncStorage.getItem(RATING_INDEX_KEY);
-      if (savedIndex !== null) {
-        const index = parseInt(savedIndex, 10);
-        setCurrentIndex(index);
-        setIsComplete(index >= structures.length);
-      }
+      const index = await getPersistedValue("ratingIndex");
+      setCurrentIndex(index);
+      setIsComplete(index >= structures.length);
     } catch (error) {
       console.error("Error loading current index:", error);
     }
   };
 
   const saveCurrentIndex = async (index) => {
-    try {
-      await AsyncStorage.setItem(RATING_INDEX_KEY, index.toString());
-    } catch (error) {
-      console.error("Error saving current index:", error);
-    }
+    await setPersistedValue("ratingIndex", index);
   };
 
   // Rating handlers
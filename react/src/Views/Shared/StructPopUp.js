@@ -8,6 +8,7 @@ import {
   StyleSheet,
   Dimensions,
   Platform,
+  Alert,
 } from "react-native";
 import FastImage from "react-native-fast-image";
 import { BlurView } from "@react-native-community/blur";
@@ -17,10 +18,20 @@ import { useDataStore } from "../../Core/Data/DataStore";
 import { useAppState } from "../../Core/States/AppState";
 import { useDarkMode } from "../../Core/States/DarkMode";
 import { getImageSource } from "../../Core/Images/ImageRegistry";
+import { parsePerson } from "../../Core/Data/People";
+import { formatYear } from "../../Core/Data/Years";
+import { VisitSource } from "../../Core/Data/Models";
 
 const { width, height } = Dimensions.get("window");
 
-const HeaderView = ({ structure, onClose, isDarkMode }) => (
+const HeaderView = ({
+  structure,
+  onClose,
+  onShowOnMap,
+  onDirections,
+  onMarkVisited,
+  isDarkMode,
+}) => (
   <View style={[styles.header, isDarkMode && styles.darkHeader]}>
     <View style={styles.headerContent}>
       <View
@@ -39,6 +50,53 @@ const HeaderView = ({ structure, onClose, isDarkMode }) => (
         </Text>
       </View>
 
+      {!structure.isVisited && (
+        <TouchableOpacity
+          style={[
+            styles.closeButton,
+            styles.directionsButton,
+            isDarkMode && styles.darkCloseButton,
+          ]}
+          onPress={onMarkVisited}
+        >
+          <Ionicons
+            name="checkmark-circle-outline"
+            size={22}
+            color={isDarkMode ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity
+        style={[
+          styles.closeButton,
+          styles.directionsButton,
+          isDarkMode && styles.darkCloseButton,
+        ]}
+        onPress={onShowOnMap}
+      >
+        <Ionicons
+          name="map-outline"
+          size={22}
+          color={isDarkMode ? "white" : "black"}
+        />
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[
+          styles.closeButton,
+          styles.directionsButton,
+          isDarkMode && styles.darkCloseButton,
+        ]}
+        onPress={onDirections}
+      >
+        <Ionicons
+          name="navigate"
+          size={22}
+          color={isDarkMode ? "white" : "black"}
+        />
+      </TouchableOpacity>
+
       <TouchableOpacity
         style={[styles.closeButton, isDarkMode && styles.darkCloseButton]}
         onPress={onClose}
@@ -53,85 +111,142 @@ const HeaderView = ({ structure, onClose, isDarkMode }) => (
   </View>
 );
 
-const InfoSection = ({ structure, isDarkMode, onImagePress }) => (
-  <ScrollView style={styles.infoSection} showsVerticalScrollIndicator={false}>
-    <View style={styles.infoContent}>
-      <View style={styles.topRow}>
-        <TouchableOpacity
-          style={styles.mainImageContainer}
-          onPress={onImagePress}
-        >
-          <FastImage
-            source={getImageSource(structure.images[0])}
-            style={styles.mainImage}
-          />
-          {structure.year !== "xxxx" && (
-            <View style={styles.yearBadge}>
-              <Text style={styles.yearText}>{structure.year}</Text>
-            </View>
-          )}
-        </TouchableOpacity>
+// Comma-separated names that open each person's page when tapped.
+// Entries that aren't a person (e.g. "Unknown Builders") stay plain text.
+const PeopleList = ({ entries, onPersonPress, isDarkMode }) => (
+  <Text style={[styles.infoText, isDarkMode && styles.darkInfoText]}>
+    {entries.map((entry, index) => {
+      const person = parsePerson(entry);
+      const separator = index < entries.length - 1 ? ", " : "";
+      if (!person) return <Text key={index}>{entry + separator}</Text>;
 
-        <View style={styles.funFactContainer}>
+      return (
+        <Text key={index}>
           <Text
-            style={[styles.sectionTitle, isDarkMode && styles.darkSectionTitle]}
-          >
-            💯 FUN FACT
-          </Text>
-          <Text
-            style={[styles.funFactText, isDarkMode && styles.darkFunFactText]}
+            style={[styles.personName, isDarkMode && styles.darkPersonName]}
+            onPress={() => onPersonPress(person.id)}
           >
-            {structure.funFact}
+            {person.name}
           </Text>
-        </View>
-      </View>
-
-      <View style={styles.infoBox}>
-        <Text
-          style={[styles.sectionTitle, isDarkMode && styles.darkSectionTitle]}
-        >
-          📝 DESCRIPTION
-        </Text>
-        <Text
-          style={[
-            styles.descriptionText,
-            isDarkMode && styles.darkDescriptionText,
-          ]}
-        >
-          {structure.description}
+          {person.departments.length > 0 && (
+            <Text style={styles.personDepartment}>
+              {" "}
+              ({person.departments.join("/")})
+            </Text>
+          )}
+          {separator}
         </Text>
-      </View>
+      );
+    })}
+  </Text>
+);
 
-      {structure.builders !== "iii" && (
-        <View style={[styles.infoBox, isDarkMode && styles.darkInfoBox]}>
-          <Text
-            style={[styles.sectionTitle, isDarkMode && styles.darkSectionTitle]}
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+};
+
+const InfoSection = ({
+  structure,
+  isDarkMode,
+  onImagePress,
+  onPersonPress,
+}) => {
+  const builders = toList(structure.builders);
+  const advisors = toList(structure.advisors);
+  const yearLabel = formatYear(structure.year);
+
+  return (
+    <ScrollView style={styles.infoSection} showsVerticalScrollIndicator={false}>
+      <View style={styles.infoContent}>
+        <View style={styles.topRow}>
+          <TouchableOpacity
+            style={styles.mainImageContainer}
+            onPress={onImagePress}
           >
-            👷 BUILDERS
-          </Text>
-          <Text style={[styles.infoText, isDarkMode && styles.darkInfoText]}>
-            {structure.builders}
-          </Text>
+            <FastImage
+              source={getImageSource(structure.images[0])}
+              style={styles.mainImage}
+            />
+            {yearLabel && (
+              <View style={styles.yearBadge}>
+                <Text style={styles.yearText}>{yearLabel}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+
+          <View style={styles.funFactContainer}>
+            <Text
+              style={[
+                styles.sectionTitle,
+                isDarkMode && styles.darkSectionTitle,
+              ]}
+            >
+              💯 FUN FACT
+            </Text>
+            <Text
+              style={[styles.funFactText, isDarkMode && styles.darkFunFactText]}
+            >
+              {structure.funFact}
+            </Text>
+          </View>
         </View>
-      )}
 
-      {structure.advisors && structure.advisors.length > 0 && (
-        <View style={[styles.infoBox, isDarkMode && styles.darkInfoBox]}>
+        <View style={styles.infoBox}>
           <Text
             style={[styles.sectionTitle, isDarkMode && styles.darkSectionTitle]}
           >
-            🎓 ADVISORS
+            📝 DESCRIPTION
           </Text>
-          <Text style={[styles.infoText, isDarkMode && styles.darkInfoText]}>
-            {Array.isArray(structure.advisors)
-              ? structure.advisors.join(", ")
-              : structure.advisors}
+          <Text
+            style={[
+              styles.descriptionText,
+              isDarkMode && styles.darkDescriptionText,
+            ]}
+          >
+            {structure.description}
           </Text>
         </View>
-      )}
-    </View>
-  </ScrollView>
-);
+
+        {builders.length > 0 && (
+          <View style={[styles.infoBox, isDarkMode && styles.darkInfoBox]}>
+            <Text
+              style={[
+                styles.sectionTitle,
+                isDarkMode && styles.darkSectionTitle,
+              ]}
+            >
+              👷 BUILDERS
+            </Text>
+            <PeopleList
+              entries={builders}
+              onPersonPress={onPersonPress}
+              isDarkMode={isDarkMode}
+            />
+          </View>
+        )}
+
+        {advisors.length > 0 && (
+          <View style={[styles.infoBox, isDarkMode && styles.darkInfoBox]}>
+            <Text
+              style={[
+                styles.sectionTitle,
+                isDarkMode && styles.darkSectionTitle,
+              ]}
+            >
+              🎓 ADVISORS
+            </Text>
+            <PeopleList
+              entries={advisors}
+              onPersonPress={onPersonPress}
+              isDarkMode={isDarkMode}
+            />
+          </View>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
 
 const ImagesSection = ({ structure, onLikeToggle, isLiked, isDarkMode }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -260,9 +375,18 @@ const BottomTabPicker = ({ selectedTab, onTabChange, isDarkMode }) => (
 const StructPopUp = () => {
   const navigation = useNavigation();
   const { isDarkMode } = useDarkMode();
-  const { selectedStructure, setSelectedStructure } = useAppState();
-  const { getStructure, toggleStructureLiked, markStructureAsOpened } =
-    useDataStore();
+  const {
+    selectedStructure,
+    setSelectedStructure,
+    startRoute,
+    focusStructureOnMap,
+  } = useAppState();
+  const {
+    getStructure,
+    toggleStructureLiked,
+    markStructureAsOpened,
+    markStructureAsVisited,
+  } = useDataStore();
   const [selectedTab, setSelectedTab] = useState("info");
 
   const structure = getStructure(selectedStructure);
@@ -280,11 +404,45 @@ const StructPopUp = () => {
     navigation.goBack();
   };
 
+  // Show the walking route to this structure on the map
+  const handleShowOnMap = () => {
+    focusStructureOnMap(structure.number);
+    setSelectedStructure(null);
+    navigation.navigate("TabNavigator", { screen: "Map" });
+  };
+
+  // For visits GPS missed, e.g. with Adventure Mode off
+  const handleMarkVisited = () => {
+    Alert.alert(
+      "Mark as visited?",
+      `Add ${structure.title} to your visited structures.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Mark Visited",
+          onPress: () =>
+            markStructureAsVisited(structure.number, {
+              source: VisitSource.MANUAL,
+            }),
+        },
+      ]
+    );
+  };
+
+  const handleDirections = () => {
+    startRoute(structure.number);
+    setSelectedStructure(null);
+    navigation.navigate("TabNavigator", { screen: "Map" });
+  };
+
   return (
     <View style={[styles.container, isDarkMode && styles.darkContainer]}>
       <HeaderView
         structure={structure}
         onClose={handleClose}
+        onShowOnMap={handleShowOnMap}
+        onDirections={handleDirections}
+        onMarkVisited={handleMarkVisited}
         isDarkMode={isDarkMode}
       />
       <View style={styles.content}>
@@ -293,6 +451,9 @@ const StructPopUp = () => {
             structure={structure}
             isDarkMode={isDarkMode}
             onImagePress={() => setSelectedTab("images")}
+            onPersonPress={(personId) =>
+              navigation.navigate("Person", { personId })
+            }
           />
         ) : (
           <ImagesSection
@@ -403,6 +564,9 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 5,
   },
+  directionsButton: {
+    marginRight: 10,
+  },
   darkCloseButton: {
     backgroundColor: "#2c2c2e",
   },
@@ -512,6 +676,15 @@ const styles = StyleSheet.create({
   darkInfoText: {
     color: "#e5e5e7",
   },
+  personName: {
+    color: "#007AFF",
+  },
+  darkPersonName: {
+    color: "#0A84FF",
+  },
+  personDepartment: {
+    color: "gray",
+  },
   imagesSection: {
     flex: 1,
     backgroundColor: "black",
@@ -1,14 +1,21 @@
 // src/DVDecisionPrompt.js
 import React from "react";
 import { View, Text, StyleSheet, TouchableOpacity, Image } from "react-native";
-import DVLogo from "./DesignVillage/Images/DVLogo.webp";
+import { getEventLogo } from "../Core/Data/EventCalendar";
 
-const DVDecisionPrompt = ({ onDecision }) => {
+// `event` is the running event from the EventCalendar
+const DVDecisionPrompt = ({ event, onDecision }) => {
   return (
     <View style={styles.container}>
       <View style={styles.content}>
-        <Image source={DVLogo} style={styles.logo} resizeMode="contain" />
-        <Text style={styles.title}>Design Village Weekend</Text>
+        <Image
+          source={getEventLogo(event)}
+          style={styles.logo}
+          resizeMode="contain"
+        />
+        <Text style={styles.title}>
+          {event ? event.name : "Design Village"} Weekend
+        </Text>
         <Text style={styles.message}>Are you here celebrating?</Text>
         <View style={styles.buttonContainer}>
           <TouchableOpacity
@@ -8,9 +8,18 @@ import DVMap from "./MainViews/DVMap";
 import DVSchedule from "./MainViews/DVSchedule";
 import DVSettings from "./MainViews/DVSettings";
 import DVRules from "./MainViews/DVRules";
+import DVGallery from "./MainViews/DVGallery";
+import DVTeamDetail from "./MainViews/DVTeamDetail";
+import { DVScheduleProvider } from "./Data/ScheduleStore";
+import { DVTeamsProvider } from "./Data/TeamStore";
+import { DVBallotProvider } from "./Data/BallotStore";
+import { DVLocationProvider } from "./Data/LocationStore";
 
 const DVMain = ({ setDesignVillageMode, userRole, setUserRole }) => {
   const [activeTab, setActiveTab] = useState("DVInfo");
+  // Shelter open in the gallery tab, and a plot for the map to zoom to
+  const [selectedPlot, setSelectedPlot] = useState(null);
+  const [mapFocusPlot, setMapFocusPlot] = useState(null);
 
   // Handle role changes
   const handleRoleChange = async (newRole) => {
@@ -22,9 +31,29 @@ const DVMain = ({ setDesignVillageMode, userRole, setUserRole }) => {
     }
   };
 
+  // Tapping the gallery tab again goes back to the list
+  const handleTabPress = (tabName) => {
+    if (tabName === "DVGallery" && activeTab === "DVGallery") {
+      setSelectedPlot(null);
+    }
+    setMapFocusPlot(null);
+    setActiveTab(tabName);
+  };
+
+  const openTeam = (plot) => {
+    setSelectedPlot(plot);
+    setActiveTab("DVGallery");
+  };
+
+  const showPlotOnMap = (plot) => {
+    setMapFocusPlot(plot);
+    setActiveTab("DVMap");
+  };
+
   const tabs = [
     { name: "DVInfo", icon: "information-circle" },
     { name: "DVMap", icon: "map" },
+    { name: "DVGallery", icon: "images" },
     { name: "DVSchedule", icon: "calendar" },
     { name: "DVRules", icon: "warning" },
     { name: "DVSettings", icon: "settings" },
@@ -33,6 +62,7 @@ const DVMain = ({ setDesignVillageMode, userRole, setUserRole }) => {
   const headerConfig = {
     DVInfo: { title: "Info", icon: "information-circle" },
     DVMap: { title: "Map", icon: "map" },
+    DVGallery: { title: "Shelters", icon: "images" },
     DVSchedule: { title: "Schedule", icon: "calendar" },
     DVRules: { title: "Rules", icon: "warning" },
     DVSettings: { title: "Settings", icon: "settings" },
@@ -43,9 +73,19 @@ const DVMain = ({ setDesignVillageMode, userRole, setUserRole }) => {
       case "DVInfo":
         return <DVInfo />;
       case "DVMap":
-        return <DVMap />;
+        return <DVMap focusPlot={mapFocusPlot} onOpenTeam={openTeam} />;
+      case "DVGallery":
+        return selectedPlot !== null ? (
+          <DVTeamDetail
+            plot={selectedPlot}
+            onBack={() => setSelectedPlot(null)}
+            onShowOnMap={showPlotOnMap}
+          />
+        ) : (
+          <DVGallery onSelectTeam={setSelectedPlot} />
+        );
       case "DVSchedule":
-        return <DVSchedule />;
+        return <DVSchedule userRole={userRole} />;
       case "DVRules":
         return <DVRules userRole={userRole} setUserRole={handleRoleChange} />;
       case "DVSettings":
@@ -55,15 +95,29 @@ const DVMain = ({ setDesignVillageMode, userRole, setUserRole }) => {
     }
   };
 
+  // The schedule and ballot providers sit above every tab so starred-event
+  // reminders go off, and queued votes keep retrying, wherever the user is
   return (
-    <View style={styles.container}>
-      <Header
-        title={headerConfig[activeTab].title}
-        icon={headerConfig[activeTab].icon}
-      />
-      <View style={styles.content}>{renderActiveTab()}</View>
-      <TabBar tabs={tabs} activeTab={activeTab} onTabPress={setActiveTab} />
-    </View>
+    <DVScheduleProvider>
+      <DVTeamsProvider>
+        <DVBallotProvider>
+          <DVLocationProvider>
+            <View style={styles.container}>
+              <Header
+                title={headerConfig[activeTab].title}
+                icon={headerConfig[activeTab].icon}
+              />
+              <View style={styles.content}>{renderActiveTab()}</View>
+              <TabBar
+                tabs={tabs}
+                activeTab={activeTab}
+                onTabPress={handleTabPress}
+              />
+            </View>
+          </DVLocationProvider>
+        </DVBallotProvider>
+      </DVTeamsProvider>
+    </DVScheduleProvider>
   );
 };
 
@@ -0,0 +1,180 @@
+// Ballot.js
+/**
+ * Ballot
+ *
+ * People's Choice voting for Design Village shelters. Each device gets one
+ * vote per category, tied to the FirebaseService user ID. Votes are saved
+ * on the device first, which is what stops a second vote, and then sent to
+ * a vote backend (see VoteBackend). Votes that can't be sent stay queued
+ * until a later submitPendingVotes succeeds.
+ *
+ * The saved ballot maps category ids to votes:
+ *   {
+ *     "peoples-choice": {
+ *       "plot": 4,
+ *       "castAt": "2025-04-26T21:14:03.000Z",
+ *       "submitted": false
+ *     }
+ *   }
+ *
+ * Categories come from dvBallot.json as { "categories": [{ id, title,
+ * description }] }; with none there is nothing to vote on. Development
+ * builds use sample categories while the file is empty (see SampleData).
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import ballotData from "./dvBallot.json";
+import { withSampleData } from "./SampleData";
+
+// MARK: - Constants
+
+export const BALLOT_STORAGE_KEY = "DVBallot";
+
+// How long one vote may take to reach the backend before it counts as
+// failed. Firestore writes made offline never settle, so without a limit
+// the queue would wait on them forever.
+export const VOTE_SUBMIT_TIMEOUT_MS = 15 * 1000;
+
+export const BALLOT_CATEGORIES = withSampleData(
+  ballotData,
+  "ballot",
+  (ballot) => ballot.categories.length === 0
+).categories;
+
+export const getBallotCategory = (categoryId) =>
+  BALLOT_CATEGORIES.find((category) => category.id === categoryId) || null;
+
+// MARK: - Voting
+
+/**
+ * The ballot with a vote for `plot` in `categoryId` added. Throws when the
+ * category doesn't exist or this device already voted in it.
+ */
+export const castVote = (ballot, categoryId, plot, now = new Date()) => {
+  const category = getBallotCategory(categoryId);
+  if (!category) {
+    throw new Error(`Unknown ballot category: ${categoryId}`);
+  }
+  if (ballot[categoryId]) {
+    throw new Error(`You've already voted for ${category.title}.`);
+  }
+  return {
+    ...ballot,
+    [categoryId]: { plot, castAt: now.toISOString(), submitted: false },
+  };
+};
+
+// Category ids with a vote that hasn't reached the backend yet
+export const getPendingCategories = (ballot) =>
+  Object.keys(ballot).filter((categoryId) => !ballot[categoryId].submitted);
+
+// Rejects when `promise` hasn't settled within `timeout` milliseconds
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No response after ${timeout} ms`)),
+      timeout
+    );
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Sends every queued vote to the backend and resolves to the category ids
+ * that went through. Votes that fail or take longer than `timeout` are left
+ * for the next attempt; resending is safe since backends keep one vote per
+ * user and category.
+ */
+export const submitPendingVotes = async (
+  ballot,
+  userId,
+  backend,
+  { timeout = VOTE_SUBMIT_TIMEOUT_MS } = {}
+) => {
+  const submitted = [];
+  for (const categoryId of getPendingCategories(ballot)) {
+    const vote = ballot[categoryId];
+    try {
+      await withTimeout(
+        backend.submitVote({
+          userId,
+          category: categoryId,
+          plot: vote.plot,
+          castAt: vote.castAt,
+        }),
+        timeout
+      );
+      submitted.push(categoryId);
+    } catch (error) {
+      console.log(`Ballot - Vote for ${categoryId} still queued:`, error);
+    }
+  }
+  return submitted;
+};
+
+// The ballot with the votes in these categories marked as sent
+export const markSubmitted = (ballot, categoryIds) => {
+  const updated = { ...ballot };
+  categoryIds.forEach((categoryId) => {
+    if (updated[categoryId]) {
+      updated[categoryId] = { ...updated[categoryId], submitted: true };
+    }
+  });
+  return updated;
+};
+
+// MARK: - Results
+
+/**
+ * Vote counts per category, most votes first, as
+ * { [categoryId]: [{ plot, count }] }. Only the latest vote per user and
+ * category counts, in case a backend ever returns more than one.
+ */
+export const tallyVotes = (votes) => {
+  const latest = new Map();
+  votes.forEach((vote) => {
+    if (!getBallotCategory(vote.category)) return;
+    const key = `${vote.category}_${vote.userId}`;
+    const previous = latest.get(key);
+    if (!previous || String(vote.castAt) > String(previous.castAt)) {
+      latest.set(key, vote);
+    }
+  });
+
+  const results = {};
+  BALLOT_CATEGORIES.forEach((category) => {
+    const counts = new Map();
+    latest.forEach((vote) => {
+      if (vote.category !== category.id) return;
+      counts.set(vote.plot, (counts.get(vote.plot) || 0) + 1);
+    });
+    results[category.id] = [...counts.entries()]
+      .map(([plot, count]) => ({ plot, count }))
+      .sort((a, b) => b.count - a.count || a.plot - b.plot);
+  });
+  return results;
+};
+
+// MARK: - Storage
+
+export const loadBallot = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(BALLOT_STORAGE_KEY);
+    const ballot = raw ? JSON.parse(raw) : {};
+    return ballot && typeof ballot === "object" && !Array.isArray(ballot)
+      ? ballot
+      : {};
+  } catch (error) {
+    console.error("Ballot - Error loading ballot:", error);
+    return {};
+  }
+};
+
+export const saveBallot = async (ballot) => {
+  try {
+    await AsyncStorage.setItem(BALLOT_STORAGE_KEY, JSON.stringify(ballot));
+  } catch (error) {
+    console.error("Ballot - Error saving ballot:", error);
+  }
+};
@@ -0,0 +1,153 @@
+// MARK: - BallotStore
+/**
+ * BallotStore
+ *
+ * This device's People's Choice ballot for the DV tabs. Votes are kept on
+ * the device as soon as they're cast and sent to the vote backend right
+ * away; anything that doesn't go through is retried every
+ * RETRY_INTERVAL_MS and whenever the app comes back to the foreground.
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
+import { AppState as RNAppState } from "react-native";
+import FirebaseService from "../../../Core/States/FirebaseService";
+import { FirestoreVoteBackend } from "./VoteBackend";
+import {
+  castVote as addVote,
+  getPendingCategories,
+  submitPendingVotes,
+  markSubmitted,
+  tallyVotes,
+  loadBallot,
+  saveBallot,
+} from "./Ballot";
+
+// How often queued votes are retried while any are waiting
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+const BallotContext = createContext(null);
+
+/**
+ * `backend` receives and counts votes (see VoteBackend); Firestore unless
+ * another backend is passed in.
+ */
+export const DVBallotProvider = ({
+  children,
+  backend = FirestoreVoteBackend,
+}) => {
+  const [ballot, setBallot] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Refs so retries always send the latest ballot, one attempt at a time
+  const ballotRef = useRef({});
+  const userIdRef = useRef(null);
+  const isSubmittingRef = useRef(false);
+
+  const updateBallot = async (updated) => {
+    ballotRef.current = updated;
+    setBallot(updated);
+    await saveBallot(updated);
+  };
+
+  const submitQueuedVotes = useCallback(async () => {
+    if (isSubmittingRef.current) return;
+    if (getPendingCategories(ballotRef.current).length === 0) return;
+
+    isSubmittingRef.current = true;
+    try {
+      if (!userIdRef.current) {
+        userIdRef.current = await FirebaseService.getUserId();
+      }
+      if (!userIdRef.current) return;
+
+      const submitted = await submitPendingVotes(
+        ballotRef.current,
+        userIdRef.current,
+        backend
+      );
+      if (submitted.length > 0) {
+        await updateBallot(markSubmitted(ballotRef.current, submitted));
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  }, [backend]);
+
+  useEffect(() => {
+    const initialize = async () => {
+      const [storedBallot, userId] = await Promise.all([
+        loadBallot(),
+        FirebaseService.getUserId(),
+      ]);
+      ballotRef.current = storedBallot;
+      userIdRef.current = userId;
+      setBallot(storedBallot);
+      setIsLoading(false);
+      submitQueuedVotes();
+    };
+    initialize();
+  }, [submitQueuedVotes]);
+
+  const pendingCount = getPendingCategories(ballot).length;
+
+  // Keep retrying while votes are queued
+  useEffect(() => {
+    if (pendingCount === 0) return;
+
+    const interval = setInterval(submitQueuedVotes, RETRY_INTERVAL_MS);
+    const subscription = RNAppState.addEventListener("change", (nextState) => {
+      if (nextState === "active") submitQueuedVotes();
+    });
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [pendingCount, submitQueuedVotes]);
+
+  // Throws when this device already voted in the category
+  const castVote = async (categoryId, plot) => {
+    if (isLoading) {
+      throw new Error("Your ballot is still loading. Try again in a moment.");
+    }
+    await updateBallot(addVote(ballotRef.current, categoryId, plot));
+    submitQueuedVotes();
+  };
+
+  const getVote = (categoryId) => ballot[categoryId] || null;
+
+  // Current standings from the backend, for organizers
+  const getResults = useCallback(
+    async () => tallyVotes(await backend.getVotes()),
+    [backend]
+  );
+
+  const value = {
+    ballot,
+    isLoading,
+    pendingCount,
+    getVote,
+    castVote,
+    retryPendingVotes: submitQueuedVotes,
+    getResults,
+  };
+
+  return (
+    <BallotContext.Provider value={value}>{children}</BallotContext.Provider>
+  );
+};
+
+// MARK: - Custom Hook
+export const useDVBallot = () => {
+  const context = useContext(BallotContext);
+  if (!context) {
+    throw new Error("useDVBallot must be used within a DVBallotProvider");
+  }
+  return context;
+};
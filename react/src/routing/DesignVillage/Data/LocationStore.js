@@ -0,0 +1,79 @@
+// MARK: - LocationStore
+/**
+ * LocationStore
+ *
+ * The user's position for the Design Village map, from the same foreground
+ * watch and calibration as LocationService (see ForegroundPosition). Unlike
+ * LocationService this only follows the position while a screen asks for
+ * it, and never checks structure visits, so walking the canyon during the
+ * event leaves the user's Poly Canyon progress alone.
+ */
+
+import React, { createContext, useContext, useState, useRef } from "react";
+import mapPointsData from "../../../Core/Location/mapPoints.json";
+import { MapPoint } from "../../../Core/Data/Models";
+import { DevicePositionSource } from "../../../Core/Location/PositionSource";
+import {
+  useForegroundPosition,
+  useMapCalibration,
+} from "../../../Core/Location/ForegroundPosition";
+import { isWithinCanyon } from "../../../Core/Location/CanyonArea";
+
+const MAP_POINTS = mapPointsData.map((data) => MapPoint.fromMapPointData(data));
+
+const LocationContext = createContext(null);
+
+/**
+ * `positionSource` supplies location updates (see PositionSource).
+ */
+export const DVLocationProvider = ({
+  children,
+  positionSource = DevicePositionSource,
+}) => {
+  const [currentLocation, setCurrentLocation] = useState(null);
+  const [trackingRequests, setTrackingRequests] = useState(0);
+  const trackingRequestsRef = useRef(0);
+  const { getMapPixelForCoordinate } = useMapCalibration(MAP_POINTS);
+
+  // Watch the position while any screen has asked for it
+  useForegroundPosition({
+    positionSource,
+    isActive: trackingRequests > 0,
+    onPosition: setCurrentLocation,
+    permissionMessage: "Show where you are on the Design Village map",
+  });
+
+  /**
+   * Tracks the user's position for as long as the caller needs it. Returns
+   * a function that releases the request.
+   */
+  const requestForegroundTracking = () => {
+    trackingRequestsRef.current += 1;
+    setTrackingRequests(trackingRequestsRef.current);
+    return () => {
+      trackingRequestsRef.current -= 1;
+      setTrackingRequests(trackingRequestsRef.current);
+    };
+  };
+
+  return (
+    <LocationContext.Provider
+      value={{
+        currentLocation,
+        isWithinCanyon,
+        getMapPixelForCoordinate,
+        requestForegroundTracking,
+      }}
+    >
+      {children}
+    </LocationContext.Provider>
+  );
+};
+
+export const useDVLocation = () => {
+  const context = useContext(LocationContext);
+  if (!context) {
+    throw new Error("useDVLocation must be used within a DVLocationProvider");
+  }
+  return context;
+};
@@ -0,0 +1,46 @@
+// Organizer.js
+/**
+ * Organizer
+ *
+ * Access to the organizer-only screens (ballot results). A device unlocks
+ * them by entering the organizer code, which is remembered afterwards.
+ * ORGANIZER_CODE is set by the organizers in the event's build; while it is
+ * null the organizer screens can't be opened at all.
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+export const ORGANIZER_CODE = null;
+
+const ORGANIZER_ACCESS_KEY = "DVOrganizerAccess";
+
+export const isOrganizerAccessEnabled = (code = ORGANIZER_CODE) =>
+  typeof code === "string" && code.trim() !== "";
+
+// Codes are compared ignoring case and surrounding spaces
+export const checkOrganizerCode = (input, code = ORGANIZER_CODE) =>
+  isOrganizerAccessEnabled(code) &&
+  typeof input === "string" &&
+  input.trim().toUpperCase() === code.trim().toUpperCase();
+
+// Whether this device has unlocked the organizer screens for the current code
+export const loadOrganizerAccess = async (code = ORGANIZER_CODE) => {
+  if (!isOrganizerAccessEnabled(code)) return false;
+  try {
+    return checkOrganizerCode(
+      await AsyncStorage.getItem(ORGANIZER_ACCESS_KEY),
+      code
+    );
+  } catch (error) {
+    console.error("Organizer - Error loading organizer access:", error);
+    return false;
+  }
+};
+
+export const saveOrganizerAccess = async (input) => {
+  try {
+    await AsyncStorage.setItem(ORGANIZER_ACCESS_KEY, input.trim());
+  } catch (error) {
+    console.error("Organizer - Error saving organizer access:", error);
+  }
+};
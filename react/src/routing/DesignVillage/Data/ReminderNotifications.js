@@ -0,0 +1,87 @@
+// ReminderNotifications.js
+/**
+ * ReminderNotifications
+ *
+ * Local notifications for starred Design Village events, through notifee.
+ * A reminder is a trigger notification the system shows at its time, so it
+ * arrives while the app is closed too. Each reminder uses the event id as
+ * its notification id, which lets a moved event replace its old reminder
+ * and an unstarred one cancel it.
+ */
+
+import notifee, {
+  AndroidImportance,
+  AuthorizationStatus,
+  TriggerType,
+} from "@notifee/react-native";
+import { formatTimeOfDay } from "../../../Core/Data/Dates";
+
+const CHANNEL_ID = "dv-schedule";
+
+const getNotificationId = (eventId) => `dv-reminder-${eventId}`;
+
+// Android shows notifications on a channel; a no-op on iOS
+const ensureChannel = () =>
+  notifee.createChannel({
+    id: CHANNEL_ID,
+    name: "Design Village schedule",
+    importance: AndroidImportance.HIGH,
+  });
+
+const buildNotification = (event) => ({
+  id: getNotificationId(event.id),
+  title: `${event.title} starts soon`,
+  body: `${formatTimeOfDay(event.start, event.timeZone)} · ${event.location}`,
+  android: {
+    channelId: CHANNEL_ID,
+    pressAction: { id: "default" },
+  },
+});
+
+/**
+ * Asks to show notifications (iOS, Android 13+). Resolves to whether
+ * reminders can appear.
+ */
+export const requestReminderPermission = async () => {
+  try {
+    const settings = await notifee.requestPermission();
+    return settings.authorizationStatus >= AuthorizationStatus.AUTHORIZED;
+  } catch (error) {
+    console.error(
+      "ReminderNotifications - Error requesting permission:",
+      error
+    );
+    return false;
+  }
+};
+
+// Has the system show the reminder for `event` at `timestamp`
+export const scheduleReminderNotification = async (event, timestamp) => {
+  try {
+    await ensureChannel();
+    await notifee.createTriggerNotification(buildNotification(event), {
+      type: TriggerType.TIMESTAMP,
+      timestamp,
+    });
+  } catch (error) {
+    console.error("ReminderNotifications - Error scheduling reminder:", error);
+  }
+};
+
+// Shows the reminder for `event` right away
+export const showReminderNotification = async (event) => {
+  try {
+    await ensureChannel();
+    await notifee.displayNotification(buildNotification(event));
+  } catch (error) {
+    console.error("ReminderNotifications - Error showing reminder:", error);
+  }
+};
+
+export const cancelReminderNotification = async (eventId) => {
+  try {
+    await notifee.cancelNotification(getNotificationId(eventId));
+  } catch (error) {
+    console.error("ReminderNotifications - Error cancelling reminder:", error);
+  }
+};
@@ -0,0 +1,28 @@
+// SampleData.js
+/**
+ * SampleData
+ *
+ * Made-up Design Village content for development, in ./sample: teams,
+ * the site plan, the schedule and the ballot categories. None of it comes
+ * from the organizers, and the schools named there didn't enter those
+ * teams. It fills in for an organizer file (dvTeams.json, dvSitePlan.json,
+ * dvSchedule.json, dvBallot.json) only while that file is still empty, and
+ * only in development builds. Release builds never include it: Metro folds
+ * __DEV__ to false and drops the requires below.
+ */
+
+const SAMPLE_DATA = __DEV__
+  ? {
+      teams: require("./sample/dvTeams.json"),
+      sitePlan: require("./sample/dvSitePlan.json"),
+      schedule: require("./sample/dvSchedule.json"),
+      ballot: require("./sample/dvBallot.json"),
+    }
+  : {};
+
+/**
+ * The organizer data, or the sample of the same name when `isEmpty(data)`
+ * in a development build.
+ */
+export const withSampleData = (data, name, isEmpty) =>
+  isEmpty(data) && SAMPLE_DATA[name] ? SAMPLE_DATA[name] : data;
@@ -0,0 +1,371 @@
+// Schedule.js
+/**
+ * Schedule
+ *
+ * The Design Village event schedule: loading, validation and the time math
+ * behind the agenda. dvSchedule.json ships with the app; a newer copy can be
+ * published at SCHEDULE_URL and is cached once it validates, the same way
+ * ContentSync handles structure text.
+ *
+ * Schedule format:
+ *   {
+ *     "schemaVersion": 2,
+ *     "scheduleVersion": 2,         // increases with every published edit
+ *     "events": [{
+ *       "id": "sat-judging",        // stable, used for stars and reminders
+ *       "title": "Judging walkthrough",
+ *       "day": 2,                   // day of the event, 1 is its first day
+ *       "start": "09:00",
+ *       "end": "12:00",             // same day, after start
+ *       "location": "At your structure",
+ *       "audience": "competitor",   // "competitor", "visitor" or "all"
+ *       "description": "..."
+ *     }]
+ *   }
+ * Dates come from the Design Village entry in EventCalendar, so the same
+ * schedule carries over to a new year's dates. Times are wall-clock times
+ * in the calendar event's time zone, the same zone EventCalendar uses to
+ * decide the event is running, so a phone set to another zone still shows
+ * them at the right moment. Development builds use a sample schedule
+ * while dvSchedule.json has no events (see SampleData).
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import organizerSchedule from "./dvSchedule.json";
+import { ContentSyncStatus, fetchJson } from "../../../Core/Data/ContentSync";
+import { getDateInTimeZone, getDateInZone } from "../../../Core/Data/Dates";
+import { getCurrentEvent } from "../../../Core/Data/EventCalendar";
+import { withSampleData } from "./SampleData";
+
+// MARK: - Constants
+
+// Where an updated schedule is published. Null keeps the bundled schedule.
+export const SCHEDULE_URL = null;
+
+export const SCHEDULE_STORAGE_KEY = "DVSchedule";
+export const STARRED_EVENTS_STORAGE_KEY = "DVStarredEvents";
+export const SCHEDULED_REMINDERS_STORAGE_KEY = "DVScheduledReminders";
+export const SCHEDULE_SCHEMA_VERSION = 2;
+
+// How long before a starred event its reminder goes off
+export const REMINDER_LEAD_MS = 15 * 60 * 1000;
+
+export const EventAudience = {
+  ALL: "all",
+  COMPETITOR: "competitor",
+  VISITOR: "visitor",
+};
+
+const bundledSchedule = withSampleData(
+  organizerSchedule,
+  "schedule",
+  (schedule) => schedule.events.length === 0
+);
+
+const TIME_OF_DAY_PATTERN = /^(\d{2}):(\d{2})$/;
+
+// MARK: - Parsing
+
+// "09:30" as minutes after midnight, or null when it isn't a time of day
+export const parseTimeOfDay = (value) => {
+  const match = TIME_OF_DAY_PATTERN.exec(value);
+  if (!match) return null;
+  const [hour, minute] = match.slice(1).map(Number);
+  return hour < 24 && minute < 60 ? hour * 60 + minute : null;
+};
+
+/**
+ * The Date for a time on a day of a calendar event (see EventCalendar), in
+ * the event's time zone, where day 1 is the event's start date.
+ */
+export const getEventDate = (calendarEvent, day, time) =>
+  getDateInZone(
+    calendarEvent.start,
+    (day - 1) * 24 * 60 + parseTimeOfDay(time),
+    calendarEvent.timeZone
+  );
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Returns a list of problems with a schedule; empty when it can be used.
+ */
+export const validateSchedule = (schedule) => {
+  if (!isPlainObject(schedule)) return ["The schedule isn't an object."];
+
+  const errors = [];
+  if (schedule.schemaVersion !== SCHEDULE_SCHEMA_VERSION) {
+    errors.push(
+      `Unsupported schema version ${schedule.schemaVersion} ` +
+        `(expected ${SCHEDULE_SCHEMA_VERSION}).`
+    );
+  }
+  if (!Number.isInteger(schedule.scheduleVersion)) {
+    errors.push("scheduleVersion must be an integer.");
+  }
+  if (!Array.isArray(schedule.events)) {
+    errors.push("events must be an array.");
+    return errors;
+  }
+
+  const audiences = Object.values(EventAudience);
+  const seenIds = new Set();
+
+  schedule.events.forEach((event, index) => {
+    if (!isPlainObject(event)) {
+      errors.push(`Event at index ${index} isn't an object.`);
+      return;
+    }
+    const label = `Event ${event.id || `at index ${index}`}`;
+
+    if (typeof event.id !== "string" || event.id === "") {
+      errors.push(`Event at index ${index} has no id.`);
+    } else if (seenIds.has(event.id)) {
+      errors.push(`${label} is listed twice.`);
+    }
+    seenIds.add(event.id);
+
+    ["title", "location", "description"].forEach((field) => {
+      if (typeof event[field] !== "string") {
+        errors.push(`${label} has no ${field}.`);
+      }
+    });
+    if (!audiences.includes(event.audience)) {
+      errors.push(`${label} has an unknown audience "${event.audience}".`);
+    }
+
+    if (!Number.isInteger(event.day) || event.day < 1) {
+      errors.push(`${label} needs a day of 1 or more.`);
+    }
+    const start = parseTimeOfDay(event.start);
+    const end = parseTimeOfDay(event.end);
+    if (start === null) errors.push(`${label} has an invalid start time.`);
+    if (end === null) errors.push(`${label} has an invalid end time.`);
+    if (start !== null && end !== null && end <= start) {
+      errors.push(`${label} ends before it starts.`);
+    }
+  });
+
+  return errors;
+};
+
+// MARK: - Agenda
+
+/**
+ * A schedule's events with start and end as Dates on the dates of
+ * `calendarEvent`, in start order, each with the event's `timeZone` for
+ * display. Empty without a calendar event.
+ */
+export const getScheduleEvents = (
+  schedule,
+  calendarEvent = getCurrentEvent()
+) =>
+  calendarEvent
+    ? schedule.events
+        .map((event) => ({
+          ...event,
+          start: getEventDate(calendarEvent, event.day, event.start),
+          end: getEventDate(calendarEvent, event.day, event.end),
+          timeZone: calendarEvent.timeZone,
+        }))
+        .sort((a, b) => a.start - b.start || a.end - b.end)
+    : [];
+
+// Events meant for a DVUserRole ("competitor" or "visitor")
+export const filterEventsForRole = (events, role) =>
+  events.filter(
+    (event) => event.audience === EventAudience.ALL || event.audience === role
+  );
+
+/**
+ * Events grouped by the day they start on in their time zone:
+ * [{ day, events }] in order, where day is a key like "2025-04-26".
+ */
+export const groupEventsByDay = (events) => {
+  const days = new Map();
+  events.forEach((event) => {
+    const day = getDateInTimeZone(event.start, event.timeZone);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(event);
+  });
+  return [...days.entries()].map(([day, dayEvents]) => ({
+    day,
+    events: dayEvents,
+  }));
+};
+
+/**
+ * What's on at `now`: { current, next } where current lists the events in
+ * progress and next lists the events with the soonest upcoming start time
+ * (several when they start together).
+ */
+export const getNowAndNext = (events, now = new Date()) => {
+  const current = events.filter(
+    (event) => event.start <= now && now < event.end
+  );
+  const upcoming = events.filter((event) => event.start > now);
+  if (upcoming.length === 0) return { current, next: [] };
+
+  const nextStart = Math.min(...upcoming.map((event) => event.start.getTime()));
+  return {
+    current,
+    next: upcoming.filter((event) => event.start.getTime() === nextStart),
+  };
+};
+
+// MARK: - Reminders
+
+// When the reminder for an event goes off, in ms since the epoch
+export const getReminderTime = (event) =>
+  event.start.getTime() - REMINDER_LEAD_MS;
+
+/**
+ * Starred events whose reminder is due at `now`: starting within
+ * REMINDER_LEAD_MS and not reminded about yet.
+ */
+export const getDueReminders = (events, starredIds, firedIds, now) =>
+  events.filter(
+    (event) =>
+      starredIds.includes(event.id) &&
+      !firedIds.includes(event.id) &&
+      event.start > now &&
+      event.start - now <= REMINDER_LEAD_MS
+  );
+
+/**
+ * The notification changes that bring `scheduled` (event id -> reminder
+ * time already handed to the system) in line with the starred events:
+ *   toSchedule - starred events whose reminder is still ahead and isn't
+ *                scheduled for its current time (new, or the schedule moved)
+ *   toShow     - starred events already inside the lead window, such as one
+ *                starred 5 minutes before it starts
+ *   toCancel   - ids with a reminder that are no longer starred
+ */
+export const planReminders = (events, starredIds, scheduled, now) => {
+  const isHandled = (event) => scheduled[event.id] === getReminderTime(event);
+  return {
+    toSchedule: events.filter(
+      (event) =>
+        starredIds.includes(event.id) &&
+        getReminderTime(event) > now &&
+        !isHandled(event)
+    ),
+    toShow: getDueReminders(
+      events,
+      starredIds,
+      events.filter(isHandled).map((event) => event.id),
+      now
+    ),
+    toCancel: Object.keys(scheduled).filter((id) => !starredIds.includes(id)),
+  };
+};
+
+// MARK: - Storage
+
+const loadIdList = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    const ids = raw ? JSON.parse(raw) : [];
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    console.error(`Schedule - Error loading ${key}:`, error);
+    return [];
+  }
+};
+
+const saveIdList = async (key, ids) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(ids));
+  } catch (error) {
+    console.error(`Schedule - Error saving ${key}:`, error);
+  }
+};
+
+export const loadStarredEvents = () => loadIdList(STARRED_EVENTS_STORAGE_KEY);
+export const saveStarredEvents = (ids) =>
+  saveIdList(STARRED_EVENTS_STORAGE_KEY, ids);
+
+// Event id -> reminder time for every reminder handed to the system
+export const loadScheduledReminders = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(SCHEDULED_REMINDERS_STORAGE_KEY);
+    const scheduled = raw ? JSON.parse(raw) : {};
+    return isPlainObject(scheduled) ? scheduled : {};
+  } catch (error) {
+    console.error("Schedule - Error loading scheduled reminders:", error);
+    return {};
+  }
+};
+
+export const saveScheduledReminders = async (scheduled) => {
+  try {
+    await AsyncStorage.setItem(
+      SCHEDULED_REMINDERS_STORAGE_KEY,
+      JSON.stringify(scheduled)
+    );
+  } catch (error) {
+    console.error("Schedule - Error saving scheduled reminders:", error);
+  }
+};
+
+/**
+ * The newest schedule available offline: a cached synced copy when it's
+ * valid and newer than the bundle, otherwise the bundled schedule.
+ */
+export const loadSchedule = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(SCHEDULE_STORAGE_KEY);
+    if (!raw) return bundledSchedule;
+
+    const schedule = JSON.parse(raw);
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      console.log("Schedule - Ignoring stored schedule:", errors[0]);
+      await AsyncStorage.removeItem(SCHEDULE_STORAGE_KEY);
+      return bundledSchedule;
+    }
+    return schedule.scheduleVersion > bundledSchedule.scheduleVersion
+      ? schedule
+      : bundledSchedule;
+  } catch (error) {
+    console.error("Schedule - Error loading stored schedule:", error);
+    return bundledSchedule;
+  }
+};
+
+/**
+ * Fetches the schedule and stores it when it's valid and newer than
+ * `currentVersion`. Never throws; resolves to { status, schedule, error }
+ * (statuses from ContentSync) where schedule is set only when UPDATED.
+ */
+export const syncSchedule = async ({
+  scheduleUrl = SCHEDULE_URL,
+  currentVersion = bundledSchedule.scheduleVersion,
+  fetchImpl = fetch,
+} = {}) => {
+  if (!scheduleUrl) {
+    return { status: ContentSyncStatus.DISABLED, schedule: null, error: null };
+  }
+
+  try {
+    const schedule = await fetchJson(scheduleUrl, fetchImpl);
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid schedule: ${errors.join(" ")}`);
+    }
+    if (schedule.scheduleVersion <= currentVersion) {
+      return {
+        status: ContentSyncStatus.UP_TO_DATE,
+        schedule: null,
+        error: null,
+      };
+    }
+
+    await AsyncStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(schedule));
+    return { status: ContentSyncStatus.UPDATED, schedule, error: null };
+  } catch (error) {
+    console.log("Schedule - Sync failed:", error.message);
+    return { status: ContentSyncStatus.FAILED, schedule: null, error };
+  }
+};
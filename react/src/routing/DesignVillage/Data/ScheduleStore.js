@@ -0,0 +1,160 @@
+// MARK: - ScheduleStore
+/**
+ * ScheduleStore
+ *
+ * Holds the Design Village schedule for the DV tabs: the loaded events, the
+ * user's starred events and a clock for "happening now / up next". Starring
+ * an event schedules a local notification REMINDER_LEAD_MS before it starts
+ * (see ReminderNotifications); unstarring it cancels the notification.
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+} from "react";
+import { AppState as RNAppState } from "react-native";
+import { ContentSyncStatus } from "../../../Core/Data/ContentSync";
+import {
+  loadSchedule,
+  syncSchedule,
+  getScheduleEvents,
+  planReminders,
+  getReminderTime,
+  loadStarredEvents,
+  saveStarredEvents,
+  loadScheduledReminders,
+  saveScheduledReminders,
+} from "./Schedule";
+import {
+  requestReminderPermission,
+  scheduleReminderNotification,
+  showReminderNotification,
+  cancelReminderNotification,
+} from "./ReminderNotifications";
+
+// How often "now" moves forward, which is also how often reminders are
+// checked
+const CLOCK_INTERVAL_MS = 60 * 1000;
+
+const ScheduleContext = createContext(null);
+
+export const DVScheduleProvider = ({ children }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [starredIds, setStarredIds] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Event id -> reminder time for reminders handed to the system, so each
+  // is scheduled once even across restarts
+  const scheduledRef = useRef({});
+
+  const events = useMemo(
+    () => (schedule ? getScheduleEvents(schedule) : []),
+    [schedule]
+  );
+
+  // Offline copy first, then look for a newer published schedule
+  useEffect(() => {
+    const initialize = async () => {
+      const [storedSchedule, starred, scheduled] = await Promise.all([
+        loadSchedule(),
+        loadStarredEvents(),
+        loadScheduledReminders(),
+      ]);
+      scheduledRef.current = scheduled;
+      setStarredIds(starred);
+      setSchedule(storedSchedule);
+      setIsLoading(false);
+
+      const result = await syncSchedule({
+        currentVersion: storedSchedule.scheduleVersion,
+      });
+      if (result.status === ContentSyncStatus.UPDATED) {
+        setSchedule(result.schedule);
+      }
+    };
+    initialize();
+  }, []);
+
+  // Keep the clock current, and catch up right away after the background
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    const subscription = RNAppState.addEventListener("change", (nextState) => {
+      if (nextState === "active") setNow(new Date());
+    });
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, []);
+
+  // Keep the system's reminders in line with the starred events
+  useEffect(() => {
+    if (isLoading) return;
+
+    const { toSchedule, toShow, toCancel } = planReminders(
+      events,
+      starredIds,
+      scheduledRef.current,
+      now
+    );
+    if (toSchedule.length + toShow.length + toCancel.length === 0) return;
+
+    const scheduled = { ...scheduledRef.current };
+    toSchedule.forEach((event) => {
+      scheduleReminderNotification(event, getReminderTime(event));
+      scheduled[event.id] = getReminderTime(event);
+    });
+    toShow.forEach((event) => {
+      showReminderNotification(event);
+      scheduled[event.id] = getReminderTime(event);
+    });
+    toCancel.forEach((eventId) => {
+      cancelReminderNotification(eventId);
+      delete scheduled[eventId];
+    });
+    scheduledRef.current = scheduled;
+    saveScheduledReminders(scheduled);
+  }, [events, starredIds, now, isLoading]);
+
+  const isStarred = (eventId) => starredIds.includes(eventId);
+
+  const toggleStarred = (eventId) => {
+    const isStarring = !isStarred(eventId);
+    const updated = isStarring
+      ? [...starredIds, eventId]
+      : starredIds.filter((id) => id !== eventId);
+    if (isStarring) requestReminderPermission();
+    setStarredIds(updated);
+    saveStarredEvents(updated);
+  };
+
+  const value = {
+    events,
+    scheduleVersion: schedule ? schedule.scheduleVersion : null,
+    isLoading,
+    now,
+    starredIds,
+    isStarred,
+    toggleStarred,
+  };
+
+  return (
+    <ScheduleContext.Provider value={value}>
+      {children}
+    </ScheduleContext.Provider>
+  );
+};
+
+// MARK: - Custom Hook
+export const useDVSchedule = () => {
+  const context = useContext(ScheduleContext);
+  if (!context) {
+    throw new Error("useDVSchedule must be used within a DVScheduleProvider");
+  }
+  return context;
+};
@@ -0,0 +1,116 @@
+// SitePlan.js
+/**
+ * SitePlan
+ *
+ * Where things are at Design Village, placed on the canyon map image (the
+ * same pixel space as mapPoints.json):
+ *   - points of interest from dvSitePlan.json, each with a PoiType
+ *   - team plots from dvSitePlan.json, with the team on each plot from the
+ *     registry in Teams
+ * Both files are edited for each year's event; nothing here is hardcoded
+ * to one layout. Development builds show a sample site plan while
+ * dvSitePlan.json is empty (see SampleData).
+ */
+
+import organizerSitePlan from "./dvSitePlan.json";
+import { getTeams, searchTeams } from "./Teams";
+import { withSampleData } from "./SampleData";
+
+const sitePlanData = withSampleData(
+  organizerSitePlan,
+  "sitePlan",
+  (sitePlan) => sitePlan.pois.length === 0 && sitePlan.plots.length === 0
+);
+
+// MARK: - Point Types
+
+export const PoiType = {
+  CHECK_IN: "checkIn",
+  RESTROOM: "restroom",
+  WATER: "water",
+  JUDGING: "judging",
+  FIRST_AID: "firstAid",
+  STAGE: "stage",
+  FOOD: "food",
+};
+
+// Legend order, labels, icons (Ionicons) and marker colors
+export const POI_TYPE_DETAILS = [
+  {
+    type: PoiType.CHECK_IN,
+    label: "Check-in",
+    icon: "clipboard",
+    color: "#2196F3",
+  },
+  {
+    type: PoiType.RESTROOM,
+    label: "Restrooms",
+    icon: "man",
+    color: "#7E57C2",
+  },
+  {
+    type: PoiType.WATER,
+    label: "Water",
+    icon: "water",
+    color: "#00ACC1",
+  },
+  {
+    type: PoiType.JUDGING,
+    label: "Judging",
+    icon: "ribbon",
+    color: "#F5A623",
+  },
+  {
+    type: PoiType.FIRST_AID,
+    label: "First aid",
+    icon: "medkit",
+    color: "#E53935",
+  },
+  {
+    type: PoiType.STAGE,
+    label: "Stage",
+    icon: "mic",
+    color: "#43A047",
+  },
+  {
+    type: PoiType.FOOD,
+    label: "Food",
+    icon: "restaurant",
+    color: "#8D6E63",
+  },
+];
+
+export const getPoiTypeDetails = (type) =>
+  POI_TYPE_DETAILS.find((details) => details.type === type) || null;
+
+// MARK: - Site Data
+
+// Points of interest with a known type: [{ id, type, name, description, pixel }]
+export const getPois = () =>
+  sitePlanData.pois.filter((poi) => getPoiTypeDetails(poi.type) !== null);
+
+/**
+ * Team plots: [{ number, pixel, team }] in plot order, where team is the
+ * DVTeam on the plot, or null for plots nobody has been assigned to.
+ */
+export const getPlots = (teams = getTeams()) => {
+  const teamsByPlot = new Map(teams.map((team) => [team.plot, team]));
+  return sitePlanData.plots
+    .map((plot) => ({ ...plot, team: teamsByPlot.get(plot.number) || null }))
+    .sort((a, b) => a.number - b.number);
+};
+
+/**
+ * Plots matching a search: the plot with that number for a number,
+ * otherwise plots whose team matches (see searchTeams).
+ */
+export const findPlots = (plots, query) => {
+  if (query.trim() === "") return [];
+
+  const teams = plots.map((plot) => plot.team).filter(Boolean);
+  const matches = new Set(searchTeams(teams, query).map((team) => team.plot));
+  const number = Number(query.trim().replace(/^#/, ""));
+  return plots.filter(
+    (plot) => plot.number === number || matches.has(plot.number)
+  );
+};
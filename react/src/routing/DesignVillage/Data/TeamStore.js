@@ -0,0 +1,59 @@
+// MARK: - TeamStore
+/**
+ * TeamStore
+ *
+ * The Design Village team registry for the DV tabs, with the user's
+ * favorite shelters persisted on the device.
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+} from "react";
+import { getTeams, loadFavoriteTeams, saveFavoriteTeams } from "./Teams";
+
+const TeamContext = createContext(null);
+
+export const DVTeamsProvider = ({ children }) => {
+  const [favoritePlots, setFavoritePlots] = useState([]);
+
+  useEffect(() => {
+    const loadFavorites = async () => {
+      setFavoritePlots(await loadFavoriteTeams());
+    };
+    loadFavorites();
+  }, []);
+
+  const teams = useMemo(() => getTeams(favoritePlots), [favoritePlots]);
+
+  const getTeam = (plot) => teams.find((team) => team.plot === plot) || null;
+
+  const toggleFavorite = (plot) => {
+    const updated = favoritePlots.includes(plot)
+      ? favoritePlots.filter((favorite) => favorite !== plot)
+      : [...favoritePlots, plot];
+    setFavoritePlots(updated);
+    saveFavoriteTeams(updated);
+  };
+
+  const value = {
+    teams,
+    getTeam,
+    favoritePlots,
+    toggleFavorite,
+  };
+
+  return <TeamContext.Provider value={value}>{children}</TeamContext.Provider>;
+};
+
+// MARK: - Custom Hook
+export const useDVTeams = () => {
+  const context = useContext(TeamContext);
+  if (!context) {
+    throw new Error("useDVTeams must be used within a DVTeamsProvider");
+  }
+  return context;
+};
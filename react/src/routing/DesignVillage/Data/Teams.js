@@ -0,0 +1,129 @@
+// Teams.js
+/**
+ * Teams
+ *
+ * The Design Village team registry from dvTeams.json: who is competing,
+ * where their shelter stands and what it's about. Each entry looks like
+ *   {
+ *     "plot": 4,                      // plot number from dvSitePlan.json
+ *     "team": "Knot Theory",
+ *     "school": "Cal Poly San Luis Obispo",
+ *     "shelter": "Knot House",
+ *     "concept": "...",
+ *     "photos": ["https://..."]       // optional, shown in order
+ *   }
+ * Plot numbers identify teams, so favorites and ballots refer to them.
+ * Development builds show sample teams until the file has entries (see
+ * SampleData).
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import registryData from "./dvTeams.json";
+import { withSampleData } from "./SampleData";
+
+export const FAVORITE_TEAMS_STORAGE_KEY = "DVFavoriteTeams";
+
+const teamsData = withSampleData(
+  registryData,
+  "teams",
+  (teams) => teams.length === 0
+);
+
+// Shown for shelters without photos yet
+const PLACEHOLDER_PHOTO = require("../Images/OGDefault.webp");
+
+// MARK: - DVTeam Model
+
+export class DVTeam {
+  plot;
+  name;
+  school;
+  shelterName;
+  concept;
+  photos;
+
+  // User data
+  isFavorite;
+
+  constructor(data) {
+    this.plot = data.plot;
+    this.name = data.team;
+    this.school = data.school;
+    this.shelterName = data.shelter;
+    this.concept = data.concept;
+    this.photos = Array.isArray(data.photos) ? data.photos : [];
+
+    this.isFavorite = data.isFavorite || false;
+  }
+
+  get id() {
+    return this.plot;
+  }
+
+  // Image sources for the shelter's photos, or the placeholder
+  get photoSources() {
+    return this.photos.length > 0
+      ? this.photos.map((uri) => ({ uri }))
+      : [PLACEHOLDER_PHOTO];
+  }
+
+  get hasPhotos() {
+    return this.photos.length > 0;
+  }
+}
+
+// MARK: - Registry
+
+/**
+ * Every team in plot order, marked with the given favorite plot numbers.
+ */
+export const getTeams = (favoritePlots = []) =>
+  teamsData
+    .map(
+      (data) =>
+        new DVTeam({ ...data, isFavorite: favoritePlots.includes(data.plot) })
+    )
+    .sort((a, b) => a.plot - b.plot);
+
+/**
+ * Teams matching a search: the team on that plot for a number, otherwise
+ * teams whose name, shelter or school contains the text.
+ */
+export const searchTeams = (teams, query) => {
+  const text = query.trim().toLowerCase();
+  if (text === "") return teams;
+
+  const plot = Number(text.replace(/^#/, ""));
+  if (Number.isInteger(plot) && plot > 0) {
+    return teams.filter((team) => team.plot === plot);
+  }
+  return teams.filter((team) =>
+    [team.name, team.shelterName, team.school].some(
+      (field) => field && field.toLowerCase().includes(text)
+    )
+  );
+};
+
+// MARK: - Favorites
+
+export const loadFavoriteTeams = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(FAVORITE_TEAMS_STORAGE_KEY);
+    const plots = raw ? JSON.parse(raw) : [];
+    return Array.isArray(plots) ? plots : [];
+  } catch (error) {
+    console.error("Teams - Error loading favorites:", error);
+    return [];
+  }
+};
+
+export const saveFavoriteTeams = async (plots) => {
+  try {
+    await AsyncStorage.setItem(
+      FAVORITE_TEAMS_STORAGE_KEY,
+      JSON.stringify(plots)
+    );
+  } catch (error) {
+    console.error("Teams - Error saving favorites:", error);
+  }
+};
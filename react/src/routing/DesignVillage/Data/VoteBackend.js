@@ -0,0 +1,44 @@
+// VoteBackend.js
+/**
+ * VoteBackend
+ *
+ * The interface the ballot uses to send and count votes, so Firestore can be
+ * swapped for an in-memory store (see createMemoryVoteBackend).
+ *
+ * A vote backend implements:
+ * - submitVote(vote) -> Promise, rejects when the vote didn't go through
+ * - getVotes() -> Promise of every vote
+ * Votes look like { userId, category, plot, castAt }, where castAt is an ISO
+ * date string. Backends keep at most one vote per userId and category; a
+ * second submission replaces the first.
+ */
+
+import FirebaseService from "../../../Core/States/FirebaseService";
+
+export const FirestoreVoteBackend = {
+  submitVote: (vote) => FirebaseService.submitVote(vote),
+  getVotes: () => FirebaseService.getVotes(),
+};
+
+/**
+ * A backend that keeps votes in memory. `isOffline` makes every call fail,
+ * as a network error would.
+ */
+export const createMemoryVoteBackend = ({ votes = [] } = {}) => {
+  const store = new Map(
+    votes.map((vote) => [`${vote.category}_${vote.userId}`, { ...vote }])
+  );
+
+  const backend = {
+    isOffline: false,
+    submitVote: async (vote) => {
+      if (backend.isOffline) throw new Error("Vote backend is offline");
+      store.set(`${vote.category}_${vote.userId}`, { ...vote });
+    },
+    getVotes: async () => {
+      if (backend.isOffline) throw new Error("Vote backend is offline");
+      return [...store.values()];
+    },
+  };
+  return backend;
+};
@@ -0,0 +1,191 @@
+// Ballot.test.js
+/**
+ * One vote per category, the offline vote queue and the results tally,
+ * against the in-memory vote backend.
+ */
+
+import {
+  castVote,
+  getPendingCategories,
+  submitPendingVotes,
+  markSubmitted,
+  tallyVotes,
+  loadBallot,
+  saveBallot,
+} from "../Ballot";
+import { createMemoryVoteBackend } from "../VoteBackend";
+
+// The Firestore backend isn't used here, so keep its native modules out
+jest.mock("../../../../Core/States/FirebaseService", () => ({}));
+
+const CAST_AT = new Date("2025-04-26T21:14:03.000Z");
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("castVote", () => {
+  it("adds an unsent vote", () => {
+    const ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+
+    expect(ballot["peoples-choice"]).toEqual({
+      plot: 4,
+      castAt: CAST_AT.toISOString(),
+      submitted: false,
+    });
+  });
+
+  it("rejects a second vote in the same category", () => {
+    const ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+
+    expect(() => castVote(ballot, "peoples-choice", 7, CAST_AT)).toThrow(
+      "You've already voted for People's Choice."
+    );
+    expect(castVote(ballot, "best-craft", 7, CAST_AT)["best-craft"].plot).toBe(
+      7
+    );
+  });
+
+  it("rejects unknown categories", () => {
+    expect(() => castVote({}, "best-view", 4, CAST_AT)).toThrow(
+      "Unknown ballot category: best-view"
+    );
+  });
+});
+
+describe("vote queue", () => {
+  it("keeps votes queued while offline and sends them on retry", async () => {
+    const backend = createMemoryVoteBackend();
+    let ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+    ballot = castVote(ballot, "best-craft", 2, CAST_AT);
+
+    backend.isOffline = true;
+    ballot = markSubmitted(
+      ballot,
+      await submitPendingVotes(ballot, "user-1", backend)
+    );
+    expect(getPendingCategories(ballot).sort()).toEqual([
+      "best-craft",
+      "peoples-choice",
+    ]);
+
+    backend.isOffline = false;
+    ballot = markSubmitted(
+      ballot,
+      await submitPendingVotes(ballot, "user-1", backend)
+    );
+    expect(getPendingCategories(ballot)).toEqual([]);
+    expect(await backend.getVotes()).toEqual(
+      expect.arrayContaining([
+        {
+          userId: "user-1",
+          category: "peoples-choice",
+          plot: 4,
+          castAt: CAST_AT.toISOString(),
+        },
+        {
+          userId: "user-1",
+          category: "best-craft",
+          plot: 2,
+          castAt: CAST_AT.toISOString(),
+        },
+      ])
+    );
+  });
+
+  it("doesn't resend votes that already went through", async () => {
+    const backend = createMemoryVoteBackend();
+    const submitVote = jest.spyOn(backend, "submitVote");
+    let ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+    ballot = markSubmitted(
+      ballot,
+      await submitPendingVotes(ballot, "user-1", backend)
+    );
+
+    ballot = castVote(ballot, "best-craft", 2, CAST_AT);
+    await submitPendingVotes(ballot, "user-1", backend);
+
+    expect(submitVote.mock.calls.map(([vote]) => vote.category)).toEqual([
+      "peoples-choice",
+      "best-craft",
+    ]);
+  });
+
+  it("gives up on a submission that never settles", async () => {
+    jest.useFakeTimers();
+    const backend = { submitVote: () => new Promise(() => {}) };
+    const ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+
+    const submitting = submitPendingVotes(ballot, "user-1", backend, {
+      timeout: 1000,
+    });
+    jest.advanceTimersByTime(1000);
+
+    expect(await submitting).toEqual([]);
+  });
+
+  it("keeps queued votes across restarts", async () => {
+    const ballot = castVote({}, "peoples-choice", 4, CAST_AT);
+    await saveBallot(ballot);
+
+    expect(getPendingCategories(await loadBallot())).toEqual([
+      "peoples-choice",
+    ]);
+  });
+});
+
+describe("tallyVotes", () => {
+  const vote = (userId, category, plot, castAt = CAST_AT.toISOString()) => ({
+    userId,
+    category,
+    plot,
+    castAt,
+  });
+
+  it("ranks shelters by votes in each category", () => {
+    const results = tallyVotes([
+      vote("a", "peoples-choice", 3),
+      vote("b", "peoples-choice", 5),
+      vote("c", "peoples-choice", 5),
+      vote("a", "best-craft", 1),
+    ]);
+
+    expect(results["peoples-choice"]).toEqual([
+      { plot: 5, count: 2 },
+      { plot: 3, count: 1 },
+    ]);
+    expect(results["best-craft"]).toEqual([{ plot: 1, count: 1 }]);
+  });
+
+  it("orders ties by plot number", () => {
+    const results = tallyVotes([
+      vote("a", "peoples-choice", 9),
+      vote("b", "peoples-choice", 2),
+      vote("c", "peoples-choice", 6),
+    ]);
+
+    expect(results["peoples-choice"].map((entry) => entry.plot)).toEqual([
+      2, 6, 9,
+    ]);
+  });
+
+  it("counts only the latest vote per user and category", () => {
+    const results = tallyVotes([
+      vote("a", "peoples-choice", 3, "2025-04-26T10:00:00.000Z"),
+      vote("a", "peoples-choice", 8, "2025-04-26T11:00:00.000Z"),
+    ]);
+
+    expect(results["peoples-choice"]).toEqual([{ plot: 8, count: 1 }]);
+  });
+
+  it("skips unknown categories and lists empty ones", () => {
+    const results = tallyVotes([vote("a", "best-view", 3)]);
+
+    expect(results).toEqual({ "peoples-choice": [], "best-craft": [] });
+  });
+});
@@ -0,0 +1,31 @@
+// Organizer.test.js
+/**
+ * Unlocking the organizer screens with the organizer code.
+ */
+
+import {
+  isOrganizerAccessEnabled,
+  checkOrganizerCode,
+  loadOrganizerAccess,
+  saveOrganizerAccess,
+} from "../Organizer";
+
+describe("organizer code", () => {
+  it("keeps the organizer screens locked when no code is set", async () => {
+    expect(isOrganizerAccessEnabled(null)).toBe(false);
+    expect(checkOrganizerCode("", null)).toBe(false);
+    expect(await loadOrganizerAccess(null)).toBe(false);
+  });
+
+  it("accepts the code ignoring case and spaces", () => {
+    expect(checkOrganizerCode(" nexus25 ", "NEXUS25")).toBe(true);
+    expect(checkOrganizerCode("nexus24", "NEXUS25")).toBe(false);
+  });
+
+  it("remembers the code until it changes", async () => {
+    await saveOrganizerAccess("nexus25");
+
+    expect(await loadOrganizerAccess("NEXUS25")).toBe(true);
+    expect(await loadOrganizerAccess("CANYON26")).toBe(false);
+  });
+});
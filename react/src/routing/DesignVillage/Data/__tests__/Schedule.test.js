@@ -0,0 +1,261 @@
+// Schedule.test.js
+/**
+ * Schedule days and times placed on the dates of the calendar event, the
+ * agenda helpers and reminder planning.
+ */
+
+import {
+  validateSchedule,
+  getScheduleEvents,
+  groupEventsByDay,
+  getNowAndNext,
+  filterEventsForRole,
+  getDueReminders,
+  getReminderTime,
+  planReminders,
+  SCHEDULE_SCHEMA_VERSION,
+  REMINDER_LEAD_MS,
+} from "../Schedule";
+
+const CALENDAR_EVENT = {
+  id: "design-village-2026",
+  start: "2026-04-24",
+  end: "2026-04-26",
+  timeZone: "America/Los_Angeles",
+};
+
+const createEvent = (overrides = {}) => ({
+  id: "judging",
+  title: "Judging walkthrough",
+  day: 2,
+  start: "09:00",
+  end: "12:00",
+  location: "At your structure",
+  audience: "competitor",
+  description: "",
+  ...overrides,
+});
+
+const createSchedule = (events) => ({
+  schemaVersion: SCHEDULE_SCHEMA_VERSION,
+  scheduleVersion: 1,
+  events,
+});
+
+describe("getScheduleEvents", () => {
+  it("places each day on the calendar event's dates", () => {
+    const [event] = getScheduleEvents(
+      createSchedule([createEvent()]),
+      CALENDAR_EVENT
+    );
+
+    expect(event.start).toEqual(new Date("2026-04-25T09:00:00-07:00"));
+    expect(event.end).toEqual(new Date("2026-04-25T12:00:00-07:00"));
+    expect(event.timeZone).toBe("America/Los_Angeles");
+  });
+
+  it("reads times in the calendar event's time zone", () => {
+    const [event] = getScheduleEvents(createSchedule([createEvent()]), {
+      ...CALENDAR_EVENT,
+      timeZone: "Asia/Tokyo",
+    });
+
+    expect(event.start).toEqual(new Date("2026-04-25T09:00:00+09:00"));
+  });
+
+  it("keeps wall-clock times across a daylight saving change", () => {
+    const schedule = createSchedule([
+      createEvent({ id: "before", day: 1 }),
+      createEvent({ id: "after", day: 2 }),
+    ]);
+
+    const [before, after] = getScheduleEvents(schedule, {
+      ...CALENDAR_EVENT,
+      start: "2026-03-07",
+      end: "2026-03-08",
+    });
+
+    expect(before.start).toEqual(new Date("2026-03-07T09:00:00-08:00"));
+    expect(after.start).toEqual(new Date("2026-03-08T09:00:00-07:00"));
+  });
+
+  it("moves with the calendar event", () => {
+    const schedule = createSchedule([
+      createEvent({ id: "check-in", day: 1, start: "08:00", end: "10:00" }),
+      createEvent({ id: "awards", day: 3, start: "09:00", end: "10:30" }),
+    ]);
+
+    const days = groupEventsByDay(
+      getScheduleEvents(schedule, { ...CALENDAR_EVENT, start: "2027-04-30" })
+    ).map((group) => group.day);
+
+    expect(days).toEqual(["2027-04-30", "2027-05-02"]);
+  });
+
+  it("is empty without a calendar event", () => {
+    expect(getScheduleEvents(createSchedule([createEvent()]), null)).toEqual(
+      []
+    );
+  });
+});
+
+describe("validateSchedule", () => {
+  it("accepts a valid schedule", () => {
+    expect(validateSchedule(createSchedule([createEvent()]))).toEqual([]);
+  });
+
+  it("rejects bad days and times", () => {
+    const errors = validateSchedule(
+      createSchedule([
+        createEvent({ id: "a", day: 0 }),
+        createEvent({ id: "b", start: "2026-04-25T09:00" }),
+        createEvent({ id: "c", start: "12:00", end: "11:00" }),
+        createEvent({ id: "d", end: "24:00" }),
+      ])
+    );
+
+    expect(errors).toEqual([
+      "Event a needs a day of 1 or more.",
+      "Event b has an invalid start time.",
+      "Event c ends before it starts.",
+      "Event d has an invalid end time.",
+    ]);
+  });
+
+  it("rejects a schedule from the dated format", () => {
+    expect(
+      validateSchedule({ ...createSchedule([createEvent()]), schemaVersion: 1 })
+    ).toEqual([
+      `Unsupported schema version 1 (expected ${SCHEDULE_SCHEMA_VERSION}).`,
+    ]);
+  });
+});
+
+// Events already placed on the calendar, on the event's second day
+const MINUTE = 60 * 1000;
+const at = (hour, minute = 0) => new Date(2026, 3, 25, hour, minute);
+const createTimedEvent = (id, start, end, audience = "all") => ({
+  ...createEvent({ id, audience }),
+  start,
+  end,
+});
+
+describe("getNowAndNext", () => {
+  const events = [
+    createTimedEvent("breakfast", at(8), at(9)),
+    createTimedEvent("judging", at(9), at(12)),
+    createTimedEvent("tours", at(10), at(11)),
+    createTimedEvent("workshop", at(10), at(12)),
+    createTimedEvent("lunch", at(12), at(13)),
+  ];
+  const ids = (list) => list.map((event) => event.id);
+
+  it("lists what's on and everything that starts next", () => {
+    const { current, next } = getNowAndNext(events, at(9, 30));
+
+    expect(ids(current)).toEqual(["judging"]);
+    expect(ids(next)).toEqual(["tours", "workshop"]);
+  });
+
+  it("counts an event as on from its start until its end", () => {
+    const { current, next } = getNowAndNext(events, at(9));
+
+    expect(ids(current)).toEqual(["judging"]);
+    expect(ids(next)).toEqual(["tours", "workshop"]);
+    expect(ids(getNowAndNext(events, at(12)).current)).toEqual(["lunch"]);
+  });
+
+  it("has nothing next after the last event starts", () => {
+    expect(getNowAndNext(events, at(12, 30))).toEqual({
+      current: [events[4]],
+      next: [],
+    });
+  });
+});
+
+describe("filterEventsForRole", () => {
+  const events = [
+    createTimedEvent("check-in", at(8), at(9), "competitor"),
+    createTimedEvent("tours", at(10), at(11), "visitor"),
+    createTimedEvent("awards", at(12), at(13), "all"),
+  ];
+  const idsFor = (role) =>
+    filterEventsForRole(events, role).map((event) => event.id);
+
+  it("keeps the role's own events and the ones for everyone", () => {
+    expect(idsFor("competitor")).toEqual(["check-in", "awards"]);
+    expect(idsFor("visitor")).toEqual(["tours", "awards"]);
+  });
+});
+
+describe("getDueReminders", () => {
+  const events = [
+    createTimedEvent("soon", at(10), at(11)),
+    createTimedEvent("later", at(11), at(12)),
+    createTimedEvent("started", at(9, 50), at(11)),
+  ];
+  const now = at(9, 55);
+  const ids = (list) => list.map((event) => event.id);
+
+  it("reminds about starred events starting within the lead time", () => {
+    expect(
+      ids(getDueReminders(events, ["soon", "later", "started"], [], now))
+    ).toEqual(["soon"]);
+  });
+
+  it("counts the lead time up to and including its end", () => {
+    const edge = new Date(at(10).getTime() - REMINDER_LEAD_MS);
+
+    expect(ids(getDueReminders(events, ["soon"], [], edge))).toEqual(["soon"]);
+    expect(
+      getDueReminders(events, ["soon"], [], new Date(edge.getTime() - MINUTE))
+    ).toEqual([]);
+  });
+
+  it("skips unstarred events and reminders already fired", () => {
+    expect(getDueReminders(events, ["later"], [], now)).toEqual([]);
+    expect(getDueReminders(events, ["soon"], ["soon"], now)).toEqual([]);
+  });
+});
+
+describe("planReminders", () => {
+  const soon = createTimedEvent("soon", at(10), at(11));
+  const later = createTimedEvent("later", at(14), at(15));
+  const now = at(9, 50);
+
+  it("schedules starred reminders that are still ahead", () => {
+    const plan = planReminders([soon, later], ["later"], {}, now);
+
+    expect(plan).toEqual({ toSchedule: [later], toShow: [], toCancel: [] });
+  });
+
+  it("shows a reminder right away inside the lead window", () => {
+    const plan = planReminders([soon, later], ["soon"], {}, now);
+
+    expect(plan).toEqual({ toSchedule: [], toShow: [soon], toCancel: [] });
+  });
+
+  it("leaves reminders alone once they're handed off", () => {
+    const scheduled = {
+      soon: getReminderTime(soon),
+      later: getReminderTime(later),
+    };
+
+    expect(
+      planReminders([soon, later], ["soon", "later"], scheduled, now)
+    ).toEqual({ toSchedule: [], toShow: [], toCancel: [] });
+  });
+
+  it("reschedules a moved event and cancels an unstarred one", () => {
+    const scheduled = {
+      soon: getReminderTime(soon),
+      later: getReminderTime(later) - 60 * MINUTE,
+    };
+
+    expect(planReminders([soon, later], ["later"], scheduled, now)).toEqual({
+      toSchedule: [later],
+      toShow: [],
+      toCancel: ["soon"],
+    });
+  });
+});
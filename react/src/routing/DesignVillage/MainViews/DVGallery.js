@@ -0,0 +1,239 @@
+// DVGallery.js
+/**
+ * DVGallery
+ *
+ * Browse this year's shelters: a searchable two-column gallery with a
+ * favorites filter. Tapping a shelter calls `onSelectTeam(plot)`.
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Image,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useDVTeams } from "../Data/TeamStore";
+import { searchTeams } from "../Data/Teams";
+
+const DVGallery = ({ onSelectTeam }) => {
+  const { teams, toggleFavorite } = useDVTeams();
+  const [query, setQuery] = useState("");
+  const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+
+  const visibleTeams = searchTeams(
+    showFavoritesOnly ? teams.filter((team) => team.isFavorite) : teams,
+    query
+  );
+
+  const renderTeam = ({ item: team }) => (
+    <TouchableOpacity
+      style={styles.card}
+      activeOpacity={0.8}
+      onPress={() => onSelectTeam(team.plot)}
+    >
+      <Image
+        source={team.photoSources[0]}
+        style={styles.cardImage}
+        resizeMode="cover"
+      />
+      <View style={styles.plotBadge}>
+        <Text style={styles.plotBadgeText}>{team.plot}</Text>
+      </View>
+      <TouchableOpacity
+        style={styles.favoriteButton}
+        onPress={() => toggleFavorite(team.plot)}
+      >
+        <Ionicons
+          name={team.isFavorite ? "heart" : "heart-outline"}
+          size={20}
+          color={team.isFavorite ? "#FF2D55" : "white"}
+        />
+      </TouchableOpacity>
+      <View style={styles.cardText}>
+        <Text style={styles.cardTitle} numberOfLines={1}>
+          {team.shelterName}
+        </Text>
+        <Text style={styles.cardSubtitle} numberOfLines={1}>
+          {team.name}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        <View style={styles.searchBar}>
+          <Ionicons name="search" size={18} color="gray" />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search shelters, teams or schools"
+            placeholderTextColor="gray"
+            autoCorrect={false}
+          />
+          {query !== "" && (
+            <TouchableOpacity onPress={() => setQuery("")}>
+              <Ionicons name="close-circle" size={18} color="gray" />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[
+            styles.filterButton,
+            showFavoritesOnly && styles.filterButtonSelected,
+          ]}
+          onPress={() => setShowFavoritesOnly(!showFavoritesOnly)}
+        >
+          <Ionicons
+            name={showFavoritesOnly ? "heart" : "heart-outline"}
+            size={22}
+            color={showFavoritesOnly ? "white" : "black"}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={visibleTeams}
+        renderItem={renderTeam}
+        keyExtractor={(team) => String(team.plot)}
+        numColumns={2}
+        columnWrapperStyle={styles.row}
+        contentContainerStyle={styles.listContent}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            {showFavoritesOnly && query === ""
+              ? "Tap the heart on a shelter to save it here."
+              : "No shelters match your search."}
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fafafa",
+  },
+  toolbar: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 24,
+    paddingTop: 15,
+    paddingBottom: 8,
+  },
+  searchBar: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "white",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    height: 44,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: "black",
+    marginHorizontal: 8,
+  },
+  filterButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    marginLeft: 10,
+    backgroundColor: "rgba(128,128,128,0.1)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  filterButtonSelected: {
+    backgroundColor: "black",
+  },
+  listContent: {
+    paddingHorizontal: 24,
+    paddingTop: 8,
+    paddingBottom: 40,
+  },
+  row: {
+    justifyContent: "space-between",
+  },
+  card: {
+    width: "48%",
+    backgroundColor: "white",
+    borderRadius: 16,
+    marginBottom: 16,
+    overflow: "hidden",
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  cardImage: {
+    width: "100%",
+    height: 120,
+  },
+  plotBadge: {
+    position: "absolute",
+    top: 8,
+    left: 8,
+    minWidth: 26,
+    height: 26,
+    borderRadius: 6,
+    paddingHorizontal: 4,
+    backgroundColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  plotBadgeText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "black",
+  },
+  favoriteButton: {
+    position: "absolute",
+    top: 6,
+    right: 6,
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: "rgba(0,0,0,0.35)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  cardText: {
+    padding: 10,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "black",
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    color: "rgba(0,0,0,0.6)",
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "rgba(0,0,0,0.6)",
+    textAlign: "center",
+    marginTop: 32,
+  },
+});
+
+export default DVGallery;
@@ -10,10 +10,12 @@ import {
   Dimensions,
 } from "react-native";
 import Ionicons from "react-native-vector-icons/Ionicons";
+import { getCurrentEvent } from "../../../Core/Data/EventCalendar";
 
 const { width } = Dimensions.get("window");
 
 const DVInfo = () => {
+  const event = getCurrentEvent();
   const [isWhatIsExpanded, setIsWhatIsExpanded] = useState(true);
   const [isGalleryExpanded, setIsGalleryExpanded] = useState(true);
   const [isHistoryExpanded, setIsHistoryExpanded] = useState(true);
@@ -87,11 +89,13 @@ const DVInfo = () => {
               their work, while visiting teams compete for awards based on
               innovation, sustainability, and craftsmanship.
             </Text>
-            <Text
-              style={[styles.bodyText, { marginTop: 8, fontWeight: "600" }]}
-            >
-              Theme: Nexus
-            </Text>
+            {event && event.theme && (
+              <Text
+                style={[styles.bodyText, { marginTop: 8, fontWeight: "600" }]}
+              >
+                Theme: {event.theme}
+              </Text>
+            )}
           </View>
         )}
       </View>
@@ -1,22 +1,601 @@
-import React from "react";
-import { View, Text, StyleSheet } from "react-native";
+// DVMap.js
+/**
+ * DVMap
+ *
+ * The Design Village site on the canyon map: team plots, facilities from
+ * the site plan, and the user's position while they're at the event.
+ * Plots can be looked up by team, school or plot number, and the legend
+ * doubles as a switch for each kind of facility.
+ *
+ * `focusPlot` selects and zooms to a plot (e.g. from a shelter's page);
+ * `onOpenTeam(plot)` opens the shelter on a selected plot.
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import MapViewport from "../../../Views/Map/MapViewport";
+import { mapPixelToScreen } from "../../../Core/Location/MapHitTest";
+import { useDVLocation } from "../Data/LocationStore";
+import {
+  POI_TYPE_DETAILS,
+  getPoiTypeDetails,
+  getPois,
+  getPlots,
+  findPlots,
+} from "../Data/SitePlan";
+
+const MAP_IMAGE = require("../../../assets/map/NoNumbers/LightMapNN.webp");
+
+// The village covers the lower canyon, so open zoomed in on it
+const VILLAGE_CENTER = { x: 1380, y: 3860 };
+const VILLAGE_ZOOM = 4;
+const PLOT_ZOOM = 5;
+
+// How far from a marker a tap still selects it, in screen points
+const TOUCH_RADIUS = 24;
+const MAX_SEARCH_RESULTS = 5;
+
+const getPlotTitle = (plot) =>
+  plot.team ? plot.team.shelterName : `Plot ${plot.number}`;
+
+const DVMap = ({ focusPlot = null, onOpenTeam }) => {
+  const {
+    currentLocation,
+    isWithinCanyon,
+    getMapPixelForCoordinate,
+    requestForegroundTracking,
+  } = useDVLocation();
+
+  const mapViewportRef = useRef(null);
+  const [viewport, setViewport] = useState(null);
+  const [query, setQuery] = useState("");
+  // { kind: "plot" | "poi", item } for the marker the card describes
+  const [selection, setSelection] = useState(null);
+  const [hiddenTypes, setHiddenTypes] = useState([]);
+  const [isLegendOpen, setIsLegendOpen] = useState(false);
+
+  const pois = useMemo(getPois, []);
+  const plots = useMemo(getPlots, []);
+  const visiblePois = pois.filter((poi) => !hiddenTypes.includes(poi.type));
+  const searchResults = findPlots(plots, query).slice(0, MAX_SEARCH_RESULTS);
+
+  // Follow the user's position only while the map is open
+  useEffect(() => {
+    const release = requestForegroundTracking();
+    mapViewportRef.current.focusOnPixel(VILLAGE_CENTER, VILLAGE_ZOOM, {
+      animated: false,
+    });
+    return release;
+  }, []);
+
+  useEffect(() => {
+    const plot = plots.find((candidate) => candidate.number === focusPlot);
+    if (plot) selectPlot(plot);
+  }, [focusPlot]);
+
+  const userPixel =
+    currentLocation && isWithinCanyon(currentLocation.coords)
+      ? getMapPixelForCoordinate(currentLocation.coords)
+      : null;
+
+  const project = (pixel) => mapPixelToScreen(pixel, viewport);
+
+  const selectPlot = (plot) => {
+    setQuery("");
+    setSelection({ kind: "plot", item: plot });
+    mapViewportRef.current.focusOnPixel(plot.pixel, PLOT_ZOOM);
+  };
+
+  // Select the nearest marker under a tap, or clear the selection
+  const handleMapPress = (point, pressViewport) => {
+    const candidates = [
+      ...plots.map((item) => ({ kind: "plot", item })),
+      ...visiblePois.map((item) => ({ kind: "poi", item })),
+    ];
+    let nearest = null;
+    let nearestDistance = TOUCH_RADIUS;
+    candidates.forEach((candidate) => {
+      const screen = mapPixelToScreen(candidate.item.pixel, pressViewport);
+      const distance = Math.hypot(screen.x - point.x, screen.y - point.y);
+      if (distance <= nearestDistance) {
+        nearest = candidate;
+        nearestDistance = distance;
+      }
+    });
+    setSelection(nearest);
+  };
+
+  const toggleType = (type) => {
+    setHiddenTypes((current) =>
+      current.includes(type)
+        ? current.filter((hidden) => hidden !== type)
+        : [...current, type]
+    );
+  };
+
+  const isSelected = (kind, item) =>
+    selection !== null && selection.kind === kind && selection.item === item;
 
-const DVMap = () => {
   return (
-    <View style={styles.screen}>
-      <Text style={styles.screenText}>Design Village Map</Text>
+    <View style={styles.container}>
+      <MapViewport
+        ref={mapViewportRef}
+        source={MAP_IMAGE}
+        onPress={handleMapPress}
+        onViewportChange={setViewport}
+      />
+
+      {viewport && (
+        <View style={StyleSheet.absoluteFill} pointerEvents="none">
+          {plots.map((plot) => {
+            const { x, y } = project(plot.pixel);
+            const selected = isSelected("plot", plot);
+            return (
+              <View
+                key={`plot-${plot.number}`}
+                style={[
+                  styles.plotMarker,
+                  selected && styles.plotMarkerSelected,
+                  { left: x - 13, top: y - 13 },
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.plotMarkerText,
+                    selected && styles.plotMarkerTextSelected,
+                  ]}
+                >
+                  {plot.number}
+                </Text>
+              </View>
+            );
+          })}
+          {visiblePois.map((poi) => {
+            const { x, y } = project(poi.pixel);
+            const details = getPoiTypeDetails(poi.type);
+            return (
+              <View
+                key={poi.id}
+                style={[
+                  styles.poiMarker,
+                  isSelected("poi", poi) && styles.poiMarkerSelected,
+                  { left: x - 14, top: y - 14, backgroundColor: details.color },
+                ]}
+              >
+                <Ionicons name={details.icon} size={16} color="white" />
+              </View>
+            );
+          })}
+          {userPixel && (
+            <View
+              style={[
+                styles.userMarker,
+                {
+                  left: project(userPixel).x - 9,
+                  top: project(userPixel).y - 9,
+                },
+              ]}
+            />
+          )}
+        </View>
+      )}
+
+      {renderSearch()}
+      {selection && renderSelectionCard()}
+      {renderControls()}
     </View>
   );
+
+  function renderSearch() {
+    return (
+      <View style={styles.searchContainer}>
+        <View style={styles.searchBar}>
+          <Ionicons name="search" size={18} color="gray" />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Find a team, school or plot #"
+            placeholderTextColor="gray"
+            autoCorrect={false}
+            returnKeyType="search"
+            onSubmitEditing={() => {
+              if (searchResults.length > 0) selectPlot(searchResults[0]);
+            }}
+          />
+          {query !== "" && (
+            <TouchableOpacity onPress={() => setQuery("")}>
+              <Ionicons name="close-circle" size={18} color="gray" />
+            </TouchableOpacity>
+          )}
+        </View>
+        {query.trim() !== "" && (
+          <View style={styles.searchResults}>
+            {searchResults.length === 0 ? (
+              <Text style={styles.searchEmpty}>No matching plots</Text>
+            ) : (
+              searchResults.map((plot) => (
+                <TouchableOpacity
+                  key={plot.number}
+                  style={styles.searchResult}
+                  onPress={() => selectPlot(plot)}
+                >
+                  <Text style={styles.searchResultNumber}>#{plot.number}</Text>
+                  <View style={styles.searchResultText}>
+                    <Text style={styles.searchResultTitle} numberOfLines={1}>
+                      {plot.team ? plot.team.name : "Unassigned plot"}
+                    </Text>
+                    {plot.team && (
+                      <Text style={styles.searchResultSubtitle}>
+                        {plot.team.shelterName} · {plot.team.school}
+                      </Text>
+                    )}
+                  </View>
+                </TouchableOpacity>
+              ))
+            )}
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  function renderSelectionCard() {
+    const { kind, item } = selection;
+    const isPlot = kind === "plot";
+    const details = isPlot ? null : getPoiTypeDetails(item.type);
+
+    return (
+      <View style={styles.selectionCard}>
+        <View
+          style={[
+            styles.selectionIcon,
+            { backgroundColor: isPlot ? "black" : details.color },
+          ]}
+        >
+          {isPlot ? (
+            <Text style={styles.selectionIconText}>{item.number}</Text>
+          ) : (
+            <Ionicons name={details.icon} size={20} color="white" />
+          )}
+        </View>
+        <View style={styles.selectionText}>
+          <Text style={styles.selectionTitle} numberOfLines={1}>
+            {isPlot ? getPlotTitle(item) : item.name}
+          </Text>
+          <Text style={styles.selectionSubtitle}>
+            {isPlot
+              ? [`Plot ${item.number}`, item.team && item.team.school]
+                  .filter(Boolean)
+                  .join(" · ")
+              : item.description}
+          </Text>
+          {isPlot && item.team && onOpenTeam && (
+            <TouchableOpacity onPress={() => onOpenTeam(item.number)}>
+              <Text style={styles.selectionLink}>View shelter</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity onPress={() => setSelection(null)}>
+          <Ionicons name="close" size={22} color="black" />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  function renderControls() {
+    return (
+      <View style={styles.controls}>
+        {isLegendOpen && (
+          <ScrollView style={styles.legend}>
+            <View style={styles.legendRow}>
+              <View style={[styles.legendSwatch, styles.legendPlotSwatch]} />
+              <Text style={styles.legendLabel}>Team plots</Text>
+            </View>
+            {POI_TYPE_DETAILS.map(({ type, label, icon, color }) => {
+              const isHidden = hiddenTypes.includes(type);
+              return (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.legendRow, isHidden && styles.legendRowHidden]}
+                  onPress={() => toggleType(type)}
+                >
+                  <View
+                    style={[styles.legendSwatch, { backgroundColor: color }]}
+                  >
+                    <Ionicons name={icon} size={12} color="white" />
+                  </View>
+                  <Text style={styles.legendLabel}>{label}</Text>
+                  <Ionicons
+                    name={isHidden ? "eye-off-outline" : "eye-outline"}
+                    size={16}
+                    color="gray"
+                  />
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+        <View style={styles.controlButtons}>
+          <TouchableOpacity
+            style={styles.controlButton}
+            onPress={() => setIsLegendOpen(!isLegendOpen)}
+          >
+            <Ionicons
+              name={isLegendOpen ? "close" : "list"}
+              size={24}
+              color="black"
+            />
+          </TouchableOpacity>
+          {userPixel && (
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() =>
+                mapViewportRef.current.focusOnPixel(userPixel, PLOT_ZOOM)
+              }
+            >
+              <Ionicons name="locate" size={24} color="black" />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
 };
 
 const styles = StyleSheet.create({
-  screen: {
+  container: {
     flex: 1,
+    backgroundColor: "#fafafa",
+  },
+
+  // Markers
+  plotMarker: {
+    position: "absolute",
+    width: 26,
+    height: 26,
+    borderRadius: 6,
+    backgroundColor: "white",
+    borderWidth: 2,
+    borderColor: "black",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  plotMarkerSelected: {
+    backgroundColor: "black",
+    transform: [{ scale: 1.25 }],
+  },
+  plotMarkerText: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "black",
+  },
+  plotMarkerTextSelected: {
+    color: "white",
+  },
+  poiMarker: {
+    position: "absolute",
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: "white",
     justifyContent: "center",
     alignItems: "center",
+    shadowColor: "#000",
+    shadowOpacity: 0.25,
+    shadowRadius: 3,
+    shadowOffset: { width: 0, height: 1 },
+    elevation: 3,
+  },
+  poiMarkerSelected: {
+    transform: [{ scale: 1.25 }],
   },
-  screenText: {
-    fontSize: 24,
+  userMarker: {
+    position: "absolute",
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: "#2196F3",
+    borderWidth: 3,
+    borderColor: "white",
+    shadowColor: "#000",
+    shadowOpacity: 0.3,
+    shadowRadius: 3,
+    shadowOffset: { width: 0, height: 1 },
+    elevation: 4,
+  },
+
+  // Search
+  searchContainer: {
+    position: "absolute",
+    top: 12,
+    left: 16,
+    right: 16,
+  },
+  searchBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "white",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    height: 44,
+    shadowColor: "#000",
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: "black",
+    marginHorizontal: 8,
+  },
+  searchResults: {
+    marginTop: 6,
+    backgroundColor: "white",
+    borderRadius: 12,
+    paddingVertical: 4,
+    shadowColor: "#000",
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  searchEmpty: {
+    fontSize: 15,
+    color: "gray",
+    padding: 12,
+  },
+  searchResult: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  searchResultNumber: {
+    width: 40,
+    fontSize: 16,
+    fontWeight: "700",
+    color: "black",
+  },
+  searchResultText: {
+    flex: 1,
+  },
+  searchResultTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "black",
+  },
+  searchResultSubtitle: {
+    fontSize: 13,
+    color: "gray",
+  },
+
+  // Selection card
+  selectionCard: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 84,
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "white",
+    borderRadius: 16,
+    padding: 12,
+    shadowColor: "#000",
+    shadowOpacity: 0.15,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 5,
+  },
+  selectionIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: "center",
+    alignItems: "center",
+    marginRight: 12,
+  },
+  selectionIconText: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "white",
+  },
+  selectionText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  selectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "black",
+  },
+  selectionSubtitle: {
+    fontSize: 14,
+    color: "rgba(0,0,0,0.7)",
+    marginTop: 2,
+  },
+  selectionLink: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#2196F3",
+    marginTop: 6,
+  },
+
+  // Legend and buttons
+  controls: {
+    position: "absolute",
+    right: 16,
+    bottom: 16,
+    alignItems: "flex-end",
+  },
+  legend: {
+    maxHeight: 300,
+    backgroundColor: "white",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+    shadowColor: "#000",
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  legendRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  legendRowHidden: {
+    opacity: 0.4,
+  },
+  legendSwatch: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    justifyContent: "center",
+    alignItems: "center",
+    marginRight: 8,
+  },
+  legendPlotSwatch: {
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: "black",
+    backgroundColor: "white",
+  },
+  legendLabel: {
+    fontSize: 15,
+    color: "black",
+    marginRight: 8,
+    minWidth: 80,
+  },
+  controlButtons: {
+    flexDirection: "row",
+  },
+  controlButton: {
+    width: 50,
+    height: 50,
+    borderRadius: 25,
+    backgroundColor: "white",
+    justifyContent: "center",
+    alignItems: "center",
+    marginLeft: 10,
+    shadowColor: "#000",
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 2 },
+    elevation: 4,
   },
 });
 
@@ -1,22 +1,403 @@
-import React from "react";
-import { View, Text, StyleSheet } from "react-native";
+// DVSchedule.js
+/**
+ * DVSchedule
+ *
+ * The Design Village agenda grouped by day, with what's happening now and
+ * up next at the top. Shows the events for the user's role by default;
+ * starring an event schedules a reminder notification (see ScheduleStore).
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useDVSchedule } from "../Data/ScheduleStore";
+import {
+  filterEventsForRole,
+  groupEventsByDay,
+  getNowAndNext,
+  REMINDER_LEAD_MS,
+} from "../Data/Schedule";
+import { formatTimeOfDay } from "../../../Core/Data/Dates";
+
+const REMINDER_NOTE =
+  `Starred events send a notification ${REMINDER_LEAD_MS / 60000} ` +
+  "minutes before they start.";
+
+const ScheduleFilter = {
+  ROLE: "role",
+  ALL: "all",
+  STARRED: "starred",
+};
+
+const ROLE_LABELS = {
+  competitor: "Competitors",
+  visitor: "Visitors",
+};
+
+const formatDayTitle = (dayKey) => {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+};
+
+// "in 25 min" / "in 2 hr 5 min", for the up next card
+const formatTimeUntil = (date, now) => {
+  const minutes = Math.max(1, Math.round((date - now) / 60000));
+  if (minutes < 60) return `in ${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `in ${hours} hr ${rest} min` : `in ${hours} hr`;
+};
+
+const DVSchedule = ({ userRole }) => {
+  const { events, isLoading, now, isStarred, toggleStarred } = useDVSchedule();
+  const [filter, setFilter] = useState(ScheduleFilter.ROLE);
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (isLoading) {
+    return (
+      <View style={styles.loaderContainer}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const roleEvents = filterEventsForRole(events, userRole);
+  const visibleEvents =
+    filter === ScheduleFilter.ALL
+      ? events
+      : filter === ScheduleFilter.STARRED
+      ? events.filter((event) => isStarred(event.id))
+      : roleEvents;
+  const { current, next } = getNowAndNext(roleEvents, now);
+
+  const filters = [
+    { key: ScheduleFilter.ROLE, label: ROLE_LABELS[userRole] || "For you" },
+    { key: ScheduleFilter.ALL, label: "Everything" },
+    { key: ScheduleFilter.STARRED, label: "Starred" },
+  ];
 
-const DVSchedule = () => {
   return (
-    <View style={styles.screen}>
-      <Text style={styles.screenText}>Design Village Schedule</Text>
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        {renderNowAndNext()}
+        {renderFilters()}
+        {filter === ScheduleFilter.STARRED && (
+          <View style={styles.reminderNote}>
+            <Ionicons name="alarm-outline" size={18} color="gray" />
+            <Text style={styles.reminderNoteText}>{REMINDER_NOTE}</Text>
+          </View>
+        )}
+        {visibleEvents.length === 0 ? (
+          <Text style={styles.emptyText}>
+            {filter === ScheduleFilter.STARRED
+              ? "Star an event to get a reminder before it starts."
+              : "No events on the schedule yet."}
+          </Text>
+        ) : (
+          groupEventsByDay(visibleEvents).map(renderDay)
+        )}
+      </ScrollView>
     </View>
   );
+
+  function renderNowAndNext() {
+    const isOver = current.length === 0 && next.length === 0;
+
+    return (
+      <View style={styles.sectionContainer}>
+        <Text style={styles.sectionLabel}>Happening now</Text>
+        {current.length > 0 ? (
+          current.map((event) => (
+            <Text key={event.id} style={styles.highlightTitle}>
+              {event.title}
+              <Text style={styles.highlightDetail}>
+                {` · ${event.location}, until ${formatTimeOfDay(
+                  event.end,
+                  event.timeZone
+                )}`}
+              </Text>
+            </Text>
+          ))
+        ) : (
+          <Text style={styles.highlightDetail}>
+            {isOver ? "That's a wrap. Thanks for coming!" : "Nothing right now"}
+          </Text>
+        )}
+
+        {next.length > 0 && (
+          <>
+            <Text style={[styles.sectionLabel, styles.nextLabel]}>
+              Up next {formatTimeUntil(next[0].start, now)}
+            </Text>
+            {next.map((event) => (
+              <Text key={event.id} style={styles.highlightTitle}>
+                {event.title}
+                <Text style={styles.highlightDetail}>
+                  {` · ${event.location}, ${formatTimeOfDay(
+                    event.start,
+                    event.timeZone
+                  )}`}
+                </Text>
+              </Text>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  }
+
+  function renderFilters() {
+    return (
+      <View style={styles.filterRow}>
+        {filters.map(({ key, label }) => (
+          <TouchableOpacity
+            key={key}
+            onPress={() => setFilter(key)}
+            style={[
+              styles.filterButton,
+              filter === key && styles.filterButtonSelected,
+            ]}
+          >
+            <Text
+              style={[
+                styles.filterButtonText,
+                filter === key && styles.filterButtonTextSelected,
+              ]}
+            >
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  }
+
+  function renderDay({ day, events: dayEvents }) {
+    return (
+      <View key={day} style={styles.sectionContainer}>
+        <Text style={styles.sectionTitle}>{formatDayTitle(day)}</Text>
+        {dayEvents.map(renderEvent)}
+      </View>
+    );
+  }
+
+  function renderEvent(event, index) {
+    const isPast = event.end <= now;
+    const isCurrent = event.start <= now && !isPast;
+    const isExpanded = expandedId === event.id;
+    const starred = isStarred(event.id);
+
+    return (
+      <TouchableOpacity
+        key={event.id}
+        activeOpacity={0.7}
+        onPress={() => setExpandedId(isExpanded ? null : event.id)}
+        style={[
+          styles.eventRow,
+          index > 0 && styles.eventDivider,
+          isPast && styles.eventPast,
+        ]}
+      >
+        <View style={styles.eventTimes}>
+          <Text style={[styles.eventTime, isCurrent && styles.eventTimeNow]}>
+            {formatTimeOfDay(event.start, event.timeZone)}
+          </Text>
+          <Text style={styles.eventEndTime}>
+            {formatTimeOfDay(event.end, event.timeZone)}
+          </Text>
+        </View>
+        <View style={styles.eventBody}>
+          <Text style={styles.eventTitle}>{event.title}</Text>
+          <View style={styles.eventLocation}>
+            <Ionicons name="location-outline" size={14} color="gray" />
+            <Text style={styles.eventLocationText}>{event.location}</Text>
+          </View>
+          <Text
+            style={styles.eventDescription}
+            numberOfLines={isExpanded ? undefined : 2}
+          >
+            {event.description}
+          </Text>
+        </View>
+        <TouchableOpacity
+          onPress={() => toggleStarred(event.id)}
+          style={styles.starButton}
+          disabled={isPast}
+          accessibilityLabel={
+            starred ? "Remove reminder" : "Star for a reminder"
+          }
+        >
+          <Ionicons
+            name={starred ? "star" : "star-outline"}
+            size={22}
+            color={starred ? "#F5A623" : "rgba(0,0,0,0.4)"}
+          />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  }
 };
 
 const styles = StyleSheet.create({
-  screen: {
+  container: {
+    flex: 1,
+    backgroundColor: "#fafafa",
+  },
+  loaderContainer: {
     flex: 1,
     justifyContent: "center",
     alignItems: "center",
   },
-  screenText: {
+  contentContainer: {
+    paddingTop: 15,
+    paddingBottom: 40,
+    paddingHorizontal: 24,
+  },
+  sectionContainer: {
+    backgroundColor: "white",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 24,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  sectionTitle: {
     fontSize: 24,
+    fontWeight: "bold",
+    color: "black",
+    marginBottom: 8,
+  },
+  sectionLabel: {
+    fontSize: 13,
+    fontWeight: "700",
+    textTransform: "uppercase",
+    color: "rgba(0,0,0,0.5)",
+    marginBottom: 6,
+  },
+  nextLabel: {
+    marginTop: 16,
+  },
+  highlightTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "black",
+    marginBottom: 4,
+  },
+  highlightDetail: {
+    fontSize: 16,
+    fontWeight: "400",
+    color: "rgba(0,0,0,0.7)",
+  },
+  filterRow: {
+    flexDirection: "row",
+    marginBottom: 24,
+  },
+  filterButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 12,
+    backgroundColor: "rgba(128,128,128,0.1)",
+    alignItems: "center",
+  },
+  filterButtonSelected: {
+    backgroundColor: "black",
+  },
+  filterButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "black",
+  },
+  filterButtonTextSelected: {
+    color: "white",
+  },
+  reminderNote: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    marginHorizontal: 4,
+    marginTop: -12,
+    marginBottom: 16,
+  },
+  reminderNoteText: {
+    flex: 1,
+    fontSize: 13,
+    color: "rgba(0,0,0,0.6)",
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "rgba(0,0,0,0.6)",
+    textAlign: "center",
+    marginTop: 16,
+  },
+  eventRow: {
+    flexDirection: "row",
+    paddingVertical: 12,
+  },
+  eventDivider: {
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: "rgba(0,0,0,0.15)",
+  },
+  eventPast: {
+    opacity: 0.45,
+  },
+  eventTimes: {
+    width: 76,
+  },
+  eventTime: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "black",
+  },
+  eventTimeNow: {
+    color: "#2196F3",
+  },
+  eventEndTime: {
+    fontSize: 13,
+    color: "rgba(0,0,0,0.5)",
+    marginTop: 2,
+  },
+  eventBody: {
+    flex: 1,
+  },
+  eventTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "black",
+  },
+  eventLocation: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 2,
+  },
+  eventLocationText: {
+    fontSize: 14,
+    color: "gray",
+    marginLeft: 4,
+  },
+  eventDescription: {
+    fontSize: 15,
+    color: "rgba(0,0,0,0.8)",
+    lineHeight: 20,
+    marginTop: 4,
+  },
+  starButton: {
+    paddingLeft: 12,
+    paddingTop: 2,
   },
 });
 
@@ -1,5 +1,5 @@
 // DVSettings.js
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -10,6 +10,7 @@ import {
   Alert,
   Modal,
   Linking,
+  TextInput,
 } from "react-native";
 import Ionicons from "react-native-vector-icons/Ionicons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
@@ -19,9 +20,41 @@ import OGDefault from "../Images/OGDefault.webp";
 import InstaIcon from "../Images/InstaIcon.webp";
 import CAEDLogo from "../Images/CAEDLogo.webp";
 import DVLogo from "../Images/DVLogo.webp";
+import DVVoteResults from "./DVVoteResults";
+import {
+  isOrganizerAccessEnabled,
+  checkOrganizerCode,
+  loadOrganizerAccess,
+  saveOrganizerAccess,
+} from "../Data/Organizer";
 
 const DVSettings = ({ setDesignVillageMode }) => {
   const [showRulesPopup, setShowRulesPopup] = useState(false);
+  const [showVoteResults, setShowVoteResults] = useState(false);
+  const [hasOrganizerAccess, setHasOrganizerAccess] = useState(false);
+  const [showCodePrompt, setShowCodePrompt] = useState(false);
+  const [organizerCode, setOrganizerCode] = useState("");
+
+  useEffect(() => {
+    loadOrganizerAccess().then(setHasOrganizerAccess);
+  }, []);
+
+  // Long-pressing the Design Village logo asks for the organizer code
+  const handleLogoLongPress = () => {
+    if (!isOrganizerAccessEnabled() || hasOrganizerAccess) return;
+    setOrganizerCode("");
+    setShowCodePrompt(true);
+  };
+
+  const handleSubmitCode = async () => {
+    if (!checkOrganizerCode(organizerCode)) {
+      Alert.alert("Wrong code", "That isn't the organizer code.");
+      return;
+    }
+    await saveOrganizerAccess(organizerCode);
+    setHasOrganizerAccess(true);
+    setShowCodePrompt(false);
+  };
 
   const handleExplorePress = () => {
     Alert.alert(
@@ -44,6 +77,10 @@ const DVSettings = ({ setDesignVillageMode }) => {
     );
   };
 
+  if (showVoteResults) {
+    return <DVVoteResults onBack={() => setShowVoteResults(false)} />;
+  }
+
   return (
     <View style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
@@ -102,6 +139,21 @@ const DVSettings = ({ setDesignVillageMode }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Organizer Tools, once this device has entered the code */}
+        {hasOrganizerAccess && (
+          <TouchableOpacity
+            style={styles.organizerButton}
+            onPress={() => setShowVoteResults(true)}
+          >
+            <Ionicons name="podium" size={22} color="black" />
+            <View style={styles.organizerTextContainer}>
+              <Text style={styles.organizerTitle}>Voting results</Text>
+              <Text style={styles.organizerSubtitle}>For organizers</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="gray" />
+          </TouchableOpacity>
+        )}
+
         {/* Updated Credits Section */}
         <View style={styles.creditsSection}>
           <View style={styles.creditsLogos}>
@@ -110,11 +162,17 @@ const DVSettings = ({ setDesignVillageMode }) => {
               style={styles.creditsLogo}
               resizeMode="contain"
             />
-            <Image
-              source={DVLogo}
-              style={styles.creditsLogo}
-              resizeMode="contain"
-            />
+            <TouchableOpacity
+              activeOpacity={1}
+              delayLongPress={1500}
+              onLongPress={handleLogoLongPress}
+            >
+              <Image
+                source={DVLogo}
+                style={styles.creditsLogo}
+                resizeMode="contain"
+              />
+            </TouchableOpacity>
           </View>
           <View style={styles.creditsTextContainer}>
             <Text style={styles.creditsText}>Developed by Parker Jones</Text>
@@ -138,6 +196,34 @@ const DVSettings = ({ setDesignVillageMode }) => {
           </View>
         </View>
       </Modal>
+
+      {/* Organizer Code Modal */}
+      <Modal visible={showCodePrompt} animationType="fade" transparent={true}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.codeTitle}>Organizer code</Text>
+            <TextInput
+              style={styles.codeInput}
+              value={organizerCode}
+              onChangeText={setOrganizerCode}
+              onSubmitEditing={handleSubmitCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              secureTextEntry={true}
+              autoFocus={true}
+            />
+            <TouchableOpacity
+              style={styles.modalButton}
+              onPress={handleSubmitCode}
+            >
+              <Text style={styles.modalButtonText}>Unlock</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setShowCodePrompt(false)}>
+              <Text style={styles.codeCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -288,6 +374,34 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "black",
   },
+  organizerButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "white",
+    borderRadius: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+    padding: 16,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  organizerTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  organizerTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "black",
+  },
+  organizerSubtitle: {
+    fontSize: 13,
+    color: "rgba(0,0,0,0.6)",
+    marginTop: 2,
+  },
   creditsSection: {
     backgroundColor: "white",
     borderRadius: 16,
@@ -363,6 +477,26 @@ const styles = StyleSheet.create({
     color: "black",
     textAlign: "center",
   },
+  codeTitle: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: "black",
+    marginBottom: 16,
+  },
+  codeInput: {
+    alignSelf: "stretch",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 17,
+    color: "black",
+  },
+  codeCancelText: {
+    fontSize: 15,
+    color: "gray",
+  },
 });
 
 export default DVSettings;
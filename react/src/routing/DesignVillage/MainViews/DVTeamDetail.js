@@ -0,0 +1,313 @@
+// DVTeamDetail.js
+/**
+ * DVTeamDetail
+ *
+ * One shelter's page: photos, team, school, plot and concept, with a
+ * favorite toggle, the ballot and a link to the shelter's plot on the DV
+ * map.
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Image,
+  Dimensions,
+  Alert,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useDVTeams } from "../Data/TeamStore";
+import { useDVBallot } from "../Data/BallotStore";
+import { BALLOT_CATEGORIES } from "../Data/Ballot";
+
+const { width } = Dimensions.get("window");
+const PHOTO_WIDTH = width - 48; // screen width minus horizontal padding (24 * 2)
+
+const DVTeamDetail = ({ plot, onBack, onShowOnMap }) => {
+  const { getTeam, toggleFavorite } = useDVTeams();
+  const team = getTeam(plot);
+
+  if (!team) {
+    return (
+      <View style={[styles.container, styles.contentContainer]}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Ionicons name="chevron-back" size={22} color="black" />
+          <Text style={styles.backButtonText}>Shelters</Text>
+        </TouchableOpacity>
+        <Text style={styles.bodyText}>This shelter isn't listed anymore.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Ionicons name="chevron-back" size={22} color="black" />
+          <Text style={styles.backButtonText}>Shelters</Text>
+        </TouchableOpacity>
+
+        <ScrollView
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          style={styles.photos}
+        >
+          {team.photoSources.map((source, index) => (
+            <Image
+              key={index}
+              source={source}
+              style={styles.photo}
+              resizeMode="cover"
+            />
+          ))}
+        </ScrollView>
+        {!team.hasPhotos && (
+          <Text style={styles.photoNote}>Photos coming during the event</Text>
+        )}
+
+        <View style={styles.sectionContainer}>
+          <View style={styles.titleRow}>
+            <View style={styles.titleText}>
+              <Text style={styles.title}>{team.shelterName}</Text>
+              <Text style={styles.subtitle}>
+                {team.name} · {team.school}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => toggleFavorite(team.plot)}>
+              <Ionicons
+                name={team.isFavorite ? "heart" : "heart-outline"}
+                size={28}
+                color={team.isFavorite ? "#FF2D55" : "black"}
+              />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.bodyText}>{team.concept}</Text>
+        </View>
+
+        {BALLOT_CATEGORIES.length > 0 && <BallotSection team={team} />}
+
+        <TouchableOpacity
+          style={styles.mapButton}
+          onPress={() => onShowOnMap(team.plot)}
+        >
+          <Ionicons name="map" size={20} color="black" />
+          <Text style={styles.mapButtonText}>Plot {team.plot} on the map</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+// MARK: - Ballot
+
+const BallotSection = ({ team }) => {
+  const { getVote, castVote, isLoading } = useDVBallot();
+
+  const confirmVote = (category) => {
+    Alert.alert(
+      `Vote for ${team.shelterName}?`,
+      `You get one ${category.title} vote and can't change it afterwards.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Vote",
+          onPress: async () => {
+            try {
+              await castVote(category.id, team.plot);
+            } catch (error) {
+              Alert.alert("Couldn't vote", error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.ballotSection}>
+      <Text style={styles.ballotTitle}>Vote</Text>
+      {BALLOT_CATEGORIES.map((category) => {
+        const vote = getVote(category.id);
+        const isThisShelter = vote && vote.plot === team.plot;
+
+        let status = category.description;
+        if (isThisShelter) {
+          status = vote.submitted
+            ? "You voted for this shelter."
+            : "You voted for this shelter. It will be sent once you're online.";
+        } else if (vote) {
+          status = `You voted for plot ${vote.plot}.`;
+        }
+
+        return (
+          <View key={category.id} style={styles.ballotRow}>
+            <View style={styles.ballotText}>
+              <Text style={styles.ballotCategory}>{category.title}</Text>
+              <Text style={styles.ballotStatus}>{status}</Text>
+            </View>
+            {isThisShelter ? (
+              <Ionicons
+                name={vote.submitted ? "checkmark-circle" : "cloud-upload"}
+                size={28}
+                color={vote.submitted ? "#34C759" : "gray"}
+              />
+            ) : (
+              <TouchableOpacity
+                style={[
+                  styles.voteButton,
+                  (vote || isLoading) && styles.voteButtonDisabled,
+                ]}
+                disabled={Boolean(vote) || isLoading}
+                onPress={() => confirmVote(category)}
+              >
+                <Text style={styles.voteButtonText}>Vote</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fafafa",
+  },
+  contentContainer: {
+    paddingTop: 10,
+    paddingBottom: 40,
+    paddingHorizontal: 24,
+  },
+  backButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  backButtonText: {
+    fontSize: 17,
+    color: "black",
+  },
+  photos: {
+    height: 240,
+    borderRadius: 16,
+    overflow: "hidden",
+  },
+  photo: {
+    width: PHOTO_WIDTH,
+    height: 240,
+  },
+  photoNote: {
+    fontSize: 13,
+    color: "rgba(0,0,0,0.5)",
+    textAlign: "center",
+    marginTop: 6,
+  },
+  sectionContainer: {
+    backgroundColor: "white",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+    marginBottom: 24,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  titleRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    marginBottom: 12,
+  },
+  titleText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "black",
+  },
+  subtitle: {
+    fontSize: 15,
+    color: "rgba(0,0,0,0.6)",
+    marginTop: 4,
+  },
+  bodyText: {
+    fontSize: 16,
+    color: "rgba(0,0,0,0.8)",
+    lineHeight: 22,
+  },
+  ballotSection: {
+    backgroundColor: "white",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 24,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  ballotTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "black",
+    marginBottom: 4,
+  },
+  ballotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  ballotText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  ballotCategory: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "black",
+  },
+  ballotStatus: {
+    fontSize: 14,
+    color: "rgba(0,0,0,0.6)",
+    marginTop: 2,
+  },
+  voteButton: {
+    paddingHorizontal: 18,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: "black",
+  },
+  voteButtonDisabled: {
+    backgroundColor: "rgba(0,0,0,0.2)",
+  },
+  voteButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "white",
+  },
+  mapButton: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 12,
+    backgroundColor: "rgba(128,128,128,0.1)",
+    borderRadius: 12,
+  },
+  mapButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "black",
+    marginLeft: 8,
+  },
+});
+
+export default DVTeamDetail;
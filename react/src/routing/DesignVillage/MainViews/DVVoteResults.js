@@ -0,0 +1,204 @@
+// DVVoteResults.js
+/**
+ * DVVoteResults
+ *
+ * Ballot standings for organizers: every category's shelters ranked by
+ * votes, loaded from the vote backend when opened and on refresh.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import Ionicons from "react-native-vector-icons/Ionicons";
+import { useDVBallot } from "../Data/BallotStore";
+import { useDVTeams } from "../Data/TeamStore";
+import { BALLOT_CATEGORIES } from "../Data/Ballot";
+
+const DVVoteResults = ({ onBack }) => {
+  const { getResults } = useDVBallot();
+  const { getTeam } = useDVTeams();
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setResults(await getResults());
+    } catch (loadError) {
+      console.error("DVVoteResults - Error loading results:", loadError);
+      setError("Results couldn't be loaded. Check your connection.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [getResults]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.contentContainer}>
+        <View style={styles.toolbar}>
+          <TouchableOpacity style={styles.backButton} onPress={onBack}>
+            <Ionicons name="chevron-back" size={22} color="black" />
+            <Text style={styles.backButtonText}>Settings</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={refresh} disabled={isLoading}>
+            {isLoading ? (
+              <ActivityIndicator color="black" />
+            ) : (
+              <Ionicons name="refresh" size={22} color="black" />
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        {results &&
+          BALLOT_CATEGORIES.map((category) => {
+            const standings = results[category.id] || [];
+            const totalVotes = standings.reduce(
+              (total, entry) => total + entry.count,
+              0
+            );
+
+            return (
+              <View key={category.id} style={styles.sectionContainer}>
+                <View style={styles.sectionHeader}>
+                  <Text style={styles.sectionTitle}>{category.title}</Text>
+                  <Text style={styles.totalText}>
+                    {totalVotes} {totalVotes === 1 ? "vote" : "votes"}
+                  </Text>
+                </View>
+                {standings.length === 0 ? (
+                  <Text style={styles.emptyText}>No votes yet.</Text>
+                ) : (
+                  standings.map((entry, index) => {
+                    const team = getTeam(entry.plot);
+                    return (
+                      <View key={entry.plot} style={styles.resultRow}>
+                        <Text style={styles.rank}>{index + 1}</Text>
+                        <View style={styles.resultText}>
+                          <Text style={styles.resultTitle} numberOfLines={1}>
+                            {team ? team.shelterName : `Plot ${entry.plot}`}
+                          </Text>
+                          <Text style={styles.resultSubtitle} numberOfLines={1}>
+                            {team
+                              ? `${team.name} · Plot ${entry.plot}`
+                              : "Not in the team registry"}
+                          </Text>
+                        </View>
+                        <Text style={styles.count}>{entry.count}</Text>
+                      </View>
+                    );
+                  })
+                )}
+              </View>
+            );
+          })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fafafa",
+  },
+  contentContainer: {
+    paddingTop: 10,
+    paddingBottom: 40,
+    paddingHorizontal: 24,
+  },
+  toolbar: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  backButton: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  backButtonText: {
+    fontSize: 17,
+    color: "black",
+  },
+  errorText: {
+    fontSize: 15,
+    color: "#FF3B30",
+    marginBottom: 16,
+  },
+  sectionContainer: {
+    backgroundColor: "white",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: "row",
+    alignItems: "baseline",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "black",
+  },
+  totalText: {
+    fontSize: 14,
+    color: "rgba(0,0,0,0.6)",
+  },
+  emptyText: {
+    fontSize: 15,
+    color: "rgba(0,0,0,0.6)",
+  },
+  resultRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  rank: {
+    width: 28,
+    fontSize: 17,
+    fontWeight: "700",
+    color: "black",
+  },
+  resultText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  resultTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "black",
+  },
+  resultSubtitle: {
+    fontSize: 13,
+    color: "rgba(0,0,0,0.6)",
+    marginTop: 2,
+  },
+  count: {
+    fontSize: 17,
+    fontWeight: "700",
+    color: "black",
+  },
+});
+
+export default DVVoteResults;
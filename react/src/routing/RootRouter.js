@@ -5,28 +5,12 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import ContentView from "../AppView";
 import DVAppView from "./DesignVillage/DVAppView"; // The static Design Village branch.
 import DVDecisionPrompt from "./DVDecision";
+import { getActiveEvent, isInEventWindow } from "../Core/Data/EventCalendar";
 
 // Development flags
 const FORCE_DV_MODE_FOR_TESTING = __DEV__ && false;
 const CLEAR_PREFERENCES_FOR_TESTING = __DEV__ && false;
 
-// Helper function to create dates in local timezone
-const createLocalDate = (dateString) => {
-  const [year, month, day] = dateString.split("-").map(Number);
-  return new Date(year, month - 1, day, 0, 0, 0);
-};
-
-// Define the event window: April 25 (00:00) to April 28 (00:00) in local time
-const eventStartDate = createLocalDate("2025-04-25");
-const eventEndDate = createLocalDate("2025-04-28");
-
-// Helper to check if we're in the event window
-const isInEventWindow = () => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return today >= eventStartDate && today < eventEndDate;
-};
-
 const RootRouter = () => {
   // designVillageMode:
   //    true  => DV mode,
@@ -55,14 +39,14 @@ const RootRouter = () => {
       return;
     }
 
-    const inEventWindow = isInEventWindow();
+    const activeEvent = getActiveEvent();
+    const inEventWindow = activeEvent !== null;
     console.log("[RootRouter] Current date:", new Date().toLocaleString());
     console.log(
       "[RootRouter] Event window:",
-      eventStartDate.toLocaleString(),
-      "to",
-      eventEndDate.toLocaleString(),
-      `(${inEventWindow ? "ACTIVE" : "INACTIVE"})`
+      activeEvent
+        ? `${activeEvent.id}, ${activeEvent.start} to ${activeEvent.end} (${activeEvent.timeZone})`
+        : "no Design Village event running"
     );
 
     // Debug: Log all relevant AsyncStorage values
@@ -183,6 +167,7 @@ const RootRouter = () => {
     // Show the prompt for existing users to decide.
     return (
       <DVDecisionPrompt
+        event={getActiveEvent()}
         onDecision={(choice) => {
           setDesignVillageMode(choice);
           // Only save override if choosing Poly Canyon